@@ -75,7 +75,7 @@ export default class Arr {
    * @return {Array}
    */
   static explodePluckParameters (value, key) {
-    value = Array.isArray(value) ? value : String(key).split('.')
+    value = Array.isArray(value) ? value : String(value).split('.')
 
     key = (key === undefined || Array.isArray(key)) ? key : String(key).split('.')
 
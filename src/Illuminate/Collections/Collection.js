@@ -397,6 +397,30 @@ export default class Collection extends mix().use(EnumeratesValues, Macroable) {
     return new Collection(items)
   }
 
+  /**
+   * Get the collection of items as a plain array.
+   *
+   * @return {any[]}
+   */
+  toArray () {
+    return this.map(value => isFunction(value?.toArray) ? value.toArray() : value).all()
+  }
+
+  /**
+   * Convert the object into something JSON serializable.
+   *
+   * @return {any[]}
+   */
+  toJSON () {
+    return this.map(value => {
+      if (isFunction(value?.toJSON)) {
+        return value.toJSON()
+      }
+
+      return isFunction(value?.toArray) ? value.toArray() : value
+    }).all()
+  }
+
   /**
    * Reset the keys on the underlying array.
    *
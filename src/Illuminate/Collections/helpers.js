@@ -28,7 +28,7 @@ export const dataGet = (target, key, defaultValue) => {
     return target
   }
 
-  key = Array.isArray(key) ? key : String(key).split('.')
+  key = Array.isArray(key) ? [...key] : String(key).split('.')
 
   for (const [i, segment] of key.entries()) {
     key[i] = undefined
@@ -0,0 +1,23 @@
+export default class CastsAttributes {
+  /**
+   * Transform the attribute from the underlying model values.
+   *
+   * @param  {import('../../../Database/Eloquent/Model.js').default}  model
+   * @param  {string}  key
+   * @param  {any}  value
+   * @param  {Record<string, any>}  attributes
+   * @return {any}
+   */
+  get (model, key, value, attributes) { }
+
+  /**
+   * Transform the attribute to its underlying model values.
+   *
+   * @param  {import('../../../Database/Eloquent/Model.js').default}  model
+   * @param  {string}  key
+   * @param  {any}  value
+   * @param  {Record<string, any>}  attributes
+   * @return {any}
+   */
+  set (model, key, value, attributes) { }
+}
@@ -0,0 +1,27 @@
+import { CustomException } from '../../Support/helpers.js'
+
+export default class Encrypter {
+  /**
+   * Encrypt the given value.
+   *
+   * @abstract
+   * @param  {any}  value
+   * @param  {boolean}  [serialize=true]
+   * @return {string}
+   */
+  encrypt (value, serialize = true) {
+    throw CustomException('concrete-method', 'encrypt')
+  }
+
+  /**
+   * Decrypt the given value.
+   *
+   * @abstract
+   * @param  {string}  payload
+   * @param  {boolean}  [unserialize=true]
+   * @return {any}
+   */
+  decrypt (payload, unserialize = true) {
+    throw CustomException('concrete-method', 'decrypt')
+  }
+}
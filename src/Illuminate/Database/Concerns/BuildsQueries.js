@@ -1,7 +1,11 @@
-import { getValue } from '@devnetic/utils'
+import { Readable } from 'node:stream'
+
+import { getValue, isNil } from '@devnetic/utils'
 
 import Conditionable from '../../Conditionable/Traits/Conditionable.js'
 import { mix } from '../../Support/Traits/use.js'
+import MultipleRecordsFoundException from '../MultipleRecordsFoundException.js'
+import RecordsNotFoundException from '../RecordsNotFoundException.js'
 
 // export default class BuildsQueries {
 const BuildsQueries = (superclass) => class extends mix(superclass).use(Conditionable) {
@@ -10,7 +14,7 @@ const BuildsQueries = (superclass) => class extends mix(superclass).use(Conditio
    *
    * @param  {number}  count
    * @param  {Function}  callback
-   * @return {boolean}
+   * @return {Promise<boolean>}
    */
   async chunk (count, callback) {
     this.enforceOrderBy()
@@ -33,7 +37,7 @@ const BuildsQueries = (superclass) => class extends mix(superclass).use(Conditio
       // On each chunk result set, we will pass them to the callback and then let the
       // developer take care of everything within the callback, which allows us to
       // keep the memory low for spinning through large result sets for working.
-      if (callback(results, page) === false) {
+      if (await callback(results, page) === false) {
         return false
       }
 
@@ -52,7 +56,7 @@ const BuildsQueries = (superclass) => class extends mix(superclass).use(Conditio
    * @param  {Function}  callback
    * @param  {string}  [column]
    * @param  {string}  [alias]
-   * @return {boolean}
+   * @return {Promise<boolean>}
    */
   chunkById (count, callback, column = undefined, alias = undefined) {
     return this.orderedChunkById(count, callback, column, alias)
@@ -65,12 +69,50 @@ const BuildsQueries = (superclass) => class extends mix(superclass).use(Conditio
    * @param  {Function}  callback
    * @param  {string}  [column]
    * @param  {string}  [alias]
-   * @return {boolean}
+   * @return {Promise<boolean>}
    */
   chunkByIdDesc (count, callback, column, alias) {
     return this.orderedChunkById(count, callback, column, alias, true)
   }
 
+  /**
+   * Execute a callback over each item while chunking.
+   *
+   * @param  {Function}  callback
+   * @param  {number}  [count=1000]
+   * @return {Promise<boolean>}
+   *
+   * @throws {Error}
+   */
+  each (callback, count = 1000) {
+    return this.chunk(count, async (results) => {
+      for (const [key, value] of results.all().entries()) {
+        if (await callback(value, key) === false) {
+          return false
+        }
+      }
+    })
+  }
+
+  /**
+   * Execute a callback over each item while chunking by ID.
+   *
+   * @param  {Function}  callback
+   * @param  {number}  [count=1000]
+   * @param  {string}  [column]
+   * @param  {string}  [alias]
+   * @return {Promise<boolean>}
+   */
+  eachById (callback, count = 1000, column = undefined, alias = undefined) {
+    return this.chunkById(count, async (results, page) => {
+      for (const [key, value] of results.all().entries()) {
+        if (await callback(value, ((page - 1) * count) + key) === false) {
+          return false
+        }
+      }
+    }, column, alias)
+  }
+
   /**
    * Execute the query and get the first result.
    *
@@ -83,6 +125,110 @@ const BuildsQueries = (superclass) => class extends mix(superclass).use(Conditio
     return result.first()
   }
 
+  /**
+   * Execute the query and get the first result or throw an exception.
+   *
+   * @param  {Array|string}  [columns=['*']]
+   * @return {Promise<any>}
+   *
+   * @throws {RecordsNotFoundException}
+   */
+  async firstOrFail (columns = ['*']) {
+    const result = await this.first(columns)
+
+    if (result === undefined) {
+      throw new RecordsNotFoundException()
+    }
+
+    return result
+  }
+
+  /**
+   * Query lazily, by chunks of the given size.
+   *
+   * @param  {number}  [chunkSize=1000]
+   * @return {AsyncGenerator<any>}
+   *
+   * @throws {Error}
+   */
+  lazy (chunkSize = 1000) {
+    if (chunkSize < 1) {
+      throw new Error('InvalidArgumentException: The chunk size should be at least 1')
+    }
+
+    this.enforceOrderBy()
+
+    /** @this {any} */
+    const items = async function * () {
+      let page = 1
+
+      while (true) {
+        const results = await this.forPage(page++, chunkSize).get()
+
+        yield * results.all()
+
+        if (results.count() < chunkSize) {
+          return
+        }
+      }
+    }
+
+    return items.call(this)
+  }
+
+  /**
+   * Query lazily, by chunking the results of a query by comparing IDs.
+   *
+   * @param  {number}  [chunkSize=1000]
+   * @param  {string}  [column]
+   * @param  {string}  [alias]
+   * @return {AsyncGenerator<any>}
+   *
+   * @throws {Error}
+   */
+  lazyById (chunkSize = 1000, column = undefined, alias = undefined) {
+    return this.orderedLazyById(chunkSize, column, alias)
+  }
+
+  /**
+   * Query lazily, by chunking the results of a query by comparing IDs in descending order.
+   *
+   * @param  {number}  [chunkSize=1000]
+   * @param  {string}  [column]
+   * @param  {string}  [alias]
+   * @return {AsyncGenerator<any>}
+   *
+   * @throws {Error}
+   */
+  lazyByIdDesc (chunkSize = 1000, column = undefined, alias = undefined) {
+    return this.orderedLazyById(chunkSize, column, alias, true)
+  }
+
+  /**
+   * Execute the query and get the first result if it's the sole matching record.
+   *
+   * @param  {Array|string}  [columns=['*']]
+   * @return {Promise<any>}
+   *
+   * @throws {RecordsNotFoundException}
+   * @throws {MultipleRecordsFoundException}
+   */
+  async sole (columns = ['*']) {
+    const result = await this.take(2).get(columns)
+
+    const count = result.count()
+
+    if (count === 0) {
+      throw new RecordsNotFoundException()
+    }
+
+    if (count > 1) {
+      throw new MultipleRecordsFoundException(count)
+    }
+
+    return result.first()
+  }
+
   /**
    * Chunk the results of a query by comparing IDs in a given order.
    *
@@ -91,7 +237,7 @@ const BuildsQueries = (superclass) => class extends mix(superclass).use(Conditio
    * @param  {string}  [column]
    * @param  {string}  [alias]
    * @param  {boolean}  [descending=false]
-   * @return {boolean}
+   * @return {Promise<boolean>}
    */
   async orderedChunkById (count, callback, column = undefined, alias = undefined, descending = false) {
     column ??= this.defaultKeyName()
@@ -126,7 +272,7 @@ const BuildsQueries = (superclass) => class extends mix(superclass).use(Conditio
       // On each chunk result set, we will pass them to the callback and then let the
       // developer take care of everything within the callback, which allows us to
       // keep the memory low for spinning through large result sets for working.
-      if (callback(results, page) === false) {
+      if (await callback(results, page) === false) {
         return false
       }
 
@@ -142,6 +288,67 @@ const BuildsQueries = (superclass) => class extends mix(superclass).use(Conditio
     return true
   }
 
+  /**
+   * Query lazily, by chunking the results of a query by comparing IDs in a given order.
+   *
+   * @protected
+   * @param  {number}  [chunkSize=1000]
+   * @param  {string}  [column]
+   * @param  {string}  [alias]
+   * @param  {boolean}  [descending=false]
+   * @return {AsyncGenerator<any>}
+   *
+   * @throws {Error}
+   */
+  orderedLazyById (chunkSize = 1000, column = undefined, alias = undefined, descending = false) {
+    if (chunkSize < 1) {
+      throw new Error('InvalidArgumentException: The chunk size should be at least 1')
+    }
+
+    /** @type {string} */
+    const keyName = column ?? this.defaultKeyName()
+
+    const key = alias ?? keyName
+
+    /** @this {any} */
+    const items = async function * () {
+      let lastId = null
+
+      while (true) {
+        const results = descending
+          ? await this.forPageBeforeId(chunkSize, lastId, keyName).get()
+          : await this.forPageAfterId(chunkSize, lastId, keyName).get()
+
+        yield * results.all()
+
+        if (results.count() < chunkSize) {
+          return
+        }
+
+        lastId = getValue(results.last(), key)
+
+        if (isNil(lastId)) {
+          throw new Error(`RuntimeException: The lazyById operation was aborted because the [${key}] column is not present in the query result.`)
+        }
+      }
+    }
+
+    return items.call(this)
+  }
+
+  /**
+   * Get a readable stream over the cursor of the query.
+   *
+   * The stream is in object mode and only reads the next rows when the consumer
+   * asks for them, so it can be piped through a serializer to any writable.
+   *
+   * @param  {import('node:stream').ReadableOptions}  [options]
+   * @return {Readable}
+   */
+  stream (options = {}) {
+    return Readable.from(this.cursor(), options)
+  }
+
   /**
    * Pass the query to a given callback.
    *
@@ -0,0 +1,380 @@
+import TransactionContext from '../TransactionContext.js'
+
+/**
+ * @classdesc Begin, commit and roll back transactions on a connection, nesting them through savepoints.
+ *
+ * @mixin
+ */
+const ManagesTransactions = (superclass) => class extends superclass {
+  /**
+   * Get the number of active transactions in the current async context.
+   *
+   * @protected
+   * @return {number}
+   */
+  get transactions () {
+    return TransactionContext.get(this) ?? 0
+  }
+
+  /**
+   * Set the number of active transactions in the current async context.
+   *
+   * @protected
+   * @param  {number}  level
+   */
+  set transactions (level) {
+    TransactionContext.set(this, level)
+  }
+
+  /**
+   * Execute the callback after a transaction commits.
+   *
+   * @param  {Function}  callback
+   * @return {Promise<void>}
+   *
+   * @throws {Error}
+   */
+  async afterCommit (callback) {
+    if (this.transactionsManager) {
+      return await this.transactionsManager.addCallback(callback)
+    }
+
+    throw new Error('RuntimeException: Transactions Manager has not been set.')
+  }
+
+  /**
+   * Execute the callback after a transaction rolls back.
+   *
+   * @param  {Function}  callback
+   * @return {void}
+   *
+   * @throws {Error}
+   */
+  afterRollBack (callback) {
+    if (this.transactionsManager) {
+      return this.transactionsManager.addCallbackForRollback(callback)
+    }
+
+    throw new Error('RuntimeException: Transactions Manager has not been set.')
+  }
+
+  /**
+   * Start a new database transaction.
+   *
+   * @return {Promise<void>}
+   *
+   * @throws {Error}
+   */
+  async beginTransaction () {
+    // A root transaction gets an async context of its own before anything is
+    // awaited, so that callers running beside it never see its pinned session
+    // or nest into it, while the code awaiting it still carries on inside it.
+    if (this.transactions === 0) {
+      TransactionContext.fork()
+    }
+
+    for (const beforeStartingTransactionCallback of this.beforeStartingTransactionProperty) {
+      await beforeStartingTransactionCallback(this)
+    }
+
+    await this.createTransaction()
+
+    this.transactions++
+
+    this.transactionsManager?.begin(this.getName(), this.transactions)
+
+    this.fireConnectionEvent('beganTransaction')
+  }
+
+  /**
+   * Commit the active database transaction.
+   *
+   * @return {Promise<void>}
+   *
+   * @throws {Error}
+   */
+  async commit () {
+    if (this.transactionLevel() === 1) {
+      this.fireConnectionEvent('committing')
+
+      await this.getDriver().commit()
+    }
+
+    const levelBeingCommitted = this.transactions
+
+    this.transactions = Math.max(0, this.transactions - 1)
+
+    await this.transactionsManager?.commit(this.getName(), levelBeingCommitted, this.transactions)
+
+    this.fireConnectionEvent('committed')
+  }
+
+  /**
+   * Create a savepoint within the database.
+   *
+   * @protected
+   * @return {Promise<void>}
+   */
+  async createSavepoint () {
+    await this.getDriver().exec(
+      this.queryGrammar.compileSavepoint('trans' + (this.transactions + 1))
+    )
+  }
+
+  /**
+   * Create a transaction within the database.
+   *
+   * @protected
+   * @return {Promise<void>}
+   */
+  async createTransaction () {
+    if (this.transactions === 0) {
+      this.reconnectIfMissingConnection()
+
+      try {
+        await this.getDriver().beginTransaction()
+      } catch (error) {
+        await this.handleBeginTransactionException(/** @type {Error} */ (error))
+      }
+    } else if (this.transactions >= 1 && this.queryGrammar.supportsSavepoints()) {
+      await this.createSavepoint()
+    }
+  }
+
+  /**
+   * Handle an exception from a transaction beginning.
+   *
+   * @protected
+   * @param  {Error}  error
+   * @return {Promise<void>}
+   *
+   * @throws {Error}
+   */
+  async handleBeginTransactionException (error) {
+    if (this.causedByLostConnection(error)) {
+      this.reconnect()
+
+      await this.getDriver().beginTransaction()
+    } else {
+      throw error
+    }
+  }
+
+  /**
+   * Handle an exception encountered when committing a transaction.
+   *
+   * @protected
+   * @param  {Error}  error
+   * @param  {number}  currentAttempt
+   * @param  {number}  maxAttempts
+   * @return {void}
+   *
+   * @throws {Error}
+   */
+  handleCommitTransactionException (error, currentAttempt, maxAttempts) {
+    this.transactions = Math.max(0, this.transactions - 1)
+
+    if (this.causedByConcurrencyError(error) && currentAttempt < maxAttempts) {
+      return
+    }
+
+    if (this.causedByLostConnection(error)) {
+      this.transactions = 0
+    }
+
+    throw error
+  }
+
+  /**
+   * Handle an exception from a rollback.
+   *
+   * @protected
+   * @param  {Error}  error
+   * @return {Promise<void>}
+   *
+   * @throws {Error}
+   */
+  async handleRollBackException (error) {
+    if (this.causedByLostConnection(error)) {
+      this.transactions = 0
+
+      await this.transactionsManager?.rollback(this.getName(), this.transactions)
+    }
+
+    throw error
+  }
+
+  /**
+   * Handle an exception encountered when running a transacted statement.
+   *
+   * @protected
+   * @param  {Error}  error
+   * @param  {number}  currentAttempt
+   * @param  {number}  maxAttempts
+   * @return {Promise<void>}
+   *
+   * @throws {Error}
+   */
+  async handleTransactionException (error, currentAttempt, maxAttempts) {
+    // On a deadlock, MySQL rolls back the entire transaction so we can't just
+    // retry the query. We have to throw this exception all the way out and
+    // let the developer handle it in another way. We will decrement too.
+    if (this.causedByConcurrencyError(error) && this.transactions > 1) {
+      this.transactions--
+
+      await this.transactionsManager?.rollback(this.getName(), this.transactions)
+
+      throw new Error(`DeadlockException: ${error.message}`, { cause: error })
+    }
+
+    // If there was an exception we will rollback this transaction and then we
+    // can check if we have exceeded the maximum attempt count for this and
+    // if we haven't we will return and try this query again in our loop.
+    await this.rollBack()
+
+    if (this.causedByConcurrencyError(error) && currentAttempt < maxAttempts) {
+      return
+    }
+
+    throw error
+  }
+
+  /**
+   * Perform a rollback within the database.
+   *
+   * @protected
+   * @param  {number}  toLevel
+   * @return {Promise<void>}
+   */
+  async performRollBack (toLevel) {
+    if (toLevel === 0) {
+      const driver = this.getDriver()
+
+      if (driver.inTransaction()) {
+        await driver.rollBack()
+      }
+    } else if (this.queryGrammar.supportsSavepoints()) {
+      await this.getDriver().exec(
+        this.queryGrammar.compileSavepointRollBack('trans' + (toLevel + 1))
+      )
+    }
+  }
+
+  /**
+   * Rollback the active database transaction.
+   *
+   * @param  {number|null}  [toLevel]
+   * @return {Promise<void>}
+   *
+   * @throws {Error}
+   */
+  async rollBack (toLevel = null) {
+    // We allow developers to rollback to a certain transaction level. We will verify
+    // that this given transaction level is valid before attempting to rollback to
+    // that level. If it's not we will just return out and not attempt anything.
+    toLevel = toLevel ?? this.transactions - 1
+
+    if (toLevel < 0 || toLevel >= this.transactions) {
+      return
+    }
+
+    // Next, we will actually perform this rollback within this database and fire the
+    // rollback event. We will also set the current transaction level to the given
+    // level that was passed into this method so it will be right from here out.
+    try {
+      await this.performRollBack(toLevel)
+    } catch (error) {
+      await this.handleRollBackException(/** @type {Error} */ (error))
+    }
+
+    this.transactions = toLevel
+
+    await this.transactionsManager?.rollback(this.getName(), this.transactions)
+
+    this.fireConnectionEvent('rollingBack')
+  }
+
+  /**
+   * Run the callback within a transaction, retrying it up to the given attempts.
+   *
+   * @protected
+   * @param  {Function}  callbackFunction
+   * @param  {number}  attempts
+   * @return {Promise<any>}
+   *
+   * @throws {Error}
+   */
+  async runTransaction (callbackFunction, attempts) {
+    for (let currentAttempt = 1; currentAttempt <= attempts; currentAttempt++) {
+      await this.beginTransaction()
+
+      let callbackResult
+
+      // We'll simply execute the given callback within a try / catch block and if we
+      // catch any exception we can rollback this transaction so that none of this
+      // gets actually persisted to a database or stored in a permanent fashion.
+      try {
+        callbackResult = await callbackFunction(this)
+      } catch (error) {
+        // If we catch an exception we'll rollback this transaction and try again if we
+        // are not out of attempts. If we are out of attempts we will just throw the
+        // exception back out, and let the developer handle an uncaught exception.
+        await this.handleTransactionException(/** @type {Error} */ (error), currentAttempt, attempts)
+
+        continue
+      }
+
+      const levelBeingCommitted = this.transactions
+
+      try {
+        if (this.transactions === 1) {
+          this.fireConnectionEvent('committing')
+
+          await this.getDriver().commit()
+        }
+
+        this.transactions = Math.max(0, this.transactions - 1)
+      } catch (error) {
+        this.handleCommitTransactionException(/** @type {Error} */ (error), currentAttempt, attempts)
+
+        continue
+      }
+
+      await this.transactionsManager?.commit(this.getName(), levelBeingCommitted, this.transactions)
+
+      this.fireConnectionEvent('committed')
+
+      return callbackResult
+    }
+  }
+
+  /**
+   * Execute a Closure within a transaction.
+   *
+   * @param  {Function}  callbackFunction
+   * @param  {number}  [attempts=1]
+   * @return {Promise<any>}
+   *
+   * @throws {Error}
+   */
+  async transaction (callbackFunction, attempts = 1) {
+    // A root transaction runs in an async context of its own, which leaves the
+    // context of the caller untouched once the transaction is over.
+    if (this.transactions === 0) {
+      return await TransactionContext.run(() => this.runTransaction(callbackFunction, attempts))
+    }
+
+    return await this.runTransaction(callbackFunction, attempts)
+  }
+
+  /**
+   * Get the number of active transactions.
+   *
+   * @return {number}
+   */
+  transactionLevel () {
+    return this.transactions
+  }
+}
+
+export default ManagesTransactions
@@ -1,9 +1,11 @@
-import { castArray, dateFormat, isNil, isNumeric } from '@devnetic/utils'
+import { dateFormat, isNil, isNumeric } from '@devnetic/utils'
 
+import DetectsConcurrencyErrors from './DetectsConcurrencyErrors.js'
 import DetectsLostConnections from './DetectsLostConnections.js'
 import Driver from './Drivers/Driver.js'
 import Expression from './Query/Expression.js'
 import Macroable from '../Macroable/Traits/Macroable.js'
+import ManagesTransactions from './Concerns/ManagesTransactions.js'
 import Processor from './Query/Processors/Processor.js'
 import QueryExecuted from './Events/QueryExecuted.js'
 import QueryGrammar from './Query/Grammars/Grammar.js'
@@ -44,7 +46,7 @@ import Arr from '../Collections/Arr.js'
  * @property {Record<string, unknown>} bindings - Bindings for the query parameters.
  * @property {number} time - The time parameter.
  */
-export default class Connection extends mix().use(DetectsLostConnections, Macroable) {
+export default class Connection extends mix().use(DetectsConcurrencyErrors, DetectsLostConnections, ManagesTransactions, Macroable) {
   /**
    * The active driver connection.
    *
@@ -125,14 +127,6 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
    */
   fetchMode = Driver.FETCH_OBJ
 
-  /**
-   * The number of active transactions.
-   *
-   * @protected
-   * @type {number}
-   */
-  transactions = 0
-
   /**
    * The transaction manager instance.
    *
@@ -375,7 +369,7 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
       return null
     }
 
-    record = castArray(record)
+    record = Array.isArray(record) ? record : Object.values(record)
 
     if (record.length > 1) {
       throw CustomException('multiple-columns-selected', 'MultipleColumnsSelectedException')
@@ -384,6 +378,20 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
     return reset(record)
   }
 
+  /**
+   * Run a select statement against the database.
+   *
+   * The connection keeps a single driver for reads and writes, so this is the
+   * same as a plain select; it exists for the callers that need the writer.
+   *
+   * @param  {string}  query
+   * @param  {object}  bindings
+   * @return {Promise<Record<string, any>[]>}
+   */
+  selectFromWriteConnection (query, bindings = {}) {
+    return this.select(query, bindings)
+  }
+
   /**
    * Run a select statement against the database.
    *
@@ -421,7 +429,7 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
    * @return {Promise<Record<string, any>[]>}
    */
   async selectResultSets (query, bindings = {}) {
-    return await this.run(query, bindings, (query, bindings) => {
+    return await this.run(query, bindings, async (query, bindings) => {
       if (this.pretending()) {
         return []
       }
@@ -432,7 +440,7 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
 
       this.bindValues(statement, this.prepareBindings(bindings))
 
-      statement.execute()
+      await statement.execute()
 
       const sets = []
 
@@ -445,16 +453,17 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
   }
 
   /**
-   * Run a select statement against the database and returns a generator.
+   * Run a select statement against the database and returns an async generator.
    *
    * @param  {string}  query
    * @param  {object}  bindings
-   * @return {Generator}
+   * @param  {boolean}  [useReadPdo=true]
+   * @return {AsyncGenerator<Record<string, any>>}
    */
-  * cursor (query, bindings = {}, useReadPdo = true) {
-    const statement = this.run(query, bindings, (query, bindings) => {
+  async * cursor (query, bindings = {}, useReadPdo = true) {
+    const { cursor, record } = await this.run(query, bindings, async (query, bindings) => {
       if (this.pretending()) {
-        return []
+        return { record: { done: true } }
       }
 
       // First we will create a statement for the query. Then, we will set the fetch
@@ -467,19 +476,20 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
         statement, this.prepareBindings(bindings)
       )
 
-      // Next, we'll execute the query against the database and return the statement
-      // so we can return the cursor. The cursor will use a PHP generator to give
-      // back one row at a time without using a bunch of memory to render them.
-      statement.execute()
+      // Next, we'll execute the query against the database by reading the first row,
+      // so any error is reported like the one of every other statement. The cursor
+      // will then give back one row at a time without holding the whole result.
+      const cursor = statement.cursor()
 
-      return statement
+      return { cursor, record: await cursor.next() }
     })
 
-    let record = statement.fetch()
-    while (record) {
-      yield record
-
-      record = statement.fetch()
+    try {
+      for (let current = record; !current.done; current = await cursor.next()) {
+        yield current.value
+      }
+    } finally {
+      await cursor?.return()
     }
   }
 
@@ -592,12 +602,12 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
    * @return {Promise<boolean>}
    */
   async unprepared (query) {
-    return await this.run(query, [], function (query) {
+    return await this.run(query, [], async (query) => {
       if (this.pretending()) {
         return true
       }
 
-      const change = this.getDriver().exec(query)
+      const change = await this.getDriver().exec(query)
       this.recordsHaveBeenModified(change !== false)
 
       return change
@@ -766,21 +776,26 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
       const result = await callback(query, bindings)
 
       return result
-    } catch (error) {
+    } catch (/** @type {any} */ error) {
       // If an exception occurs when attempting to run a query, we'll format the error
       // message to include the bindings with SQL, which will make this exception a
       // lot more helpful to the developer instead of just the database's errors.
-      throw new Error(
+      /** @type {Error & { code?: string|number }} */
+      const exception = new Error(
         // `QueryException: ${query} - ${JSON.stringify(this.prepareBindings(bindings))}`
-        `(Connection: ${this.getName()}, SQL: ${Str.replaceArray('?', this.prepareBindings(bindings), query)})`
+        `${error.message} (Connection: ${this.getName()}, SQL: ${Str.replaceArray('?', this.prepareBindings(bindings), query)})`,
+        { cause: error }
       )
+
+      exception.code = error.code
+
+      throw exception
     }
   }
 
   /**
    * Determine if the given database exception was caused by a unique constraint violation.
    *
-   * @protected
    * @param  {Error}  exception
    * @return {boolean}
    */
@@ -891,7 +906,7 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
    * @throws {Error}
    */
   handleQueryException (e, query, bindings, callback) {
-    if (this.transactions >= 1) {
+    if (this.transactionLevel() >= 1) {
       throw e
     }
 
@@ -943,7 +958,7 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
    * @return {void}
    */
   reconnectIfMissingConnection () {
-    if (isNil(this.pdo)) {
+    if (isNil(this.driver)) {
       this.reconnect()
     }
   }
@@ -951,10 +966,19 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
   /**
    * Disconnect from the underlying PDO connection.
    *
-   * @return {void}
+   * @return {Promise<void>}
    */
-  disconnect () {
+  async disconnect () {
+    const driver = this.driver
+
     this.setDriver(null)
+
+    // A driver that was never resolved has not opened any session yet, so there
+    // is nothing to drain. Otherwise we will wait for the driver to close all
+    // of its pooled sessions before the disconnection is considered done.
+    if (!isNil(driver) && typeof driver !== 'function') {
+      await driver.disconnect()
+    }
   }
 
   /**
@@ -1449,11 +1473,12 @@ export default class Connection extends mix().use(DetectsLostConnections, Macroa
   /**
    * Set the table prefix and return the grammar.
    *
-   * @param  {import('./Grammar.js').default}  grammar
-   * @return {import('./Grammar.js').default}
+   * @template T
+   * @param  {T}  grammar
+   * @return {T}
    */
   withTablePrefix (grammar) {
-    grammar.setTablePrefix(this.tablePrefix)
+    /** @type {any} */ (grammar).setTablePrefix(this.tablePrefix)
 
     return grammar
   }
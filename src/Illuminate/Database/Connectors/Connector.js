@@ -37,11 +37,13 @@ export default class Connector {
    * @throws {Error}
    */
   createConnection (dsn, config, options) {
+    const poolConfig = this.getPoolConfig(config)
+
     try {
-      return this.createDriverConnection(dsn, options)
+      return this.createDriverConnection(dsn, options, poolConfig)
     } catch (error) {
       return this.tryAgainIfCausedByLostConnection(
-        error, dsn, options
+        error, dsn, options, poolConfig
       )
     }
   }
@@ -52,10 +54,11 @@ export default class Connector {
    * @protected
    * @param  {string}  dsn
    * @param  {Record<string, unknown>}  options
+   * @param  {import('../Drivers/Driver.js').PoolConfig}  [poolConfig]
    * @returns {import('../Drivers/Driver.js').default}
    * @throws {Error}
    */
-  createDriverConnection (dsn, options) {
+  createDriverConnection (dsn, options, poolConfig) {
     // return new Statement(dsn, options)
     throw CustomException('concrete-method', 'createDriverConnection')
   }
@@ -72,19 +75,37 @@ export default class Connector {
     return { ...objectDiffKey(this.options, options), ...options }
   }
 
+  /**
+   * Get the pool configuration based on the configuration.
+   *
+   * @param  {Record<string, any>}  config
+   * @return {import('../Drivers/Driver.js').PoolConfig}
+   */
+  getPoolConfig (config) {
+    const pool = config.pool ?? {}
+
+    return {
+      min: pool.min,
+      max: pool.max,
+      idleTimeout: pool.idle_timeout,
+      acquireTimeout: pool.acquire_timeout
+    }
+  }
+
   /**
   * Handle an exception that occurred during connect execution.
   *
   * @param  {Error}  e
   * @param  {string}  dsn
   * @param  {Record<string, unknown>}  options
+  * @param  {import('../Drivers/Driver.js').PoolConfig}  [poolConfig]
   * @return {Statement}
   *
   * @throws \Exception
   */
-  tryAgainIfCausedByLostConnection (e, dsn, options) {
+  tryAgainIfCausedByLostConnection (e, dsn, options, poolConfig) {
     if (this.causedByLostConnection(e)) {
-      return this.createNdoConnection(dsn, options)
+      return this.createDriverConnection(dsn, options, poolConfig)
     }
 
     throw e
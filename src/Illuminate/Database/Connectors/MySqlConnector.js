@@ -1 +1,180 @@
-export default class MySqlConnector { }
+import { isNil } from '@devnetic/utils'
+
+import Connector from './Connector.js'
+import MySqlDriver from '../Drivers/MySqlDriver.js'
+import { versionCompare } from '../../Support/helpers.js'
+
+/** @typedef {import('../Drivers/Driver.js').default} Driver */
+
+export default class MySqlConnector extends Connector {
+  /**
+   * Configure the given driver connection.
+   *
+   * @protected
+   * @param  {Driver}  connection
+   * @param  {Record<string, any>}  config
+   * @return {void}
+   */
+  configureConnection (connection, config) {
+    if (config.isolation_level !== undefined) {
+      connection.configureSession(`SET SESSION TRANSACTION ISOLATION LEVEL ${config.isolation_level};`)
+    }
+
+    const statements = []
+
+    if (config.charset !== undefined) {
+      if (config.collation !== undefined) {
+        statements.push(`NAMES '${config.charset}' COLLATE '${config.collation}'`)
+      } else {
+        statements.push(`NAMES '${config.charset}'`)
+      }
+    }
+
+    if (config.timezone !== undefined) {
+      statements.push(`time_zone='${config.timezone}'`)
+    }
+
+    const sqlMode = this.getSqlMode(connection, config)
+
+    if (sqlMode !== null) {
+      statements.push(`SESSION sql_mode='${sqlMode}'`)
+    }
+
+    if (statements.length > 0) {
+      connection.configureSession(`SET ${statements.join(', ')};`)
+    }
+  }
+
+  /**
+   * Establish a database connection.
+   *
+   * @param  {Record<string, any>}  config
+   * @return {Driver}
+   */
+  connect (config) {
+    const dsn = this.getDsn(config)
+
+    const options = this.getOptions(config)
+
+    // We need to grab the PDO options that should be used while making the brand
+    // new connection instance. The PDO options control various aspects of the
+    // connection's behavior, and some might be specified by the developers.
+    const connection = this.createConnection(dsn, config, options)
+
+    if (!isNil(config.database) && config.database !== '' && (config.use_db_after_connecting ?? true)) {
+      connection.configureSession(`use \`${config.database}\`;`)
+    }
+
+    this.configureConnection(connection, config)
+
+    return connection
+  }
+
+  /**
+   * Create a new PDO connection instance.
+   *
+   * @param  {string}  dsn
+   * @param  {Record<string, unknown>}  options
+   * @param  {import('../Drivers/Driver.js').PoolConfig}  [poolConfig]
+   * @return {MySqlDriver}
+   */
+  createDriverConnection (dsn, options, poolConfig) {
+    return new MySqlDriver(dsn, options, poolConfig)
+  }
+
+  /**
+   * Get the credentials part of the DSN string.
+   *
+   * @protected
+   * @param  {Record<string, any>}  config
+   * @return {string}
+   */
+  getCredentials (config) {
+    return `${encodeURIComponent(config.username ?? '')}:${encodeURIComponent(config.password ?? '')}`
+  }
+
+  /**
+   * Create a DSN string from a configuration.
+   *
+   * Chooses socket or host/port based on the 'unix_socket' config value.
+   *
+   * @protected
+   * @param  {Record<string, any>}  config
+   * @return {string}
+   */
+  getDsn (config) {
+    return this.hasSocket(config)
+      ? this.getSocketDsn(config)
+      : this.getHostDsn(config)
+  }
+
+  /**
+   * Get the DSN string for a host / port configuration.
+   *
+   * @protected
+   * @param  {Record<string, any>}  config
+   * @return {string}
+   */
+  getHostDsn (config) {
+    const { host, port, database } = config
+
+    return isNil(port)
+      ? `mysql://${this.getCredentials(config)}@${host}/${database}`
+      : `mysql://${this.getCredentials(config)}@${host}:${port}/${database}`
+  }
+
+  /**
+   * Get the DSN string for a socket configuration.
+   *
+   * @protected
+   * @param  {Record<string, any>}  config
+   * @return {string}
+   */
+  getSocketDsn (config) {
+    return `mysql://${this.getCredentials(config)}@localhost/${config.database}?socketPath=${encodeURIComponent(config.unix_socket)}`
+  }
+
+  /**
+   * Get the sql_mode value.
+   *
+   * @protected
+   * @param  {Driver}  connection
+   * @param  {Record<string, any>}  config
+   * @return {string|null}
+   */
+  getSqlMode (connection, config) {
+    if (config.modes !== undefined) {
+      return config.modes.join(',')
+    }
+
+    if (config.strict === undefined) {
+      return null
+    }
+
+    if (!config.strict) {
+      return 'NO_ENGINE_SUBSTITUTION'
+    }
+
+    // The server version is only known once a session has been opened, so unless
+    // the developer tells us which version is used we'll assume a modern server
+    // where the "NO_AUTO_CREATE_USER" mode has already been removed for good.
+    const version = config.version ?? '8.0.11'
+
+    if (versionCompare(version, '8.0.11', '>=')) {
+      return 'ONLY_FULL_GROUP_BY,STRICT_TRANS_TABLES,NO_ZERO_IN_DATE,NO_ZERO_DATE,ERROR_FOR_DIVISION_BY_ZERO,NO_ENGINE_SUBSTITUTION'
+    }
+
+    return 'ONLY_FULL_GROUP_BY,STRICT_TRANS_TABLES,NO_ZERO_IN_DATE,NO_ZERO_DATE,ERROR_FOR_DIVISION_BY_ZERO,NO_AUTO_CREATE_USER,NO_ENGINE_SUBSTITUTION'
+  }
+
+  /**
+   * Determine if the given configuration array has a UNIX socket value.
+   *
+   * @protected
+   * @param  {Record<string, any>}  config
+   * @return {boolean}
+   */
+  hasSocket (config) {
+    return !isNil(config.unix_socket) && config.unix_socket !== ''
+  }
+}
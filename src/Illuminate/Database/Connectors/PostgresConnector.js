@@ -43,7 +43,7 @@ export default class PostgresConnector extends mix(Connector).use(ParsesSearchPa
    */
   configureApplicationName (connection, config) {
     if (config.application_name !== undefined) {
-      connection.prepare(`set application_name to '${config.application_name}'`).execute()
+      connection.configureSession(`set application_name to '${config.application_name}'`)
     }
   }
 
@@ -60,7 +60,7 @@ export default class PostgresConnector extends mix(Connector).use(ParsesSearchPa
       return
     }
 
-    connection.prepare(`set names '${config.charset}'`).execute()
+    connection.configureSession(`set names '${config.charset}'`)
   }
 
   /**
@@ -73,7 +73,7 @@ export default class PostgresConnector extends mix(Connector).use(ParsesSearchPa
    */
   configureIsolationLevel (connection, config) {
     if (config.isolation_level !== undefined) {
-      connection.prepare(`set session characteristics as transaction isolation level ${config.isolation_level}`).execute()
+      connection.configureSession(`set session characteristics as transaction isolation level ${config.isolation_level}`)
     }
   }
 
@@ -91,7 +91,7 @@ export default class PostgresConnector extends mix(Connector).use(ParsesSearchPa
         this.parseSearchPath(config.search_path ?? config.schema)
       )
 
-      connection.prepare(`set search_path to ${searchPath}`).execute()
+      connection.configureSession(`set search_path to ${searchPath}`)
     }
   }
 
@@ -105,7 +105,7 @@ export default class PostgresConnector extends mix(Connector).use(ParsesSearchPa
    */
   configureSynchronousCommit (connection, config) {
     if (config.synchronous_commit !== undefined) {
-      connection.prepare(`set synchronous_commit to '${config.synchronous_commit}'`).execute()
+      connection.configureSession(`set synchronous_commit to '${config.synchronous_commit}'`)
     }
   }
 
@@ -119,7 +119,7 @@ export default class PostgresConnector extends mix(Connector).use(ParsesSearchPa
    */
   configureTimezone (connection, config) {
     if (config.timezone !== undefined) {
-      connection.prepare(`set time zone '${config.timezone}'`).execute()
+      connection.configureSession(`set time zone '${config.timezone}'`)
     }
   }
 
@@ -163,10 +163,11 @@ export default class PostgresConnector extends mix(Connector).use(ParsesSearchPa
    *
    * @param  {string}  dsn
    * @param  {Record<string, unknown>}  options
+   * @param  {import('../Drivers/Driver.js').PoolConfig}  [poolConfig]
    * @return {object}
    */
-  createDriverConnection (dsn, options) {
-    return new PostgresDriver(dsn, options)
+  createDriverConnection (dsn, options, poolConfig) {
+    return new PostgresDriver(dsn, options, poolConfig)
   }
 
   /**
@@ -1 +1,141 @@
-export default class SQLiteConnector { }
+import { realpathSync } from 'node:fs'
+
+import { isNil } from '@devnetic/utils'
+
+import Connector from './Connector.js'
+import SQLiteDriver from '../Drivers/SQLiteDriver.js'
+
+/** @typedef {import('../Drivers/Driver.js').default} Driver */
+
+export default class SQLiteConnector extends Connector {
+  /**
+   * Set the busy timeout if configured.
+   *
+   * @protected
+   * @param  {Driver}  connection
+   * @param  {Record<string, any>}  config
+   * @return {void}
+   */
+  configureBusyTimeout (connection, config) {
+    if (isNil(config.busy_timeout)) {
+      return
+    }
+
+    connection.configureSession(`pragma busy_timeout = ${config.busy_timeout}`)
+  }
+
+  /**
+   * Enable or disable foreign key constraints if configured.
+   *
+   * @protected
+   * @param  {Driver}  connection
+   * @param  {Record<string, any>}  config
+   * @return {void}
+   */
+  configureForeignKeyConstraints (connection, config) {
+    if (isNil(config.foreign_key_constraints)) {
+      return
+    }
+
+    const foreignKeys = config.foreign_key_constraints ? 1 : 0
+
+    connection.configureSession(`pragma foreign_keys = ${foreignKeys}`)
+  }
+
+  /**
+   * Set the journal mode if configured.
+   *
+   * @protected
+   * @param  {Driver}  connection
+   * @param  {Record<string, any>}  config
+   * @return {void}
+   */
+  configureJournalMode (connection, config) {
+    if (isNil(config.journal_mode)) {
+      return
+    }
+
+    connection.configureSession(`pragma journal_mode = ${config.journal_mode}`)
+  }
+
+  /**
+   * Set the synchronous mode if configured.
+   *
+   * @protected
+   * @param  {Driver}  connection
+   * @param  {Record<string, any>}  config
+   * @return {void}
+   */
+  configureSynchronous (connection, config) {
+    if (isNil(config.synchronous)) {
+      return
+    }
+
+    connection.configureSession(`pragma synchronous = ${config.synchronous}`)
+  }
+
+  /**
+   * Establish a database connection.
+   *
+   * @param  {Record<string, any>}  config
+   * @return {Driver}
+   *
+   * @throws {Error}
+   */
+  connect (config) {
+    const options = this.getOptions(config)
+
+    const path = this.parseDatabasePath(config.database)
+
+    const connection = this.createConnection(`sqlite:${path}`, config, options)
+
+    this.configureForeignKeyConstraints(connection, config)
+
+    this.configureBusyTimeout(connection, config)
+
+    this.configureJournalMode(connection, config)
+
+    this.configureSynchronous(connection, config)
+
+    return connection
+  }
+
+  /**
+   * Create a new PDO connection instance.
+   *
+   * @param  {string}  dsn
+   * @param  {Record<string, unknown>}  options
+   * @param  {import('../Drivers/Driver.js').PoolConfig}  [poolConfig]
+   * @return {SQLiteDriver}
+   */
+  createDriverConnection (dsn, options, poolConfig) {
+    return new SQLiteDriver(dsn, options, poolConfig)
+  }
+
+  /**
+   * Get the absolute database path.
+   *
+   * @protected
+   * @param  {string}  path
+   * @return {string}
+   *
+   * @throws {Error}
+   */
+  parseDatabasePath (path) {
+    // SQLite supports "in-memory" databases that only last as long as the owning
+    // connection does. These are useful for tests or for short lifetime store
+    // querying. In-memory databases shall be anonymous (:memory:) or named.
+    if (path === ':memory:') {
+      return path
+    }
+
+    // Here we'll verify that the SQLite database exists before going any further
+    // as the developer probably wants to know if the database exists and this
+    // SQLite driver will not throw any exception if it does not by default.
+    try {
+      return realpathSync(path)
+    } catch (error) {
+      throw new Error(`SQLiteDatabaseDoesNotExistException: Database file at path [${path}] does not exist. Ensure this is an absolute path to the database.`)
+    }
+  }
+}
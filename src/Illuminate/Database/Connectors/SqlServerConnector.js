@@ -1 +1,165 @@
-export default class SqlServerConnector { }
+import mssql from 'mssql'
+import { isNil } from '@devnetic/utils'
+
+import Connector from './Connector.js'
+import SqlServerDriver from '../Drivers/SqlServerDriver.js'
+
+/** @typedef {import('../Drivers/Driver.js').default} Driver */
+
+export default class SqlServerConnector extends Connector {
+  /**
+   * Build a connection string from the given arguments.
+   *
+   * Every value is braced the ODBC way, with its closing braces doubled, so a
+   * ";" or "=" in a password can't break the string into other keywords.
+   *
+   * @protected
+   * @param  {string}  driver
+   * @param  {Record<string, unknown>}  args
+   * @return {string}
+   */
+  buildConnectString (driver, args) {
+    return `${driver}:` + Object.entries(args).map(([key, value]) => {
+      return `${key}={${String(value).replaceAll('}', '}}')}}`
+    }).join(';')
+  }
+
+  /**
+   * Build a host string from the given configuration.
+   *
+   * @protected
+   * @param  {Record<string, any>}  config
+   * @param  {string}  separator
+   * @return {string}
+   */
+  buildHostString (config, separator) {
+    // A named instance is resolved through the SQL Server Browser service, which
+    // tells the client the port of the instance, so the port only applies when
+    // connecting to the default instance of the server, never to named ones.
+    if (!isNil(config.instance) && config.instance !== '') {
+      return `${config.host}\\${config.instance}`
+    }
+
+    if (isNil(config.port) || config.port === '') {
+      return config.host
+    }
+
+    return `${config.host}${separator}${config.port}`
+  }
+
+  /**
+   * Establish a database connection.
+   *
+   * @param  {Record<string, any>}  config
+   * @return {Driver}
+   */
+  connect (config) {
+    const options = this.getOptions(config)
+
+    return this.createConnection(this.getDsn(config), config, options)
+  }
+
+  /**
+   * Create a new PDO connection instance.
+   *
+   * @param  {string}  dsn
+   * @param  {Record<string, unknown>}  options
+   * @param  {import('../Drivers/Driver.js').PoolConfig}  [poolConfig]
+   * @return {SqlServerDriver}
+   */
+  createDriverConnection (dsn, options, poolConfig) {
+    return new SqlServerDriver(dsn, options, poolConfig)
+  }
+
+  /**
+   * Create a DSN string from a configuration.
+   *
+   * @protected
+   * @param  {Record<string, any>}  config
+   * @return {string}
+   */
+  getDsn (config) {
+    return this.getSqlSrvDsn(config)
+  }
+
+  /**
+   * Get the driver options based on the configuration.
+   *
+   * The isolation level can't be set with a statement, as the pooled connections
+   * are never handed to us, so it's given to every connection the pool opens.
+   *
+   * @override
+   * @param  {Record<string, any>}  config
+   * @return {Record<string, any>}
+   */
+  getOptions (config) {
+    const options = super.getOptions(config)
+
+    if (isNil(config.isolation_level)) {
+      return options
+    }
+
+    const isolationLevel = mssql.ISOLATION_LEVEL[config.isolation_level.toUpperCase().replace(/\s+/g, '_')]
+
+    if (isolationLevel === undefined) {
+      throw new Error(`InvalidArgumentException: Unsupported isolation level [${config.isolation_level}].`)
+    }
+
+    return { ...options, connectionIsolationLevel: isolationLevel }
+  }
+
+  /**
+   * Get the DSN string for a SqlSrv connection.
+   *
+   * @protected
+   * @param  {Record<string, any>}  config
+   * @return {string}
+   */
+  getSqlSrvDsn (config) {
+    const args = {
+      Server: this.buildHostString(config, ',')
+    }
+
+    if (!isNil(config.database)) {
+      args.Database = config.database
+    }
+
+    if (!isNil(config.username)) {
+      args['User Id'] = config.username
+    }
+
+    if (!isNil(config.password)) {
+      args.Password = config.password
+    }
+
+    if (!isNil(config.readonly)) {
+      args.ApplicationIntent = 'readonly'
+    }
+
+    if (!isNil(config.appname)) {
+      args['Application Name'] = config.appname
+    }
+
+    if (!isNil(config.encrypt)) {
+      args.Encrypt = config.encrypt
+    }
+
+    if (!isNil(config.trust_server_certificate)) {
+      args.TrustServerCertificate = config.trust_server_certificate
+    }
+
+    if (config.multiple_active_result_sets === false) {
+      args.MultipleActiveResultSets = 'false'
+    }
+
+    if (!isNil(config.multi_subnet_failover)) {
+      args.MultiSubnetFailover = config.multi_subnet_failover
+    }
+
+    if (!isNil(config.login_timeout)) {
+      args['Connect Timeout'] = config.login_timeout
+    }
+
+    return this.buildConnectString('sqlsrv', args)
+  }
+}
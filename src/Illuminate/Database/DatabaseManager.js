@@ -1,6 +1,7 @@
 import { getValue, isNil } from '@devnetic/utils'
 
 import ConfigurationUrlParser from './../Support/ConfigurationUrlParser.js'
+import DatabaseTransactionsManager from './DatabaseTransactionsManager.js'
 import { Str } from './../Support/index.js'
 
 /**
@@ -54,6 +55,13 @@ export default class DatabaseManager {
    */
   reconnector
 
+  /**
+   * The transactions manager shared by every connection.
+   *
+   * @type {DatabaseTransactionsManager}
+   */
+  transactionsManager = new DatabaseTransactionsManager()
+
   /**
    * Create a new database manager instance.
    *
@@ -124,9 +132,7 @@ export default class DatabaseManager {
     //   connection.setEventDispatcher(this.repository.events)
     // }
 
-    // if (this.repository.bound('db.transactions')) {
-    //   connection.setTransactionManager(this.repository['db.transactions'])
-    // }
+    connection.setTransactionManager(this.transactionsManager)
 
     // Here we'll set a reconnector callback. This reconnector can be any callable
     // so we will set a Closure to reconnect from this manager with the name of
@@ -166,13 +172,13 @@ export default class DatabaseManager {
    * Disconnect from the given database.
    *
    * @param  {string|undefined}  name
-   * @return {void}
+   * @return {Promise<void>}
    */
-  disconnect (name = undefined) {
+  async disconnect (name = undefined) {
     name = name ?? this.getDefaultConnection()
 
     if (this.connections[name]) {
-      this.connections[name].disconnect()
+      await this.connections[name].disconnect()
     }
   }
 
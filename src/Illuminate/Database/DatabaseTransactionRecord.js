@@ -0,0 +1,111 @@
+export default class DatabaseTransactionRecord {
+  /**
+   * The name of the database connection.
+   *
+   * @type {string}
+   */
+  connection
+
+  /**
+   * The transaction level.
+   *
+   * @type {number}
+   */
+  level
+
+  /**
+   * The parent instance of this transaction.
+   *
+   * @type {DatabaseTransactionRecord|null}
+   */
+  parent
+
+  /**
+   * The callbacks that should be executed after committing.
+   *
+   * @protected
+   * @type {Function[]}
+   */
+  callbacks = []
+
+  /**
+   * The callbacks that should be executed after rollback.
+   *
+   * @protected
+   * @type {Function[]}
+   */
+  callbacksForRollback = []
+
+  /**
+   * Create a new database transaction record instance.
+   *
+   * @param  {string}  connection
+   * @param  {number}  level
+   * @param  {DatabaseTransactionRecord|null}  [parent]
+   */
+  constructor (connection, level, parent = null) {
+    this.connection = connection
+    this.level = level
+    this.parent = parent
+  }
+
+  /**
+   * Register a callback to be executed after committing.
+   *
+   * @param  {Function}  callback
+   * @return {void}
+   */
+  addCallback (callback) {
+    this.callbacks.push(callback)
+  }
+
+  /**
+   * Register a callback to be executed after rollback.
+   *
+   * @param  {Function}  callback
+   * @return {void}
+   */
+  addCallbackForRollback (callback) {
+    this.callbacksForRollback.push(callback)
+  }
+
+  /**
+   * Execute all of the callbacks.
+   *
+   * @return {Promise<void>}
+   */
+  async executeCallbacks () {
+    for (const callback of this.callbacks) {
+      await callback()
+    }
+  }
+
+  /**
+   * Execute all of the callbacks for rollback.
+   *
+   * @return {Promise<void>}
+   */
+  async executeCallbacksForRollback () {
+    for (const callback of this.callbacksForRollback) {
+      await callback()
+    }
+  }
+
+  /**
+   * Get all of the callbacks.
+   *
+   * @return {Function[]}
+   */
+  getCallbacks () {
+    return this.callbacks
+  }
+
+  /**
+   * Get all of the callbacks for rollback.
+   *
+   * @return {Function[]}
+   */
+  getCallbacksForRollback () {
+    return this.callbacksForRollback
+  }
+}
@@ -1 +1,304 @@
-export default class DatabaseTransactionsManager {}
+import DatabaseTransactionRecord from './DatabaseTransactionRecord.js'
+import TransactionContext from './TransactionContext.js'
+
+/**
+ * @typedef {Object} TransactionsState
+ * @property {DatabaseTransactionRecord[]} committedTransactions
+ * @property {DatabaseTransactionRecord[]} pendingTransactions
+ * @property {Record<string, DatabaseTransactionRecord|null>} currentTransaction
+ */
+
+export default class DatabaseTransactionsManager {
+  /**
+   * Get all of the committed transactions of the current async context.
+   *
+   * @protected
+   * @return {DatabaseTransactionRecord[]}
+   */
+  get committedTransactions () {
+    return this.state().committedTransactions
+  }
+
+  /**
+   * Set all of the committed transactions of the current async context.
+   *
+   * @protected
+   * @param  {DatabaseTransactionRecord[]}  transactions
+   */
+  set committedTransactions (transactions) {
+    this.state().committedTransactions = transactions
+  }
+
+  /**
+   * Get the current transaction of every connection in the current async context.
+   *
+   * @protected
+   * @return {Record<string, DatabaseTransactionRecord|null>}
+   */
+  get currentTransaction () {
+    return this.state().currentTransaction
+  }
+
+  /**
+   * Get all of the pending transactions of the current async context.
+   *
+   * @protected
+   * @return {DatabaseTransactionRecord[]}
+   */
+  get pendingTransactions () {
+    return this.state().pendingTransactions
+  }
+
+  /**
+   * Set all of the pending transactions of the current async context.
+   *
+   * @protected
+   * @param  {DatabaseTransactionRecord[]}  transactions
+   */
+  set pendingTransactions (transactions) {
+    this.state().pendingTransactions = transactions
+  }
+
+  /**
+   * Register a transaction callback.
+   *
+   * @param  {Function}  callback
+   * @return {Promise<void>}
+   */
+  async addCallback (callback) {
+    const current = this.callbackApplicableTransactions().at(-1)
+
+    if (current) {
+      return current.addCallback(callback)
+    }
+
+    await callback()
+  }
+
+  /**
+   * Register a callback for transaction rollback.
+   *
+   * @param  {Function}  callback
+   * @return {void}
+   */
+  addCallbackForRollback (callback) {
+    const current = this.callbackApplicableTransactions().at(-1)
+
+    if (current) {
+      return current.addCallbackForRollback(callback)
+    }
+  }
+
+  /**
+   * Determine if after commit callbacks should be executed for the given transaction level.
+   *
+   * @param  {number}  level
+   * @return {boolean}
+   */
+  afterCommitCallbacksShouldBeExecuted (level) {
+    return level === 0
+  }
+
+  /**
+   * Start a new database transaction.
+   *
+   * @param  {string}  connection
+   * @param  {number}  level
+   * @return {void}
+   */
+  begin (connection, level) {
+    // The connection runs each root transaction in an async context of its own,
+    // which gets its own copy of the records, so the callbacks registered here
+    // are never run or discarded by the transactions running beside it.
+    if (level === 1) {
+      const { committedTransactions, pendingTransactions, currentTransaction } = this.state()
+
+      TransactionContext.set(this, {
+        committedTransactions: [...committedTransactions],
+        pendingTransactions: [...pendingTransactions],
+        currentTransaction: { ...currentTransaction }
+      })
+    }
+
+    const newTransaction = new DatabaseTransactionRecord(
+      connection,
+      level,
+      this.currentTransaction[connection] ?? null
+    )
+
+    this.pendingTransactions.push(newTransaction)
+
+    this.currentTransaction[connection] = newTransaction
+  }
+
+  /**
+   * Get the transactions that are applicable to callbacks.
+   *
+   * @return {DatabaseTransactionRecord[]}
+   */
+  callbackApplicableTransactions () {
+    return this.pendingTransactions
+  }
+
+  /**
+   * Commit the root database transaction and execute callbacks.
+   *
+   * @param  {string}  connection
+   * @param  {number}  levelBeingCommitted
+   * @param  {number}  newTransactionLevel
+   * @return {Promise<DatabaseTransactionRecord[]>}
+   */
+  async commit (connection, levelBeingCommitted, newTransactionLevel) {
+    this.stageTransactions(connection, levelBeingCommitted)
+
+    const current = this.currentTransaction[connection]
+
+    if (current) {
+      this.currentTransaction[connection] = current.parent
+    }
+
+    if (!this.afterCommitCallbacksShouldBeExecuted(newTransactionLevel) &&
+      newTransactionLevel !== 0) {
+      return []
+    }
+
+    // This method is only called when the root database transaction is committed so there
+    // shouldn't be any pending transactions, but going to clear them here anyways just
+    // in case. This method could be refactored to receive a level in the future too.
+    this.pendingTransactions = this.pendingTransactions.filter(transaction =>
+      !(transaction.connection === connection && transaction.level >= levelBeingCommitted)
+    )
+
+    const forThisConnection = this.committedTransactions.filter(transaction => transaction.connection === connection)
+
+    this.committedTransactions = this.committedTransactions.filter(transaction => transaction.connection !== connection)
+
+    for (const transaction of forThisConnection) {
+      await transaction.executeCallbacks()
+    }
+
+    return forThisConnection
+  }
+
+  /**
+   * Get all of the committed transactions.
+   *
+   * @return {DatabaseTransactionRecord[]}
+   */
+  getCommittedTransactions () {
+    return this.committedTransactions
+  }
+
+  /**
+   * Get all of the pending transactions.
+   *
+   * @return {DatabaseTransactionRecord[]}
+   */
+  getPendingTransactions () {
+    return this.pendingTransactions
+  }
+
+  /**
+   * Remove all pending, completed, and current transactions for the given connection name.
+   *
+   * @protected
+   * @param  {string}  connection
+   * @return {Promise<void>}
+   */
+  async removeAllTransactionsForConnection (connection) {
+    for (let current = this.currentTransaction[connection]; current; current = current.parent) {
+      await current.executeCallbacksForRollback()
+    }
+
+    this.currentTransaction[connection] = null
+
+    this.pendingTransactions = this.pendingTransactions.filter(transaction => transaction.connection !== connection)
+
+    this.committedTransactions = this.committedTransactions.filter(transaction => transaction.connection !== connection)
+  }
+
+  /**
+   * Remove all transactions that are children of the given transaction.
+   *
+   * @protected
+   * @param  {DatabaseTransactionRecord}  transaction
+   * @return {void}
+   */
+  removeCommittedTransactionsThatAreChildrenOf (transaction) {
+    const removedTransactions = this.committedTransactions.filter(committed =>
+      committed.connection === transaction.connection && committed.parent === transaction
+    )
+
+    this.committedTransactions = this.committedTransactions.filter(committed => !removedTransactions.includes(committed))
+
+    // There may be multiple deeply nested transactions that have already committed that we
+    // also need to remove. We will recurse down the children of all removed transaction
+    // instances until there are no more deeply nested child transactions for removal.
+    for (const removedTransaction of removedTransactions) {
+      this.removeCommittedTransactionsThatAreChildrenOf(removedTransaction)
+    }
+  }
+
+  /**
+   * Rollback the active database transaction.
+   *
+   * @param  {string}  connection
+   * @param  {number}  newTransactionLevel
+   * @return {Promise<void>}
+   */
+  async rollback (connection, newTransactionLevel) {
+    if (newTransactionLevel === 0) {
+      await this.removeAllTransactionsForConnection(connection)
+
+      return
+    }
+
+    this.pendingTransactions = this.pendingTransactions.filter(transaction =>
+      !(transaction.connection === connection && transaction.level > newTransactionLevel)
+    )
+
+    let current = this.currentTransaction[connection]
+
+    while (current && current.level > newTransactionLevel) {
+      this.removeCommittedTransactionsThatAreChildrenOf(current)
+
+      await current.executeCallbacksForRollback()
+
+      current = this.currentTransaction[connection] = current.parent
+    }
+  }
+
+  /**
+   * Get the transactions of the current async context.
+   *
+   * @protected
+   * @return {TransactionsState}
+   */
+  state () {
+    let state = TransactionContext.get(this)
+
+    if (state === undefined) {
+      state = { committedTransactions: [], pendingTransactions: [], currentTransaction: {} }
+
+      TransactionContext.set(this, state)
+    }
+
+    return state
+  }
+
+  /**
+   * Move relevant pending transactions to a committed state.
+   *
+   * @param  {string}  connection
+   * @param  {number}  levelBeingCommitted
+   * @return {void}
+   */
+  stageTransactions (connection, levelBeingCommitted) {
+    const isBeingCommitted = transaction => transaction.connection === connection &&
+      transaction.level >= levelBeingCommitted
+
+    this.committedTransactions.push(...this.pendingTransactions.filter(isBeingCommitted))
+
+    this.pendingTransactions = this.pendingTransactions.filter(transaction => !isBeingCommitted(transaction))
+  }
+}
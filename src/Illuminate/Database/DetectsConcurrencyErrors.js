@@ -0,0 +1,32 @@
+import Str from '../Support/Str.js'
+
+const DetectsConcurrencyErrors = (superclass) => class extends superclass {
+  /**
+   * Determine if the given exception was caused by a concurrency error such as a deadlock or serialization failure.
+   *
+   * @protected
+   * @param  {Error & { code?: string|number }}  error
+   * @return {boolean}
+   */
+  causedByConcurrencyError (error) {
+    if (String(error.code) === '40001') {
+      return true
+    }
+
+    const message = error.message
+
+    return Str.contains(message, [
+      'Deadlock found when trying to get lock',
+      'deadlock detected',
+      'The database file is locked',
+      'database is locked',
+      'database table is locked',
+      'A table in the database is locked',
+      'has been chosen as the deadlock victim',
+      'Lock wait timeout exceeded; try restarting transaction',
+      'WSREP detected deadlock/conflict and aborted the transaction. Try restarting the transaction'
+    ])
+  }
+}
+
+export default DetectsConcurrencyErrors
@@ -1,14 +1,52 @@
 /** @typedef {import('../Statements/Statement.js').default} Statement */
 
+/** @typedef {string|number} FetchMode */
+
+/**
+ * @typedef {Object} PoolConfig
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {number} [idleTimeout]
+ * @property {number} [acquireTimeout]
+ */
+
 import { CustomException } from '../../Support/helpers.js'
+import TransactionContext from '../TransactionContext.js'
 
 export default class Driver {
   /** @type {string} */
   dsn
 
+  /**
+   * The sessions that already ran the session statements.
+   *
+   * @private
+   * @type {WeakSet<object>}
+   */
+  configuredSessions = new WeakSet()
+
   /** @type {Record<string, unknown>} */
   options = {}
 
+  /**
+   * The sessions pinned by the open transactions of every async context.
+   *
+   * @protected
+   * @type {Set<any>}
+   */
+  pinnedSessions = new Set()
+
+  /** @type {PoolConfig} */
+  poolConfig = {}
+
+  /**
+   * The statements that should be run on every new session.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  sessionStatements = []
+
   /** @type {number} */
   static ATTR_SERVER_VERSION = 4
 
@@ -18,11 +56,193 @@ export default class Driver {
  * Creates an instance of Statement.
  * @param {string} dsn
  * @param {Record<string, unknown>} options
+ * @param {PoolConfig} [poolConfig]
  * @memberof Driver
  */
-  constructor (dsn, options) {
+  constructor (dsn, options, poolConfig = {}) {
     this.dsn = dsn
     this.options = options
+    this.poolConfig = poolConfig
+  }
+
+  /**
+   * Get the session pinned by the active transaction of the current async context.
+   *
+   * @protected
+   * @return {any}
+   */
+  get transactionSession () {
+    const session = TransactionContext.get(this)
+
+    return this.pinnedSessions.has(session) ? session : undefined
+  }
+
+  /**
+   * Pin the given session to the active transaction of the current async context.
+   *
+   * @protected
+   * @param  {any}  session
+   */
+  set transactionSession (session) {
+    this.pinnedSessions.delete(TransactionContext.get(this))
+
+    if (session !== undefined) {
+      this.pinnedSessions.add(session)
+    }
+
+    TransactionContext.set(this, session)
+  }
+
+  /**
+   * Borrow a session, the one pinned by the active transaction if any.
+   *
+   * @return {Promise<any>}
+   */
+  async acquire () {
+    if (this.inTransaction()) {
+      return this.transactionSession
+    }
+
+    return await this.connectSession()
+  }
+
+  /**
+   * Initiates a transaction, pinning a session until it is committed or rolled back.
+   *
+   * @return {Promise<boolean>}
+   *
+   * @throws {Error}
+   */
+  async beginTransaction () {
+    if (this.inTransaction()) {
+      throw new Error('There is already an active transaction')
+    }
+
+    const session = await this.connectSession()
+
+    this.transactionSession = session
+
+    try {
+      await this.exec('begin')
+    } catch (error) {
+      this.unpinTransactionSession(/** @type {Error} */ (error))
+
+      throw error
+    }
+
+    return true
+  }
+
+  /**
+   * Commits the active transaction.
+   *
+   * @return {Promise<boolean>}
+   *
+   * @throws {Error}
+   */
+  async commit () {
+    return await this.endTransaction('commit')
+  }
+
+  /**
+   * Register a statement that configures every session opened by the driver.
+   *
+   * @param  {string}  query
+   * @return {this}
+   */
+  configureSession (query) {
+    this.sessionStatements.push(query)
+
+    return this
+  }
+
+  /**
+   * Open a session configured with the session statements.
+   *
+   * @protected
+   * @return {Promise<any>}
+   */
+  async connectSession () {
+    const session = await this.createSession()
+
+    // Session settings such as the timezone or the search path only live as long
+    // as the server session, so every session the driver opens needs to run them
+    // once before it is handed to a statement for the very first time.
+    if (!this.configuredSessions.has(session)) {
+      try {
+        for (const query of this.sessionStatements) {
+          await this.runSessionStatement(session, query)
+        }
+      } catch (error) {
+        this.releaseSession(session, /** @type {Error} */ (error))
+
+        throw error
+      }
+
+      this.configuredSessions.add(session)
+    }
+
+    return session
+  }
+
+  /**
+   * Open a new session or borrow one from the pool.
+   *
+   * @protected
+   * @return {Promise<object>}
+   */
+  async createSession () {
+    throw CustomException('concrete-method', 'createSession')
+  }
+
+  /**
+   * Close every session held by the driver.
+   *
+   * @return {Promise<void>}
+   */
+  async disconnect () {
+    //
+  }
+
+  /**
+   * Run the given transaction statement and release the pinned session.
+   *
+   * @protected
+   * @param  {string}  query
+   * @return {Promise<boolean>}
+   *
+   * @throws {Error}
+   */
+  async endTransaction (query) {
+    if (!this.inTransaction()) {
+      throw new Error('There is no active transaction')
+    }
+
+    try {
+      await this.exec(query)
+    } catch (error) {
+      this.unpinTransactionSession(/** @type {Error} */ (error))
+
+      throw error
+    }
+
+    this.unpinTransactionSession()
+
+    return true
+  }
+
+  /**
+   * Execute an SQL statement and return the number of affected rows.
+   *
+   * @param  {string}  query
+   * @return {Promise<number>}
+   */
+  async exec (query) {
+    const statement = this.prepare(query)
+
+    await statement.execute()
+
+    return statement.rowCount()
   }
 
   /**
@@ -34,6 +254,25 @@ export default class Driver {
     throw CustomException('concrete-method', 'getAttribute')
   }
 
+  /**
+   * Determine if a transaction is currently active.
+   *
+   * @return {boolean}
+   */
+  inTransaction () {
+    return this.transactionSession !== undefined
+  }
+
+  /**
+   * Returns the ID of the last inserted row or sequence value.
+   *
+   * @param  {string}  [name]
+   * @return {number|bigint|string}
+   */
+  lastInsertId (name) {
+    throw CustomException('concrete-method', 'lastInsertId')
+  }
+
   /**
    * Prepares a statement for execution and returns a statement object
    * @param {string} query
@@ -43,4 +282,84 @@ export default class Driver {
   prepare (query) {
     throw CustomException('concrete-method', 'prepare')
   }
+
+  /**
+   * Return a borrowed session, unless the active transaction pinned it.
+   *
+   * @param  {any}  session
+   * @param  {Error}  [error]
+   * @return {void}
+   */
+  release (session, error) {
+    if (session !== this.transactionSession) {
+      this.releaseSession(session, error)
+    }
+  }
+
+  /**
+   * Close the given session or return it to the pool.
+   *
+   * @protected
+   * @param  {any}  session
+   * @param  {Error}  [error]
+   * @return {void}
+   */
+  releaseSession (session, error) {
+    throw CustomException('concrete-method', 'releaseSession')
+  }
+
+  /**
+   * Rolls back the active transaction.
+   *
+   * @return {Promise<boolean>}
+   *
+   * @throws {Error}
+   */
+  async rollBack () {
+    return await this.endTransaction('rollback')
+  }
+
+  /**
+   * Run a configuration statement on the given session.
+   *
+   * @protected
+   * @param  {any}  session
+   * @param  {string}  query
+   * @return {Promise<void>}
+   */
+  async runSessionStatement (session, query) {
+    throw CustomException('concrete-method', 'runSessionStatement')
+  }
+
+  /**
+   * Release the session pinned by the transaction.
+   *
+   * @protected
+   * @param  {Error}  [error]
+   * @return {void}
+   */
+  unpinTransactionSession (error) {
+    const session = this.transactionSession
+
+    this.transactionSession = undefined
+
+    this.releaseSession(session, error)
+  }
+
+  /**
+   * Release the sessions pinned by the open transactions of every async context.
+   *
+   * @protected
+   * @param  {Error}  [error]
+   * @return {void}
+   */
+  unpinTransactionSessions (error) {
+    const sessions = [...this.pinnedSessions]
+
+    this.pinnedSessions.clear()
+
+    for (const session of sessions) {
+      this.releaseSession(session, error)
+    }
+  }
 }
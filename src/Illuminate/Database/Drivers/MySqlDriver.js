@@ -1,5 +1,154 @@
+import mysql from 'mysql2'
+
+import MySqlStatement from '../Statements/MySqlStatement.js'
 import Driver from './Driver.js'
 
 export default class MySqlDriver extends Driver {
+  /**
+   * The pool the statements borrow their connections from.
+   *
+   * @protected
+   * @type {import('mysql2').Pool|undefined}
+   */
+  pool = undefined
+
+  /**
+   * The version reported by the server on the last handshake.
+   *
+   * @protected
+   * @type {string|undefined}
+   */
+  serverVersion = undefined
+
+  /**
+   * Create a new pool instance from the pool configuration.
+   *
+   * @protected
+   * @return {import('mysql2').Pool}
+   */
+  createPool () {
+    const { min, max = 10, idleTimeout = 10000, acquireTimeout = 2000 } = this.poolConfig
+
+    // The connections kept idle above "maxIdle" are the only ones closed once the
+    // idle timeout expires, which makes it the closest option to a minimum size
+    // for the pool, so the minimum is used there when it has been configured.
+    return mysql.createPool({
+      ...this.options,
+      uri: this.dsn,
+      connectionLimit: max,
+      maxIdle: min ?? max,
+      idleTimeout,
+      connectTimeout: acquireTimeout
+    })
+  }
+
+  /**
+   * Borrow a connection from the pool.
+   *
+   * @protected
+   * @override
+   * @return {Promise<import('mysql2').PoolConnection>}
+   */
+  async createSession () {
+    const connection = await new Promise((resolve, reject) => {
+      this.getPool().getConnection((error, connection) => error ? reject(error) : resolve(connection))
+    })
+
+    this.serverVersion = connection.serverVersion
+
+    return connection
+  }
+
+  /**
+   * Drain the pool, closing every connection it holds.
+   *
+   * @override
+   * @return {Promise<void>}
+   */
+  async disconnect () {
+    if (this.pool === undefined) {
+      return
+    }
+
+    // A transaction left open can never be completed once the pool is gone, so
+    // the pinned connections are destroyed instead of being returned to the pool.
+    this.unpinTransactionSessions(new Error('The driver has been disconnected.'))
+
+    const pool = this.pool
+
+    this.pool = undefined
+
+    await new Promise((resolve, reject) => {
+      pool.end(error => error ? reject(error) : resolve(undefined))
+    })
+  }
+
+  /**
+   * Retrieve a database connection attribute.
+   *
+   * @override
+   * @param  {number}  attribute
+   * @return {any}
+   */
+  getAttribute (attribute) {
+    if (attribute === Driver.ATTR_SERVER_VERSION) {
+      return this.serverVersion
+    }
+  }
+
+  /**
+   * Get the pool instance, creating it when needed.
+   *
+   * @return {import('mysql2').Pool}
+   */
+  getPool () {
+    if (this.pool === undefined) {
+      this.pool = this.createPool()
+    }
+
+    return this.pool
+  }
+
+  /**
+   * Prepares a statement for execution and returns a statement object
+   *
+   * @override
+   * @param {string} query
+   * @returns {MySqlStatement}
+   */
+  prepare (query) {
+    return new MySqlStatement(this.dsn, this.options, query, this)
+  }
+
+  /**
+   * Return a borrowed connection to the pool.
+   *
+   * @protected
+   * @override
+   * @param  {import('mysql2').PoolConnection}  connection
+   * @param  {Error}  [error]
+   * @return {void}
+   */
+  releaseSession (connection, error) {
+    if (error) {
+      connection.destroy()
+    } else {
+      connection.release()
+    }
+  }
 
+  /**
+   * Run a configuration statement on the given connection.
+   *
+   * @protected
+   * @override
+   * @param  {import('mysql2').PoolConnection}  connection
+   * @param  {string}  query
+   * @return {Promise<void>}
+   */
+  async runSessionStatement (connection, query) {
+    await new Promise((resolve, reject) => {
+      connection.query(query, error => error ? reject(error) : resolve(undefined))
+    })
+  }
 }
@@ -1,16 +1,123 @@
+import pg from 'pg'
+
 import PostgresStatement from '../Statements/PostgresStatement.js'
 import Driver from './Driver.js'
 
 export default class PostgresDriver extends Driver {
+  /**
+   * The pool the statements borrow their clients from.
+   *
+   * @protected
+   * @type {pg.Pool|undefined}
+   */
+  pool = undefined
+
+  /**
+   * Create a new pool instance from the pool configuration.
+   *
+   * @protected
+   * @return {pg.Pool}
+   */
+  createPool () {
+    const { min = 0, max = 10, idleTimeout = 10000, acquireTimeout = 2000 } = this.poolConfig
+
+    const pool = new pg.Pool({
+      connectionString: this.dsn,
+      min,
+      max,
+      idleTimeoutMillis: idleTimeout,
+      connectionTimeoutMillis: acquireTimeout
+    })
+
+    // An idle client may be dropped by the server at any moment. The pool removes
+    // it by itself, but it emits an "error" event that would bring the process
+    // down if nobody were listening, so we'll simply acknowledge it here.
+    pool.on('error', () => {})
+
+    return pool
+  }
+
+  /**
+   * Borrow a client from the pool.
+   *
+   * @protected
+   * @override
+   * @return {Promise<pg.PoolClient>}
+   */
+  async createSession () {
+    return await this.getPool().connect()
+  }
+
+  /**
+   * Drain the pool, closing every client it holds.
+   *
+   * @override
+   * @return {Promise<void>}
+   */
+  async disconnect () {
+    if (this.pool === undefined) {
+      return
+    }
+
+    // A transaction left open can never be completed once the pool is gone, so
+    // the pinned clients are destroyed instead of being returned to the pool,
+    // otherwise draining the pool would wait for them to be released first.
+    this.unpinTransactionSessions(new Error('The driver has been disconnected.'))
+
+    const pool = this.pool
+
+    this.pool = undefined
+
+    await pool.end()
+  }
+
+  /**
+   * Get the pool instance, creating it when needed.
+   *
+   * @return {pg.Pool}
+   */
+  getPool () {
+    if (this.pool === undefined) {
+      this.pool = this.createPool()
+    }
+
+    return this.pool
+  }
+
   /**
    *
-   * @overload
    * @override
    * @param {string} query
    * @returns {PostgresStatement}
    * @throws {Error}
    */
   prepare (query) {
-    return new PostgresStatement(this.dsn, this.options, query)
+    return new PostgresStatement(this.dsn, this.options, query, this)
+  }
+
+  /**
+   * Return a borrowed client to the pool.
+   *
+   * @protected
+   * @override
+   * @param  {pg.PoolClient}  client
+   * @param  {Error}  [error]
+   * @return {void}
+   */
+  releaseSession (client, error) {
+    client.release(error)
+  }
+
+  /**
+   * Run a configuration statement on the given client.
+   *
+   * @protected
+   * @override
+   * @param  {pg.PoolClient}  client
+   * @param  {string}  query
+   * @return {Promise<void>}
+   */
+  async runSessionStatement (client, query) {
+    await client.query(query)
   }
 }
@@ -1,5 +1,230 @@
+import Database from 'better-sqlite3'
+
+import SQLiteStatement from '../Statements/SQLiteStatement.js'
 import Driver from './Driver.js'
 
 export default class SQLiteDriver extends Driver {
+  /**
+   * The database handle shared by every statement.
+   *
+   * @protected
+   * @type {import('better-sqlite3').Database|undefined}
+   */
+  database = undefined
+
+  /**
+   * Settled once the open transaction, if any, is committed or rolled back.
+   *
+   * @protected
+   * @type {Promise<void>}
+   */
+  transactionLock = Promise.resolve()
+
+  /**
+   * Hand the database handle to the next transaction waiting for it.
+   *
+   * @protected
+   * @type {(() => void)|undefined}
+   */
+  unlockTransaction = undefined
+
+  /**
+   * Borrow the database handle once no other async context holds it.
+   *
+   * A statement run outside of a transaction would otherwise become part of
+   * the transaction another async context has open on the shared handle.
+   *
+   * @override
+   * @return {Promise<import('better-sqlite3').Database>}
+   */
+  async acquire () {
+    while (!this.inTransaction() && this.unlockTransaction !== undefined) {
+      await this.transactionLock
+    }
+
+    return await super.acquire()
+  }
+
+  /**
+   * Initiates a transaction once the database handle is free.
+   *
+   * Every statement runs on the one database handle, so a transaction begun in
+   * another async context waits for the open one to end instead of nesting.
+   *
+   * @override
+   * @return {Promise<boolean>}
+   *
+   * @throws {Error}
+   */
+  async beginTransaction () {
+    if (this.inTransaction()) {
+      throw new Error('There is already an active transaction')
+    }
+
+    const previous = this.transactionLock
+
+    /** @type {() => void} */
+    let unlock = () => {}
+
+    this.transactionLock = new Promise(resolve => { unlock = resolve })
+
+    await previous
+
+    this.unlockTransaction = unlock
+
+    try {
+      return await super.beginTransaction()
+    } catch (error) {
+      // A failed "begin" already let the handle go along with the session.
+      if (this.unlockTransaction === unlock) {
+        this.releaseTransactionLock()
+      }
+
+      throw error
+    }
+  }
+
+  /**
+   * Get the database handle as the session.
+   *
+   * SQLite is an embedded engine without a server to connect to, so there is no
+   * pool: every statement runs on the same handle, just like PDO would do.
+   *
+   * @protected
+   * @override
+   * @return {Promise<import('better-sqlite3').Database>}
+   */
+  async createSession () {
+    return this.open()
+  }
+
+  /**
+   * Close the database handle.
+   *
+   * @override
+   * @return {Promise<void>}
+   */
+  async disconnect () {
+    if (this.database === undefined) {
+      return
+    }
+
+    this.pinnedSessions.clear()
+
+    this.releaseTransactionLock()
+
+    const database = this.database
+
+    this.database = undefined
+
+    database.close()
+  }
+
+  /**
+   * Retrieve a database connection attribute.
+   *
+   * @override
+   * @param  {number}  attribute
+   * @return {any}
+   */
+  getAttribute (attribute) {
+    if (attribute === Driver.ATTR_SERVER_VERSION) {
+      return this.open().prepare('select sqlite_version()').pluck().get()
+    }
+  }
+
+  /**
+   * Get the path of the database file from the DSN.
+   *
+   * @return {string}
+   */
+  getPath () {
+    return this.dsn.replace(/^sqlite:/, '')
+  }
+
+  /**
+   * Returns the ID of the last inserted row.
+   *
+   * @return {number|bigint}
+   */
+  lastInsertId () {
+    return this.database.prepare('select last_insert_rowid()').pluck().get()
+  }
+
+  /**
+   * Open the database file, or return the already opened handle.
+   *
+   * @protected
+   * @return {import('better-sqlite3').Database}
+   */
+  open () {
+    if (this.database === undefined) {
+      this.database = new Database(this.getPath(), this.options)
+    }
+
+    return this.database
+  }
+
+  /**
+   * Prepares a statement for execution and returns a statement object
+   *
+   * @override
+   * @param {string} query
+   * @returns {SQLiteStatement}
+   */
+  prepare (query) {
+    return new SQLiteStatement(this.dsn, this.options, query, this)
+  }
+
+  /**
+   * Let the next waiting transaction have the database handle.
+   *
+   * @protected
+   * @return {void}
+   */
+  releaseTransactionLock () {
+    const unlock = this.unlockTransaction
+
+    this.unlockTransaction = undefined
+
+    unlock?.()
+  }
+
+  /**
+   * The handle is shared, so there is nothing to give back.
+   *
+   * @protected
+   * @override
+   * @return {void}
+   */
+  releaseSession () {
+    //
+  }
+
+  /**
+   * Run a configuration statement on the given database handle.
+   *
+   * @protected
+   * @override
+   * @param  {import('better-sqlite3').Database}  database
+   * @param  {string}  query
+   * @return {Promise<void>}
+   */
+  async runSessionStatement (database, query) {
+    database.exec(query)
+  }
+
+  /**
+   * Release the database handle pinned by the transaction.
+   *
+   * @protected
+   * @override
+   * @param  {Error}  [error]
+   * @return {void}
+   */
+  unpinTransactionSession (error) {
+    super.unpinTransactionSession(error)
 
+    this.releaseTransactionLock()
+  }
 }
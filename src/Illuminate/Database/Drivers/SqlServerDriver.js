@@ -1,5 +1,194 @@
+import mssql from 'mssql'
+
+import SqlServerStatement from '../Statements/SqlServerStatement.js'
 import Driver from './Driver.js'
 
 export default class SqlServerDriver extends Driver {
+  /**
+   * The pending connection of the pool.
+   *
+   * @protected
+   * @type {Promise<mssql.ConnectionPool>|undefined}
+   */
+  connecting = undefined
+
+  /**
+   * The pool the statements run their requests on.
+   *
+   * @protected
+   * @type {mssql.ConnectionPool|undefined}
+   */
+  pool = undefined
+
+  /**
+   * Initiates a transaction, pinning a pooled connection until it is committed or rolled back.
+   *
+   * @override
+   * @return {Promise<boolean>}
+   *
+   * @throws {Error}
+   */
+  async beginTransaction () {
+    if (this.inTransaction()) {
+      throw new Error('There is already an active transaction')
+    }
+
+    const transaction = new mssql.Transaction(await this.connectSession())
+
+    await transaction.begin()
+
+    this.transactionSession = transaction
+
+    return true
+  }
+
+  /**
+   * Commits the active transaction.
+   *
+   * @override
+   * @return {Promise<boolean>}
+   *
+   * @throws {Error}
+   */
+  async commit () {
+    await this.takeTransaction().commit()
+
+    return true
+  }
+
+  /**
+   * Create a new pool instance from the DSN and the pool configuration.
+   *
+   * @protected
+   * @return {mssql.ConnectionPool}
+   */
+  createPool () {
+    const { min = 0, max = 10, idleTimeout = 10000, acquireTimeout = 2000 } = this.poolConfig
+
+    const config = mssql.ConnectionPool.parseConnectionString(this.dsn.replace(/^sqlsrv:/, ''))
+
+    return new mssql.ConnectionPool({
+      ...config,
+      options: { ...config.options, ...this.options },
+      pool: {
+        min,
+        max,
+        idleTimeoutMillis: idleTimeout,
+        acquireTimeoutMillis: acquireTimeout
+      }
+    })
+  }
+
+  /**
+   * Get the connected pool.
+   *
+   * The pool hands a connection to every request by itself, so the pool is the
+   * session the statements run on unless a transaction pinned a connection.
+   *
+   * @protected
+   * @override
+   * @return {Promise<mssql.ConnectionPool>}
+   */
+  async createSession () {
+    const pool = this.getPool()
+
+    if (pool.connected) {
+      return pool
+    }
+
+    this.connecting = this.connecting ?? pool.connect().finally(() => {
+      this.connecting = undefined
+    })
+
+    return await this.connecting
+  }
+
+  /**
+   * Close the pool and every connection it holds.
+   *
+   * @override
+   * @return {Promise<void>}
+   */
+  async disconnect () {
+    if (this.pool === undefined) {
+      return
+    }
+
+    this.pinnedSessions.clear()
+
+    const pool = this.pool
+
+    this.pool = undefined
+
+    await pool.close()
+  }
+
+  /**
+   * Get the pool instance, creating it when needed.
+   *
+   * @return {mssql.ConnectionPool}
+   */
+  getPool () {
+    if (this.pool === undefined) {
+      this.pool = this.createPool()
+    }
+
+    return this.pool
+  }
+
+  /**
+   * Prepares a statement for execution and returns a statement object
+   *
+   * @override
+   * @param {string} query
+   * @returns {SqlServerStatement}
+   */
+  prepare (query) {
+    return new SqlServerStatement(this.dsn, this.options, query, this)
+  }
+
+  /**
+   * The pool takes the connections back by itself, so there is nothing to give back.
+   *
+   * @protected
+   * @override
+   * @return {void}
+   */
+  releaseSession () {
+    //
+  }
+
+  /**
+   * Rolls back the active transaction.
+   *
+   * @override
+   * @return {Promise<boolean>}
+   *
+   * @throws {Error}
+   */
+  async rollBack () {
+    await this.takeTransaction().rollback()
+
+    return true
+  }
+
+  /**
+   * Unpin the active transaction, handing it to the caller.
+   *
+   * @protected
+   * @return {mssql.Transaction}
+   *
+   * @throws {Error}
+   */
+  takeTransaction () {
+    if (!this.inTransaction()) {
+      throw new Error('There is no active transaction')
+    }
+
+    const transaction = this.transactionSession
+
+    this.transactionSession = undefined
 
+    return transaction
+  }
 }
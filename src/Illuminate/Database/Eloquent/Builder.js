@@ -1,13 +1,22 @@
-import { clone, isFalsy, isNil, isTruthy, merge } from '@devnetic/utils'
+import { isNil, isPlainObject, isTruthy } from '@devnetic/utils'
 
+import Collection from '../../Collections/Collection.js'
 import { collect } from '../../Collections/helpers.js'
 import InstanceProxy from '../../Support/Proxies/InstanceProxy.js'
 import ForwardsCalls from '../../Support/Traits/ForwardsCalls.js'
 import { mix } from '../../Support/Traits/use.js'
 import BuildsQueries from '../Concerns/BuildsQueries.js'
+import QueriesRelationships from './Concerns/QueriesRelationships.js'
+import RecordsNotFoundException from '../RecordsNotFoundException.js'
+import Model from './Model.js'
+import ModelNotFoundException from './ModelNotFoundException.js'
+import BelongsToMany from './Relations/BelongsToMany.js'
+import Relation from './Relations/Relation.js'
 import Scope from './Scope.js'
 
-export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
+/** @typedef {import('./Collection.js').default} EloquentCollection */
+
+export default class Builder extends mix().use(BuildsQueries, ForwardsCalls, QueriesRelationships) {
   /**
    * All of the globally registered builder macros.
    *
@@ -28,22 +37,28 @@ export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
     /**
      * All of the locally registered builder macros.
      *
-     * @var Record<string, any>
+     * @type {Record<string, any>}
      */
     this.localMacros = {}
 
     /**
      * The model being queried.
      *
-     * @var \Illuminate\Database\Eloquent\Model
+     * @type {Model}
      */
+    this.model = /** @type {any} */ (null)
 
-    this.model = null
+    /**
+     * The relationships that should be eager loaded.
+     *
+     * @type {Record<string, Function>}
+     */
+    this.eagerLoad = {}
 
     /**
      * The methods that should be returned from query builder.
      *
-     * @var string[]
+     * @type {string[]}
      */
     this.passthru = [
       'aggregate',
@@ -64,6 +79,7 @@ export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
       'insertUsing',
       'max',
       'min',
+      'over',
       'raw',
       'sum',
       'toSql'
@@ -72,9 +88,23 @@ export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
     /**
      * Applied global scopes.
      *
-     * @var Record<string, any>
+     * @type {Map<string|Function, Scope|Function>}
+     */
+    this.scopes = new Map()
+
+    /**
+     * Removed global scopes.
+     *
+     * @type {Array<string|Function>}
      */
-    this.scopes = {}
+    this.removedScopes = []
+
+    /**
+     * A replacement for the typical delete function.
+     *
+     * @type {Function|undefined}
+     */
+    this.onDeleteProperty = undefined
 
     this.query = query
 
@@ -120,6 +150,33 @@ export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
     return this
   }
 
+  /**
+   * Parse the nested relationships in a relation.
+   *
+   * @protected
+   * @param  {string}  name
+   * @param  {Record<string, Function>}  results
+   * @return {Record<string, Function>}
+   */
+  addNestedWiths (name, results) {
+    const progress = []
+
+    // If the relation has already been set on the result array, we will not set it
+    // again, since that would override any constraints that were already placed
+    // on the relationships. We will only set the ones that are not specified.
+    for (const segment of name.split('.')) {
+      progress.push(segment)
+
+      const last = progress.join('.')
+
+      if (!Object.hasOwn(results, last)) {
+        results[last] = () => {}
+      }
+    }
+
+    return results
+  }
+
   /**
    * Nest where conditions by slicing them at the given where count.
    *
@@ -146,13 +203,14 @@ export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
     * @return {static}
     */
   applyScopes () {
-    if (Object.keys(this.scopes).length === 0) {
+    if (this.scopes.size === 0) {
       return this
     }
 
-    const builder = clone(this)
-    for (const [identifier, scope] of Object.entries(this.scopes)) {
-      if (isFalsy(builder.scopes[identifier])) {
+    const builder = this.clone()
+
+    for (const [identifier, scope] of this.scopes) {
+      if (!builder.scopes.has(identifier)) {
         continue
       }
 
@@ -186,7 +244,7 @@ export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
   callNamedScope (scope, parameters = []) {
     return this.callScope((...parameters) => {
       return this.model?.callNamedScope(scope, parameters)
-    }, parameters)
+    }, ...parameters)
   }
 
   /**
@@ -217,6 +275,76 @@ export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
     return result
   }
 
+  /**
+   * Create a new instance of the builder with its own copy of the query.
+   *
+   * @return {Builder}
+   */
+  clone () {
+    const builder = new (/** @type {typeof Builder} */ (this.constructor))(this.query.clone())
+
+    builder.model = this.model
+    builder.eagerLoad = { ...this.eagerLoad }
+    builder.scopes = new Map(this.scopes)
+    builder.removedScopes = [...this.removedScopes]
+    builder.localMacros = { ...this.localMacros }
+    builder.onDeleteProperty = this.onDeleteProperty
+
+    return builder
+  }
+
+  /**
+   * Combine an array of constraints into a single constraint.
+   *
+   * @protected
+   * @param  {Function[]}  constraints
+   * @return {Function}
+   */
+  combineConstraints (constraints) {
+    return (builder) => {
+      for (const constraint of constraints) {
+        builder = constraint(builder) ?? builder
+      }
+
+      return builder
+    }
+  }
+
+  /**
+   * Save a new model and return the instance.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @return {Promise<import('./Model.js').default>}
+   */
+  async create (attributes = {}) {
+    await this.model.loadGuardableColumns()
+
+    const instance = this.newModelInstance(attributes)
+
+    await instance.save()
+
+    return instance
+  }
+
+  /**
+   * Attempt to create the record. If a unique constraint violation occurs, attempt to find the matching record.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {Record<string, any>}  [values]
+   * @return {Promise<import('./Model.js').default>}
+   */
+  async createOrFirst (attributes = {}, values = {}) {
+    try {
+      return await this.withSavepointIfNeeded(() => this.create({ ...attributes, ...values }))
+    } catch (error) {
+      if (!this.query.getConnection().isUniqueConstraintError(/** @type {Error} */ (error))) {
+        throw error
+      }
+
+      return this.where(attributes).firstOrFail()
+    }
+  }
+
   /**
    * Create a where array with nested where conditions.
    *
@@ -232,15 +360,316 @@ export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
     return { type: 'Nested', query: whereGroup, boolean }
   }
 
+  /**
+   * Create a constraint to select the given columns for the relation.
+   *
+   * @protected
+   * @param  {string}  name
+   * @return {[string, Function]}
+   */
+  createSelectWithConstraint (name) {
+    const [relation, columns] = name.split(':')
+
+    return [relation, (query) => {
+      query.select(columns.split(',').map(column => {
+        if (column.includes('.')) {
+          return column
+        }
+
+        return query instanceof BelongsToMany
+          ? `${query.getRelated().getTable()}.${column}`
+          : column
+      }))
+    }]
+  }
+
+  /**
+   * Get an async generator for the given query.
+   *
+   * @return {AsyncGenerator<import('./Model.js').default>}
+   */
+  async * cursor () {
+    const builder = this.applyScopes()
+
+    for await (const record of builder.query.cursor()) {
+      yield this.newModelInstance().newFromBuilder(record)
+    }
+  }
+
+  /**
+   * Get the default key name of the table.
+   *
+   * @protected
+   * @return {string}
+   */
+  defaultKeyName () {
+    return this.getModel().getKeyName()
+  }
+
+  /**
+   * Delete records from the database.
+   *
+   * @return {Promise<number>}
+   */
+  delete () {
+    if (this.onDeleteProperty !== undefined) {
+      return this.onDeleteProperty(this)
+    }
+
+    return this.toBase().delete()
+  }
+
+  /**
+   * Eagerly load the relationship on a set of models.
+   *
+   * @protected
+   * @param  {Array<import('./Model.js').default>}  models
+   * @param  {string}  name
+   * @param  {Function}  constraints
+   * @return {Promise<Array<import('./Model.js').default>>}
+   */
+  async eagerLoadRelation (models, name, constraints) {
+    // First we will "back up" the existing where conditions on the query so we can
+    // add our eager constraints. Then we will merge the wheres that were on the
+    // query back to it in order that any where conditions might be specified.
+    const relation = this.getRelation(name)
+
+    relation.addEagerConstraints(models)
+
+    constraints(relation)
+
+    // Once we have the results, we just match those back up to their parent models
+    // using the relationship instance. Then we just return the finished arrays
+    // of models which have been eagerly hydrated and are readied for return.
+    return relation.match(
+      relation.initRelation(models, name),
+      await relation.getEager(),
+      name
+    )
+  }
+
+  /**
+   * Eager load the relationships for the models.
+   *
+   * @param  {Array<import('./Model.js').default>}  models
+   * @return {Promise<Array<import('./Model.js').default>>}
+   */
+  async eagerLoadRelations (models) {
+    for (const [name, constraints] of Object.entries(this.eagerLoad)) {
+      // For nested eager loads we'll skip loading them here and they will be set as an
+      // eager load on the query to retrieve the relation so that they will be eager
+      // loaded on that query, because that is where they get hydrated as models.
+      if (!name.includes('.')) {
+        models = await this.eagerLoadRelation(models, name, constraints)
+      }
+    }
+
+    return models
+  }
+
+  /**
+   * Add a generic "order by" clause if the query doesn't already have one.
+   *
+   * @protected
+   * @return {void}
+   */
+  enforceOrderBy () {
+    if (this.query.orders.length === 0 && this.query.unionOrders.length === 0) {
+      this.orderBy(this.model.getQualifiedKeyName(), 'asc')
+    }
+  }
+
+  /**
+   * Find a model by its primary key.
+   *
+   * @param  {any}  id
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<Model|EloquentCollection|undefined>}
+   */
+  find (id, columns = ['*']) {
+    if (Array.isArray(id) || id instanceof Collection) {
+      return this.findMany(id, columns)
+    }
+
+    return this.whereKey(id).first(columns)
+  }
+
+  /**
+   * Find multiple models by their primary keys.
+   *
+   * @param  {any[]|Collection}  ids
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<EloquentCollection>}
+   */
+  async findMany (ids, columns = ['*']) {
+    ids = ids instanceof Collection ? ids.all() : ids
+
+    if (ids.length === 0) {
+      return this.model.newCollection()
+    }
+
+    return this.whereKey(ids).get(columns)
+  }
+
+  /**
+   * Find a model by its primary key or throw an exception.
+   *
+   * @param  {any}  id
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<Model|EloquentCollection>}
+   *
+   * @throws {ModelNotFoundException}
+   */
+  async findOrFail (id, columns = ['*']) {
+    id = id instanceof Collection ? id.all() : id
+
+    const model = /** @type {typeof Model} */ (this.model.constructor)
+
+    if (Array.isArray(id)) {
+      const result = await this.findMany(id, columns)
+
+      if (result.count() !== [...new Set(id)].length) {
+        throw new ModelNotFoundException().setModel(
+          model, id.filter(key => !result.modelKeys().map(String).includes(String(key)))
+        )
+      }
+
+      return result
+    }
+
+    const result = await this.whereKey(id).first(columns)
+
+    if (isNil(result)) {
+      throw new ModelNotFoundException().setModel(model, id)
+    }
+
+    return result
+  }
+
+  /**
+   * Execute the query and get the first result or throw an exception.
+   *
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<import('./Model.js').default>}
+   *
+   * @throws {ModelNotFoundException}
+   */
+  async firstOrFail (columns = ['*']) {
+    const model = await this.first(columns)
+
+    if (isNil(model)) {
+      throw new ModelNotFoundException().setModel(this.model.constructor)
+    }
+
+    return model
+  }
+
+  /**
+   * Get the first record matching the attributes. If the record is not found, create it.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {Record<string, any>}  [values]
+   * @return {Promise<import('./Model.js').default>}
+   */
+  async firstOrCreate (attributes = {}, values = {}) {
+    const instance = await this.clone().where(attributes).first()
+
+    if (!isNil(instance)) {
+      return instance
+    }
+
+    return this.createOrFirst(attributes, values)
+  }
+
+  /**
+   * Get the first record matching the attributes or instantiate it.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {Record<string, any>}  [values]
+   * @return {Promise<import('./Model.js').default>}
+   */
+  async firstOrNew (attributes = {}, values = {}) {
+    const instance = await this.where(attributes).first()
+
+    if (!isNil(instance)) {
+      return instance
+    }
+
+    await this.model.loadGuardableColumns()
+
+    return this.newModelInstance({ ...attributes, ...values })
+  }
+
+  /**
+   * Run the default delete function on the builder.
+   *
+   * Since we do not apply scopes here, the row will actually be deleted.
+   *
+   * @return {Promise<number>}
+   */
+  forceDelete () {
+    return this.query.delete()
+  }
+
+  /**
+   * Execute the query as a "select" statement.
+   *
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<EloquentCollection>}
+   */
+  async get (columns = ['*']) {
+    const builder = this.applyScopes()
+
+    let models = await builder.getModels(columns)
+
+    // If we actually found models we will also eager load any relationships that
+    // have been specified as needing to be eager loaded, which will solve the
+    // n+1 query issue for the developers to avoid running a lot of queries.
+    if (models.length > 0) {
+      models = await builder.eagerLoadRelations(models)
+    }
+
+    return builder.getModel().newCollection(models)
+  }
+
+  /**
+   * Get the relationships being eagerly loaded.
+   *
+   * @return {Record<string, Function>}
+   */
+  getEagerLoads () {
+    return this.eagerLoad
+  }
+
   /**
    * Get the model instance being queried.
    *
-   * @return {\Illuminate\Database\Eloquent\Model|static}
+   * @return {import('./Model.js').default}
    */
   getModel () {
     return this.model
   }
 
+  /**
+   * Get the hydrated models without eager loading.
+   *
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<Array<import('./Model.js').default>>}
+   */
+  async getModels (columns = ['*']) {
+    const results = await this.query.get(columns)
+
+    const models = this.hydrate(results.all()).all()
+
+    // The "retrieved" listeners may be asynchronous, so the event is fired here
+    // once the models are hydrated instead of while each one is being built.
+    for (const model of models) {
+      await model.fireModelEvent('retrieved', false)
+    }
+
+    return models
+  }
+
   /**
    * Get the underlying query builder instance.
    *
@@ -250,6 +679,42 @@ export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
     return this.query
   }
 
+  /**
+   * Get the relation instance for the given relation name.
+   *
+   * @param  {string}  name
+   * @return {Relation}
+   *
+   * @throws {Error}
+   */
+  getRelation (name) {
+    // We want to run a relationship query without any constrains so that we will
+    // not have to remove these where clauses manually which gets really hacky
+    // and error prone. We don't want constraints because we add eager ones.
+    const relation = Relation.noConstraints(() => {
+      const model = this.getModel().newInstance()
+
+      const relation = typeof model[name] === 'function' ? model[name]() : undefined
+
+      if (!(relation instanceof Relation)) {
+        throw new Error(`RelationNotFoundException: Call to undefined relationship [${name}] on model [${model.constructor.name}].`)
+      }
+
+      return relation
+    })
+
+    const nested = this.relationsNestedUnder(name)
+
+    // If there are nested relationships set on the query, we will put those onto
+    // the query instances so that they can be handled after this relationship
+    // is loaded. In this way they will all trickle down as they are loaded.
+    if (Object.keys(nested).length > 0) {
+      relation.getQuery().with(nested)
+    }
+
+    return relation
+  }
+
   /**
    * Slice where conditions at the given offset and add them to the query as a nested condition.
    *
@@ -266,7 +731,7 @@ export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
     if (whereBooleans.contains('or')) {
       query.wheres.push(this.createNestedWhere(whereSlice, whereBooleans.first()))
     } else {
-      query.wheres = merge(query.wheres, whereSlice)
+      query.wheres = [...query.wheres, ...whereSlice]
     }
   }
 
@@ -300,6 +765,228 @@ export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
     return isTruthy(this.model) && this.model?.hasNamedScope(scope)
   }
 
+  /**
+   * Create a collection of models from plain arrays.
+   *
+   * @param  {Array<Record<string, any>>}  items
+   * @return {Collection}
+   */
+  hydrate (items) {
+    const instance = this.newModelInstance()
+
+    return instance.newCollection(items.map(item => instance.newFromBuilder(item)))
+  }
+
+  /**
+   * Determine if the relationship is nested.
+   *
+   * @protected
+   * @param  {string}  relation
+   * @param  {string}  name
+   * @return {boolean}
+   */
+  isNestedUnder (relation, name) {
+    return name.includes('.') && name.startsWith(`${relation}.`)
+  }
+
+  /**
+   * Create a new instance of the model being queried.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @return {import('./Model.js').default}
+   */
+  newModelInstance (attributes = {}) {
+    return this.model.newInstance(attributes).setConnection(
+      this.query.getConnection().getName()
+    )
+  }
+
+  /**
+   * Register a replacement for the default delete function.
+   *
+   * @param  {Function}  callback
+   * @return {void}
+   */
+  onDelete (callback) {
+    this.onDeleteProperty = callback
+  }
+
+  /**
+   * Parse the attribute select constraints from the name.
+   *
+   * @protected
+   * @param  {string}  name
+   * @return {[string, Function]}
+   */
+  parseNameAndAttributeSelectionConstraint (name) {
+    return name.includes(':')
+      ? this.createSelectWithConstraint(name)
+      : [name, () => {}]
+  }
+
+  /**
+   * Parse a list of relations into individuals.
+   *
+   * @protected
+   * @param  {any[]|Record<string, any>}  relations
+   * @return {Record<string, Function>}
+   */
+  parseWithRelations (relations) {
+    /** @type {Record<string, Function>} */
+    let results = {}
+
+    for (const [name, constraints] of Object.entries(this.prepareNestedWithRelationships(relations))) {
+      // We need to separate out any nested includes, which allows the developers
+      // to load deep relationships using "dots" without stating each level of
+      // the relationship with its own key in the array of eager-load names.
+      results = this.addNestedWiths(name, results)
+
+      results[name] = constraints
+    }
+
+    return results
+  }
+
+  /**
+   * Prepare nested with relationships.
+   *
+   * @protected
+   * @param  {any[]|Record<string, any>}  relations
+   * @param  {string}  [prefix='']
+   * @return {Record<string, Function>}
+   */
+  prepareNestedWithRelationships (relations, prefix = '') {
+    /** @type {Record<string, Function>} */
+    const preparedRelationships = {}
+
+    if (prefix !== '') {
+      prefix += '.'
+    }
+
+    const isNested = (key, value) => typeof key === 'string' && (Array.isArray(value) || isPlainObject(value))
+
+    const entries = Array.isArray(relations)
+      ? relations.flatMap((value, key) => isPlainObject(value) ? Object.entries(value) : [[key, value]])
+      : Object.entries(relations)
+
+    // If any of the relationships are formatted with the { relation: [] } syntax,
+    // we shall loop over the nested relations and prepend each key of this
+    // array while flattening into the traditional dot notation format.
+    for (const [key, value] of entries) {
+      if (!isNested(key, value)) {
+        continue
+      }
+
+      const [attribute, attributeSelectConstraint] = this.parseNameAndAttributeSelectionConstraint(key)
+
+      Object.assign(
+        preparedRelationships,
+        { [`${prefix}${attribute}`]: attributeSelectConstraint },
+        this.prepareNestedWithRelationships(value, `${prefix}${attribute}`)
+      )
+    }
+
+    // We now know that the remaining relationships are in a dot notation format
+    // and may be a string or function. We'll loop over them and ensure all of
+    // the present functions are merged + strings are made into constraints.
+    for (let [key, value] of entries) {
+      if (isNested(key, value)) {
+        continue
+      }
+
+      if (typeof key === 'number' && typeof value === 'string') {
+        [key, value] = this.parseNameAndAttributeSelectionConstraint(value)
+      }
+
+      preparedRelationships[`${prefix}${key}`] = this.combineConstraints([
+        value,
+        preparedRelationships[`${prefix}${key}`] ?? (() => {})
+      ])
+    }
+
+    return preparedRelationships
+  }
+
+  /**
+   * Qualify the given column name by the model's table.
+   *
+   * @param  {string}  column
+   * @return {string}
+   */
+  qualifyColumn (column) {
+    return this.model.qualifyColumn(column)
+  }
+
+  /**
+   * Get the deeply nested relations for a given top-level relation.
+   *
+   * @protected
+   * @param  {string}  relation
+   * @return {Record<string, Function>}
+   */
+  relationsNestedUnder (relation) {
+    /** @type {Record<string, Function>} */
+    const nested = {}
+
+    // We are basically looking for any relationships that are nested deeper than
+    // the given top-level relationship. We will just check for any relations
+    // that start with the given top relations and adds them to our arrays.
+    for (const [name, constraints] of Object.entries(this.eagerLoad)) {
+      if (this.isNestedUnder(relation, name)) {
+        nested[name.slice(relation.length + 1)] = constraints
+      }
+    }
+
+    return nested
+  }
+
+  /**
+   * Set the relationships being eagerly loaded.
+   *
+   * @param  {Record<string, Function>}  eagerLoad
+   * @return {this}
+   */
+  setEagerLoads (eagerLoad) {
+    this.eagerLoad = eagerLoad
+
+    return this
+  }
+
+  /**
+   * Set a model instance for the model being queried.
+   *
+   * @param  {import('./Model.js').default}  model
+   * @return {this}
+   */
+  setModel (model) {
+    this.model = model
+
+    this.query.from(model.getTable())
+
+    return this
+  }
+
+  /**
+   * Execute the query and get the first result if it's the sole matching record.
+   *
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<import('./Model.js').default>}
+   *
+   * @throws {ModelNotFoundException}
+   * @throws {import('../MultipleRecordsFoundException.js').default}
+   */
+  async sole (columns = ['*']) {
+    try {
+      return await super.sole(columns)
+    } catch (error) {
+      if (error instanceof RecordsNotFoundException) {
+        throw new ModelNotFoundException().setModel(this.model.constructor)
+      }
+
+      throw error
+    }
+  }
+
   /**
    * Get a base query builder instance.
    *
@@ -308,4 +995,240 @@ export default class Builder extends mix().use(BuildsQueries, ForwardsCalls) {
   toBase () {
     return this.applyScopes().getQuery()
   }
+
+  /**
+   * Update records in the database.
+   *
+   * @param  {Record<string, any>}  values
+   * @return {Promise<number>}
+   */
+  update (values) {
+    return this.toBase().update(this.addUpdatedAtColumn(values))
+  }
+
+  /**
+   * Create or update a record matching the attributes, and fill it with values.
+   *
+   * @param  {Record<string, any>}  attributes
+   * @param  {Record<string, any>}  [values]
+   * @return {Promise<import('./Model.js').default>}
+   */
+  async updateOrCreate (attributes, values = {}) {
+    const instance = await this.firstOrCreate(attributes, values)
+
+    if (!instance.wasRecentlyCreated) {
+      await instance.loadGuardableColumns()
+
+      await instance.fill(values).save()
+    }
+
+    return instance
+  }
+
+  /**
+   * Add the "updated at" column to an array of values.
+   *
+   * @protected
+   * @param  {Record<string, any>}  values
+   * @return {Record<string, any>}
+   */
+  addUpdatedAtColumn (values) {
+    const column = this.model.getUpdatedAtColumn()
+
+    if (!this.model.usesTimestamps() || isNil(column) || Reflect.has(values, column)) {
+      return values
+    }
+
+    return { ...values, [column]: this.model.freshTimestampString() }
+  }
+
+  /**
+   * Add a where clause on the primary key to the query.
+   *
+   * @param  {any}  id
+   * @return {this}
+   */
+  whereKey (id) {
+    if (id instanceof Model) {
+      id = id.getKey()
+    }
+
+    if (Array.isArray(id) || id instanceof Collection) {
+      id = id instanceof Collection ? id.all() : id
+
+      if (['int', 'integer'].includes(this.model.getKeyType())) {
+        this.query.whereIntegerInRaw(this.model.getQualifiedKeyName(), id)
+      } else {
+        this.query.whereIn(this.model.getQualifiedKeyName(), id)
+      }
+
+      return this
+    }
+
+    if (!isNil(id) && this.model.getKeyType() === 'string') {
+      id = String(id)
+    }
+
+    return this.where(this.model.getQualifiedKeyName(), '=', id)
+  }
+
+  /**
+   * Add a where clause on the primary key to the query.
+   *
+   * @param  {any}  id
+   * @return {this}
+   */
+  whereKeyNot (id) {
+    if (id instanceof Model) {
+      id = id.getKey()
+    }
+
+    if (Array.isArray(id) || id instanceof Collection) {
+      id = id instanceof Collection ? id.all() : id
+
+      if (['int', 'integer'].includes(this.model.getKeyType())) {
+        this.query.whereIntegerNotInRaw(this.model.getQualifiedKeyName(), id)
+      } else {
+        this.query.whereNotIn(this.model.getQualifiedKeyName(), id)
+      }
+
+      return this
+    }
+
+    if (!isNil(id) && this.model.getKeyType() === 'string') {
+      id = String(id)
+    }
+
+    return this.where(this.model.getQualifiedKeyName(), '!=', id)
+  }
+
+  /**
+   * Set the relationships that should be eager loaded.
+   *
+   * @param  {string|any[]|Record<string, any>}  relations
+   * @param  {...(string|Function)}  parameters
+   * @return {this}
+   */
+  with (relations, ...parameters) {
+    const [callbackFunction] = parameters
+
+    if (typeof callbackFunction === 'function') {
+      relations = { [String(relations)]: callbackFunction }
+    } else if (typeof relations === 'string') {
+      relations = [relations, ...parameters]
+    }
+
+    this.eagerLoad = { ...this.eagerLoad, ...this.parseWithRelations(relations) }
+
+    return this
+  }
+
+  /**
+   * Apply query-time casts to the model instance.
+   *
+   * @param  {Record<string, any>}  casts
+   * @return {this}
+   */
+  withCasts (casts) {
+    this.model.mergeCasts(casts)
+
+    return this
+  }
+
+  /**
+   * Register a new global scope.
+   *
+   * @param  {string|Function}  identifier
+   * @param  {Scope|Function}  scope
+   * @return {this}
+   */
+  withGlobalScope (identifier, scope) {
+    this.scopes.set(identifier, scope)
+
+    if ('extend' in scope && typeof scope.extend === 'function') {
+      scope.extend(this)
+    }
+
+    return this
+  }
+
+  /**
+   * Set the relationships that should be eager loaded while removing any previously added eager loading specifications.
+   *
+   * @param  {string|any[]|Record<string, any>}  relations
+   * @param  {...(string|Function)}  parameters
+   * @return {this}
+   */
+  withOnly (relations, ...parameters) {
+    this.eagerLoad = {}
+
+    return this.with(relations, ...parameters)
+  }
+
+  /**
+   * Execute the given callback within a savepoint when a transaction is already active.
+   *
+   * A failed statement aborts the whole transaction on some databases, so the
+   * savepoint lets the caller recover from the error and keep querying.
+   *
+   * @param  {Function}  scope
+   * @return {Promise<any>}
+   */
+  async withSavepointIfNeeded (scope) {
+    const connection = this.query.getConnection()
+
+    return connection.transactionLevel() > 0
+      ? connection.transaction(scope)
+      : scope()
+  }
+
+  /**
+   * Prevent the specified relations from being eager loaded.
+   *
+   * @param  {...(string|string[])}  relations
+   * @return {this}
+   */
+  without (...relations) {
+    relations = relations.flat()
+
+    this.eagerLoad = Object.fromEntries(Object.entries(this.eagerLoad).filter(([name]) => {
+      return !relations.includes(name)
+    }))
+
+    return this
+  }
+
+  /**
+   * Remove a registered global scope.
+   *
+   * @param  {Scope|typeof Scope|Function|string}  scope
+   * @return {this}
+   */
+  withoutGlobalScope (scope) {
+    const identifier = scope instanceof Scope ? scope.constructor : scope
+
+    this.scopes.delete(identifier)
+
+    this.removedScopes.push(identifier)
+
+    return this
+  }
+
+  /**
+   * Remove all or passed registered global scopes.
+   *
+   * @param  {Array<Scope|typeof Scope|Function|string>}  [scopes]
+   * @return {this}
+   */
+  withoutGlobalScopes (scopes) {
+    if (!Array.isArray(scopes)) {
+      scopes = [...this.scopes.keys()]
+    }
+
+    for (const scope of scopes) {
+      this.withoutGlobalScope(scope)
+    }
+
+    return this
+  }
 }
@@ -0,0 +1,138 @@
+import { isNil } from '@devnetic/utils'
+
+import BaseCollection from '../../Collections/Collection.js'
+
+/** @typedef {import('./Model.js').default} Model */
+
+export default class Collection extends BaseCollection {
+  /**
+   * Load a set of relationships onto the collection.
+   *
+   * @param  {...(string|string[]|Record<string, Function>)}  relations
+   * @return {Promise<this>}
+   */
+  async load (...relations) {
+    if (!this.isEmpty()) {
+      const query = /** @type {Model} */ (this.first()).newQueryWithoutRelationships().with(relations.flat())
+
+      this.items = await query.eagerLoadRelations(this.items)
+    }
+
+    return this
+  }
+
+  /**
+   * Load a set of relationships onto the collection if they are not already eager loaded.
+   *
+   * @param  {...(string|string[]|Record<string, Function>)}  relations
+   * @return {Promise<this>}
+   */
+  async loadMissing (...relations) {
+    const entries = relations.flat().flatMap(/** @return {Array<[string, Function|undefined]>} */ value => {
+      return typeof value === 'string' ? [[value, undefined]] : Object.entries(value)
+    })
+
+    for (const [key, constraints] of entries) {
+      const [name, columns] = key.split(':')
+
+      const segments = name.split('.')
+
+      if (!isNil(columns)) {
+        segments[segments.length - 1] += `:${columns}`
+      }
+
+      /** @type {Array<Record<string, string|Function>>} */
+      const path = segments.map(segment => ({ [segment]: segment }))
+
+      if (typeof constraints === 'function') {
+        path[path.length - 1] = { [segments[segments.length - 1]]: constraints }
+      }
+
+      await this.loadMissingRelation(this, path)
+    }
+
+    return this
+  }
+
+  /**
+   * Load a relationship path if it is not already eager loaded.
+   *
+   * @protected
+   * @param  {Collection}  models
+   * @param  {Array<Record<string, string|Function>>}  path
+   * @return {Promise<void>}
+   */
+  async loadMissingRelation (models, path) {
+    const [key, value] = Object.entries(path.shift() ?? {})[0]
+
+    const name = key.split(':')[0]
+
+    const relation = typeof value === 'string' ? value : { [key]: value }
+
+    await new Collection(models.all().filter(model => {
+      return !isNil(model) && !model.relationLoaded(name)
+    })).load(relation)
+
+    if (path.length === 0) {
+      return
+    }
+
+    const related = models.all()
+      .map(model => model.getRelation(name))
+      .filter(model => !isNil(model))
+      .flatMap(model => model instanceof BaseCollection ? model.all() : [model])
+
+    await this.loadMissingRelation(new Collection(related), path)
+  }
+
+  /**
+   * Get the array of primary keys.
+   *
+   * @return {any[]}
+   */
+  modelKeys () {
+    return this.items.map(model => model.getKey())
+  }
+
+  /**
+   * Make the given, typically visible, attributes hidden across the entire collection.
+   *
+   * @param  {...(string|string[])}  attributes
+   * @return {this}
+   */
+  makeHidden (...attributes) {
+    for (const model of this.items) {
+      model.makeHidden(...attributes)
+    }
+
+    return this
+  }
+
+  /**
+   * Make the given, typically hidden, attributes visible across the entire collection.
+   *
+   * @param  {...(string|string[])}  attributes
+   * @return {this}
+   */
+  makeVisible (...attributes) {
+    for (const model of this.items) {
+      model.makeVisible(...attributes)
+    }
+
+    return this
+  }
+
+  /**
+   * Append an attribute across the entire collection.
+   *
+   * @param  {...(string|string[])}  attributes
+   * @return {this}
+   */
+  append (...attributes) {
+    for (const model of this.items) {
+      model.append(...attributes)
+    }
+
+    return this
+  }
+}
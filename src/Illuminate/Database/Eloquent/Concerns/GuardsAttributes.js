@@ -0,0 +1,275 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+/** @typedef {typeof import('../Model.js').default} ModelClass */
+
+/**
+ * Indicates if all mass assignment is enabled.
+ *
+ * The state is shared by every model, the same way it is a single static
+ * property in Laravel, so it lives at the module level instead of being
+ * shadowed by the static property of the class that calls unguard().
+ *
+ * @type {boolean}
+ */
+let unguarded = false
+
+/**
+ * The async contexts running inside unguarded(), which are unguarded without
+ * lifting the restrictions for the requests running beside them.
+ *
+ * @type {AsyncLocalStorage<boolean>}
+ */
+const unguardedContext = new AsyncLocalStorage()
+
+/**
+ * The actual columns that exist on the database table of each model class.
+ *
+ * @type {Map<Function, string[]>}
+ */
+const guardableColumns = new Map()
+
+const GuardsAttributes = (superclass) => class extends superclass {
+  /**
+   * The attributes that are mass assignable.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  fillableProperty = [...(/** @type {ModelClass} */ (this.constructor).fillable ?? [])]
+
+  /**
+   * The attributes that aren't mass assignable.
+   *
+   * @protected
+   * @type {string[]|false}
+   */
+  guarded = /** @type {ModelClass} */ (this.constructor).guarded === false ? false : [...(/** @type {ModelClass} */ (this.constructor).guarded ?? ['*'])]
+
+  /**
+   * Get the fillable attributes for the model.
+   *
+   * @return {string[]}
+   */
+  getFillable () {
+    return this.fillableProperty
+  }
+
+  /**
+   * Set the fillable attributes for the model.
+   *
+   * @param  {string[]}  fillable
+   * @return {this}
+   */
+  fillable (fillable) {
+    this.fillableProperty = fillable
+
+    return this
+  }
+
+  /**
+   * Merge new fillable attributes with existing fillable attributes on the model.
+   *
+   * @param  {string[]}  fillable
+   * @return {this}
+   */
+  mergeFillable (fillable) {
+    this.fillableProperty = [...new Set([...this.fillableProperty, ...fillable])]
+
+    return this
+  }
+
+  /**
+   * Get the guarded attributes for the model.
+   *
+   * @return {string[]}
+   */
+  getGuarded () {
+    return this.guarded === false ? [] : this.guarded
+  }
+
+  /**
+   * Set the guarded attributes for the model.
+   *
+   * @param  {string[]}  guarded
+   * @return {this}
+   */
+  guard (guarded) {
+    this.guarded = guarded
+
+    return this
+  }
+
+  /**
+   * Merge new guarded attributes with existing guarded attributes on the model.
+   *
+   * @param  {string[]}  guarded
+   * @return {this}
+   */
+  mergeGuarded (guarded) {
+    this.guarded = [...new Set([...this.getGuarded(), ...guarded])]
+
+    return this
+  }
+
+  /**
+   * Disable all mass assignable restrictions for every async context.
+   *
+   * @param  {boolean}  [state=true]
+   * @return {void}
+   */
+  static unguard (state = true) {
+    unguarded = state
+  }
+
+  /**
+   * Enable the mass assignment restrictions.
+   *
+   * @return {void}
+   */
+  static reguard () {
+    unguarded = false
+  }
+
+  /**
+   * Determine if the current state is "unguarded".
+   *
+   * @return {boolean}
+   */
+  static isUnguarded () {
+    return unguarded || unguardedContext.getStore() === true
+  }
+
+  /**
+   * Run the given callable while being unguarded.
+   *
+   * Only the async context of the callback is unguarded, so an async callback
+   * can be awaited as a whole while concurrent requests stay guarded.
+   *
+   * @template T
+   * @param  {() => T}  callback
+   * @return {T}
+   */
+  static unguarded (callback) {
+    return unguardedContext.run(true, callback)
+  }
+
+  /**
+   * Determine if the given attribute may be mass assigned.
+   *
+   * @param  {string}  key
+   * @return {boolean}
+   */
+  isFillable (key) {
+    if (/** @type {ModelClass} */ (this.constructor).isUnguarded()) {
+      return true
+    }
+
+    // If the key is in the "fillable" array, we can of course assume that it's
+    // a fillable attribute. Otherwise, we will check the guarded array when
+    // we need to determine if the attribute is black-listed on the model.
+    if (this.getFillable().includes(key)) {
+      return true
+    }
+
+    // If the attribute is explicitly listed in the "guarded" array then we can
+    // return false immediately. This means this attribute is definitely not
+    // fillable and there is no point in going any further in this method.
+    if (this.isGuarded(key)) {
+      return false
+    }
+
+    return this.getFillable().length === 0 && !key.includes('.') && !key.startsWith('_')
+  }
+
+  /**
+   * Determine if the given key is guarded.
+   *
+   * @param  {string}  key
+   * @return {boolean}
+   */
+  isGuarded (key) {
+    const guarded = this.getGuarded()
+
+    if (guarded.length === 0) {
+      return false
+    }
+
+    const column = key.split('->')[0].toLowerCase()
+
+    return this.totallyGuarded() ||
+      guarded.some(guardedColumn => guardedColumn === '*' || guardedColumn.toLowerCase() === column) ||
+      !this.isGuardableColumn(key)
+  }
+
+  /**
+   * Determine if the given column is a valid, guardable column.
+   *
+   * Until the column listing of the table has been loaded only plain column
+   * names are accepted, which keeps padded names and JSON paths out of it.
+   *
+   * @protected
+   * @param  {string}  key
+   * @return {boolean}
+   */
+  isGuardableColumn (key) {
+    if (this.hasSetMutator(key) || this.isClassCastable(key)) {
+      return true
+    }
+
+    const columns = guardableColumns.get(this.constructor)
+
+    if (columns === undefined) {
+      return /^\w+$/.test(key)
+    }
+
+    return columns.includes(key)
+  }
+
+  /**
+   * Load the column listing the guarded attributes are checked against.
+   *
+   * @return {Promise<this>}
+   */
+  async loadGuardableColumns () {
+    if (this.getGuarded().length === 0 || this.totallyGuarded() || guardableColumns.has(this.constructor)) {
+      return this
+    }
+
+    const columns = await this.getConnection().getSchemaBuilder().getColumnListing(this.getTable())
+
+    if (columns.length > 0) {
+      guardableColumns.set(this.constructor, columns)
+    }
+
+    return this
+  }
+
+  /**
+   * Determine if the model is totally guarded.
+   *
+   * @return {boolean}
+   */
+  totallyGuarded () {
+    return this.getFillable().length === 0 &&
+      this.getGuarded().length === 1 && this.getGuarded()[0] === '*'
+  }
+
+  /**
+   * Get the fillable attributes of a given array.
+   *
+   * @protected
+   * @param  {Record<string, any>}  attributes
+   * @return {Record<string, any>}
+   */
+  fillableFromArray (attributes) {
+    if (this.getFillable().length > 0 && !(/** @type {ModelClass} */ (this.constructor).isUnguarded())) {
+      return Object.fromEntries(
+        Object.entries(attributes).filter(([key]) => this.getFillable().includes(key))
+      )
+    }
+
+    return attributes
+  }
+}
+
+export default GuardsAttributes
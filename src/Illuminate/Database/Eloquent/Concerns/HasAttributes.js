@@ -0,0 +1,1468 @@
+import { camelCase, isNil, isNumeric, isPlainObject, pascalCase, snakeCase } from '@devnetic/utils'
+
+import Collection from '../../../Collections/Collection.js'
+import { formatDate } from '../../../Support/helpers.js'
+
+/** @typedef {import('../../../Contracts/Database/Eloquent/CastsAttributes.js').default} CastsAttributes */
+/** @typedef {import('../../../Contracts/Encryption/Encrypter.js').default} Encrypter */
+/** @typedef {typeof import('../Model.js').default} ModelClass */
+
+/**
+ * A resolved caster may also opt out of the object caching, or serialize the
+ * attribute for the array form of the model.
+ *
+ * @typedef {CastsAttributes & { serialize?: Function, withoutObjectCaching?: boolean }} Caster
+ */
+
+/**
+ * A cast is either one of the built-in cast type names, a class implementing
+ * the "get" and "set" methods of CastsAttributes, an instance of such class,
+ * or a class with a static "castUsing" method returning one of those.
+ *
+ * @typedef {string|Function|CastsAttributes} CastType
+ */
+
+const HasAttributes = (superclass) => class extends superclass {
+  /**
+   * The built-in, primitive cast types supported by Eloquent.
+   *
+   * @type {string[]}
+   */
+  static primitiveCastTypes = [
+    'array',
+    'bool',
+    'boolean',
+    'collection',
+    'custom_datetime',
+    'date',
+    'datetime',
+    'decimal',
+    'double',
+    'encrypted',
+    'encrypted:array',
+    'encrypted:collection',
+    'encrypted:json',
+    'encrypted:object',
+    'float',
+    'int',
+    'integer',
+    'json',
+    'object',
+    'real',
+    'string',
+    'timestamp'
+  ]
+
+  /**
+   * The encrypter instance that is used to encrypt attributes.
+   *
+   * @type {Encrypter|undefined}
+   */
+  static encrypter
+
+  /**
+   * Indicates whether attributes are snake cased on arrays.
+   *
+   * @type {boolean}
+   */
+  static snakeAttributes = true
+
+  /**
+   * The cache of the mutated attributes for each class.
+   *
+   * @protected
+   * @type {Map<Function, string[]>}
+   */
+  static mutatorCache = new Map()
+
+  /**
+   * The model's attributes.
+   *
+   * @protected
+   * @type {Record<string, any>}
+   */
+  attributes = {}
+
+  /**
+   * The model attribute's original state.
+   *
+   * @protected
+   * @type {Record<string, any>}
+   */
+  original = {}
+
+  /**
+   * The changed model attributes.
+   *
+   * @protected
+   * @type {Record<string, any>}
+   */
+  changes = {}
+
+  /**
+   * The storage format of the model's date columns.
+   *
+   * @protected
+   * @type {string|undefined}
+   */
+  dateFormat = /** @type {ModelClass} */ (this.constructor).dateFormat
+
+  /**
+   * The attributes that should be cast.
+   *
+   * @protected
+   * @type {Record<string, CastType>}
+   */
+  casts = { ...(/** @type {ModelClass} */ (this.constructor).casts) }
+
+  /**
+   * The attributes that have been cast using custom classes.
+   *
+   * @protected
+   * @type {Record<string, any>}
+   */
+  classCastCache = {}
+
+  /**
+   * The accessors to append to the model's array form.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  appends = [...(/** @type {ModelClass} */ (this.constructor).appends ?? [])]
+
+  /**
+   * Convert the model's attributes to an array.
+   *
+   * @return {Record<string, any>}
+   */
+  attributesToArray () {
+    // If an attribute is a date, we will cast it to a string after converting it
+    // to a Date instance. This is so we will get some consistent formatting
+    // while accessing attributes vs. arraying / JSONing a model instance.
+    let attributes = this.addDateAttributesToArray(this.getArrayableAttributes())
+
+    const mutatedAttributes = this.getMutatedAttributes()
+
+    attributes = this.addMutatedAttributesToArray(attributes, mutatedAttributes)
+
+    // Next we will handle any casts that have been setup for this model and cast
+    // the values to their appropriate type. If the attribute has a mutator we
+    // will not perform the cast on those attributes to avoid any confusion.
+    attributes = this.addCastAttributesToArray(attributes, mutatedAttributes)
+
+    // Here we will grab all of the appended, calculated attributes to this model
+    // as these attributes are not really in the attributes array, but are run
+    // when we need to array or JSON the model for convenience to the coder.
+    for (const key of this.getArrayableAppends()) {
+      attributes[key] = this.mutateAttributeForArray(key, null)
+    }
+
+    return attributes
+  }
+
+  /**
+   * Add the date attributes to the attributes array.
+   *
+   * The date castable attributes are left to the casts, so they are only
+   * serialized once and with the format of their cast.
+   *
+   * @protected
+   * @param  {Record<string, any>}  attributes
+   * @return {Record<string, any>}
+   */
+  addDateAttributesToArray (attributes) {
+    for (const key of this.getDates()) {
+      if (isNil(attributes[key]) || this.isDateCastable(key)) {
+        continue
+      }
+
+      attributes[key] = this.serializeDate(this.asDateTime(attributes[key]))
+    }
+
+    return attributes
+  }
+
+  /**
+   * Add the mutated attributes to the attributes array.
+   *
+   * @protected
+   * @param  {Record<string, any>}  attributes
+   * @param  {string[]}  mutatedAttributes
+   * @return {Record<string, any>}
+   */
+  addMutatedAttributesToArray (attributes, mutatedAttributes) {
+    for (const key of mutatedAttributes) {
+      // We want to spin through all the mutated attributes for this model and call
+      // the mutator for the attribute. We cache off every mutated attributes so
+      // we don't have to constantly check on attributes that actually change.
+      if (!Reflect.has(attributes, key)) {
+        continue
+      }
+
+      // Next, we will call the mutator for this attribute so that we can get these
+      // mutated attribute's actual values. After we finish mutating each of the
+      // attributes we will return this final array of the mutated attributes.
+      attributes[key] = this.mutateAttributeForArray(key, attributes[key])
+    }
+
+    return attributes
+  }
+
+  /**
+   * Add the casted attributes to the attributes array.
+   *
+   * @protected
+   * @param  {Record<string, any>}  attributes
+   * @param  {string[]}  mutatedAttributes
+   * @return {Record<string, any>}
+   */
+  addCastAttributesToArray (attributes, mutatedAttributes) {
+    for (const [key, cast] of Object.entries(this.getCasts())) {
+      if (!Reflect.has(attributes, key) || mutatedAttributes.includes(key)) {
+        continue
+      }
+
+      // Here we will cast the attribute. Then, if the cast is a date or datetime cast
+      // then we will serialize the date for the array. This will convert the dates
+      // to strings based on the date format specified for these Eloquent models.
+      let value = this.castAttribute(key, attributes[key])
+
+      // If the attribute cast was a date or a datetime, we will serialize the date as
+      // a string. This allows the developers to customize how dates are serialized
+      // into an array without affecting how they are persisted into the storage.
+      if (!isNil(value) && ['date', 'datetime'].includes(String(this.getCastType(key)))) {
+        value = this.serializeDate(value)
+      }
+
+      if (!isNil(value) && this.isCustomDateTimeCast(cast)) {
+        value = formatDate(value, String(cast).split(':').slice(1).join(':'))
+      }
+
+      if (this.isClassSerializable(key)) {
+        value = this.serializeClassCastableAttribute(key, value)
+      }
+
+      attributes[key] = typeof value?.toArray === 'function' ? value.toArray() : value
+    }
+
+    return attributes
+  }
+
+  /**
+   * Get an attribute array of all arrayable attributes.
+   *
+   * @protected
+   * @return {Record<string, any>}
+   */
+  getArrayableAttributes () {
+    return this.getArrayableItems(this.getAttributes())
+  }
+
+  /**
+   * Get all of the appendable values that are arrayable.
+   *
+   * @protected
+   * @return {string[]}
+   */
+  getArrayableAppends () {
+    if (this.appends.length === 0) {
+      return []
+    }
+
+    return Object.keys(this.getArrayableItems(Object.fromEntries(this.appends.map(key => [key, key]))))
+  }
+
+  /**
+   * Get the model's relationships in array form.
+   *
+   * @return {Record<string, any>}
+   */
+  relationsToArray () {
+    const attributes = {}
+
+    for (let [key, value] of Object.entries(this.getArrayableRelations())) {
+      // If the relationships snake-casing is enabled, we will snake case this
+      // key so that the relation attribute is snake cased in this returned
+      // array to the developers, making this consistent with attributes.
+      if (/** @type {ModelClass} */ (this.constructor).snakeAttributes) {
+        key = snakeCase(key)
+      }
+
+      // If the values implement the Arrayable interface we can just call this
+      // toArray method on the instances which will convert both models and
+      // collections to their proper array form and we'll set the values.
+      if (typeof value?.toArray === 'function') {
+        attributes[key] = value.toArray()
+      } else if (isNil(value)) {
+        attributes[key] = null
+      }
+    }
+
+    return attributes
+  }
+
+  /**
+   * Get an attribute array of all arrayable relations.
+   *
+   * @protected
+   * @return {Record<string, any>}
+   */
+  getArrayableRelations () {
+    return this.getArrayableItems(this.relations)
+  }
+
+  /**
+   * Get an attribute array of all arrayable values.
+   *
+   * @protected
+   * @param  {Record<string, any>}  values
+   * @return {Record<string, any>}
+   */
+  getArrayableItems (values) {
+    let entries = Object.entries(values)
+
+    if (this.getVisible().length > 0) {
+      entries = entries.filter(([key]) => this.getVisible().includes(key))
+    }
+
+    if (this.getHidden().length > 0) {
+      entries = entries.filter(([key]) => !this.getHidden().includes(key))
+    }
+
+    return Object.fromEntries(entries)
+  }
+
+  /**
+   * Get an attribute from the model.
+   *
+   * @param  {string}  key
+   * @return {any}
+   */
+  getAttribute (key) {
+    if (!key) {
+      return
+    }
+
+    // If the attribute exists in the attribute array or has a "get" mutator we will
+    // get the attribute's value. Otherwise, we will proceed as if the developers
+    // are asking for a relationship's value. This covers both types of values.
+    if (Reflect.has(this.attributes, key) || Reflect.has(this.casts, key) || this.hasGetMutator(key)) {
+      return this.getAttributeValue(key)
+    }
+
+    return this.getRelationValue(key)
+  }
+
+  /**
+   * Get a plain attribute (not a relationship).
+   *
+   * @param  {string}  key
+   * @return {any}
+   */
+  getAttributeValue (key) {
+    return this.transformModelValue(key, this.getAttributeFromArray(key))
+  }
+
+  /**
+   * Get an attribute from the attributes array.
+   *
+   * @protected
+   * @param  {string}  key
+   * @return {any}
+   */
+  getAttributeFromArray (key) {
+    return this.getAttributes()[key]
+  }
+
+  /**
+   * Get a relationship.
+   *
+   * Relationships are queried asynchronously, so only the ones that have
+   * already been loaded can be read as attributes.
+   *
+   * @param  {string}  key
+   * @return {any}
+   */
+  getRelationValue (key) {
+    // If the key already exists in the relationships array, it just means the
+    // relationship has already been loaded, so we'll just return it out of
+    // here because there is no need to query within the relations twice.
+    if (this.relationLoaded(key)) {
+      return this.relations[key]
+    }
+  }
+
+  /**
+   * Transform a raw model value using mutators.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @return {any}
+   */
+  transformModelValue (key, value) {
+    // If the attribute has a get mutator, we will call that then return what
+    // it returns as the value, which is useful for transforming values on
+    // retrieval from the model to a form that is more useful for usage.
+    if (this.hasGetMutator(key)) {
+      return this.mutateAttribute(key, value)
+    }
+
+    // If the attribute exists within the cast array, we will convert it to
+    // an appropriate native JavaScript type dependent upon the associated
+    // value given with the key in the pair, before handing it back out.
+    if (this.hasCast(key)) {
+      return this.castAttribute(key, value)
+    }
+
+    // If the attribute is listed as a date, we will convert it to a Date
+    // instance on retrieval, which makes it quite convenient to work with
+    // date fields without having to create a mutator for each property.
+    if (!isNil(value) && this.getDates().includes(key)) {
+      return this.asDateTime(value)
+    }
+
+    return value
+  }
+
+  /**
+   * Determine if a get mutator exists for an attribute.
+   *
+   * @param  {string}  key
+   * @return {boolean}
+   */
+  hasGetMutator (key) {
+    const method = `get${pascalCase(key)}Attribute`
+
+    return Reflect.has(this, method) && typeof this[method] === 'function'
+  }
+
+  /**
+   * Get the value of an attribute using its mutator.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @return {any}
+   */
+  mutateAttribute (key, value) {
+    return this[`get${pascalCase(key)}Attribute`](value)
+  }
+
+  /**
+   * Get the value of an attribute using its mutator for array conversion.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @return {any}
+   */
+  mutateAttributeForArray (key, value) {
+    value = this.mutateAttribute(key, value)
+
+    return typeof value?.toArray === 'function' ? value.toArray() : value
+  }
+
+  /**
+   * Set a given attribute on the model.
+   *
+   * @param  {string}  key
+   * @param  {any}  value
+   * @return {this}
+   */
+  setAttribute (key, value) {
+    // First we will check for the presence of a mutator for the set operation
+    // which simply lets the developers tweak the attribute as it is set on
+    // this model, such as "json_encoding" a listing of data for storage.
+    if (this.hasSetMutator(key)) {
+      this.setMutatedAttributeValue(key, value)
+
+      return this
+    }
+
+    // If an attribute is listed as a "date", we'll convert it from a Date
+    // instance into a form proper for storage on the database tables using
+    // the connection grammar's date format. We will auto set the values.
+    if (!isNil(value) && this.isDateAttribute(key)) {
+      value = this.fromDateTime(value)
+    }
+
+    if (this.isClassCastable(key)) {
+      this.setClassCastableAttribute(key, value)
+
+      return this
+    }
+
+    if (!isNil(value) && this.isJsonCastable(key)) {
+      value = this.castAttributeAsJson(key, value)
+    }
+
+    if (!isNil(value) && this.isEncryptedCastable(key)) {
+      value = this.castAttributeAsEncryptedString(key, value)
+    }
+
+    this.attributes[key] = value
+
+    return this
+  }
+
+  /**
+   * Determine if a set mutator exists for an attribute.
+   *
+   * @param  {string}  key
+   * @return {boolean}
+   */
+  hasSetMutator (key) {
+    const method = `set${pascalCase(key)}Attribute`
+
+    return Reflect.has(this, method) && typeof this[method] === 'function'
+  }
+
+  /**
+   * Set the value of an attribute using its mutator.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @return {any}
+   */
+  setMutatedAttributeValue (key, value) {
+    return this[`set${pascalCase(key)}Attribute`](value)
+  }
+
+  /**
+   * Cast an attribute to a native JavaScript type.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @return {any}
+   */
+  castAttribute (key, value) {
+    let castType = this.getCastType(key)
+
+    if (isNil(value) && typeof castType === 'string' && /** @type {ModelClass} */ (this.constructor).primitiveCastTypes.includes(castType)) {
+      return value
+    }
+
+    // If the key is one of the encrypted castable types, we'll first decrypt
+    // the value and update the cast type so we may leverage the following
+    // logic for casting this value to any additionally specified types.
+    if (this.isEncryptedCastable(key)) {
+      value = this.fromEncryptedString(value)
+
+      castType = String(castType).split(':')[1] ?? 'string'
+    }
+
+    switch (castType) {
+      case 'int':
+      case 'integer':
+        return Math.trunc(Number(value))
+      case 'real':
+      case 'float':
+      case 'double':
+        return this.fromFloat(value)
+      case 'decimal':
+        return this.asDecimal(value, String(this.getCasts()[key]).split(':')[1])
+      case 'string':
+        return String(value)
+      case 'bool':
+      case 'boolean':
+        return typeof value === 'string' && isNumeric(value) ? Number(value) !== 0 : Boolean(value)
+      case 'object':
+      case 'array':
+      case 'json':
+        return this.fromJson(value)
+      case 'collection':
+        return new Collection(this.fromJson(value))
+      case 'date':
+        return this.asDate(value)
+      case 'datetime':
+      case 'custom_datetime':
+        return this.asDateTime(value)
+      case 'timestamp':
+        return this.asTimestamp(value)
+    }
+
+    if (this.isClassCastable(key)) {
+      return this.getClassCastableAttributeValue(key, value)
+    }
+
+    return value
+  }
+
+  /**
+   * Cast the given attribute using a custom cast class.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @return {any}
+   */
+  getClassCastableAttributeValue (key, value) {
+    const caster = this.resolveCasterClass(key)
+
+    const objectCachingDisabled = caster.withoutObjectCaching ?? false
+
+    if (Reflect.has(this.classCastCache, key) && !objectCachingDisabled) {
+      return this.classCastCache[key]
+    }
+
+    // Inbound casts only transform the values that are set on the model, so
+    // the stored value is given back untouched when the attribute is read.
+    if (typeof caster.get !== 'function') {
+      return value
+    }
+
+    value = caster.get(/** @type {any} */ (this), key, value, this.attributes)
+
+    if (typeof value === 'object' && value !== null && !objectCachingDisabled) {
+      this.classCastCache[key] = value
+    } else {
+      delete this.classCastCache[key]
+    }
+
+    return value
+  }
+
+  /**
+   * Set the value of a class castable attribute.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @return {void}
+   */
+  setClassCastableAttribute (key, value) {
+    const caster = this.resolveCasterClass(key)
+
+    this.attributes = {
+      ...this.attributes,
+      ...this.normalizeCastClassResponse(key, caster.set(/** @type {any} */ (this), key, value, this.attributes))
+    }
+
+    if (typeof value === 'object' && value !== null && !caster.withoutObjectCaching) {
+      this.classCastCache[key] = value
+    } else {
+      delete this.classCastCache[key]
+    }
+  }
+
+  /**
+   * Merge the cast class attributes back into the model.
+   *
+   * The cached values may have been mutated after they were read, so they are
+   * set again to keep the raw attributes in sync with them.
+   *
+   * @protected
+   * @return {void}
+   */
+  mergeAttributesFromCachedCasts () {
+    for (const [key, value] of Object.entries(this.classCastCache)) {
+      const caster = this.resolveCasterClass(key)
+
+      this.attributes = {
+        ...this.attributes,
+        ...this.normalizeCastClassResponse(key, caster.set(/** @type {any} */ (this), key, value, this.attributes))
+      }
+    }
+  }
+
+  /**
+   * Normalize the response from a custom class caster.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @return {Record<string, any>}
+   */
+  normalizeCastClassResponse (key, value) {
+    return isPlainObject(value) ? value : { [key]: value }
+  }
+
+  /**
+   * Resolve the custom caster class for a given key.
+   *
+   * @protected
+   * @param  {string}  key
+   * @return {Caster}
+   */
+  resolveCasterClass (key) {
+    /** @type {any} */
+    let Caster = this.getCasts()[key]
+
+    if (typeof Caster === 'function' && typeof Caster.castUsing === 'function') {
+      Caster = Caster.castUsing([])
+    }
+
+    return typeof Caster === 'function' ? new Caster() : Caster
+  }
+
+  /**
+   * Cast the given attribute to JSON.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @return {string}
+   *
+   * @throws {Error}
+   */
+  castAttributeAsJson (key, value) {
+    try {
+      return JSON.stringify(value instanceof Collection ? value.all() : value)
+    } catch (error) {
+      throw new Error(`JsonEncodingException: Unable to encode attribute [${key}] for model [${this.constructor.name}] to JSON: ${/** @type {Error} */ (error).message}.`)
+    }
+  }
+
+  /**
+   * Decode the given JSON back into an array or object.
+   *
+   * @param  {any}  value
+   * @return {any}
+   */
+  fromJson (value) {
+    return typeof value === 'string' ? JSON.parse(value) : value
+  }
+
+  /**
+   * Decrypt the given encrypted string.
+   *
+   * @param  {string}  value
+   * @return {any}
+   */
+  fromEncryptedString (value) {
+    return /** @type {ModelClass} */ (this.constructor).currentEncrypter().decrypt(value, false)
+  }
+
+  /**
+   * Cast the given attribute to an encrypted string.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @return {string}
+   */
+  castAttributeAsEncryptedString (key, value) {
+    return /** @type {ModelClass} */ (this.constructor).currentEncrypter().encrypt(value, false)
+  }
+
+  /**
+   * Set the encrypter instance that will be used to encrypt attributes.
+   *
+   * @param  {Encrypter|undefined}  encrypter
+   * @return {void}
+   */
+  static encryptUsing (encrypter) {
+    this.encrypter = encrypter
+  }
+
+  /**
+   * Get the current encrypter being used by the model.
+   *
+   * @protected
+   * @return {Encrypter}
+   */
+  static currentEncrypter () {
+    if (this.encrypter === undefined || this.encrypter === null) {
+      throw new Error('RuntimeException: No encrypter has been set, call Model.encryptUsing() before using the encrypted casts.')
+    }
+
+    return this.encrypter
+  }
+
+  /**
+   * Decode the given float.
+   *
+   * @param  {any}  value
+   * @return {number}
+   */
+  fromFloat (value) {
+    return Number(value)
+  }
+
+  /**
+   * Return a decimal as string.
+   *
+   * @protected
+   * @param  {any}  value
+   * @param  {string|number}  decimals
+   * @return {string}
+   */
+  asDecimal (value, decimals) {
+    return Number(value).toFixed(Number(decimals ?? 0))
+  }
+
+  /**
+   * Return a timestamp as a Date object with time set to 00:00:00.
+   *
+   * @protected
+   * @param  {any}  value
+   * @return {Date}
+   */
+  asDate (value) {
+    const date = this.asDateTime(value)
+
+    date.setHours(0, 0, 0, 0)
+
+    return date
+  }
+
+  /**
+   * Return a timestamp as a Date object.
+   *
+   * @protected
+   * @param  {any}  value
+   * @return {Date}
+   */
+  asDateTime (value) {
+    // If this value is already a Date instance, we shall just return a copy
+    // of it, so changing the returned date never changes the model's value.
+    if (value instanceof Date) {
+      return new Date(value.getTime())
+    }
+
+    // If this value is an integer, we will assume it is a UNIX timestamp's value
+    // and format a Date object from this timestamp. This allows flexibility
+    // when defining your date fields as they might be UNIX timestamps here.
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+      return new Date(Number(value) * 1000)
+    }
+
+    // If the value is in simply year, month, day format, we will instantiate the
+    // Date instances from that format. Again, this provides for simple date
+    // fields on the database, while still supporting Date conversion.
+    const date = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value)
+
+    if (date !== null) {
+      return new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3]))
+    }
+
+    return new Date(value)
+  }
+
+  /**
+   * Return a timestamp as unix timestamp.
+   *
+   * @protected
+   * @param  {any}  value
+   * @return {number}
+   */
+  asTimestamp (value) {
+    return Math.floor(this.asDateTime(value).getTime() / 1000)
+  }
+
+  /**
+   * Get the attributes that should be converted to dates.
+   *
+   * @return {string[]}
+   */
+  getDates () {
+    if (!this.usesTimestamps()) {
+      return []
+    }
+
+    return [this.getCreatedAtColumn(), this.getUpdatedAtColumn()].filter(column => !isNil(column))
+  }
+
+  /**
+   * Get the casts array.
+   *
+   * @return {Record<string, CastType>}
+   */
+  getCasts () {
+    if (this.getIncrementing()) {
+      return { [this.getKeyName()]: this.getKeyType(), ...this.casts }
+    }
+
+    return this.casts
+  }
+
+  /**
+   * Merge new casts with existing casts on the model.
+   *
+   * @param  {Record<string, CastType>}  casts
+   * @return {this}
+   */
+  mergeCasts (casts) {
+    this.casts = { ...this.casts, ...casts }
+
+    return this
+  }
+
+  /**
+   * Determine whether an attribute should be cast to a native type.
+   *
+   * @param  {string}  key
+   * @param  {string[]|string}  [types]
+   * @return {boolean}
+   */
+  hasCast (key, types) {
+    if (Reflect.has(this.getCasts(), key)) {
+      return types === undefined || [types].flat().includes(String(this.getCastType(key)))
+    }
+
+    return false
+  }
+
+  /**
+   * Get the type of cast for a model attribute.
+   *
+   * @protected
+   * @param  {string}  key
+   * @return {CastType}
+   */
+  getCastType (key) {
+    const castType = this.getCasts()[key]
+
+    if (typeof castType !== 'string') {
+      return castType
+    }
+
+    if (/^(date|datetime):/.test(castType)) {
+      return 'custom_datetime'
+    }
+
+    if (castType.startsWith('decimal:')) {
+      return 'decimal'
+    }
+
+    return castType.trim().toLowerCase()
+  }
+
+  /**
+   * Determine whether a value is Date castable for inbound manipulation.
+   *
+   * @protected
+   * @param  {string}  key
+   * @return {boolean}
+   */
+  isDateCastable (key) {
+    return this.hasCast(key, ['date', 'datetime', 'custom_datetime'])
+  }
+
+  /**
+   * Determine if the given attribute is a date or date castable.
+   *
+   * @protected
+   * @param  {string}  key
+   * @return {boolean}
+   */
+  isDateAttribute (key) {
+    return this.getDates().includes(key) || this.isDateCastable(key)
+  }
+
+  /**
+   * Determine whether a value is JSON castable for inbound manipulation.
+   *
+   * @protected
+   * @param  {string}  key
+   * @return {boolean}
+   */
+  isJsonCastable (key) {
+    return this.hasCast(key, [
+      'array', 'json', 'object', 'collection', 'encrypted:array', 'encrypted:collection', 'encrypted:json', 'encrypted:object'
+    ])
+  }
+
+  /**
+   * Determine whether a value is an encrypted castable for inbound manipulation.
+   *
+   * @protected
+   * @param  {string}  key
+   * @return {boolean}
+   */
+  isEncryptedCastable (key) {
+    return this.hasCast(key, [
+      'encrypted', 'encrypted:array', 'encrypted:collection', 'encrypted:json', 'encrypted:object'
+    ])
+  }
+
+  /**
+   * Determine if the given key is cast using a custom class.
+   *
+   * @protected
+   * @param  {string}  key
+   * @return {boolean}
+   *
+   * @throws {Error}
+   */
+  isClassCastable (key) {
+    const casts = this.getCasts()
+
+    if (!Reflect.has(casts, key)) {
+      return false
+    }
+
+    const cast = casts[key]
+
+    if (typeof cast !== 'string') {
+      return true
+    }
+
+    const castType = cast.split(':')[0]
+
+    if (/** @type {ModelClass} */ (this.constructor).primitiveCastTypes.includes(castType)) {
+      return false
+    }
+
+    throw new Error(`InvalidCastException: Call to undefined cast [${castType}] on column [${key}] in model [${this.constructor.name}].`)
+  }
+
+  /**
+   * Determine if the cast type is a custom date time cast.
+   *
+   * @protected
+   * @param  {CastType}  cast
+   * @return {boolean}
+   */
+  isCustomDateTimeCast (cast) {
+    return typeof cast === 'string' && /^(date|datetime):/.test(cast)
+  }
+
+  /**
+   * Determine if the key is serializable using a custom class.
+   *
+   * @protected
+   * @param  {string}  key
+   * @return {boolean}
+   */
+  isClassSerializable (key) {
+    return !this.hasCast(key, /** @type {ModelClass} */ (this.constructor).primitiveCastTypes) &&
+      this.isClassCastable(key) &&
+      typeof this.resolveCasterClass(key).serialize === 'function'
+  }
+
+  /**
+   * Serialize the given attribute using the custom cast class.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @return {any}
+   */
+  serializeClassCastableAttribute (key, value) {
+    return this.resolveCasterClass(key).serialize?.(this, key, value, this.attributes)
+  }
+
+  /**
+   * Convert a Date to a storable string.
+   *
+   * @param  {Date|string|number|null|undefined}  value
+   * @return {string|null|undefined}
+   */
+  fromDateTime (value) {
+    if (value === null || value === undefined) {
+      return value
+    }
+
+    return formatDate(value instanceof Date ? value : new Date(value), this.getDateFormat())
+  }
+
+  /**
+   * Prepare a date for array / JSON serialization.
+   *
+   * Override it on a model to serialize its dates with a different format.
+   *
+   * @protected
+   * @param  {Date}  date
+   * @return {string}
+   */
+  serializeDate (date) {
+    return date.toISOString()
+  }
+
+  /**
+   * Get the format for database stored dates.
+   *
+   * @return {string}
+   */
+  getDateFormat () {
+    return this.dateFormat ?? this.getConnection().getQueryGrammar().getDateFormat()
+  }
+
+  /**
+   * Set the date format used by the model.
+   *
+   * @param  {string}  format
+   * @return {this}
+   */
+  setDateFormat (format) {
+    this.dateFormat = format
+
+    return this
+  }
+
+  /**
+   * Get all of the current attributes on the model.
+   *
+   * @return {Record<string, any>}
+   */
+  getAttributes () {
+    this.mergeAttributesFromCachedCasts()
+
+    return this.attributes
+  }
+
+  /**
+   * Set the array of model attributes. No checking is done.
+   *
+   * @param  {Record<string, any>}  attributes
+   * @param  {boolean}  [sync=false]
+   * @return {this}
+   */
+  setRawAttributes (attributes, sync = false) {
+    this.attributes = { ...attributes }
+
+    this.classCastCache = {}
+
+    if (sync) {
+      this.syncOriginal()
+    }
+
+    return this
+  }
+
+  /**
+   * Get the model's original attribute values, cast like the current ones.
+   *
+   * @param  {string}  [key]
+   * @param  {any}  [defaultValue]
+   * @return {any}
+   */
+  getOriginal (key, defaultValue) {
+    // The original values are cast by a copy of the model holding them as its
+    // attributes, so the casts of custom classes that are cached on the model
+    // keep reflecting its current attributes instead of the original ones.
+    return /** @type {any} */ (this).newInstance()
+      .setRawAttributes(this.original, true)
+      .getOriginalWithoutRewindingModel(key, defaultValue)
+  }
+
+  /**
+   * Get the model's original attribute values, cast without rewinding the model.
+   *
+   * @protected
+   * @param  {string}  [key]
+   * @param  {any}  [defaultValue]
+   * @return {any}
+   */
+  getOriginalWithoutRewindingModel (key, defaultValue) {
+    if (key !== undefined) {
+      return this.transformModelValue(key, this.original[key] ?? defaultValue)
+    }
+
+    return Object.fromEntries(Object.entries(this.original).map(([key, value]) => {
+      return [key, this.transformModelValue(key, value)]
+    }))
+  }
+
+  /**
+   * Get the model's raw original attribute values.
+   *
+   * @param  {string}  [key]
+   * @param  {any}  [defaultValue]
+   * @return {any}
+   */
+  getRawOriginal (key, defaultValue) {
+    if (key === undefined) {
+      return { ...this.original }
+    }
+
+    return this.original[key] ?? defaultValue
+  }
+
+  /**
+   * Get a subset of the model's attributes.
+   *
+   * @param  {...(string|string[])}  attributes
+   * @return {Record<string, any>}
+   */
+  only (...attributes) {
+    const results = {}
+
+    for (const attribute of attributes.flat()) {
+      results[attribute] = this.getAttribute(attribute)
+    }
+
+    return results
+  }
+
+  /**
+   * Sync the original attributes with the current.
+   *
+   * @return {this}
+   */
+  syncOriginal () {
+    this.original = { ...this.getAttributes() }
+
+    return this
+  }
+
+  /**
+   * Sync a single original attribute with its current value.
+   *
+   * @param  {string}  attribute
+   * @return {this}
+   */
+  syncOriginalAttribute (attribute) {
+    return this.syncOriginalAttributes(attribute)
+  }
+
+  /**
+   * Sync multiple original attribute with their current values.
+   *
+   * @param  {...(string|string[])}  attributes
+   * @return {this}
+   */
+  syncOriginalAttributes (...attributes) {
+    const modelAttributes = this.getAttributes()
+
+    for (const attribute of attributes.flat()) {
+      this.original[attribute] = modelAttributes[attribute]
+    }
+
+    return this
+  }
+
+  /**
+   * Sync the changed attributes.
+   *
+   * @return {this}
+   */
+  syncChanges () {
+    this.changes = this.getDirty()
+
+    return this
+  }
+
+  /**
+   * Determine if the model or any of the given attribute(s) have been modified.
+   *
+   * @param  {...(string|string[])}  attributes
+   * @return {boolean}
+   */
+  isDirty (...attributes) {
+    return this.hasChanges(this.getDirty(), attributes.flat())
+  }
+
+  /**
+   * Determine if the model or all the given attribute(s) have remained the same.
+   *
+   * @param  {...(string|string[])}  attributes
+   * @return {boolean}
+   */
+  isClean (...attributes) {
+    return !this.isDirty(...attributes)
+  }
+
+  /**
+   * Determine if the model or any of the given attribute(s) were changed when the model was last saved.
+   *
+   * @param  {...(string|string[])}  attributes
+   * @return {boolean}
+   */
+  wasChanged (...attributes) {
+    return this.hasChanges(this.getChanges(), attributes.flat())
+  }
+
+  /**
+   * Determine if any of the given attributes were changed in the given array of changes.
+   *
+   * @protected
+   * @param  {Record<string, any>}  changes
+   * @param  {string[]}  [attributes]
+   * @return {boolean}
+   */
+  hasChanges (changes, attributes = []) {
+    // If no specific attributes were provided, we will just see if the dirty array
+    // already contains any attributes. If it does we will just return that this
+    // count is greater than zero. Else, we need to check specific attributes.
+    if (attributes.length === 0) {
+      return Object.keys(changes).length > 0
+    }
+
+    // Here we will spin through every attribute and see if this is in the array of
+    // dirty attributes. If it is, we will return true and if we make it through
+    // all of the attributes for the entire array we will return false at end.
+    return attributes.some(attribute => Reflect.has(changes, attribute))
+  }
+
+  /**
+   * Get the attributes that have been changed since the last sync.
+   *
+   * @return {Record<string, any>}
+   */
+  getDirty () {
+    const dirty = {}
+
+    for (const [key, value] of Object.entries(this.getAttributes())) {
+      if (!this.originalIsEquivalent(key)) {
+        dirty[key] = value
+      }
+    }
+
+    return dirty
+  }
+
+  /**
+   * Get the attributes that have been changed since the last sync for an update operation.
+   *
+   * @protected
+   * @return {Record<string, any>}
+   */
+  getDirtyForUpdate () {
+    return this.getDirty()
+  }
+
+  /**
+   * Get the attributes that were changed when the model was last saved.
+   *
+   * @return {Record<string, any>}
+   */
+  getChanges () {
+    return { ...this.changes }
+  }
+
+  /**
+   * Determine if the new and old values for a given key are equivalent.
+   *
+   * @param  {string}  key
+   * @return {boolean}
+   */
+  originalIsEquivalent (key) {
+    if (!Reflect.has(this.original, key)) {
+      return false
+    }
+
+    const attribute = this.attributes[key]
+    const original = this.original[key]
+
+    if (attribute === original) {
+      return true
+    }
+
+    if (isNil(attribute)) {
+      return false
+    }
+
+    if (this.isDateAttribute(key)) {
+      return this.fromDateTime(attribute) === this.fromDateTime(original)
+    }
+
+    if (this.hasCast(key, ['object', 'collection'])) {
+      return JSON.stringify(this.fromJson(attribute)) === JSON.stringify(this.fromJson(original))
+    }
+
+    if (this.hasCast(key, ['real', 'float', 'double'])) {
+      if (isNil(original)) {
+        return false
+      }
+
+      return Math.abs(this.castAttribute(key, attribute) - this.castAttribute(key, original)) < Number.EPSILON * 4
+    }
+
+    if (this.hasCast(key, /** @type {ModelClass} */ (this.constructor).primitiveCastTypes)) {
+      const [castedAttribute, castedOriginal] = [this.castAttribute(key, attribute), this.castAttribute(key, original)]
+
+      return castedAttribute instanceof Collection
+        ? JSON.stringify(castedAttribute.all()) === JSON.stringify(castedOriginal?.all())
+        : JSON.stringify(castedAttribute) === JSON.stringify(castedOriginal)
+    }
+
+    return isNumeric(attribute) && isNumeric(original) && String(attribute) === String(original)
+  }
+
+  /**
+   * Append the given accessors to the model's array form.
+   *
+   * @param  {...(string|string[])}  attributes
+   * @return {this}
+   */
+  append (...attributes) {
+    this.appends = [...new Set([...this.appends, ...attributes.flat()])]
+
+    return this
+  }
+
+  /**
+   * Get the accessors that are being appended to model arrays.
+   *
+   * @return {string[]}
+   */
+  getAppends () {
+    return this.appends
+  }
+
+  /**
+   * Set the accessors to append to model arrays.
+   *
+   * @param  {string[]}  appends
+   * @return {this}
+   */
+  setAppends (appends) {
+    this.appends = appends
+
+    return this
+  }
+
+  /**
+   * Return whether the accessor attribute has been appended.
+   *
+   * @param  {string}  attribute
+   * @return {boolean}
+   */
+  hasAppended (attribute) {
+    return this.appends.includes(attribute)
+  }
+
+  /**
+   * Get the mutated attributes for a given instance.
+   *
+   * @return {string[]}
+   */
+  getMutatedAttributes () {
+    const model = /** @type {ModelClass} */ (this.constructor)
+
+    if (!model.mutatorCache.has(model)) {
+      model.cacheMutatedAttributes(model)
+    }
+
+    return model.mutatorCache.get(model)
+  }
+
+  /**
+   * Extract and cache all the mutated attributes of a class.
+   *
+   * @param  {Function}  classReference
+   * @return {void}
+   */
+  static cacheMutatedAttributes (classReference) {
+    this.mutatorCache.set(classReference, this.getMutatorMethods(classReference).map(match => {
+      return this.snakeAttributes ? snakeCase(match) : camelCase(match)
+    }))
+  }
+
+  /**
+   * Get all of the attribute mutator methods.
+   *
+   * @protected
+   * @param  {Function}  classReference
+   * @return {string[]}
+   */
+  static getMutatorMethods (classReference) {
+    const methods = new Set()
+
+    for (let prototype = classReference.prototype; prototype !== Object.prototype; prototype = Object.getPrototypeOf(prototype)) {
+      Object.getOwnPropertyNames(prototype).forEach(method => methods.add(method))
+    }
+
+    return [...methods]
+      .map(method => /^get(.+)Attribute$/.exec(method)?.[1])
+      .filter(/** @return {match is string} */ match => match !== undefined)
+  }
+}
+
+export default HasAttributes
@@ -0,0 +1,259 @@
+/** @typedef {import('../Model.js').default} Model */
+/** @typedef {typeof import('../Model.js').default} ModelClass */
+
+/**
+ * The listeners receive the model and may be asynchronous, so the events are
+ * awaited one by one and a "false" result of an "-ing" listener halts the
+ * operation that fired it.
+ *
+ * @typedef {(model: Model) => any} ModelListener
+ */
+
+const HasEvents = (superclass) => class extends superclass {
+  /**
+   * The event listeners registered for each model class.
+   *
+   * @protected
+   * @type {Map<Function, Map<string, ModelListener[]>>}
+   */
+  static modelListeners = new Map()
+
+  /**
+   * User exposed observable events.
+   *
+   * These are extra user-defined events observers may subscribe to.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  observables = [...(/** @type {ModelClass} */ (this.constructor).observables ?? [])]
+
+  /**
+   * Register observers with the model.
+   *
+   * @param  {...(Function|object|Array<Function|object>)}  classes
+   * @return {void}
+   */
+  static observe (...classes) {
+    const instance = /** @type {any} */ (new this())
+
+    for (const observer of classes.flat()) {
+      this.registerObserver(observer, instance)
+    }
+  }
+
+  /**
+   * Register a single observer with the model.
+   *
+   * @protected
+   * @param  {Function|object}  observer  An observer class or an instance of it.
+   * @param  {Model}  instance
+   * @return {void}
+   */
+  static registerObserver (observer, instance) {
+    /** @type {any} */
+    const Observer = observer
+
+    const observerInstance = typeof Observer === 'function' ? new Observer() : Observer
+
+    // When registering a model observer, we will spin through the possible events
+    // and determine if this observer has that method. If it does, we will hook
+    // it into the model's event system, making it convenient to watch these.
+    for (const event of instance.getObservableEvents()) {
+      if (typeof observerInstance[event] === 'function') {
+        this.registerModelEvent(event, (model) => observerInstance[event](model))
+      }
+    }
+  }
+
+  /**
+   * Get the observable event names.
+   *
+   * @return {string[]}
+   */
+  getObservableEvents () {
+    return [
+      'retrieved', 'creating', 'created', 'updating', 'updated',
+      'saving', 'saved', 'deleting', 'deleted',
+      ...this.observables
+    ]
+  }
+
+  /**
+   * Set the observable event names.
+   *
+   * @param  {string[]}  observables
+   * @return {this}
+   */
+  setObservableEvents (observables) {
+    this.observables = observables
+
+    return this
+  }
+
+  /**
+   * Add an observable event name.
+   *
+   * @param  {...(string|string[])}  observables
+   * @return {void}
+   */
+  addObservableEvents (...observables) {
+    this.observables = [...new Set([...this.observables, ...observables.flat()])]
+  }
+
+  /**
+   * Remove an observable event name.
+   *
+   * @param  {...(string|string[])}  observables
+   * @return {void}
+   */
+  removeObservableEvents (...observables) {
+    observables = observables.flat()
+
+    this.observables = this.observables.filter(observable => !observables.includes(observable))
+  }
+
+  /**
+   * Register a model event with the dispatcher.
+   *
+   * @protected
+   * @param  {string}  event
+   * @param  {ModelListener}  callback
+   * @return {void}
+   */
+  static registerModelEvent (event, callback) {
+    const listeners = this.modelListeners.get(this) ?? new Map()
+
+    listeners.set(event, [...(listeners.get(event) ?? []), callback])
+
+    this.modelListeners.set(this, listeners)
+  }
+
+  /**
+   * Fire the given event for the model.
+   *
+   * @protected
+   * @param  {string}  event
+   * @param  {boolean}  [halt=true]
+   * @return {Promise<boolean>}
+   */
+  async fireModelEvent (event, halt = true) {
+    const model = /** @type {ModelClass} */ (this.constructor)
+
+    const listeners = model.modelListeners.get(model)?.get(event) ?? []
+
+    for (const listener of listeners) {
+      const result = await listener(this)
+
+      // If the event is haltable and one of the listeners returns false, we will
+      // stop calling the remaining listeners and tell the caller the operation
+      // has been cancelled, so the model is not persisted in the database.
+      if (halt && result === false) {
+        return false
+      }
+    }
+
+    return true
+  }
+
+  /**
+   * Register a retrieved model event with the dispatcher.
+   *
+   * @param  {ModelListener}  callback
+   * @return {void}
+   */
+  static retrieved (callback) {
+    this.registerModelEvent('retrieved', callback)
+  }
+
+  /**
+   * Register a saving model event with the dispatcher.
+   *
+   * @param  {ModelListener}  callback
+   * @return {void}
+   */
+  static saving (callback) {
+    this.registerModelEvent('saving', callback)
+  }
+
+  /**
+   * Register a saved model event with the dispatcher.
+   *
+   * @param  {ModelListener}  callback
+   * @return {void}
+   */
+  static saved (callback) {
+    this.registerModelEvent('saved', callback)
+  }
+
+  /**
+   * Register an updating model event with the dispatcher.
+   *
+   * @param  {ModelListener}  callback
+   * @return {void}
+   */
+  static updating (callback) {
+    this.registerModelEvent('updating', callback)
+  }
+
+  /**
+   * Register an updated model event with the dispatcher.
+   *
+   * @param  {ModelListener}  callback
+   * @return {void}
+   */
+  static updated (callback) {
+    this.registerModelEvent('updated', callback)
+  }
+
+  /**
+   * Register a creating model event with the dispatcher.
+   *
+   * @param  {ModelListener}  callback
+   * @return {void}
+   */
+  static creating (callback) {
+    this.registerModelEvent('creating', callback)
+  }
+
+  /**
+   * Register a created model event with the dispatcher.
+   *
+   * @param  {ModelListener}  callback
+   * @return {void}
+   */
+  static created (callback) {
+    this.registerModelEvent('created', callback)
+  }
+
+  /**
+   * Register a deleting model event with the dispatcher.
+   *
+   * @param  {ModelListener}  callback
+   * @return {void}
+   */
+  static deleting (callback) {
+    this.registerModelEvent('deleting', callback)
+  }
+
+  /**
+   * Register a deleted model event with the dispatcher.
+   *
+   * @param  {ModelListener}  callback
+   * @return {void}
+   */
+  static deleted (callback) {
+    this.registerModelEvent('deleted', callback)
+  }
+
+  /**
+   * Remove all the event listeners for the model.
+   *
+   * @return {void}
+   */
+  static flushEventListeners () {
+    this.modelListeners.delete(this)
+  }
+}
+
+export default HasEvents
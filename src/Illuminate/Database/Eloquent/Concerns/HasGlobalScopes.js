@@ -0,0 +1,125 @@
+import { isPlainObject } from '@devnetic/utils'
+
+import Scope from '../Scope.js'
+
+/** @typedef {typeof import('../Model.js').default} ModelClass */
+
+/**
+ * The scopes are identified by their name when one is given, by their class
+ * when they are Scope instances and by the function itself for closures.
+ *
+ * @typedef {string|Function} ScopeIdentifier
+ */
+
+const HasGlobalScopes = (superclass) => class extends superclass {
+  /**
+   * The array of global scopes on the model.
+   *
+   * @protected
+   * @type {Map<Function, Map<ScopeIdentifier, Scope|Function>>}
+   */
+  static globalScopes = new Map()
+
+  /**
+   * Register a new global scope on the model.
+   *
+   * @param  {Scope|typeof Scope|Function|string}  scope
+   * @param  {Scope|typeof Scope|Function}  [implementation]
+   * @return {Scope|Function}
+   *
+   * @throws {Error}
+   */
+  static addGlobalScope (scope, implementation) {
+    /** @type {(value: unknown) => value is typeof Scope} */
+    const isScopeClass = (value) => typeof value === 'function' && value.prototype instanceof Scope
+
+    const scopes = this.globalScopes.get(this) ?? new Map()
+
+    this.globalScopes.set(this, scopes)
+
+    if (typeof scope === 'string' && isScopeClass(implementation)) {
+      const Implementation = implementation
+
+      implementation = new Implementation()
+    }
+
+    if (typeof scope === 'string' && (implementation instanceof Function || implementation instanceof Scope)) {
+      scopes.set(scope, implementation)
+
+      return implementation
+    } else if (scope instanceof Scope) {
+      scopes.set(scope.constructor, scope)
+
+      return scope
+    } else if (isScopeClass(scope)) {
+      const GlobalScope = scope
+
+      const instance = new GlobalScope()
+
+      scopes.set(scope, instance)
+
+      return instance
+    } else if (scope instanceof Function) {
+      scopes.set(scope, scope)
+
+      return scope
+    }
+
+    throw new Error('InvalidArgumentException: Global scope must be an instance of Closure or Scope or be a class name of a class extending Scope')
+  }
+
+  /**
+   * Register multiple global scopes on the model.
+   *
+   * @param  {Array<Scope|typeof Scope|Function>|Record<string, Scope|typeof Scope|Function>}  scopes
+   * @return {void}
+   */
+  static addGlobalScopes (scopes) {
+    if (isPlainObject(scopes)) {
+      for (const [key, scope] of Object.entries(scopes)) {
+        this.addGlobalScope(key, scope)
+      }
+
+      return
+    }
+
+    for (const scope of /** @type {Array<Scope|typeof Scope|Function>} */ (scopes)) {
+      this.addGlobalScope(scope)
+    }
+  }
+
+  /**
+   * Determine if a model has a global scope.
+   *
+   * @param  {Scope|typeof Scope|Function|string}  scope
+   * @return {boolean}
+   */
+  static hasGlobalScope (scope) {
+    return this.getGlobalScope(scope) !== undefined
+  }
+
+  /**
+   * Get a global scope registered with the model.
+   *
+   * @param  {Scope|typeof Scope|Function|string}  scope
+   * @return {Scope|Function|undefined}
+   */
+  static getGlobalScope (scope) {
+    return this.globalScopes.get(this)?.get(
+      scope instanceof Scope ? scope.constructor : scope
+    )
+  }
+
+  /**
+   * Get the global scopes for this class instance.
+   *
+   * @return {Map<ScopeIdentifier, Scope|Function>}
+   */
+  getGlobalScopes () {
+    const model = /** @type {ModelClass} */ (this.constructor)
+
+    return model.globalScopes.get(model) ?? new Map()
+  }
+}
+
+export default HasGlobalScopes
@@ -0,0 +1,730 @@
+import { camelCase, isNil, plural, snakeCase } from '@devnetic/utils'
+
+import Collection from '../../../Collections/Collection.js'
+
+import BelongsTo from '../Relations/BelongsTo.js'
+import BelongsToMany from '../Relations/BelongsToMany.js'
+import HasMany from '../Relations/HasMany.js'
+import HasOne from '../Relations/HasOne.js'
+import MorphMany from '../Relations/MorphMany.js'
+import MorphOne from '../Relations/MorphOne.js'
+import MorphTo from '../Relations/MorphTo.js'
+import MorphToMany from '../Relations/MorphToMany.js'
+import Relation from '../Relations/Relation.js'
+
+/** @typedef {import('../Builder.js').default} Builder */
+/** @typedef {import('../Model.js').default} Model */
+/** @typedef {typeof import('../Model.js').default} ModelClass */
+
+/**
+ * Get the names of the methods on the call stack, starting with the function
+ * that called this one. It is the closest thing to PHP's debug_backtrace().
+ *
+ * @return {Array<string|undefined>}
+ */
+const backtrace = () => {
+  return (new Error().stack ?? '').split('\n').slice(2).map(frame => {
+    return /at (?:async )?(?:\S+\.)?([^\s.]+) \(/.exec(frame)?.[1]
+  })
+}
+
+const HasRelationships = (superclass) => class extends superclass {
+  /**
+   * The many to many relationship methods.
+   *
+   * @type {string[]}
+   */
+  static manyMethods = ['belongsToMany', 'morphToMany', 'morphedByMany']
+
+  /**
+   * The loaded relationships for the model.
+   *
+   * @protected
+   * @type {Record<string, any>}
+   */
+  relations = {}
+
+  /**
+   * The relationships that should be touched on save.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  touchesProperty = [...(/** @type {ModelClass} */ (this.constructor).touches ?? [])]
+
+  /**
+   * Define a one-to-one relationship.
+   *
+   * @param  {ModelClass}  related
+   * @param  {string}  [foreignKey]
+   * @param  {string}  [localKey]
+   * @return {HasOne}
+   */
+  hasOne (related, foreignKey, localKey) {
+    const instance = this.newRelatedInstance(related)
+
+    foreignKey = foreignKey ?? this.getForeignKey()
+
+    return this.newHasOne(instance.newQuery(), /** @type {any} */ (this), `${instance.getTable()}.${foreignKey}`, localKey ?? this.getKeyName())
+  }
+
+  /**
+   * Instantiate a new HasOne relationship.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {string}  foreignKey
+   * @param  {string}  localKey
+   * @return {HasOne}
+   */
+  newHasOne (query, parent, foreignKey, localKey) {
+    return new HasOne(query, parent, foreignKey, localKey)
+  }
+
+  /**
+   * Define a polymorphic one-to-one relationship.
+   *
+   * @param  {ModelClass}  related
+   * @param  {string}  name
+   * @param  {string}  [type]
+   * @param  {string}  [id]
+   * @param  {string}  [localKey]
+   * @return {MorphOne}
+   */
+  morphOne (related, name, type, id, localKey) {
+    const instance = this.newRelatedInstance(related)
+
+    ;[type, id] = this.getMorphs(name, type, id)
+
+    const table = instance.getTable()
+
+    return this.newMorphOne(instance.newQuery(), /** @type {any} */ (this), `${table}.${type}`, `${table}.${id}`, localKey ?? this.getKeyName())
+  }
+
+  /**
+   * Instantiate a new MorphOne relationship.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {string}  type
+   * @param  {string}  id
+   * @param  {string}  localKey
+   * @return {MorphOne}
+   */
+  newMorphOne (query, parent, type, id, localKey) {
+    return new MorphOne(query, parent, type, id, localKey)
+  }
+
+  /**
+   * Define an inverse one-to-one or many relationship.
+   *
+   * @param  {ModelClass}  related
+   * @param  {string}  [foreignKey]
+   * @param  {string}  [ownerKey]
+   * @param  {string}  [relation]
+   * @return {BelongsTo}
+   */
+  belongsTo (related, foreignKey, ownerKey, relation) {
+    // If no relation name was given, we will use this debug backtrace to extract
+    // the calling method's name and use that as the relationship name as most
+    // of the time this will be what we desire to use for the relationships.
+    relation = relation ?? this.guessBelongsToRelation() ?? camelCase(related.name)
+
+    const instance = this.newRelatedInstance(related)
+
+    // If no foreign key was supplied, we can use a backtrace to guess the proper
+    // foreign key name by using the name of the relationship function, which
+    // when combined with an "_id" should conventionally match the columns.
+    foreignKey = foreignKey ?? `${snakeCase(relation)}_${instance.getKeyName()}`
+
+    // Once we have the foreign key names we'll just create a new Eloquent query
+    // for the related models and return the relationship instance which will
+    // actually be responsible for retrieving and hydrating every relation.
+    ownerKey = ownerKey ?? instance.getKeyName()
+
+    return this.newBelongsTo(instance.newQuery(), /** @type {any} */ (this), foreignKey, ownerKey, relation)
+  }
+
+  /**
+   * Instantiate a new BelongsTo relationship.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @param  {Model}  child
+   * @param  {string}  foreignKey
+   * @param  {string}  ownerKey
+   * @param  {string}  relation
+   * @return {BelongsTo}
+   */
+  newBelongsTo (query, child, foreignKey, ownerKey, relation) {
+    return new BelongsTo(query, child, foreignKey, ownerKey, relation)
+  }
+
+  /**
+   * Define a polymorphic, inverse one-to-one or many relationship.
+   *
+   * @param  {string}  [name]
+   * @param  {string}  [type]
+   * @param  {string}  [id]
+   * @param  {string}  [ownerKey]
+   * @return {MorphTo}
+   */
+  morphTo (name, type, id, ownerKey) {
+    // If no name is provided, we will use the backtrace to get the function name
+    // since that is most likely the name of the polymorphic interface. We can
+    // use that to get both the class and foreign key that will be utilized.
+    const relation = name ?? /** @type {string} */ (this.guessBelongsToRelation())
+
+    const [typeColumn, idColumn] = this.getMorphs(snakeCase(relation), type, id)
+
+    // If the type value is null it is probably safe to assume we're eager loading
+    // the relationship. In this case we'll just pass in a dummy query where we
+    // need to remove any eager loads that may already be defined on a model.
+    const morphType = this.getAttributeFromArray(typeColumn)
+
+    return isNil(morphType) || morphType === ''
+      ? this.morphEagerTo(relation, typeColumn, idColumn, ownerKey)
+      : this.morphInstanceTo(morphType, relation, typeColumn, idColumn, ownerKey)
+  }
+
+  /**
+   * Define a polymorphic, inverse one-to-one or many relationship.
+   *
+   * @protected
+   * @param  {string}  name
+   * @param  {string}  type
+   * @param  {string}  id
+   * @param  {string}  [ownerKey]
+   * @return {MorphTo}
+   */
+  morphEagerTo (name, type, id, ownerKey) {
+    return this.newMorphTo(
+      this.newQuery().setEagerLoads({}), /** @type {any} */ (this), id, ownerKey, type, name
+    )
+  }
+
+  /**
+   * Define a polymorphic, inverse one-to-one or many relationship.
+   *
+   * @protected
+   * @param  {string}  target
+   * @param  {string}  name
+   * @param  {string}  type
+   * @param  {string}  id
+   * @param  {string}  [ownerKey]
+   * @return {MorphTo}
+   */
+  morphInstanceTo (target, name, type, id, ownerKey) {
+    const instance = this.newRelatedInstance(
+      /** @type {ModelClass} */ (this.constructor).getActualClassNameForMorph(target)
+    )
+
+    return this.newMorphTo(
+      instance.newQuery(), /** @type {any} */ (this), id, ownerKey ?? instance.getKeyName(), type, name
+    )
+  }
+
+  /**
+   * Instantiate a new MorphTo relationship.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {string}  foreignKey
+   * @param  {string|undefined}  ownerKey
+   * @param  {string}  type
+   * @param  {string}  relation
+   * @return {MorphTo}
+   */
+  newMorphTo (query, parent, foreignKey, ownerKey, type, relation) {
+    return new MorphTo(query, parent, foreignKey, ownerKey, type, relation)
+  }
+
+  /**
+   * Retrieve the actual class name for a given morph class.
+   *
+   * @param  {string}  type
+   * @return {ModelClass}
+   *
+   * @throws {Error}
+   */
+  static getActualClassNameForMorph (type) {
+    const model = Relation.getMorphedModel(type)
+
+    if (isNil(model)) {
+      throw new Error(`InvalidArgumentException: No model is registered in the morph map for [${type}].`)
+    }
+
+    return model
+  }
+
+  /**
+   * Define a one-to-many relationship.
+   *
+   * @param  {ModelClass}  related
+   * @param  {string}  [foreignKey]
+   * @param  {string}  [localKey]
+   * @return {HasMany}
+   */
+  hasMany (related, foreignKey, localKey) {
+    const instance = this.newRelatedInstance(related)
+
+    foreignKey = foreignKey ?? this.getForeignKey()
+
+    return this.newHasMany(instance.newQuery(), /** @type {any} */ (this), `${instance.getTable()}.${foreignKey}`, localKey ?? this.getKeyName())
+  }
+
+  /**
+   * Instantiate a new HasMany relationship.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {string}  foreignKey
+   * @param  {string}  localKey
+   * @return {HasMany}
+   */
+  newHasMany (query, parent, foreignKey, localKey) {
+    return new HasMany(query, parent, foreignKey, localKey)
+  }
+
+  /**
+   * Define a polymorphic one-to-many relationship.
+   *
+   * @param  {ModelClass}  related
+   * @param  {string}  name
+   * @param  {string}  [type]
+   * @param  {string}  [id]
+   * @param  {string}  [localKey]
+   * @return {MorphMany}
+   */
+  morphMany (related, name, type, id, localKey) {
+    const instance = this.newRelatedInstance(related)
+
+    // Here we will gather up the morph type and ID for the relationship so that we
+    // can properly query the intermediate table of a relation. Finally, we will
+    // get the table and create the relationship instances for the developers.
+    ;[type, id] = this.getMorphs(name, type, id)
+
+    const table = instance.getTable()
+
+    return this.newMorphMany(instance.newQuery(), /** @type {any} */ (this), `${table}.${type}`, `${table}.${id}`, localKey ?? this.getKeyName())
+  }
+
+  /**
+   * Instantiate a new MorphMany relationship.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {string}  type
+   * @param  {string}  id
+   * @param  {string}  localKey
+   * @return {MorphMany}
+   */
+  newMorphMany (query, parent, type, id, localKey) {
+    return new MorphMany(query, parent, type, id, localKey)
+  }
+
+  /**
+   * Define a many-to-many relationship.
+   *
+   * @param  {ModelClass}  related
+   * @param  {string|ModelClass}  [table]
+   * @param  {string}  [foreignPivotKey]
+   * @param  {string}  [relatedPivotKey]
+   * @param  {string}  [parentKey]
+   * @param  {string}  [relatedKey]
+   * @param  {string}  [relation]
+   * @return {BelongsToMany}
+   */
+  belongsToMany (related, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relation) {
+    // If no relationship name was passed, we will pull backtraces to get the
+    // name of the calling function. We will use that function name as the
+    // title of this relation since that is a great convention to apply.
+    relation = relation ?? this.guessBelongsToManyRelation()
+
+    // First, we'll need to determine the foreign key and "other key" for the
+    // relationship. Once we have determined the keys we'll make the query
+    // instances as well as the relationship instances we need for this.
+    const instance = this.newRelatedInstance(related)
+
+    relatedPivotKey = relatedPivotKey ?? instance.getForeignKey()
+
+    // If no table name was provided, we can guess it by concatenating the two
+    // models using underscores in alphabetical order. The two model names
+    // are transformed to snake case from their default CamelCase also.
+    table = table ?? this.joiningTable(related, instance)
+
+    return this.newBelongsToMany(
+      instance.newQuery(),
+      /** @type {any} */ (this),
+      table,
+      foreignPivotKey ?? this.getForeignKey(),
+      relatedPivotKey,
+      parentKey ?? this.getKeyName(),
+      relatedKey ?? instance.getKeyName(),
+      relation
+    )
+  }
+
+  /**
+   * Instantiate a new BelongsToMany relationship.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {string|ModelClass}  table
+   * @param  {string}  foreignPivotKey
+   * @param  {string}  relatedPivotKey
+   * @param  {string}  parentKey
+   * @param  {string}  relatedKey
+   * @param  {string}  [relationName]
+   * @return {BelongsToMany}
+   */
+  newBelongsToMany (query, parent, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relationName) {
+    return new BelongsToMany(query, parent, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relationName)
+  }
+
+  /**
+   * Define a polymorphic many-to-many relationship.
+   *
+   * @param  {ModelClass}  related
+   * @param  {string}  name
+   * @param  {string|ModelClass}  [table]
+   * @param  {string}  [foreignPivotKey]
+   * @param  {string}  [relatedPivotKey]
+   * @param  {string}  [parentKey]
+   * @param  {string}  [relatedKey]
+   * @param  {string}  [relation]
+   * @param  {boolean}  [inverse=false]
+   * @return {MorphToMany}
+   */
+  morphToMany (related, name, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relation, inverse = false) {
+    relation = relation ?? this.guessBelongsToManyRelation()
+
+    // First, we will need to determine the foreign key and "other key" for the
+    // relationship. Once we have determined the keys we will make the query
+    // instances, as well as the relationship instances we need for these.
+    const instance = this.newRelatedInstance(related)
+
+    foreignPivotKey = foreignPivotKey ?? `${name}_id`
+
+    relatedPivotKey = relatedPivotKey ?? instance.getForeignKey()
+
+    // Now we're ready to create a new query builder for the related model and
+    // the relationship instances for this relation. This relation will set
+    // appropriate query constraints then entirely manage the hydrations.
+    if (table === undefined || table === null) {
+      const words = name.split(/(_)/)
+
+      const lastWord = words.pop() ?? ''
+
+      table = words.join('') + plural(lastWord)
+    }
+
+    return this.newMorphToMany(
+      instance.newQuery(),
+      /** @type {any} */ (this),
+      name,
+      table,
+      foreignPivotKey,
+      relatedPivotKey,
+      parentKey ?? this.getKeyName(),
+      relatedKey ?? instance.getKeyName(),
+      relation,
+      inverse
+    )
+  }
+
+  /**
+   * Instantiate a new MorphToMany relationship.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {string}  name
+   * @param  {string|ModelClass}  table
+   * @param  {string}  foreignPivotKey
+   * @param  {string}  relatedPivotKey
+   * @param  {string}  parentKey
+   * @param  {string}  relatedKey
+   * @param  {string}  [relationName]
+   * @param  {boolean}  [inverse=false]
+   * @return {MorphToMany}
+   */
+  newMorphToMany (query, parent, name, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relationName, inverse = false) {
+    return new MorphToMany(query, parent, name, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relationName, inverse)
+  }
+
+  /**
+   * Define a polymorphic, inverse many-to-many relationship.
+   *
+   * @param  {ModelClass}  related
+   * @param  {string}  name
+   * @param  {string|ModelClass}  [table]
+   * @param  {string}  [foreignPivotKey]
+   * @param  {string}  [relatedPivotKey]
+   * @param  {string}  [parentKey]
+   * @param  {string}  [relatedKey]
+   * @param  {string}  [relation]
+   * @return {MorphToMany}
+   */
+  morphedByMany (related, name, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relation) {
+    foreignPivotKey = foreignPivotKey ?? this.getForeignKey()
+
+    // For the inverse of the polymorphic many-to-many relations, we will change
+    // the way we determine the foreign and other keys, as it is the opposite
+    // of the morph-to-many method since we're figuring out these inverses.
+    relatedPivotKey = relatedPivotKey ?? `${name}_id`
+
+    return this.morphToMany(
+      related, name, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relation, true
+    )
+  }
+
+  /**
+   * Guess the "belongs to" relationship name.
+   *
+   * @protected
+   * @return {string|undefined}
+   */
+  guessBelongsToRelation () {
+    // The first frames are this method and the relationship method ("belongsTo")
+    // that called it, so the one after them is the relationship definition.
+    return backtrace()[2]
+  }
+
+  /**
+   * Get the relationship name of the belongsToMany relationship.
+   *
+   * @protected
+   * @return {string|undefined}
+   */
+  guessBelongsToManyRelation () {
+    return backtrace().find(method => {
+      return ![...(/** @type {ModelClass} */ (this.constructor).manyMethods), 'guessBelongsToManyRelation'].includes(method)
+    })
+  }
+
+  /**
+   * Get the joining table name for a many-to-many relation.
+   *
+   * @param  {ModelClass}  related
+   * @param  {Model}  [instance]
+   * @return {string}
+   */
+  joiningTable (related, instance) {
+    // The joining table name, by convention, is simply the snake cased models
+    // sorted alphabetically and concatenated with an underscore, so we can
+    // just sort the models and join them together to get the table name.
+    const segments = [
+      instance ? instance.joiningTableSegment() : snakeCase(related.name),
+      this.joiningTableSegment()
+    ]
+
+    // Now that we have the model names in an array we can just sort them and
+    // use the implode function to join them together with an underscores,
+    // which is typically used by convention within the database system.
+    return segments.sort().join('_').toLowerCase()
+  }
+
+  /**
+   * Get this model's half of the intermediate table name for belongsToMany relationships.
+   *
+   * @return {string}
+   */
+  joiningTableSegment () {
+    return snakeCase(this.constructor.name)
+  }
+
+  /**
+   * Get the polymorphic relationship columns.
+   *
+   * @protected
+   * @param  {string}  name
+   * @param  {string}  [type]
+   * @param  {string}  [id]
+   * @return {[string, string]}
+   */
+  getMorphs (name, type, id) {
+    return [type ?? `${name}_type`, id ?? `${name}_id`]
+  }
+
+  /**
+   * Get the class name for polymorphic relations.
+   *
+   * @return {string}
+   *
+   * @throws {Error}
+   */
+  getMorphClass () {
+    const morphMap = Relation.morphMap()
+
+    const alias = Object.keys(morphMap).find(key => morphMap[key] === this.constructor)
+
+    if (alias !== undefined) {
+      return alias
+    }
+
+    if (Relation.requiresMorphMap()) {
+      throw new Error(`ClassMorphViolationException: No morph map defined for model [${this.constructor.name}].`)
+    }
+
+    return this.constructor.name
+  }
+
+  /**
+   * Create a new model instance for a related model.
+   *
+   * @protected
+   * @param  {ModelClass}  Related
+   * @return {Model}
+   */
+  newRelatedInstance (Related) {
+    const instance = new Related()
+
+    if (isNil(instance.getConnectionName())) {
+      instance.setConnection(this.connection)
+    }
+
+    return instance
+  }
+
+  /**
+   * Get all the loaded relations for the instance.
+   *
+   * @return {Record<string, any>}
+   */
+  getRelations () {
+    return this.relations
+  }
+
+  /**
+   * Get a specified relationship.
+   *
+   * @param  {string}  relation
+   * @return {any}
+   */
+  getRelation (relation) {
+    return this.relations[relation]
+  }
+
+  /**
+   * Determine if the given relation is loaded.
+   *
+   * @param  {string}  key
+   * @return {boolean}
+   */
+  relationLoaded (key) {
+    return Object.hasOwn(this.relations, key)
+  }
+
+  /**
+   * Set the given relationship on the model.
+   *
+   * @param  {string}  relation
+   * @param  {any}  value
+   * @return {this}
+   */
+  setRelation (relation, value) {
+    this.relations[relation] = value
+
+    return this
+  }
+
+  /**
+   * Unset a loaded relationship.
+   *
+   * @param  {string}  relation
+   * @return {this}
+   */
+  unsetRelation (relation) {
+    delete this.relations[relation]
+
+    return this
+  }
+
+  /**
+   * Set the entire relations array on the model.
+   *
+   * @param  {Record<string, any>}  relations
+   * @return {this}
+   */
+  setRelations (relations) {
+    this.relations = relations
+
+    return this
+  }
+
+  /**
+   * Unset all the loaded relations for the instance.
+   *
+   * @return {this}
+   */
+  unsetRelations () {
+    this.relations = {}
+
+    return this
+  }
+
+  /**
+   * Determine if the model touches a given relation.
+   *
+   * @param  {string}  relation
+   * @return {boolean}
+   */
+  touches (relation) {
+    return this.getTouchedRelations().includes(relation)
+  }
+
+  /**
+   * Touch the owning relations of the model.
+   *
+   * @return {Promise<void>}
+   */
+  async touchOwners () {
+    for (const relation of this.getTouchedRelations()) {
+      await this[relation]().touch()
+
+      // Only the relations already loaded on the model are cascaded, so touching
+      // the owners never triggers additional queries to fetch the parent models.
+      const related = this.getRelation(relation)
+
+      if (related instanceof Collection) {
+        for (const model of related.all()) {
+          await model.touchOwners()
+        }
+      } else if (!isNil(related)) {
+        await related.fireModelEvent('saved', false)
+
+        await related.touchOwners()
+      }
+    }
+  }
+
+  /**
+   * Get the relationships that are touched on save.
+   *
+   * @return {string[]}
+   */
+  getTouchedRelations () {
+    return this.touchesProperty
+  }
+
+  /**
+   * Set the relationships that are touched on save.
+   *
+   * @param  {string[]}  touches
+   * @return {this}
+   */
+  setTouchedRelations (touches) {
+    this.touchesProperty = touches
+
+    return this
+  }
+}
+
+export default HasRelationships
@@ -0,0 +1,150 @@
+import { isNil } from '@devnetic/utils'
+
+/** @typedef {typeof import('../Model.js').default} ModelClass */
+
+const HasTimestamps = (superclass) => class extends superclass {
+  /**
+   * Indicates if the model should be timestamped.
+   *
+   * @type {boolean}
+   */
+  timestamps = /** @type {ModelClass} */ (this.constructor).timestamps ?? true
+
+  /**
+   * Update the model's update timestamp.
+   *
+   * @param  {string}  [attribute]
+   * @return {Promise<boolean>}
+   */
+  async touch (attribute) {
+    if (!isNil(attribute)) {
+      this.setAttribute(attribute, this.freshTimestamp())
+
+      return this.save()
+    }
+
+    if (!this.usesTimestamps()) {
+      return false
+    }
+
+    this.updateTimestamps()
+
+    return this.save()
+  }
+
+  /**
+   * Update the creation and update timestamps.
+   *
+   * @return {this}
+   */
+  updateTimestamps () {
+    const time = this.freshTimestamp()
+
+    const updatedAtColumn = this.getUpdatedAtColumn()
+
+    if (!isNil(updatedAtColumn) && !this.isDirty(updatedAtColumn)) {
+      this.setUpdatedAt(time)
+    }
+
+    const createdAtColumn = this.getCreatedAtColumn()
+
+    if (!this.exists && !isNil(createdAtColumn) && !this.isDirty(createdAtColumn)) {
+      this.setCreatedAt(time)
+    }
+
+    return this
+  }
+
+  /**
+   * Set the value of the "created at" attribute.
+   *
+   * @param  {any}  value
+   * @return {this}
+   */
+  setCreatedAt (value) {
+    this.setAttribute(this.getCreatedAtColumn(), value)
+
+    return this
+  }
+
+  /**
+   * Set the value of the "updated at" attribute.
+   *
+   * @param  {any}  value
+   * @return {this}
+   */
+  setUpdatedAt (value) {
+    this.setAttribute(this.getUpdatedAtColumn(), value)
+
+    return this
+  }
+
+  /**
+   * Get a fresh timestamp for the model.
+   *
+   * @return {Date}
+   */
+  freshTimestamp () {
+    return new Date()
+  }
+
+  /**
+   * Get a fresh timestamp for the model.
+   *
+   * @return {string}
+   */
+  freshTimestampString () {
+    return this.fromDateTime(this.freshTimestamp())
+  }
+
+  /**
+   * Determine if the model uses timestamps.
+   *
+   * @return {boolean}
+   */
+  usesTimestamps () {
+    return this.timestamps
+  }
+
+  /**
+   * Get the name of the "created at" column.
+   *
+   * @return {string|undefined}
+   */
+  getCreatedAtColumn () {
+    return /** @type {ModelClass} */ (this.constructor).CREATED_AT
+  }
+
+  /**
+   * Get the name of the "updated at" column.
+   *
+   * @return {string|undefined}
+   */
+  getUpdatedAtColumn () {
+    return /** @type {ModelClass} */ (this.constructor).UPDATED_AT
+  }
+
+  /**
+   * Get the fully qualified "created at" column.
+   *
+   * @return {string|undefined}
+   */
+  getQualifiedCreatedAtColumn () {
+    const column = this.getCreatedAtColumn()
+
+    return isNil(column) ? column : this.qualifyColumn(column)
+  }
+
+  /**
+   * Get the fully qualified "updated at" column.
+   *
+   * @return {string|undefined}
+   */
+  getQualifiedUpdatedAtColumn () {
+    const column = this.getUpdatedAtColumn()
+
+    return isNil(column) ? column : this.qualifyColumn(column)
+  }
+}
+
+export default HasTimestamps
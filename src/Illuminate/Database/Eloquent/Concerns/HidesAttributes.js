@@ -0,0 +1,141 @@
+/** @typedef {typeof import('../Model.js').default} ModelClass */
+
+const HidesAttributes = (superclass) => class extends superclass {
+  /**
+   * The attributes that should be hidden for serialization.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  hidden = [...(/** @type {ModelClass} */ (this.constructor).hidden ?? [])]
+
+  /**
+   * The attributes that should be visible in serialization.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  visible = [...(/** @type {ModelClass} */ (this.constructor).visible ?? [])]
+
+  /**
+   * Get the hidden attributes for the model.
+   *
+   * @return {string[]}
+   */
+  getHidden () {
+    return this.hidden
+  }
+
+  /**
+   * Set the hidden attributes for the model.
+   *
+   * @param  {string[]}  hidden
+   * @return {this}
+   */
+  setHidden (hidden) {
+    this.hidden = hidden
+
+    return this
+  }
+
+  /**
+   * Merge new hidden attributes with existing hidden attributes on the model.
+   *
+   * @param  {string[]}  hidden
+   * @return {this}
+   */
+  mergeHidden (hidden) {
+    this.hidden = [...new Set([...this.hidden, ...hidden])]
+
+    return this
+  }
+
+  /**
+   * Get the visible attributes for the model.
+   *
+   * @return {string[]}
+   */
+  getVisible () {
+    return this.visible
+  }
+
+  /**
+   * Set the visible attributes for the model.
+   *
+   * @param  {string[]}  visible
+   * @return {this}
+   */
+  setVisible (visible) {
+    this.visible = visible
+
+    return this
+  }
+
+  /**
+   * Merge new visible attributes with existing visible attributes on the model.
+   *
+   * @param  {string[]}  visible
+   * @return {this}
+   */
+  mergeVisible (visible) {
+    this.visible = [...new Set([...this.visible, ...visible])]
+
+    return this
+  }
+
+  /**
+   * Make the given, typically hidden, attributes visible.
+   *
+   * @param  {...(string|string[])}  attributes
+   * @return {this}
+   */
+  makeVisible (...attributes) {
+    attributes = attributes.flat()
+
+    this.hidden = this.hidden.filter(attribute => !attributes.includes(attribute))
+
+    if (this.visible.length > 0) {
+      this.mergeVisible(attributes)
+    }
+
+    return this
+  }
+
+  /**
+   * Make the given, typically hidden, attributes visible if the given truth test passes.
+   *
+   * @param  {boolean|((model: this) => boolean)}  condition
+   * @param  {...(string|string[])}  attributes
+   * @return {this}
+   */
+  makeVisibleIf (condition, ...attributes) {
+    const passes = typeof condition === 'function' ? condition(this) : condition
+
+    return passes ? this.makeVisible(...attributes) : this
+  }
+
+  /**
+   * Make the given, typically visible, attributes hidden.
+   *
+   * @param  {...(string|string[])}  attributes
+   * @return {this}
+   */
+  makeHidden (...attributes) {
+    return this.mergeHidden(attributes.flat())
+  }
+
+  /**
+   * Make the given, typically visible, attributes hidden if the given truth test passes.
+   *
+   * @param  {boolean|((model: this) => boolean)}  condition
+   * @param  {...(string|string[])}  attributes
+   * @return {this}
+   */
+  makeHiddenIf (condition, ...attributes) {
+    const passes = typeof condition === 'function' ? condition(this) : condition
+
+    return passes ? this.makeHidden(...attributes) : this
+  }
+}
+
+export default HidesAttributes
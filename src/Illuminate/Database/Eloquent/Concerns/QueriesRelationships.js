@@ -0,0 +1,220 @@
+import { isNil, snakeCase } from '@devnetic/utils'
+
+import Expression from '../../Query/Expression.js'
+import Relation from '../Relations/Relation.js'
+
+/** @typedef {import('../Builder.js').default} Builder */
+
+const QueriesRelationships = (superclass) => class extends superclass {
+  /**
+   * Add subselect queries to include an aggregate value for a relationship.
+   *
+   * @param  {string|any[]|Record<string, Function>}  relations
+   * @param  {Expression|string}  column
+   * @param  {string}  [functionName]
+   * @return {this}
+   */
+  withAggregate (relations, column, functionName) {
+    relations = Array.isArray(relations) ? relations : [relations]
+
+    if (relations.length === 0) {
+      return this
+    }
+
+    if (this.query.columns.length === 0) {
+      this.query.select([`${this.query.fromProperty}.*`])
+    }
+
+    const grammar = this.getQuery().getGrammar()
+
+    for (let [name, constraints] of Object.entries(this.parseWithRelations(relations))) {
+      // First we will determine if the name has been aliased using an "as" clause on the name
+      // and if it has we will extract the actual relationship name and the desired name of
+      // the resulting column. This allows multiple aggregates on the same relationships.
+      const segments = name.split(' ')
+
+      let alias
+
+      if (segments.length === 3 && segments[1].toLowerCase() === 'as') {
+        [name, alias] = [segments[0], segments[2]]
+      }
+
+      const relation = this.getRelationWithoutConstraints(name)
+
+      let expression
+
+      if (!isNil(functionName)) {
+        let aggregateColumn
+
+        if (grammar.isExpression(column)) {
+          aggregateColumn = grammar.getValue(column)
+        } else {
+          const hashedColumn = this.getRelationHashedColumn(/** @type {string} */ (column), relation)
+
+          aggregateColumn = grammar.wrap(
+            column === '*' ? column : relation.getRelated().qualifyColumn(hashedColumn)
+          )
+        }
+
+        expression = functionName === 'exists' ? aggregateColumn : `${functionName}(${aggregateColumn})`
+      } else {
+        expression = grammar.getValue(column)
+      }
+
+      // Here, we will grab the relationship sub-query and prepare to add it to the main query
+      // as a sub-select. First, we'll get the "has" query and use that to get the relation
+      // sub-query. We'll format this relationship name and append this column if needed.
+      let query = relation.getRelationExistenceQuery(
+        relation.getRelated().newQuery(), /** @type {any} */ (this), new Expression(expression)
+      ).setBindings([], 'select')
+
+      query.callScope(constraints)
+
+      query = query.mergeConstraintsFrom(relation.getQuery()).toBase()
+
+      // If the query contains certain elements like orderings / more than one column selected
+      // then we will remove those elements from the query so that it will execute properly
+      // when given to the database. Otherwise, we may receive SQL errors or poor syntax.
+      query.orders = []
+      query.setBindings([], 'order')
+
+      if (query.columns.length > 1) {
+        query.columns = [query.columns[0]]
+        query.bindings.select = []
+      }
+
+      // Finally, we will make the proper column alias to the query and run this sub-select on
+      // the query builder. Then, we will return the builder instance back to the developer
+      // for further constraint chaining that needs to take place on the query as needed.
+      alias = alias ?? snakeCase(
+        `${name} ${functionName ?? ''} ${grammar.getValue(column)}`.replace(/[^\p{L}\p{N}\s_]/gu, '').trim()
+      )
+
+      if (functionName === 'exists') {
+        this.selectRaw(
+          `exists(${query.toSql()}) as ${grammar.wrap(alias)}`,
+          query.getBindings()
+        )
+
+        this.withCasts({ [alias]: 'bool' })
+      } else {
+        this.selectSub(isNil(functionName) ? query.limit(1) : query, alias)
+      }
+    }
+
+    return this
+  }
+
+  /**
+   * Get the relation hashed column name for the given column and relation.
+   *
+   * @protected
+   * @param  {string}  column
+   * @param  {Relation}  relation
+   * @return {string}
+   */
+  getRelationHashedColumn (column, relation) {
+    if (column.includes('.')) {
+      return column
+    }
+
+    return this.getQuery().fromProperty === relation.getQuery().getQuery().fromProperty
+      ? `${relation.getRelationCountHash(false)}.${column}`
+      : column
+  }
+
+  /**
+   * Add subselect queries to count the relations.
+   *
+   * @param  {...(string|string[]|Record<string, Function>)}  relations
+   * @return {this}
+   */
+  withCount (...relations) {
+    return this.withAggregate(relations.flat(), '*', 'count')
+  }
+
+  /**
+   * Add subselect queries to include the max of the relation's column.
+   *
+   * @param  {string|any[]|Record<string, Function>}  relation
+   * @param  {Expression|string}  column
+   * @return {this}
+   */
+  withMax (relation, column) {
+    return this.withAggregate(relation, column, 'max')
+  }
+
+  /**
+   * Add subselect queries to include the min of the relation's column.
+   *
+   * @param  {string|any[]|Record<string, Function>}  relation
+   * @param  {Expression|string}  column
+   * @return {this}
+   */
+  withMin (relation, column) {
+    return this.withAggregate(relation, column, 'min')
+  }
+
+  /**
+   * Add subselect queries to include the sum of the relation's column.
+   *
+   * @param  {string|any[]|Record<string, Function>}  relation
+   * @param  {Expression|string}  column
+   * @return {this}
+   */
+  withSum (relation, column) {
+    return this.withAggregate(relation, column, 'sum')
+  }
+
+  /**
+   * Add subselect queries to include the average of the relation's column.
+   *
+   * @param  {string|any[]|Record<string, Function>}  relation
+   * @param  {Expression|string}  column
+   * @return {this}
+   */
+  withAvg (relation, column) {
+    return this.withAggregate(relation, column, 'avg')
+  }
+
+  /**
+   * Add subselect queries to include the existence of related models.
+   *
+   * @param  {string|any[]|Record<string, Function>}  relation
+   * @return {this}
+   */
+  withExists (relation) {
+    return this.withAggregate(relation, '*', 'exists')
+  }
+
+  /**
+   * Merge the where constraints from another query to the current query.
+   *
+   * @param  {Builder}  from
+   * @return {this}
+   */
+  mergeConstraintsFrom (from) {
+    const whereBindings = from.getQuery().getRawBindings().where ?? []
+
+    // Here we have some other query that we want to merge the where constraints from. We will
+    // copy over any where constraints on the query as well as remove any global scopes the
+    // query might have removed. Then we will return ourselves with the finished merging.
+    return this.withoutGlobalScopes(from.removedScopes)
+      .mergeWheres(from.getQuery().wheres, whereBindings)
+  }
+
+  /**
+   * Get the "has relation" base query instance.
+   *
+   * @protected
+   * @param  {string}  relation
+   * @return {Relation}
+   */
+  getRelationWithoutConstraints (relation) {
+    return Relation.noConstraints(() => {
+      return this.getModel()[relation]()
+    })
+  }
+}
+
+export default QueriesRelationships
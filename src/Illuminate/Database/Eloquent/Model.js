@@ -1,6 +1,1425 @@
-import { capitalize } from '@devnetic/utils'
+import { capitalize, isNil, plural, snakeCase } from '@devnetic/utils'
+
+import Builder from './Builder.js'
+import Collection from './Collection.js'
+import GuardsAttributes from './Concerns/GuardsAttributes.js'
+import HasAttributes from './Concerns/HasAttributes.js'
+import HasEvents from './Concerns/HasEvents.js'
+import HasGlobalScopes from './Concerns/HasGlobalScopes.js'
+import HasRelationships from './Concerns/HasRelationships.js'
+import HasTimestamps from './Concerns/HasTimestamps.js'
+import HidesAttributes from './Concerns/HidesAttributes.js'
+import InstanceProxy from '../../Support/Proxies/InstanceProxy.js'
+import { mix } from '../../Support/Traits/use.js'
+
+/** @typedef {import('../Connection.js').default} Connection */
+/** @typedef {import('../Query/Expression.js').default} Expression */
+/** @typedef {import('./Scope.js').default} Scope */
+/** @typedef {typeof import('./Scope.js').default} ScopeClass */
+
+/**
+ * Route the unknown properties of a model to its attributes, so `user.name`
+ * reads and writes the "name" attribute the same way PHP's magic methods do.
+ *
+ * @type {ProxyHandler<Model>}
+ */
+const attributesHandler = {
+  get (target, property, receiver) {
+    if (typeof property === 'symbol' || Reflect.has(target, property)) {
+      return Reflect.get(target, property, receiver)
+    }
+
+    return receiver.getAttribute(property)
+  },
+  set (target, property, value, receiver) {
+    if (typeof property === 'symbol' || Reflect.has(target, property)) {
+      return Reflect.set(target, property, value, receiver)
+    }
+
+    receiver.setAttribute(property, value)
+
+    return true
+  },
+  deleteProperty (target, property) {
+    if (typeof property === 'symbol' || Reflect.has(target, property)) {
+      return Reflect.deleteProperty(target, property)
+    }
+
+    target.offsetUnset(property)
+
+    return true
+  },
+  getPrototypeOf (target) {
+    return Object.getPrototypeOf(target)
+  }
+}
+
+/**
+ * The models declare their options as static properties (`static table`,
+ * `static primaryKey`, ...), which every instance copies when it is built.
+ * Instance fields of a subclass would only exist after this constructor
+ * has already filled the attributes.
+ */
+export default class Model extends mix().use(GuardsAttributes, HasAttributes, HasEvents, HasGlobalScopes, HasRelationships, HasTimestamps, HidesAttributes) {
+  /**
+   * The name of the "created at" column.
+   *
+   * @type {string|undefined}
+   */
+  static CREATED_AT = 'created_at'
+
+  /**
+   * The name of the "updated at" column.
+   *
+   * @type {string|undefined}
+   */
+  static UPDATED_AT = 'updated_at'
+
+  /**
+   * The connection resolver instance.
+   *
+   * @protected
+   * @type {import('../DatabaseManager.js').default|undefined}
+   */
+  static resolver
+
+  /**
+   * The models that have been booted.
+   *
+   * @protected
+   * @type {Set<typeof Model>}
+   */
+  static bootedModels = new Set()
+
+  /**
+   * The array of trait initializers that will be called on each new instance.
+   *
+   * @protected
+   * @type {Map<typeof Model, string[]>}
+   */
+  static traitInitializers = new Map()
+
+  /**
+   * Indicates if an exception should be thrown instead of silently discarding non-fillable attributes.
+   *
+   * @protected
+   * @type {boolean}
+   */
+  static modelsShouldPreventSilentlyDiscardingAttributes = false
+
+  /**
+   * The callback that is responsible for handling discarded attribute violations.
+   *
+   * @protected
+   * @type {((model: Model, keys: string[]) => void)|undefined}
+   */
+  static discardedAttributeViolationCallback
+
+  /**
+   * The connection name for the model.
+   *
+   * @protected
+   * @type {string|undefined}
+   */
+  connection = /** @type {typeof Model} */ (this.constructor).connection
+
+  /**
+   * The table associated with the model.
+   *
+   * @protected
+   * @type {string|undefined}
+   */
+  table = /** @type {typeof Model} */ (this.constructor).table
+
+  /**
+   * The primary key for the model.
+   *
+   * @protected
+   * @type {string}
+   */
+  primaryKey = /** @type {typeof Model} */ (this.constructor).primaryKey ?? 'id'
+
+  /**
+   * The "type" of the primary key ID.
+   *
+   * @protected
+   * @type {string}
+   */
+  keyType = /** @type {typeof Model} */ (this.constructor).keyType ?? 'int'
+
+  /**
+   * Indicates if the IDs are auto-incrementing.
+   *
+   * @type {boolean}
+   */
+  incrementing = /** @type {typeof Model} */ (this.constructor).incrementing ?? true
+
+  /**
+   * Indicates if the model exists.
+   *
+   * @type {boolean}
+   */
+  exists = false
+
+  /**
+   * Indicates if the model was inserted during the object's lifecycle.
+   *
+   * @type {boolean}
+   */
+  wasRecentlyCreated = false
+
+  /**
+   * Create a new Eloquent model instance.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   */
+  constructor (attributes = {}) {
+    super()
+
+    this.bootIfNotBooted()
+
+    this.initializeTraits()
+
+    this.syncOriginal()
+
+    this.fill(attributes)
+
+    return InstanceProxy(this, attributesHandler)
+  }
+
+  /**
+   * Fill the model with an array of attributes.
+   *
+   * @param  {Record<string, any>}  attributes
+   * @return {this}
+   */
+  fill (attributes) {
+    const totallyGuarded = this.totallyGuarded()
+
+    const fillable = this.fillableFromArray(attributes)
+
+    for (const [key, value] of Object.entries(fillable)) {
+      // The developers may choose to place some attributes in the "fillable" array
+      // which means only those attributes may be set through mass assignment to
+      // the model, and all others will just get ignored for security reasons.
+      if (this.isFillable(key)) {
+        this.setAttribute(key, value)
+      } else if (totallyGuarded || Model.preventsSilentlyDiscardingAttributes()) {
+        if (Model.discardedAttributeViolationCallback) {
+          Model.discardedAttributeViolationCallback(this, [key])
+        } else {
+          throw new Error(`MassAssignmentException: Add [${key}] to fillable property to allow mass assignment on [${this.constructor.name}].`)
+        }
+      }
+    }
+
+    if (Object.keys(attributes).length !== Object.keys(fillable).length &&
+      Model.preventsSilentlyDiscardingAttributes()) {
+      const keys = Object.keys(attributes).filter(key => !Object.hasOwn(fillable, key))
+
+      if (Model.discardedAttributeViolationCallback) {
+        Model.discardedAttributeViolationCallback(this, keys)
+      } else {
+        throw new Error(`MassAssignmentException: Add fillable property [${keys.join(', ')}] to allow mass assignment on [${this.constructor.name}].`)
+      }
+    }
+
+    return this
+  }
+
+  /**
+   * Fill the model with an array of attributes. Force mass assignment.
+   *
+   * @param  {Record<string, any>}  attributes
+   * @return {this}
+   */
+  forceFill (attributes) {
+    return /** @type {typeof Model} */ (this.constructor).unguarded(() => this.fill(attributes))
+  }
+
+  /**
+   * Qualify the given column name by the model's table.
+   *
+   * @param  {string}  column
+   * @return {string}
+   */
+  qualifyColumn (column) {
+    if (column.includes('.')) {
+      return column
+    }
+
+    return `${this.getTable()}.${column}`
+  }
+
+  /**
+   * Check if the model needs to be booted and if so, do it.
+   *
+   * @protected
+   * @return {void}
+   */
+  bootIfNotBooted () {
+    const model = /** @type {typeof Model} */ (this.constructor)
+
+    if (!Model.bootedModels.has(model)) {
+      Model.bootedModels.add(model)
+
+      model.booting()
+
+      model.boot()
+
+      model.booted()
+    }
+  }
+
+  /**
+   * Perform any actions required before the model boots.
+   *
+   * @protected
+   * @return {void}
+   */
+  static booting () {
+    //
+  }
+
+  /**
+   * Bootstrap the model and its traits.
+   *
+   * @protected
+   * @return {void}
+   */
+  static boot () {
+    this.bootTraits()
+  }
+
+  /**
+   * Boot all of the bootable traits on the model.
+   *
+   * The mixins can't be told apart by name, so every static method named like
+   * "bootSoftDeletes" found up the class chain is called once, parents first,
+   * and every "initializeSoftDeletes" method is kept to run on new instances.
+   *
+   * @protected
+   * @return {void}
+   */
+  static bootTraits () {
+    const classes = []
+
+    for (let current = this; current !== Function.prototype; current = Object.getPrototypeOf(current)) {
+      classes.unshift(current)
+    }
+
+    const booted = new Set(['bootTraits'])
+
+    const initializers = new Set()
+
+    for (const current of classes) {
+      for (const method of Object.getOwnPropertyNames(current)) {
+        if (!/^boot[A-Z]/.test(method) || booted.has(method) || typeof current[method] !== 'function') {
+          continue
+        }
+
+        booted.add(method)
+
+        this[method]()
+      }
+
+      for (const method of Object.getOwnPropertyNames(current.prototype ?? {})) {
+        if (/^initialize[A-Z]/.test(method) && method !== 'initializeTraits' && typeof current.prototype[method] === 'function') {
+          initializers.add(method)
+        }
+      }
+    }
+
+    Model.traitInitializers.set(this, [...initializers])
+  }
+
+  /**
+   * Initialize any initializable traits on the model.
+   *
+   * @protected
+   * @return {void}
+   */
+  initializeTraits () {
+    for (const method of Model.traitInitializers.get(/** @type {typeof Model} */ (this.constructor)) ?? []) {
+      this[method]()
+    }
+  }
+
+  /**
+   * Perform any actions required after the model boots.
+   *
+   * @protected
+   * @return {void}
+   */
+  static booted () {
+    //
+  }
+
+  /**
+   * Clear the list of booted models so they will be re-booted.
+   *
+   * @return {void}
+   */
+  static clearBootedModels () {
+    Model.bootedModels.clear()
+
+    Model.traitInitializers.clear()
+
+    Model.globalScopes.clear()
+  }
+
+  /**
+   * Prevent non-fillable attributes from being silently discarded.
+   *
+   * @param  {boolean}  [value=true]
+   * @return {void}
+   */
+  static preventSilentlyDiscardingAttributes (value = true) {
+    Model.modelsShouldPreventSilentlyDiscardingAttributes = value
+  }
+
+  /**
+   * Register a callback that is responsible for handling discarded attribute violations.
+   *
+   * @param  {((model: Model, keys: string[]) => void)|undefined}  callback
+   * @return {void}
+   */
+  static handleDiscardedAttributeViolationUsing (callback) {
+    Model.discardedAttributeViolationCallback = callback
+  }
+
+  /**
+   * Determine if discarding guarded attribute fills is disabled.
+   *
+   * @return {boolean}
+   */
+  static preventsSilentlyDiscardingAttributes () {
+    return Model.modelsShouldPreventSilentlyDiscardingAttributes
+  }
+
+  /**
+   * Create a new instance of the given model.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {boolean}  [exists=false]
+   * @return {Model}
+   */
+  newInstance (attributes = {}, exists = false) {
+    // This method just provides a convenient way for us to generate fresh model
+    // instances of this current model. It is particularly useful during the
+    // hydration of new objects via the Eloquent query builder instances.
+    const model = new (/** @type {typeof Model} */ (this.constructor))()
+
+    model.exists = exists
+
+    model.mergeCasts(this.casts)
+
+    model.setConnection(this.getConnectionName())
+
+    model.setTable(this.getTable())
+
+    model.fill(attributes)
+
+    return model
+  }
+
+  /**
+   * Create a new model instance that is existing.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {string}  [connection]
+   * @return {Model}
+   */
+  newFromBuilder (attributes = {}, connection) {
+    const model = this.newInstance({}, true)
+
+    model.setRawAttributes(attributes, true)
+
+    model.setConnection(connection ?? this.getConnectionName())
+
+    return model
+  }
+
+  /**
+   * Begin querying the model on a given connection.
+   *
+   * @param  {string}  [connection]
+   * @return {Builder}
+   */
+  static on (connection) {
+    // First we will just create a fresh instance of this model, and then we can set the
+    // connection on the model so that it is used for the queries we execute, as well
+    // as being set on every relation we retrieve without a custom connection name.
+    const instance = new this()
+
+    instance.setConnection(connection)
+
+    return instance.newQuery()
+  }
+
+  /**
+   * Get all of the models from the database.
+   *
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<Collection>}
+   */
+  static all (columns = ['*']) {
+    return this.query().get(columns)
+  }
+
+  /**
+   * Save a new model and return the instance.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @return {Promise<Model>}
+   */
+  static create (attributes = {}) {
+    return this.query().create(attributes)
+  }
+
+  /**
+   * Find a model by its primary key.
+   *
+   * @param  {any}  id
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<Model|Collection|undefined>}
+   */
+  static find (id, columns = ['*']) {
+    return this.query().find(id, columns)
+  }
+
+  /**
+   * Find a model by its primary key or throw an exception.
+   *
+   * @param  {any}  id
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<Model|Collection>}
+   */
+  static findOrFail (id, columns = ['*']) {
+    return this.query().findOrFail(id, columns)
+  }
+
+  /**
+   * Get the first record matching the attributes or instantiate it.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {Record<string, any>}  [values]
+   * @return {Promise<Model>}
+   */
+  static firstOrNew (attributes = {}, values = {}) {
+    return this.query().firstOrNew(attributes, values)
+  }
+
+  /**
+   * Get the first record matching the attributes. If the record is not found, create it.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {Record<string, any>}  [values]
+   * @return {Promise<Model>}
+   */
+  static firstOrCreate (attributes = {}, values = {}) {
+    return this.query().firstOrCreate(attributes, values)
+  }
+
+  /**
+   * Attempt to create the record. If a unique constraint violation occurs, attempt to find the matching record.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {Record<string, any>}  [values]
+   * @return {Promise<Model>}
+   */
+  static createOrFirst (attributes = {}, values = {}) {
+    return this.query().createOrFirst(attributes, values)
+  }
+
+  /**
+   * Create or update a record matching the attributes, and fill it with values.
+   *
+   * @param  {Record<string, any>}  attributes
+   * @param  {Record<string, any>}  [values]
+   * @return {Promise<Model>}
+   */
+  static updateOrCreate (attributes, values = {}) {
+    return this.query().updateOrCreate(attributes, values)
+  }
+
+  /**
+   * Begin querying the model with a basic where clause.
+   *
+   * @param  {...any}  parameters
+   * @return {Builder}
+   */
+  static where (...parameters) {
+    return this.query().where(...parameters)
+  }
+
+  /**
+   * Begin querying a model with eager loading.
+   *
+   * @param  {string|any[]|Record<string, any>}  relations
+   * @param  {...(string|Function)}  parameters
+   * @return {Builder}
+   */
+  static with (relations, ...parameters) {
+    return this.query().with(relations, ...parameters)
+  }
+
+  /**
+   * Begin querying the model with the given columns selected.
+   *
+   * @param  {string[]|any}  [columns=['*']]
+   * @return {Builder}
+   */
+  static select (columns = ['*']) {
+    return this.query().select(columns)
+  }
+
+  /**
+   * Begin querying the model with a where clause on the primary key.
+   *
+   * @param  {any}  id
+   * @return {Builder}
+   */
+  static whereKey (id) {
+    return this.query().whereKey(id)
+  }
+
+  /**
+   * Begin querying the model with a "where in" clause.
+   *
+   * @param  {string}  column
+   * @param  {any}  values
+   * @return {Builder}
+   */
+  static whereIn (column, values) {
+    return this.query().whereIn(column, values)
+  }
+
+  /**
+   * Begin querying the model ordered by the given column.
+   *
+   * @param  {Function|Builder|Expression|string}  column
+   * @param  {string}  [direction=asc]
+   * @return {Builder}
+   */
+  static orderBy (column, direction = 'asc') {
+    return this.query().orderBy(column, direction)
+  }
+
+  /**
+   * Begin querying the model ordered by the latest timestamp.
+   *
+   * @param  {string}  [column]
+   * @return {Builder}
+   */
+  static latest (column) {
+    return this.query().latest(column)
+  }
+
+  /**
+   * Begin querying the model ordered by the oldest timestamp.
+   *
+   * @param  {string}  [column]
+   * @return {Builder}
+   */
+  static oldest (column) {
+    return this.query().oldest(column)
+  }
+
+  /**
+   * Begin querying the model with the count of the given relations.
+   *
+   * @param  {...(string|string[]|Record<string, Function>)}  relations
+   * @return {Builder}
+   */
+  static withCount (...relations) {
+    return this.query().withCount(...relations)
+  }
+
+  /**
+   * Get the first model from the database.
+   *
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<Model|undefined>}
+   */
+  static first (columns = ['*']) {
+    return this.query().first(columns)
+  }
+
+  /**
+   * Get the first model from the database or throw an exception.
+   *
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<Model>}
+   */
+  static firstOrFail (columns = ['*']) {
+    return this.query().firstOrFail(columns)
+  }
+
+  /**
+   * Find multiple models by their primary keys.
+   *
+   * @param  {any[]|Collection}  ids
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<Collection>}
+   */
+  static findMany (ids, columns = ['*']) {
+    return this.query().findMany(ids, columns)
+  }
+
+  /**
+   * Retrieve the number of models in the database.
+   *
+   * @param  {string}  [columns='*']
+   * @return {Promise<number>}
+   */
+  static count (columns = '*') {
+    return this.query().count(columns)
+  }
+
+  /**
+   * Determine if any model exists in the database.
+   *
+   * @return {Promise<boolean>}
+   */
+  static exists () {
+    return this.query().exists()
+  }
+
+  /**
+   * Retrieve the maximum value of a given column.
+   *
+   * @param  {string}  column
+   * @return {Promise<any>}
+   */
+  static max (column) {
+    return this.query().max(column)
+  }
+
+  /**
+   * Retrieve the minimum value of a given column.
+   *
+   * @param  {string}  column
+   * @return {Promise<any>}
+   */
+  static min (column) {
+    return this.query().min(column)
+  }
+
+  /**
+   * Retrieve the sum of the values of a given column.
+   *
+   * @param  {string}  column
+   * @return {Promise<any>}
+   */
+  static sum (column) {
+    return this.query().sum(column)
+  }
+
+  /**
+   * Retrieve the average of the values of a given column.
+   *
+   * @param  {string}  column
+   * @return {Promise<any>}
+   */
+  static avg (column) {
+    return this.query().avg(column)
+  }
+
+  /**
+   * Begin querying the model.
+   *
+   * @return {Builder}
+   */
+  static query () {
+    return (new this()).newQuery()
+  }
+
+  /**
+   * Update the model in the database.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @return {Promise<boolean>}
+   */
+  async update (attributes = {}) {
+    if (!this.exists) {
+      return false
+    }
+
+    await this.loadGuardableColumns()
+
+    return this.fill(attributes).save()
+  }
+
+  /**
+   * Save the model to the database.
+   *
+   * @return {Promise<boolean>}
+   */
+  async save () {
+    const query = this.newModelQuery()
+
+    // If the "saving" event returns false we'll bail out of the save and return
+    // false, indicating that the save failed. This provides a chance for any
+    // listeners to cancel save operations if validations fail or whatever.
+    if (await this.fireModelEvent('saving') === false) {
+      return false
+    }
+
+    let saved
+
+    // If the model already exists in the database we can just update our record
+    // that is already in this database using the current IDs in this "where"
+    // clause to only update this model. Otherwise, we'll just insert them.
+    if (this.exists) {
+      saved = this.isDirty() ? await this.performUpdate(query) : true
+    } else {
+      // If the model is brand new, we'll insert it into our database and set the
+      // ID attribute on the model to the value of the newly inserted row's ID
+      // which is typically an auto-increment value managed by the database.
+      saved = await this.performInsert(query)
+
+      if (isNil(this.getConnectionName())) {
+        this.setConnection(query.getConnection().getName())
+      }
+    }
+
+    // If the model is successfully saved, we need to do a few more things once
+    // that is done. We will call the "saved" method here to run any actions
+    // we need to happen after a model gets successfully saved right here.
+    if (saved) {
+      await this.finishSave()
+    }
+
+    return saved
+  }
+
+  /**
+   * Perform any actions that are necessary after the model is saved.
+   *
+   * @protected
+   * @return {Promise<void>}
+   */
+  async finishSave () {
+    await this.fireModelEvent('saved', false)
+
+    if (this.isDirty()) {
+      await this.touchOwners()
+    }
+
+    this.syncOriginal()
+  }
+
+  /**
+   * Perform a model update operation.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @return {Promise<boolean>}
+   */
+  async performUpdate (query) {
+    // If the updating event returns false, we will cancel the update operation so
+    // developers can hook Validation systems into their models and cancel this
+    // operation if the model does not pass validation. Otherwise, we update.
+    if (await this.fireModelEvent('updating') === false) {
+      return false
+    }
+
+    // First we need to create a fresh query instance and touch the creation and
+    // update timestamp on the model which are maintained by us for developer
+    // convenience. Then we will just continue saving the model instances.
+    if (this.usesTimestamps()) {
+      this.updateTimestamps()
+    }
+
+    // Once we have run the update operation, we will fire the "updated" event for
+    // this model instance. This will allow developers to hook into these after
+    // models are updated, giving them a chance to do any special processing.
+    const dirty = this.getDirtyForUpdate()
+
+    if (Object.keys(dirty).length > 0) {
+      await this.setKeysForSaveQuery(query).update(dirty)
+
+      this.syncChanges()
+
+      await this.fireModelEvent('updated', false)
+    }
+
+    return true
+  }
+
+  /**
+   * Set the keys for a select query.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @return {Builder}
+   */
+  setKeysForSelectQuery (query) {
+    query.where(this.getKeyName(), '=', this.getKeyForSelectQuery())
+
+    return query
+  }
+
+  /**
+   * Get the primary key value for a select query.
+   *
+   * @protected
+   * @return {any}
+   */
+  getKeyForSelectQuery () {
+    return this.original[this.getKeyName()] ?? this.getKey()
+  }
+
+  /**
+   * Set the keys for a save update query.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @return {Builder}
+   */
+  setKeysForSaveQuery (query) {
+    query.where(this.getKeyName(), '=', this.getKeyForSaveQuery())
+
+    return query
+  }
+
+  /**
+   * Get the primary key value for a save query.
+   *
+   * @protected
+   * @return {any}
+   */
+  getKeyForSaveQuery () {
+    return this.original[this.getKeyName()] ?? this.getKey()
+  }
+
+  /**
+   * Perform a model insert operation.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @return {Promise<boolean>}
+   */
+  async performInsert (query) {
+    if (await this.fireModelEvent('creating') === false) {
+      return false
+    }
+
+    // First we'll need to create a fresh query instance and touch the creation and
+    // update timestamps on this model, which are maintained by us for developer
+    // convenience. After, we will just continue saving these model instances.
+    if (this.usesTimestamps()) {
+      this.updateTimestamps()
+    }
+
+    // If the model has an incrementing key, we can use the "insertGetId" method on
+    // the query builder, which will give us back the final inserted ID for this
+    // table from the database. Not all tables have to be incrementing though.
+    const attributes = this.getAttributesForInsert()
+
+    if (this.getIncrementing()) {
+      await this.insertAndSetId(query, attributes)
+    } else {
+      // If the table isn't incrementing we'll simply insert these attributes as they
+      // are. These attribute arrays must contain an "id" column previously placed
+      // there by the developer as the manually determined key for these models.
+      if (Object.keys(attributes).length === 0) {
+        return true
+      }
+
+      await query.insert(attributes)
+    }
+
+    // We will go ahead and set the exists property to true, so that it is set when
+    // the created event is fired, just in case the developer tries to update it
+    // during the event. This will allow them to do so and run an update here.
+    this.exists = true
+
+    this.wasRecentlyCreated = true
+
+    await this.fireModelEvent('created', false)
+
+    return true
+  }
+
+  /**
+   * Insert the given attributes and set the ID on the model.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @param  {Record<string, any>}  attributes
+   * @return {Promise<void>}
+   */
+  async insertAndSetId (query, attributes) {
+    const keyName = this.getKeyName()
+
+    const id = await query.insertGetId(attributes, keyName)
+
+    this.setAttribute(keyName, id)
+  }
+
+  /**
+   * Get all of the current attributes on the model for an insert operation.
+   *
+   * @protected
+   * @return {Record<string, any>}
+   */
+  getAttributesForInsert () {
+    return this.getAttributes()
+  }
+
+  /**
+   * Delete the model from the database.
+   *
+   * @return {Promise<boolean|undefined>}
+   *
+   * @throws {LogicException}
+   */
+  async delete () {
+    if (isNil(this.getKeyName())) {
+      throw new Error('LogicException: No primary key defined on model.')
+    }
+
+    // If the model doesn't exist, there is nothing to delete so we'll just return
+    // immediately and not do anything else. Otherwise, we will continue with a
+    // deletion process on the model, firing the proper events, and so forth.
+    if (!this.exists) {
+      return
+    }
+
+    if (await this.fireModelEvent('deleting') === false) {
+      return false
+    }
+
+    // Here, we'll touch the owning models, verifying these timestamps get updated
+    // for the models. This will allow any caching to get broken on the parents
+    // by the timestamp. Then we will go ahead and delete the model instance.
+    await this.touchOwners()
+
+    await this.performDeleteOnModel()
+
+    // Once the model has been deleted, we will fire off the deleted event so that
+    // the developers may hook into post-delete operations. We will then return
+    // a boolean true as the delete is presumably successful on the database.
+    await this.fireModelEvent('deleted', false)
+
+    return true
+  }
+
+  /**
+   * Perform the actual delete query on this model instance.
+   *
+   * @protected
+   * @return {Promise<void>}
+   */
+  async performDeleteOnModel () {
+    await this.setKeysForSaveQuery(this.newModelQuery()).delete()
+
+    this.exists = false
+  }
+
+  /**
+   * Get a new query builder for the model's table.
+   *
+   * @return {Builder}
+   */
+  newQuery () {
+    return this.registerGlobalScopes(this.newQueryWithoutScopes())
+  }
+
+  /**
+   * Get a new query builder that doesn't have any global scopes or eager loading.
+   *
+   * @return {Builder}
+   */
+  newModelQuery () {
+    return this.newEloquentBuilder(
+      this.newBaseQueryBuilder()
+    ).setModel(this)
+  }
+
+  /**
+   * Get a new query builder that doesn't have any global scopes.
+   *
+   * @return {Builder}
+   */
+  newQueryWithoutScopes () {
+    return this.newModelQuery()
+  }
+
+  /**
+   * Get a new query builder with no relationships loaded.
+   *
+   * @return {Builder}
+   */
+  newQueryWithoutRelationships () {
+    return this.registerGlobalScopes(this.newModelQuery())
+  }
+
+  /**
+   * Register the global scopes for this builder instance.
+   *
+   * @param  {Builder}  builder
+   * @return {Builder}
+   */
+  registerGlobalScopes (builder) {
+    for (const [identifier, scope] of this.getGlobalScopes()) {
+      builder.withGlobalScope(identifier, scope)
+    }
+
+    return builder
+  }
+
+  /**
+   * Get a new query instance without a given scope.
+   *
+   * @param  {Scope|ScopeClass|Function|string}  scope
+   * @return {Builder}
+   */
+  newQueryWithoutScope (scope) {
+    return this.newQuery().withoutGlobalScope(scope)
+  }
+
+  /**
+   * Create a new Eloquent query builder for the model.
+   *
+   * @param  {import('../Query/Builder.js').default}  query
+   * @return {Builder}
+   */
+  newEloquentBuilder (query) {
+    return new Builder(query)
+  }
+
+  /**
+   * Get a new query builder instance for the connection.
+   *
+   * @protected
+   * @return {import('../Query/Builder.js').default}
+   */
+  newBaseQueryBuilder () {
+    return this.getConnection().query()
+  }
+
+  /**
+   * Create a new Eloquent Collection instance.
+   *
+   * @param  {Model[]}  [models]
+   * @return {Collection}
+   */
+  newCollection (models = []) {
+    return new Collection(models)
+  }
+
+  /**
+   * Create a new pivot model instance.
+   *
+   * The pivot model extends this class, so it is imported once it is needed
+   * and the instance is resolved asynchronously.
+   *
+   * @param  {Model}  parent
+   * @param  {Record<string, any>}  attributes
+   * @param  {string}  table
+   * @param  {boolean}  exists
+   * @param  {typeof Model}  [using]
+   * @return {Promise<Model>}
+   */
+  async newPivot (parent, attributes, table, exists, using) {
+    if (using) {
+      return using.fromRawAttributes(parent, attributes, table, exists)
+    }
+
+    const { default: Pivot } = await import('./Relations/Pivot.js')
+
+    return Pivot.fromAttributes(parent, attributes, table, exists)
+  }
+
+  /**
+   * Convert the model instance to an array.
+   *
+   * @return {Record<string, any>}
+   */
+  toArray () {
+    return { ...this.attributesToArray(), ...this.relationsToArray() }
+  }
+
+  /**
+   * Convert the object into something JSON serializable.
+   *
+   * It is called by JSON.stringify(), so the models can be sent as responses.
+   *
+   * @return {Record<string, any>}
+   */
+  toJSON () {
+    return this.toArray()
+  }
+
+  /**
+   * Eager load relations on the model.
+   *
+   * @param  {...(string|string[]|Record<string, Function>)}  relations
+   * @return {Promise<this>}
+   */
+  async load (...relations) {
+    const query = this.newQueryWithoutRelationships().with(relations.flat())
+
+    await query.eagerLoadRelations([this])
+
+    return this
+  }
+
+  /**
+   * Eager load relations on the model if they are not already eager loaded.
+   *
+   * @param  {...(string|string[]|Record<string, Function>)}  relations
+   * @return {Promise<this>}
+   */
+  async loadMissing (...relations) {
+    await this.newCollection([this]).loadMissing(...relations)
+
+    return this
+  }
+
+  /**
+   * Reload a fresh model instance from the database.
+   *
+   * @return {Promise<Model|undefined>}
+   */
+  async fresh () {
+    if (!this.exists) {
+      return
+    }
+
+    return this.setKeysForSelectQuery(this.newQueryWithoutScopes()).first()
+  }
+
+  /**
+   * Reload the current model instance with fresh attributes from the database.
+   *
+   * @return {Promise<this>}
+   */
+  async refresh () {
+    if (!this.exists) {
+      return this
+    }
+
+    const model = await this.setKeysForSelectQuery(this.newQueryWithoutScopes()).firstOrFail()
+
+    this.setRawAttributes(model.getAttributes())
+
+    this.syncOriginal()
+
+    return this
+  }
+
+  /**
+   * Determine if two models have the same ID and belong to the same table.
+   *
+   * @param  {Model|undefined}  model
+   * @return {boolean}
+   */
+  is (model) {
+    return model !== undefined && model !== null &&
+      this.getKey() === model.getKey() &&
+      this.getTable() === model.getTable() &&
+      this.getConnectionName() === model.getConnectionName()
+  }
+
+  /**
+   * Get the database connection for the model.
+   *
+   * @return {Connection}
+   */
+  getConnection () {
+    return /** @type {typeof Model} */ (this.constructor).resolveConnection(this.getConnectionName())
+  }
+
+  /**
+   * Get the current connection name for the model.
+   *
+   * @return {string|undefined}
+   */
+  getConnectionName () {
+    return this.connection
+  }
+
+  /**
+   * Set the connection associated with the model.
+   *
+   * @param  {string|null|undefined}  name
+   * @return {this}
+   */
+  setConnection (name) {
+    this.connection = name ?? undefined
+
+    return this
+  }
+
+  /**
+   * Resolve a connection instance.
+   *
+   * @param  {string}  [connection]
+   * @return {Connection}
+   */
+  static resolveConnection (connection) {
+    if (Model.resolver === undefined) {
+      throw new Error('RuntimeException: A connection resolver has not been set on the model.')
+    }
+
+    return Model.resolver.connection(connection)
+  }
+
+  /**
+   * Get the connection resolver instance.
+   *
+   * @return {import('../DatabaseManager.js').default|undefined}
+   */
+  static getConnectionResolver () {
+    return Model.resolver
+  }
+
+  /**
+   * Set the connection resolver instance.
+   *
+   * @param  {import('../DatabaseManager.js').default}  resolver
+   * @return {void}
+   */
+  static setConnectionResolver (resolver) {
+    Model.resolver = resolver
+  }
+
+  /**
+   * Unset the connection resolver for models.
+   *
+   * @return {void}
+   */
+  static unsetConnectionResolver () {
+    Model.resolver = undefined
+  }
+
+  /**
+   * Get the table associated with the model.
+   *
+   * @return {string}
+   */
+  getTable () {
+    return this.table ?? snakeCase(plural(this.constructor.name))
+  }
+
+  /**
+   * Set the table associated with the model.
+   *
+   * @param  {string}  table
+   * @return {this}
+   */
+  setTable (table) {
+    this.table = table
+
+    return this
+  }
+
+  /**
+   * Get the primary key for the model.
+   *
+   * @return {string}
+   */
+  getKeyName () {
+    return this.primaryKey
+  }
+
+  /**
+   * Set the primary key for the model.
+   *
+   * @param  {string}  key
+   * @return {this}
+   */
+  setKeyName (key) {
+    this.primaryKey = key
+
+    return this
+  }
+
+  /**
+   * Get the table qualified key name.
+   *
+   * @return {string}
+   */
+  getQualifiedKeyName () {
+    return this.qualifyColumn(this.getKeyName())
+  }
+
+  /**
+   * Get the auto-incrementing key type.
+   *
+   * @return {string}
+   */
+  getKeyType () {
+    return this.keyType
+  }
+
+  /**
+   * Set the data type for the primary key.
+   *
+   * @param  {string}  type
+   * @return {this}
+   */
+  setKeyType (type) {
+    this.keyType = type
+
+    return this
+  }
+
+  /**
+   * Get the value indicating whether the IDs are incrementing.
+   *
+   * @return {boolean}
+   */
+  getIncrementing () {
+    return this.incrementing
+  }
+
+  /**
+   * Set whether IDs are incrementing.
+   *
+   * @param  {boolean}  value
+   * @return {this}
+   */
+  setIncrementing (value) {
+    this.incrementing = value
+
+    return this
+  }
+
+  /**
+   * Get the default foreign key name for the model.
+   *
+   * @return {string}
+   */
+  getForeignKey () {
+    return `${snakeCase(this.constructor.name)}_${this.getKeyName()}`
+  }
+
+  /**
+   * Get the value of the model's primary key.
+   *
+   * @return {any}
+   */
+  getKey () {
+    return this.getAttribute(this.getKeyName())
+  }
+
+  /**
+   * Unset the value of an attribute or a loaded relationship.
+   *
+   * @param  {string}  offset
+   * @return {void}
+   */
+  offsetUnset (offset) {
+    delete this.attributes[offset]
+
+    delete this.relations[offset]
+  }
 
-export default class Model {
   /**
    * Apply the given named scope if possible.
    *
@@ -9,8 +1428,7 @@ export default class Model {
    * @return {any}
    */
   callNamedScope (scope, parameters = []) {
-    // return Reflect.apply(this, method, parameters)
-    this[`scope${capitalize(scope)}`](...parameters)
+    return this[`scope${capitalize(scope)}`](...parameters)
   }
 
   /**
@@ -20,7 +1438,6 @@ export default class Model {
    * @return {boolean}
    */
   hasNamedScope (scope) {
-    // return Reflect.has(this, 'scope' + capitalize(scope))
-    return this[`scope${capitalize(scope)}`] !== undefined
+    return Reflect.has(this, `scope${capitalize(scope)}`)
   }
 }
@@ -0,0 +1,50 @@
+import RecordsNotFoundException from '../RecordsNotFoundException.js'
+
+/** @typedef {typeof import('./Model.js').default} ModelClass */
+
+export default class ModelNotFoundException extends RecordsNotFoundException {
+  /**
+   * Name of the affected Eloquent model.
+   *
+   * @protected
+   * @type {ModelClass|undefined}
+   */
+  model
+
+  /**
+   * Create a new exception instance.
+   *
+   * @param  {string}  [message]
+   */
+  constructor (message = 'ModelNotFoundException: No query results for model.') {
+    super(message)
+  }
+
+  /**
+   * Set the affected Eloquent model and instance ids.
+   *
+   * @param  {ModelClass}  model
+   * @param  {any[]|any}  [ids=[]]
+   * @return {this}
+   */
+  setModel (model, ids = []) {
+    this.model = model
+
+    this.ids = Array.isArray(ids) ? ids : [ids]
+
+    this.message = `ModelNotFoundException: No query results for model [${model.name}]`
+
+    this.message += this.ids.length > 0 ? ` ${this.ids.join(', ')}` : '.'
+
+    return this
+  }
+
+  /**
+   * Get the affected Eloquent model.
+   *
+   * @return {ModelClass|undefined}
+   */
+  getModel () {
+    return this.model
+  }
+}
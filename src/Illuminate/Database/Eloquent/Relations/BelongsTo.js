@@ -0,0 +1,265 @@
+import { isNil, unique } from '@devnetic/utils'
+
+import { spaceship } from '../../../Support/helpers.js'
+import Model from '../Model.js'
+import Relation from './Relation.js'
+
+/** @typedef {import('../Builder.js').default} Builder */
+/** @typedef {import('../../../Collections/Collection.js').default} Collection */
+
+export default class BelongsTo extends Relation {
+  /**
+   * Create a new belongs to relationship instance.
+   *
+   * @param  {Builder}  query
+   * @param  {Model}  child  The child model instance of the relation.
+   * @param  {string}  foreignKey  The foreign key of the parent model.
+   * @param  {string}  ownerKey  The associated key on the parent model.
+   * @param  {string}  relationName  The name of the relationship.
+   * @param  {Record<string, any>}  [properties]
+   */
+  constructor (query, child, foreignKey, ownerKey, relationName, properties = {}) {
+    super(query, child, { child, foreignKey, ownerKey, relationName, ...properties })
+  }
+
+  /**
+   * Get the results of the relationship.
+   *
+   * @return {Promise<Model|undefined>}
+   */
+  async getResults () {
+    if (isNil(this.getParentKey())) {
+      return
+    }
+
+    return this.query.first()
+  }
+
+  /**
+   * Set the base constraints on the relation query.
+   *
+   * @return {void}
+   */
+  addConstraints () {
+    if (Relation.constraints) {
+      // For belongs to relationships, which are essentially the inverse of has one
+      // or has many relationships, we need to actually query on the primary key
+      // of the related models matching on the foreign key that's on a parent.
+      const table = this.related.getTable()
+
+      this.query.where(`${table}.${this.ownerKey}`, '=', this.getParentKey())
+    }
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Model[]}  models
+   * @return {void}
+   */
+  addEagerConstraints (models) {
+    // We'll grab the primary key name of the related models since it could be set to
+    // a non-standard name and not "id". We will then construct the constraint for
+    // our eagerly loading query so it returns the proper models from execution.
+    const key = `${this.related.getTable()}.${this.ownerKey}`
+
+    const whereIn = this.whereInMethod(this.related, this.ownerKey)
+
+    this.getRelationQuery()[whereIn](key, this.getEagerModelKeys(models))
+  }
+
+  /**
+   * Gather the keys from an array of related models.
+   *
+   * @protected
+   * @param  {Model[]}  models
+   * @return {any[]}
+   */
+  getEagerModelKeys (models) {
+    // First we need to gather all of the keys from the parent models so we know what
+    // to query for via the eager loading query. We will add them to an array then
+    // execute a "where in" statement to gather up all of those related records.
+    const keys = models
+      .map(model => model.getAttribute(this.foreignKey))
+      .filter(value => !isNil(value))
+
+    return unique(keys).sort(spaceship)
+  }
+
+  /**
+   * Initialize the relation on a set of models.
+   *
+   * @param  {Model[]}  models
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  initRelation (models, relation) {
+    for (const model of models) {
+      model.setRelation(relation, null)
+    }
+
+    return models
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @param  {Model[]}  models
+   * @param  {Collection}  results
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  match (models, results, relation) {
+    // First we will get to build a dictionary of the child models by their primary
+    // key of the relationship, then we can easily match the children back onto
+    // the parents using that dictionary and the primary key of the children.
+    const dictionary = {}
+
+    for (const result of results.all()) {
+      dictionary[result.getAttribute(this.ownerKey)] = result
+    }
+
+    // Once we have the dictionary constructed, we can loop through all the parents
+    // and match back onto their children using these keys of the dictionary and
+    // the primary key of the children to map them onto the correct instances.
+    for (const model of models) {
+      const attribute = model.getAttribute(this.foreignKey)
+
+      if (Object.hasOwn(dictionary, attribute)) {
+        model.setRelation(relation, dictionary[attribute])
+      }
+    }
+
+    return models
+  }
+
+  /**
+   * Associate the model instance to the given parent.
+   *
+   * @param  {Model|any}  model
+   * @return {Model}
+   */
+  associate (model) {
+    const ownerKey = model instanceof Model ? model.getAttribute(this.ownerKey) : model
+
+    this.child.setAttribute(this.foreignKey, ownerKey)
+
+    if (model instanceof Model) {
+      this.child.setRelation(this.relationName, model)
+    } else {
+      this.child.unsetRelation(this.relationName)
+    }
+
+    return this.child
+  }
+
+  /**
+   * Dissociate previously associated model from the given parent.
+   *
+   * @return {Model}
+   */
+  dissociate () {
+    this.child.setAttribute(this.foreignKey, null)
+
+    return this.child.setRelation(this.relationName, null)
+  }
+
+  /**
+   * Add the constraints for a relationship query.
+   *
+   * @param  {Builder}  query
+   * @param  {Builder}  parentQuery
+   * @param  {any[]|any}  [columns=['*']]
+   * @return {Builder}
+   */
+  getRelationExistenceQuery (query, parentQuery, columns = ['*']) {
+    if (parentQuery.getQuery().fromProperty === query.getQuery().fromProperty) {
+      return this.getRelationExistenceQueryForSelfRelation(query, parentQuery, columns)
+    }
+
+    return query.select(columns).whereColumn(
+      this.getQualifiedForeignKeyName(), '=', query.qualifyColumn(this.ownerKey)
+    )
+  }
+
+  /**
+   * Add the constraints for a relationship query on the same table.
+   *
+   * @param  {Builder}  query
+   * @param  {Builder}  parentQuery
+   * @param  {any[]|any}  [columns=['*']]
+   * @return {Builder}
+   */
+  getRelationExistenceQueryForSelfRelation (query, parentQuery, columns = ['*']) {
+    const hash = this.getRelationCountHash()
+
+    query.select(columns).from(`${query.getModel().getTable()} as ${hash}`)
+
+    query.getModel().setTable(hash)
+
+    return query.whereColumn(`${hash}.${this.ownerKey}`, '=', this.getQualifiedForeignKeyName())
+  }
+
+  /**
+   * Get the child of the relationship.
+   *
+   * @return {Model}
+   */
+  getChild () {
+    return this.child
+  }
+
+  /**
+   * Get the foreign key of the relationship.
+   *
+   * @return {string}
+   */
+  getForeignKeyName () {
+    return this.foreignKey
+  }
+
+  /**
+   * Get the fully qualified foreign key of the relationship.
+   *
+   * @return {string}
+   */
+  getQualifiedForeignKeyName () {
+    return this.child.qualifyColumn(this.foreignKey)
+  }
+
+  /**
+   * Get the key value of the child's foreign key.
+   *
+   * @return {any}
+   */
+  getParentKey () {
+    return this.child.getAttribute(this.foreignKey)
+  }
+
+  /**
+   * Get the associated key of the relationship.
+   *
+   * @return {string}
+   */
+  getOwnerKeyName () {
+    return this.ownerKey
+  }
+
+  /**
+   * Get the fully qualified associated key of the relationship.
+   *
+   * @return {string}
+   */
+  getQualifiedOwnerKeyName () {
+    return this.related.qualifyColumn(this.ownerKey)
+  }
+
+  /**
+   * Get the name of the relationship.
+   *
+   * @return {string}
+   */
+  getRelationName () {
+    return this.relationName
+  }
+}
@@ -0,0 +1,664 @@
+import { isNil, unique } from '@devnetic/utils'
+
+import { mix } from '../../../Support/Traits/use.js'
+import InteractsWithPivotTable from './Concerns/InteractsWithPivotTable.js'
+import Relation from './Relation.js'
+
+/** @typedef {import('../Builder.js').default} Builder */
+/** @typedef {import('../Model.js').default} Model */
+/** @typedef {typeof import('../Model.js').default} ModelClass */
+/** @typedef {import('../../../Collections/Collection.js').default} Collection */
+
+export default class BelongsToMany extends mix(Relation).use(InteractsWithPivotTable) {
+  /**
+   * Create a new belongs to many relationship instance.
+   *
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {string|ModelClass}  table  The intermediate table or the custom pivot class.
+   * @param  {string}  foreignPivotKey  The foreign key of the parent model.
+   * @param  {string}  relatedPivotKey  The associated key of the relation.
+   * @param  {string}  parentKey  The key name of the parent model.
+   * @param  {string}  relatedKey  The key name of the related model.
+   * @param  {string}  [relationName]  The "name" of the relationship.
+   * @param  {Record<string, any>}  [properties]
+   */
+  constructor (query, parent, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relationName, properties = {}) {
+    // A custom pivot class may be given instead of the table name, in which case
+    // the relationship will use it for its pivot models and its table as the
+    // intermediate table, the same way as calling "using" with the class.
+    const PivotClass = typeof table === 'function' ? table : undefined
+
+    super(query, parent, {
+      table: PivotClass ? new PivotClass().getTable() : table,
+      foreignPivotKey,
+      relatedPivotKey,
+      parentKey,
+      relatedKey,
+      relationName,
+      pivotColumns: [],
+      pivotWheres: [],
+      pivotWhereIns: [],
+      pivotTimestamps: false,
+      pivotCreatedAt: undefined,
+      pivotUpdatedAt: undefined,
+      pivotClass: PivotClass,
+      accessor: 'pivot',
+      ...properties
+    })
+  }
+
+  /**
+   * Set the base constraints on the relation query.
+   *
+   * @return {void}
+   */
+  addConstraints () {
+    this.performJoin()
+
+    if (Relation.constraints) {
+      this.addWhereConstraints()
+    }
+  }
+
+  /**
+   * Set the join clause for the relation query.
+   *
+   * @protected
+   * @param  {Builder}  [query]
+   * @return {this}
+   */
+  performJoin (query = this.query) {
+    // We need to join to the intermediate table on the related model's primary
+    // key column with the intermediate table's foreign key for the related
+    // model instance. Then we can set the "where" for the parent models.
+    query.join(
+      this.table,
+      `${this.related.getTable()}.${this.relatedKey}`,
+      '=',
+      this.getQualifiedRelatedPivotKeyName()
+    )
+
+    return this
+  }
+
+  /**
+   * Set the where clause for the relation query.
+   *
+   * @protected
+   * @return {this}
+   */
+  addWhereConstraints () {
+    this.query.where(
+      this.getQualifiedForeignPivotKeyName(), '=', this.parent.getAttribute(this.parentKey)
+    )
+
+    return this
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Model[]}  models
+   * @return {void}
+   */
+  addEagerConstraints (models) {
+    const whereIn = this.whereInMethod(this.parent, this.parentKey)
+
+    this.getRelationQuery()[whereIn](
+      this.getQualifiedForeignPivotKeyName(),
+      this.getKeys(models, this.parentKey)
+    )
+  }
+
+  /**
+   * Initialize the relation on a set of models.
+   *
+   * @param  {Model[]}  models
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  initRelation (models, relation) {
+    for (const model of models) {
+      model.setRelation(relation, this.related.newCollection())
+    }
+
+    return models
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @param  {Model[]}  models
+   * @param  {Collection}  results
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  match (models, results, relation) {
+    const dictionary = this.buildDictionary(results)
+
+    // Once we have an array dictionary of child objects we can easily match the
+    // children back to their parent using the dictionary and the keys on the
+    // parent models. Then we should return these hydrated models back out.
+    for (const model of models) {
+      const key = model.getAttribute(this.parentKey)
+
+      if (Object.hasOwn(dictionary, key)) {
+        model.setRelation(relation, this.related.newCollection(dictionary[key]))
+      }
+    }
+
+    return models
+  }
+
+  /**
+   * Build model dictionary keyed by the relation's foreign key.
+   *
+   * @protected
+   * @param  {Collection}  results
+   * @return {Record<string, Model[]>}
+   */
+  buildDictionary (results) {
+    // First we'll build a dictionary of child models keyed by the foreign key
+    // of the relation so that we will easily and quickly match them to the
+    // parents without having a possibly slow inner loop for every model.
+    /** @type {Record<string, Model[]>} */
+    const dictionary = {}
+
+    for (const result of results.all()) {
+      const value = result.getRelation(this.accessor).getAttribute(this.foreignPivotKey)
+
+      dictionary[value] = [...(dictionary[value] ?? []), result]
+    }
+
+    return dictionary
+  }
+
+  /**
+   * Get the class being used for pivot models.
+   *
+   * @return {ModelClass|undefined}
+   */
+  getPivotClass () {
+    return this.pivotClass
+  }
+
+  /**
+   * Specify the custom pivot model to use for the relationship.
+   *
+   * @param  {ModelClass}  pivotClass
+   * @return {this}
+   */
+  using (pivotClass) {
+    this.pivotClass = pivotClass
+
+    return this
+  }
+
+  /**
+   * Specify the custom pivot accessor to use for the relationship.
+   *
+   * @param  {string}  accessor
+   * @return {this}
+   */
+  as (accessor) {
+    this.accessor = accessor
+
+    return this
+  }
+
+  /**
+   * Set a where clause for a pivot table column.
+   *
+   * @param  {string}  column
+   * @param  {any}  [operator]
+   * @param  {any}  [value]
+   * @param  {string}  [boolean='and']
+   * @return {this}
+   */
+  wherePivot (column, operator, value, boolean = 'and') {
+    this.pivotWheres.push([...arguments])
+
+    return this.where(this.qualifyPivotColumn(column), operator, value, boolean)
+  }
+
+  /**
+   * Set a "where in" clause for a pivot table column.
+   *
+   * @param  {string}  column
+   * @param  {any}  values
+   * @param  {string}  [boolean='and']
+   * @param  {boolean}  [not=false]
+   * @return {this}
+   */
+  wherePivotIn (column, values, boolean = 'and', not = false) {
+    this.pivotWhereIns.push([...arguments])
+
+    return this.whereIn(this.qualifyPivotColumn(column), values, boolean, not)
+  }
+
+  /**
+   * Set an "or where" clause for a pivot table column.
+   *
+   * @param  {string}  column
+   * @param  {any}  [operator]
+   * @param  {any}  [value]
+   * @return {this}
+   */
+  orWherePivot (column, operator, value) {
+    return this.wherePivot(column, operator, value, 'or')
+  }
+
+  /**
+   * Find a related model by its primary key.
+   *
+   * @param  {any}  id
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<Model|undefined>}
+   */
+  find (id, columns = ['*']) {
+    return this.where(
+      this.getRelated().getQualifiedKeyName(), '=', this.parseId(id)
+    ).first(columns)
+  }
+
+  /**
+   * Execute the query and get the first result.
+   *
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<Model|undefined>}
+   */
+  async first (columns = ['*']) {
+    const results = await this.take(1).get(columns)
+
+    return results.first()
+  }
+
+  /**
+   * Get the results of the relationship.
+   *
+   * @return {Promise<Collection>}
+   */
+  async getResults () {
+    return !isNil(this.parent.getAttribute(this.parentKey))
+      ? this.get()
+      : this.related.newCollection()
+  }
+
+  /**
+   * Execute the query as a "select" statement.
+   *
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<Collection>}
+   */
+  async get (columns = ['*']) {
+    // First we'll add the proper select columns onto the query so it is run with
+    // the proper columns. Then, we will get the results and hydrate our pivot
+    // models with the result of those columns as a separate model relation.
+    const builder = this.query.applyScopes()
+
+    columns = builder.getQuery().columns.length > 0 ? [] : columns
+
+    let models = await builder.addSelect(this.shouldSelect(columns)).getModels()
+
+    await this.hydratePivotRelation(models)
+
+    // If we actually found models we will also eager load any relationships that
+    // have been specified as needing to be eager loaded. This will solve the
+    // n + 1 query problem for the developer and also increase performance.
+    if (models.length > 0) {
+      models = await builder.eagerLoadRelations(models)
+    }
+
+    return this.related.newCollection(models)
+  }
+
+  /**
+   * Get the select columns for the relation query.
+   *
+   * @protected
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {string[]}
+   */
+  shouldSelect (columns = ['*']) {
+    columns = [columns].flat()
+
+    if (columns.length === 1 && columns[0] === '*') {
+      columns = [`${this.related.getTable()}.*`]
+    }
+
+    return [...columns, ...this.aliasedPivotColumns()]
+  }
+
+  /**
+   * Get the pivot columns for the relation.
+   *
+   * "pivot_" is prefixed at each column for easy removal later.
+   *
+   * @protected
+   * @return {string[]}
+   */
+  aliasedPivotColumns () {
+    const defaults = [this.foreignPivotKey, this.relatedPivotKey]
+
+    return unique([...defaults, ...this.pivotColumns].map(column => {
+      return `${this.qualifyPivotColumn(column)} as pivot_${column}`
+    }))
+  }
+
+  /**
+   * Hydrate the pivot table relationship on the models.
+   *
+   * @protected
+   * @param  {Model[]}  models
+   * @return {Promise<void>}
+   */
+  async hydratePivotRelation (models) {
+    // To hydrate the pivot relationship, we will just gather the pivot attributes
+    // and create a new Pivot model, which is basically a dynamic model that we
+    // will set the attributes, table, and connections on it so it will work.
+    for (const model of models) {
+      model.setRelation(this.accessor, await this.newExistingPivot(
+        this.migratePivotAttributes(model)
+      ))
+    }
+  }
+
+  /**
+   * Get the pivot attributes from a model.
+   *
+   * @protected
+   * @param  {Model}  model
+   * @return {Record<string, any>}
+   */
+  migratePivotAttributes (model) {
+    const values = {}
+
+    for (const [key, value] of Object.entries(model.getAttributes())) {
+      // To get the pivots attributes we will just take any of the attributes which
+      // begin with "pivot_" and add those to this arrays, as well as unsetting
+      // them from the parent's models since they exist in a different table.
+      if (key.startsWith('pivot_')) {
+        values[key.slice(6)] = value
+
+        delete model[key]
+      }
+    }
+
+    return values
+  }
+
+  /**
+   * Specify that the pivot table has creation and update timestamps.
+   *
+   * @param  {string}  [createdAt]
+   * @param  {string}  [updatedAt]
+   * @return {this}
+   */
+  withTimestamps (createdAt, updatedAt) {
+    this.pivotTimestamps = true
+
+    this.pivotCreatedAt = createdAt
+
+    this.pivotUpdatedAt = updatedAt
+
+    return this.withPivot(this.createdAt(), this.updatedAt())
+  }
+
+  /**
+   * Get the name of the "created at" column.
+   *
+   * @return {string}
+   */
+  createdAt () {
+    return this.pivotCreatedAt ?? this.parent.getCreatedAtColumn()
+  }
+
+  /**
+   * Get the name of the "updated at" column.
+   *
+   * @return {string}
+   */
+  updatedAt () {
+    return this.pivotUpdatedAt ?? this.parent.getUpdatedAtColumn()
+  }
+
+  /**
+   * Touch all of the related models for the relationship.
+   *
+   * E.g.: Touch all roles associated with this user.
+   *
+   * @return {Promise<void>}
+   */
+  async touch () {
+    const model = this.getRelated()
+
+    if (!model.usesTimestamps() || isNil(model.getUpdatedAtColumn())) {
+      return
+    }
+
+    const ids = await this.allRelatedIds()
+
+    // If we actually have IDs for the relation, we will run the query to update all
+    // the related model's timestamps, to make sure these all reflect the changes
+    // to the parent models. This will help us keep any caching synced up here.
+    if (!ids.isEmpty()) {
+      await model.newQueryWithoutRelationships()
+        .whereKey(ids.all())
+        .update({ [model.getUpdatedAtColumn()]: model.freshTimestampString() })
+    }
+  }
+
+  /**
+   * Get all of the IDs for the related models.
+   *
+   * @return {Promise<import('../../../Collections/Collection.js').default>}
+   */
+  allRelatedIds () {
+    return this.newPivotQuery().pluck(this.relatedPivotKey)
+  }
+
+  /**
+   * Save a new model and attach it to the parent model.
+   *
+   * @param  {Model}  model
+   * @param  {Record<string, any>}  [pivotAttributes]
+   * @return {Promise<Model>}
+   */
+  async save (model, pivotAttributes = {}) {
+    await model.save()
+
+    await this.attach(model, pivotAttributes)
+
+    return model
+  }
+
+  /**
+   * Create a new instance of the related model.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {Record<string, any>}  [joining]
+   * @return {Promise<Model>}
+   */
+  async create (attributes = {}, joining = {}) {
+    await this.related.loadGuardableColumns()
+
+    const instance = this.related.newInstance(attributes)
+
+    // Once we save the related model, we need to attach it to the base model via
+    // through intermediate table so we'll use the existing "attach" method to
+    // accomplish this which will insert the record and any more attributes.
+    await instance.save()
+
+    await this.attach(instance, joining)
+
+    return instance
+  }
+
+  /**
+   * Add the constraints for a relationship query.
+   *
+   * @param  {Builder}  query
+   * @param  {Builder}  parentQuery
+   * @param  {any[]|any}  [columns=['*']]
+   * @return {Builder}
+   */
+  getRelationExistenceQuery (query, parentQuery, columns = ['*']) {
+    if (parentQuery.getQuery().fromProperty === query.getQuery().fromProperty) {
+      return this.getRelationExistenceQueryForSelfJoin(query, parentQuery, columns)
+    }
+
+    this.performJoin(query)
+
+    return super.getRelationExistenceQuery(query, parentQuery, columns)
+  }
+
+  /**
+   * Add the constraints for a relationship query on the same table.
+   *
+   * @param  {Builder}  query
+   * @param  {Builder}  parentQuery
+   * @param  {any[]|any}  [columns=['*']]
+   * @return {Builder}
+   */
+  getRelationExistenceQueryForSelfJoin (query, parentQuery, columns = ['*']) {
+    query.select(columns)
+
+    const hash = this.getRelationCountHash()
+
+    query.from(`${this.related.getTable()} as ${hash}`)
+
+    this.related.setTable(hash)
+
+    this.performJoin(query)
+
+    return super.getRelationExistenceQuery(query, parentQuery, columns)
+  }
+
+  /**
+   * Get the key for comparing against the parent key in "has" query.
+   *
+   * @return {string}
+   */
+  getExistenceCompareKey () {
+    return this.getQualifiedForeignPivotKeyName()
+  }
+
+  /**
+   * Get the foreign key for the relation.
+   *
+   * @return {string}
+   */
+  getForeignPivotKeyName () {
+    return this.foreignPivotKey
+  }
+
+  /**
+   * Get the fully qualified foreign key for the relation.
+   *
+   * @return {string}
+   */
+  getQualifiedForeignPivotKeyName () {
+    return this.qualifyPivotColumn(this.foreignPivotKey)
+  }
+
+  /**
+   * Get the "related key" for the relation.
+   *
+   * @return {string}
+   */
+  getRelatedPivotKeyName () {
+    return this.relatedPivotKey
+  }
+
+  /**
+   * Get the fully qualified "related key" for the relation.
+   *
+   * @return {string}
+   */
+  getQualifiedRelatedPivotKeyName () {
+    return this.qualifyPivotColumn(this.relatedPivotKey)
+  }
+
+  /**
+   * Get the parent key for the relationship.
+   *
+   * @return {string}
+   */
+  getParentKeyName () {
+    return this.parentKey
+  }
+
+  /**
+   * Get the fully qualified parent key name for the relation.
+   *
+   * @return {string}
+   */
+  getQualifiedParentKeyName () {
+    return this.parent.qualifyColumn(this.parentKey)
+  }
+
+  /**
+   * Get the related key for the relationship.
+   *
+   * @return {string}
+   */
+  getRelatedKeyName () {
+    return this.relatedKey
+  }
+
+  /**
+   * Get the fully qualified related key name for the relation.
+   *
+   * @return {string}
+   */
+  getQualifiedRelatedKeyName () {
+    return this.related.qualifyColumn(this.relatedKey)
+  }
+
+  /**
+   * Get the intermediate table for the relationship.
+   *
+   * @return {string}
+   */
+  getTable () {
+    return this.table
+  }
+
+  /**
+   * Get the relationship name for the relationship.
+   *
+   * @return {string|undefined}
+   */
+  getRelationName () {
+    return this.relationName
+  }
+
+  /**
+   * Get the name of the pivot accessor for this relationship.
+   *
+   * @return {string}
+   */
+  getPivotAccessor () {
+    return this.accessor
+  }
+
+  /**
+   * Get the pivot columns for this relationship.
+   *
+   * @return {string[]}
+   */
+  getPivotColumns () {
+    return this.pivotColumns
+  }
+
+  /**
+   * Qualify the given column name by the pivot table.
+   *
+   * @param  {string}  column
+   * @return {string}
+   */
+  qualifyPivotColumn (column) {
+    return column.includes('.') ? column : `${this.table}.${column}`
+  }
+}
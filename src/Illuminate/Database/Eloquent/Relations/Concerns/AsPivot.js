@@ -0,0 +1,226 @@
+import { singular, snakeCase } from '@devnetic/utils'
+
+/** @typedef {import('../../Builder.js').default} Builder */
+/** @typedef {import('../../Model.js').default} Model */
+
+const AsPivot = (superclass) => class extends superclass {
+  /**
+   * The parent model of the relationship.
+   *
+   * @type {Model|undefined}
+   */
+  pivotParent
+
+  /**
+   * The name of the foreign key column.
+   *
+   * @protected
+   * @type {string|undefined}
+   */
+  foreignKey
+
+  /**
+   * The name of the "other key" column.
+   *
+   * @protected
+   * @type {string|undefined}
+   */
+  relatedKey
+
+  /**
+   * Create a new pivot model instance.
+   *
+   * @param  {Model}  parent
+   * @param  {Record<string, any>}  attributes
+   * @param  {string}  table
+   * @param  {boolean}  [exists=false]
+   * @return {Model}
+   */
+  static fromAttributes (parent, attributes, table, exists = false) {
+    const instance = new this()
+
+    // The pivot model is a "dynamic" model since we will set the tables dynamically
+    // for the instance. This allows it work for any intermediate tables for the
+    // many to many relationship that are defined by this developer's classes.
+    instance.setConnection(parent.getConnectionName())
+      .setTable(table)
+      .forceFill(attributes)
+      .syncOriginal()
+
+    // We store off the parent instance so we will access the timestamp column names
+    // for the model, since the pivot model timestamps aren't easily configurable
+    // from the developer's point of view. We can use the parents to get these.
+    instance.pivotParent = parent
+
+    instance.timestamps = instance.hasTimestampAttributes()
+
+    instance.exists = exists
+
+    return instance
+  }
+
+  /**
+   * Create a new pivot model from raw values returned from a query.
+   *
+   * @param  {Model}  parent
+   * @param  {Record<string, any>}  attributes
+   * @param  {string}  table
+   * @param  {boolean}  [exists=false]
+   * @return {Model}
+   */
+  static fromRawAttributes (parent, attributes, table, exists = false) {
+    const instance = this.fromAttributes(parent, {}, table, exists)
+
+    instance.timestamps = instance.hasTimestampAttributes(attributes)
+
+    instance.setRawAttributes({ ...instance.getRawOriginal(), ...attributes }, exists)
+
+    return instance
+  }
+
+  /**
+   * Set the keys for a select query.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @return {Builder}
+   */
+  setKeysForSelectQuery (query) {
+    if (Object.hasOwn(this.attributes, this.getKeyName())) {
+      return super.setKeysForSelectQuery(query)
+    }
+
+    query.where(this.foreignKey, this.getRawOriginal(this.foreignKey, this.getAttribute(this.foreignKey)))
+
+    return query.where(this.relatedKey, this.getRawOriginal(this.relatedKey, this.getAttribute(this.relatedKey)))
+  }
+
+  /**
+   * Set the keys for a save update query.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @return {Builder}
+   */
+  setKeysForSaveQuery (query) {
+    return this.setKeysForSelectQuery(query)
+  }
+
+  /**
+   * Delete the pivot model record from the database.
+   *
+   * @return {Promise<number>}
+   */
+  async delete () {
+    if (Object.hasOwn(this.attributes, this.getKeyName())) {
+      return Number(await super.delete())
+    }
+
+    const deleted = await this.getDeleteQuery().delete()
+
+    this.exists = false
+
+    return deleted
+  }
+
+  /**
+   * Get the query builder for a delete operation on the pivot.
+   *
+   * @protected
+   * @return {Builder}
+   */
+  getDeleteQuery () {
+    return this.newQueryWithoutScopes()
+      .where(this.foreignKey, this.getRawOriginal(this.foreignKey, this.getAttribute(this.foreignKey)))
+      .where(this.relatedKey, this.getRawOriginal(this.relatedKey, this.getAttribute(this.relatedKey)))
+  }
+
+  /**
+   * Get the table associated with the model.
+   *
+   * @return {string}
+   */
+  getTable () {
+    if (this.table === undefined) {
+      this.setTable(snakeCase(singular(this.constructor.name)))
+    }
+
+    return this.table
+  }
+
+  /**
+   * Get the foreign key column name.
+   *
+   * @return {string|undefined}
+   */
+  getForeignKey () {
+    return this.foreignKey
+  }
+
+  /**
+   * Get the "related key" column name.
+   *
+   * @return {string|undefined}
+   */
+  getRelatedKey () {
+    return this.relatedKey
+  }
+
+  /**
+   * Get the "related key" column name.
+   *
+   * @return {string|undefined}
+   */
+  getOtherKey () {
+    return this.getRelatedKey()
+  }
+
+  /**
+   * Set the key names for the pivot model instance.
+   *
+   * @param  {string}  foreignKey
+   * @param  {string}  relatedKey
+   * @return {this}
+   */
+  setPivotKeys (foreignKey, relatedKey) {
+    this.foreignKey = foreignKey
+
+    this.relatedKey = relatedKey
+
+    return this
+  }
+
+  /**
+   * Determine if the pivot model or given attributes has timestamp attributes.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @return {boolean}
+   */
+  hasTimestampAttributes (attributes) {
+    return Object.hasOwn(attributes ?? this.attributes, this.getCreatedAtColumn())
+  }
+
+  /**
+   * Get the name of the "created at" column.
+   *
+   * @return {string}
+   */
+  getCreatedAtColumn () {
+    return this.pivotParent
+      ? this.pivotParent.getCreatedAtColumn()
+      : super.getCreatedAtColumn()
+  }
+
+  /**
+   * Get the name of the "updated at" column.
+   *
+   * @return {string}
+   */
+  getUpdatedAtColumn () {
+    return this.pivotParent
+      ? this.pivotParent.getUpdatedAtColumn()
+      : super.getUpdatedAtColumn()
+  }
+}
+
+export default AsPivot
@@ -0,0 +1,545 @@
+import { isPlainObject, unique } from '@devnetic/utils'
+
+import Collection from '../../../../Collections/Collection.js'
+import Model from '../../Model.js'
+
+/** @typedef {import('../../../Query/Builder.js').default} QueryBuilder */
+
+const InteractsWithPivotTable = (superclass) => class extends superclass {
+  /**
+   * Sync the intermediate tables with a list of IDs or collection of models.
+   *
+   * @param  {Collection|Model|any[]|Record<string, any>|any}  ids
+   * @param  {boolean}  [detaching=true]
+   * @return {Promise<{ attached: any[], detached: any[], updated: any[] }>}
+   */
+  async sync (ids, detaching = true) {
+    /** @type {{ attached: any[], detached: any[], updated: any[] }} */
+    const changes = { attached: [], detached: [], updated: [] }
+
+    // First we need to attach any of the associated models that are not currently
+    // in this joining table. We'll spin through the given IDs, checking to see
+    // if they exist in the array of current ones, and if not we will insert.
+    const current = (await this.getCurrentlyAttachedPivots())
+      .map(pivot => pivot.getAttribute(this.relatedPivotKey))
+      .all()
+
+    const records = this.formatRecordsList(this.parseIds(ids))
+
+    // Next, we will take the differences of the currents and given IDs and detach
+    // all of the entities that exist in the "current" array but are not in the
+    // array of the new IDs given to the method which will complete the sync.
+    if (detaching) {
+      const detach = current.filter(id => !Object.hasOwn(records, id))
+
+      if (detach.length > 0) {
+        await this.detach(detach)
+
+        changes.detached = this.castKeys(detach)
+      }
+    }
+
+    // Now we are finally ready to attach the new records. Records that are already
+    // attached will only have their extra pivot attributes updated, and we will
+    // report which of them changed so the caller knows what the sync did.
+    const { attached, updated } = await this.attachNew(records, current)
+
+    changes.attached = attached
+
+    changes.updated = updated
+
+    return changes
+  }
+
+  /**
+   * Sync the intermediate tables with a list of IDs without detaching.
+   *
+   * @param  {Collection|Model|any[]|Record<string, any>|any}  ids
+   * @return {Promise<{ attached: any[], detached: any[], updated: any[] }>}
+   */
+  syncWithoutDetaching (ids) {
+    return this.sync(ids, false)
+  }
+
+  /**
+   * Format the sync / toggle record list so that it is keyed by ID.
+   *
+   * @protected
+   * @param  {any[]|Record<string, any>}  records
+   * @return {Record<string, Record<string, any>>}
+   */
+  formatRecordsList (records) {
+    return Object.entries(records).reduce((list, [id, attributes]) => {
+      if (!isPlainObject(attributes)) {
+        [id, attributes] = [attributes, {}]
+      }
+
+      list[id] = attributes
+
+      return list
+    }, {})
+  }
+
+  /**
+   * Attach all of the records that aren't in the given current records.
+   *
+   * @protected
+   * @param  {Record<string, Record<string, any>>}  records
+   * @param  {any[]}  current
+   * @return {Promise<{ attached: any[], updated: any[] }>}
+   */
+  async attachNew (records, current) {
+    /** @type {{ attached: any[], updated: any[] }} */
+    const changes = { attached: [], updated: [] }
+
+    const currentKeys = current.map(String)
+
+    for (const [id, attributes] of Object.entries(records)) {
+      // If the ID is not in the list of existing pivot IDs, we will insert a new pivot
+      // record, otherwise, we will just update this existing record on this joining
+      // table, so that the developers will easily update these records pain free.
+      if (!currentKeys.includes(id)) {
+        await this.attach(this.castKey(id), attributes)
+
+        changes.attached.push(this.castKey(id))
+      } else if (Object.keys(attributes).length > 0 && await this.updateExistingPivot(id, attributes)) {
+        // Now we'll try to update an existing pivot record with the attributes that were
+        // given to the method. If the model is actually updated we will add it to the
+        // list of updated pivot records so we return them back out to the consumer.
+        changes.updated.push(this.castKey(id))
+      }
+    }
+
+    return changes
+  }
+
+  /**
+   * Update an existing pivot record on the table.
+   *
+   * @param  {any}  id
+   * @param  {Record<string, any>}  attributes
+   * @return {Promise<number>}
+   */
+  async updateExistingPivot (id, attributes) {
+    if (this.pivotClass && this.pivotWheres.length === 0 && this.pivotWhereIns.length === 0) {
+      return this.updateExistingPivotUsingCustomClass(id, attributes)
+    }
+
+    if (this.hasPivotColumn(this.updatedAt())) {
+      attributes = this.addTimestampsToAttachment({ ...attributes }, true)
+    }
+
+    return this.newPivotStatementForId(this.parseId(id)).update(attributes)
+  }
+
+  /**
+   * Update an existing pivot record on the table via a custom class.
+   *
+   * @protected
+   * @param  {any}  id
+   * @param  {Record<string, any>}  attributes
+   * @return {Promise<number>}
+   */
+  async updateExistingPivotUsingCustomClass (id, attributes) {
+    const pivot = /** @type {Model|undefined} */ ((await this.getCurrentlyAttachedPivots(id)).first())
+
+    const updated = pivot ? pivot.fill(attributes).isDirty() : false
+
+    if (updated) {
+      await pivot.save()
+    }
+
+    return Number(updated)
+  }
+
+  /**
+   * Attach a model to the parent.
+   *
+   * @param  {Collection|Model|any[]|Record<string, any>|any}  id
+   * @param  {Record<string, any>}  [attributes]
+   * @return {Promise<void>}
+   */
+  async attach (id, attributes = {}) {
+    if (this.pivotClass) {
+      await this.attachUsingCustomClass(id, attributes)
+    } else {
+      // Here we will insert the attachment records into the pivot table. Once we have
+      // inserted the records, we will touch the relationships if necessary and the
+      // function will return. We can parse the IDs before inserting the records.
+      await this.newPivotStatement().insert(
+        this.formatAttachRecords(this.parseIds(id), attributes)
+      )
+    }
+  }
+
+  /**
+   * Attach a model to the parent using a custom class.
+   *
+   * @protected
+   * @param  {Collection|Model|any[]|Record<string, any>|any}  id
+   * @param  {Record<string, any>}  attributes
+   * @return {Promise<void>}
+   */
+  async attachUsingCustomClass (id, attributes) {
+    const records = this.formatAttachRecords(this.parseIds(id), attributes)
+
+    for (const record of records) {
+      const pivot = await this.newPivot(record, false)
+
+      await pivot.save()
+    }
+  }
+
+  /**
+   * Create an array of records to insert into the pivot table.
+   *
+   * @protected
+   * @param  {any[]|Record<string, any>}  ids
+   * @param  {Record<string, any>}  attributes
+   * @return {Array<Record<string, any>>}
+   */
+  formatAttachRecords (ids, attributes) {
+    const hasTimestamps = this.hasPivotColumn(this.createdAt()) ||
+      this.hasPivotColumn(this.updatedAt())
+
+    // To create the attachment records, we will simply spin through the IDs given
+    // and create a new record to insert for each ID. Each ID may actually be a
+    // key in the array, with extra attributes to be placed in other columns.
+    return Object.entries(ids).map(([key, value]) => {
+      return this.formatAttachRecord(key, value, attributes, hasTimestamps)
+    })
+  }
+
+  /**
+   * Create a full attachment record payload.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @param  {Record<string, any>}  attributes
+   * @param  {boolean}  hasTimestamps
+   * @return {Record<string, any>}
+   */
+  formatAttachRecord (key, value, attributes, hasTimestamps) {
+    const [id, extraAttributes] = this.extractAttachIdAndAttributes(key, value, attributes)
+
+    return { ...this.baseAttachRecord(id, hasTimestamps), ...extraAttributes }
+  }
+
+  /**
+   * Get the attach record ID and extra attributes.
+   *
+   * @protected
+   * @param  {string}  key
+   * @param  {any}  value
+   * @param  {Record<string, any>}  attributes
+   * @return {[any, Record<string, any>]}
+   */
+  extractAttachIdAndAttributes (key, value, attributes) {
+    return isPlainObject(value)
+      ? [this.castKey(key), { ...value, ...attributes }]
+      : [value, attributes]
+  }
+
+  /**
+   * Create a new pivot attachment record.
+   *
+   * @protected
+   * @param  {any}  id
+   * @param  {boolean}  timed
+   * @return {Record<string, any>}
+   */
+  baseAttachRecord (id, timed) {
+    const record = {
+      [this.relatedPivotKey]: id,
+      [this.foreignPivotKey]: this.parent.getAttribute(this.parentKey)
+    }
+
+    // If the record needs to have creation and update timestamps, we will make
+    // them by calling the parent model's "freshTimestamp" method which will
+    // provide us with a fresh timestamp in this model's preferred format.
+    if (timed) {
+      this.addTimestampsToAttachment(record)
+    }
+
+    return record
+  }
+
+  /**
+   * Set the creation and update timestamps on an attach record.
+   *
+   * @protected
+   * @param  {Record<string, any>}  record
+   * @param  {boolean}  [exists=false]
+   * @return {Record<string, any>}
+   */
+  addTimestampsToAttachment (record, exists = false) {
+    let fresh = this.parent.freshTimestampString()
+
+    if (this.pivotClass) {
+      const PivotModel = this.pivotClass
+
+      const pivotModel = new PivotModel()
+
+      fresh = pivotModel.fromDateTime(pivotModel.freshTimestamp())
+    }
+
+    if (!exists && this.hasPivotColumn(this.createdAt())) {
+      record[this.createdAt()] = fresh
+    }
+
+    if (this.hasPivotColumn(this.updatedAt())) {
+      record[this.updatedAt()] = fresh
+    }
+
+    return record
+  }
+
+  /**
+   * Determine whether the given column is defined as a pivot column.
+   *
+   * @param  {string}  column
+   * @return {boolean}
+   */
+  hasPivotColumn (column) {
+    return this.pivotColumns.includes(column)
+  }
+
+  /**
+   * Detach models from the relationship.
+   *
+   * @param  {Collection|Model|any[]|any}  [ids]
+   * @return {Promise<number>}
+   */
+  async detach (ids) {
+    if (this.pivotClass && ids !== undefined && this.pivotWheres.length === 0 && this.pivotWhereIns.length === 0) {
+      return this.detachUsingCustomClass(ids)
+    }
+
+    const query = this.newPivotQuery()
+
+    // If associated IDs were passed to the method we will only delete those
+    // associations, otherwise all of the association ties will be broken.
+    // We'll return the numbers of affected rows when we do the deletes.
+    if (ids !== undefined) {
+      ids = Object.values(this.parseIds(ids))
+
+      if (ids.length === 0) {
+        return 0
+      }
+
+      query.whereIn(this.getQualifiedRelatedPivotKeyName(), ids)
+    }
+
+    // Once we have all of the conditions set on the statement, we are ready
+    // to run the delete on the pivot table and return the affected rows.
+    return query.delete()
+  }
+
+  /**
+   * Detach models from the relationship using a custom class.
+   *
+   * @protected
+   * @param  {Collection|Model|any[]|any}  ids
+   * @return {Promise<number>}
+   */
+  async detachUsingCustomClass (ids) {
+    let results = 0
+
+    for (const id of Object.values(this.parseIds(ids))) {
+      const pivot = await this.newPivot({
+        [this.foreignPivotKey]: this.parent.getAttribute(this.parentKey),
+        [this.relatedPivotKey]: id
+      }, true)
+
+      results += Number(await pivot.delete())
+    }
+
+    return results
+  }
+
+  /**
+   * Get the pivot models that are currently attached.
+   *
+   * @protected
+   * @param  {any}  [ids]
+   * @return {Promise<Collection>}
+   */
+  async getCurrentlyAttachedPivots (ids) {
+    const query = ids === undefined ? this.newPivotQuery() : this.newPivotStatementForId(ids)
+
+    const pivots = []
+
+    for (const record of (await query.get()).all()) {
+      pivots.push(await this.newExistingPivot(record))
+    }
+
+    return new Collection(pivots)
+  }
+
+  /**
+   * Create a new pivot model instance.
+   *
+   * The pivot class extends the Model that defines this relationship, so
+   * it is imported on demand and the method resolves asynchronously.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {boolean}  [exists=false]
+   * @return {Promise<Model>}
+   */
+  async newPivot (attributes = {}, exists = false) {
+    const pivot = await this.related.newPivot(
+      this.parent, attributes, this.table, exists, this.pivotClass
+    )
+
+    return pivot.setPivotKeys(this.foreignPivotKey, this.relatedPivotKey)
+  }
+
+  /**
+   * Create a new existing pivot model instance.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @return {Promise<Model>}
+   */
+  newExistingPivot (attributes = {}) {
+    return this.newPivot(attributes, true)
+  }
+
+  /**
+   * Get a new plain query builder for the pivot table.
+   *
+   * @return {QueryBuilder}
+   */
+  newPivotStatement () {
+    return this.query.getQuery().newQuery().from(this.table)
+  }
+
+  /**
+   * Get a new pivot statement for a given "other" ID.
+   *
+   * @param  {any}  id
+   * @return {QueryBuilder}
+   */
+  newPivotStatementForId (id) {
+    return this.newPivotQuery().whereIn(
+      this.getQualifiedRelatedPivotKeyName(), Object.values(this.parseIds(id))
+    )
+  }
+
+  /**
+   * Create a new query builder for the pivot table.
+   *
+   * @return {QueryBuilder}
+   */
+  newPivotQuery () {
+    const query = this.newPivotStatement()
+
+    for (const parameters of this.pivotWheres) {
+      query.where.apply(query, parameters)
+    }
+
+    for (const parameters of this.pivotWhereIns) {
+      query.whereIn.apply(query, parameters)
+    }
+
+    return query.where(
+      this.getQualifiedForeignPivotKeyName(), this.parent.getAttribute(this.parentKey)
+    )
+  }
+
+  /**
+   * Set the columns on the pivot table to retrieve.
+   *
+   * @param  {...(string|string[])}  columns
+   * @return {this}
+   */
+  withPivot (...columns) {
+    this.pivotColumns = unique([...this.pivotColumns, ...columns.flat()])
+
+    return this
+  }
+
+  /**
+   * Get all of the IDs from the given mixed value.
+   *
+   * @protected
+   * @param  {Collection|Model|any[]|Record<string, any>|any}  value
+   * @return {any[]|Record<string, any>}
+   */
+  parseIds (value) {
+    if (value instanceof Model) {
+      return [value.getAttribute(this.relatedKey)]
+    }
+
+    if (value instanceof Collection) {
+      value = value.all()
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => {
+        return item instanceof Model ? item.getAttribute(this.relatedKey) : item
+      })
+    }
+
+    return isPlainObject(value) ? value : [value]
+  }
+
+  /**
+   * Get the ID from the given mixed value.
+   *
+   * @protected
+   * @param  {Model|any}  value
+   * @return {any}
+   */
+  parseId (value) {
+    return value instanceof Model ? value.getAttribute(this.relatedKey) : value
+  }
+
+  /**
+   * Cast the given keys to integers if they are numeric and string otherwise.
+   *
+   * @protected
+   * @param  {any[]}  keys
+   * @return {any[]}
+   */
+  castKeys (keys) {
+    return keys.map(key => this.castKey(key))
+  }
+
+  /**
+   * Cast the given key to convert to primary key type.
+   *
+   * @protected
+   * @param  {any}  key
+   * @return {any}
+   */
+  castKey (key) {
+    return this.getTypeSwapValue(this.related.getKeyType(), key)
+  }
+
+  /**
+   * Converts a given value to a given type value.
+   *
+   * @protected
+   * @param  {string}  type
+   * @param  {any}  value
+   * @return {any}
+   */
+  getTypeSwapValue (type, value) {
+    switch (type.toLowerCase()) {
+      case 'int':
+      case 'integer':
+        return Number.parseInt(value)
+      case 'real':
+      case 'float':
+      case 'double':
+        return Number.parseFloat(value)
+      case 'string':
+        return String(value)
+      default:
+        return value
+    }
+  }
+}
+
+export default InteractsWithPivotTable
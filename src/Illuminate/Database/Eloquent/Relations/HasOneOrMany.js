@@ -0,0 +1,402 @@
+import { CustomException } from '../../../Support/helpers.js'
+import Relation from './Relation.js'
+
+/** @typedef {import('../Builder.js').default} Builder */
+/** @typedef {import('../Model.js').default} Model */
+
+/**
+ * @abstract
+ */
+export default class HasOneOrMany extends Relation {
+  /**
+   * Create a new has one or many relationship instance.
+   *
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {string}  foreignKey  The foreign key of the parent model.
+   * @param  {string}  localKey  The local key of the parent model.
+   * @param  {Record<string, any>}  [properties]
+   */
+  constructor (query, parent, foreignKey, localKey, properties = {}) {
+    if (new.target === HasOneOrMany) {
+      throw CustomException('abstract')
+    }
+
+    super(query, parent, { foreignKey, localKey, ...properties })
+  }
+
+  /**
+   * Create and return an un-saved instance of the related model.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @return {Model}
+   */
+  make (attributes = {}) {
+    const instance = this.related.newInstance(attributes)
+
+    this.setForeignAttributesForCreate(instance)
+
+    return instance
+  }
+
+  /**
+   * Create and return an un-saved instance of the related models.
+   *
+   * @param  {Array<Record<string, any>>}  records
+   * @return {import('../../../Collections/Collection.js').default}
+   */
+  makeMany (records) {
+    return this.related.newCollection(records.map(record => this.make(record)))
+  }
+
+  /**
+   * Get the first related model record matching the attributes or instantiate it.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {Record<string, any>}  [values]
+   * @return {Promise<Model>}
+   */
+  async firstOrNew (attributes = {}, values = {}) {
+    const instance = await this.query.clone().where(attributes).first()
+
+    if (instance !== undefined) {
+      return instance
+    }
+
+    await this.related.loadGuardableColumns()
+
+    return this.make({ ...attributes, ...values })
+  }
+
+  /**
+   * Get the first record matching the attributes. If the record is not found, create it.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {Record<string, any>}  [values]
+   * @return {Promise<Model>}
+   */
+  async firstOrCreate (attributes = {}, values = {}) {
+    const instance = await this.query.clone().where(attributes).first()
+
+    if (instance !== undefined) {
+      return instance
+    }
+
+    return this.createOrFirst(attributes, values)
+  }
+
+  /**
+   * Attempt to create the record. If a unique constraint violation occurs, attempt to find the matching record.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {Record<string, any>}  [values]
+   * @return {Promise<Model>}
+   */
+  async createOrFirst (attributes = {}, values = {}) {
+    try {
+      return await this.query.withSavepointIfNeeded(() => this.create({ ...attributes, ...values }))
+    } catch (error) {
+      if (!this.query.getConnection().isUniqueConstraintError(error)) {
+        throw error
+      }
+
+      return this.query.clone().where(attributes).firstOrFail()
+    }
+  }
+
+  /**
+   * Create or update a related record matching the attributes, and fill it with values.
+   *
+   * @param  {Record<string, any>}  attributes
+   * @param  {Record<string, any>}  [values]
+   * @return {Promise<Model>}
+   */
+  async updateOrCreate (attributes, values = {}) {
+    const instance = await this.firstOrCreate(attributes, values)
+
+    if (!instance.wasRecentlyCreated) {
+      await instance.loadGuardableColumns()
+
+      await instance.fill(values).save()
+    }
+
+    return instance
+  }
+
+  /**
+   * Set the base constraints on the relation query.
+   *
+   * @return {void}
+   */
+  addConstraints () {
+    if (Relation.constraints) {
+      const query = this.getRelationQuery()
+
+      query.where(this.foreignKey, '=', this.getParentKey())
+
+      query.whereNotNull(this.foreignKey)
+    }
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Model[]}  models
+   * @return {void}
+   */
+  addEagerConstraints (models) {
+    const whereIn = this.whereInMethod(this.parent, this.localKey)
+
+    this.getRelationQuery()[whereIn](
+      this.foreignKey, this.getKeys(models, this.localKey)
+    )
+  }
+
+  /**
+   * Match the eagerly loaded results to their single parents.
+   *
+   * @param  {Model[]}  models
+   * @param  {import('../../../Collections/Collection.js').default}  results
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  matchOne (models, results, relation) {
+    return this.matchOneOrMany(models, results, relation, 'one')
+  }
+
+  /**
+   * Match the eagerly loaded results to their many parents.
+   *
+   * @param  {Model[]}  models
+   * @param  {import('../../../Collections/Collection.js').default}  results
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  matchMany (models, results, relation) {
+    return this.matchOneOrMany(models, results, relation, 'many')
+  }
+
+  /**
+   * Match the eagerly loaded results to their many parents.
+   *
+   * @protected
+   * @param  {Model[]}  models
+   * @param  {import('../../../Collections/Collection.js').default}  results
+   * @param  {string}  relation
+   * @param  {string}  type
+   * @return {Model[]}
+   */
+  matchOneOrMany (models, results, relation, type) {
+    const dictionary = this.buildDictionary(results)
+
+    // Once we have the dictionary we can simply spin through the parent models to
+    // link them up with their children using the keyed dictionary to make the
+    // matching very convenient and easy work. Then we'll just return them.
+    for (const model of models) {
+      const key = model.getAttribute(this.localKey)
+
+      if (Object.hasOwn(dictionary, key)) {
+        model.setRelation(relation, this.getRelationValue(dictionary, key, type))
+      }
+    }
+
+    return models
+  }
+
+  /**
+   * Get the value of a relationship by one or many type.
+   *
+   * @protected
+   * @param  {Record<string, Model[]>}  dictionary
+   * @param  {string}  key
+   * @param  {string}  type
+   * @return {any}
+   */
+  getRelationValue (dictionary, key, type) {
+    const value = dictionary[key]
+
+    return type === 'one' ? value[0] : this.related.newCollection(value)
+  }
+
+  /**
+   * Build model dictionary keyed by the relation's foreign key.
+   *
+   * @protected
+   * @param  {import('../../../Collections/Collection.js').default}  results
+   * @return {Record<string, Model[]>}
+   */
+  buildDictionary (results) {
+    const foreign = this.getForeignKeyName()
+
+    return results.all().reduce((dictionary, result) => {
+      const key = result.getAttribute(foreign)
+
+      dictionary[key] = [...(dictionary[key] ?? []), result]
+
+      return dictionary
+    }, {})
+  }
+
+  /**
+   * Attach a model instance to the parent model.
+   *
+   * @param  {Model}  model
+   * @return {Promise<Model|false>}
+   */
+  async save (model) {
+    this.setForeignAttributesForCreate(model)
+
+    return await model.save() ? model : false
+  }
+
+  /**
+   * Attach a collection of models to the parent instance.
+   *
+   * @param  {Model[]|import('../../../Collections/Collection.js').default}  models
+   * @return {Promise<Model[]|import('../../../Collections/Collection.js').default>}
+   */
+  async saveMany (models) {
+    const items = Array.isArray(models) ? models : models.all()
+
+    for (const model of items) {
+      await this.save(model)
+    }
+
+    return models
+  }
+
+  /**
+   * Create a new instance of the related model.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @return {Promise<Model>}
+   */
+  async create (attributes = {}) {
+    await this.related.loadGuardableColumns()
+
+    const instance = this.related.newInstance(attributes)
+
+    this.setForeignAttributesForCreate(instance)
+
+    await instance.save()
+
+    return instance
+  }
+
+  /**
+   * Create a Collection of new instances of the related model.
+   *
+   * @param  {Array<Record<string, any>>}  records
+   * @return {Promise<import('../../../Collections/Collection.js').default>}
+   */
+  async createMany (records) {
+    const instances = []
+
+    for (const record of records) {
+      instances.push(await this.create(record))
+    }
+
+    return this.related.newCollection(instances)
+  }
+
+  /**
+   * Add the constraints for a relationship query.
+   *
+   * @param  {Builder}  query
+   * @param  {Builder}  parentQuery
+   * @param  {any[]|any}  [columns=['*']]
+   * @return {Builder}
+   */
+  getRelationExistenceQuery (query, parentQuery, columns = ['*']) {
+    if (query.getQuery().fromProperty === parentQuery.getQuery().fromProperty) {
+      return this.getRelationExistenceQueryForSelfRelation(query, parentQuery, columns)
+    }
+
+    return super.getRelationExistenceQuery(query, parentQuery, columns)
+  }
+
+  /**
+   * Add the constraints for a relationship query on the same table.
+   *
+   * @param  {Builder}  query
+   * @param  {Builder}  parentQuery
+   * @param  {any[]|any}  [columns=['*']]
+   * @return {Builder}
+   */
+  getRelationExistenceQueryForSelfRelation (query, parentQuery, columns = ['*']) {
+    const hash = this.getRelationCountHash()
+
+    query.from(`${query.getModel().getTable()} as ${hash}`)
+
+    query.getModel().setTable(hash)
+
+    return query.select(columns).whereColumn(
+      this.getQualifiedParentKeyName(), '=', `${hash}.${this.getForeignKeyName()}`
+    )
+  }
+
+  /**
+   * Get the key for comparing against the parent key in "has" query.
+   *
+   * @return {string}
+   */
+  getExistenceCompareKey () {
+    return this.getQualifiedForeignKeyName()
+  }
+
+  /**
+   * Set the foreign ID for creating a related model.
+   *
+   * @protected
+   * @param  {Model}  model
+   * @return {void}
+   */
+  setForeignAttributesForCreate (model) {
+    model.setAttribute(this.getForeignKeyName(), this.getParentKey())
+  }
+
+  /**
+   * Get the key value of the parent's local key.
+   *
+   * @return {any}
+   */
+  getParentKey () {
+    return this.parent.getAttribute(this.localKey)
+  }
+
+  /**
+   * Get the fully qualified parent key name.
+   *
+   * @return {string}
+   */
+  getQualifiedParentKeyName () {
+    return this.parent.qualifyColumn(this.localKey)
+  }
+
+  /**
+   * Get the plain foreign key.
+   *
+   * @return {string}
+   */
+  getForeignKeyName () {
+    return /** @type {string} */ (this.getQualifiedForeignKeyName().split('.').pop())
+  }
+
+  /**
+   * Get the foreign key for the relationship.
+   *
+   * @return {string}
+   */
+  getQualifiedForeignKeyName () {
+    return this.foreignKey
+  }
+
+  /**
+   * Get the local key for the relationship.
+   *
+   * @return {string}
+   */
+  getLocalKeyName () {
+    return this.localKey
+  }
+}
@@ -0,0 +1,46 @@
+import { isNil } from '@devnetic/utils'
+
+import MorphOneOrMany from './MorphOneOrMany.js'
+
+/** @typedef {import('../Model.js').default} Model */
+/** @typedef {import('../../../Collections/Collection.js').default} Collection */
+
+export default class MorphMany extends MorphOneOrMany {
+  /**
+   * Get the results of the relationship.
+   *
+   * @return {Promise<Collection>}
+   */
+  async getResults () {
+    return !isNil(this.getParentKey())
+      ? this.query.get()
+      : this.related.newCollection()
+  }
+
+  /**
+   * Initialize the relation on a set of models.
+   *
+   * @param  {Model[]}  models
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  initRelation (models, relation) {
+    for (const model of models) {
+      model.setRelation(relation, this.related.newCollection())
+    }
+
+    return models
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @param  {Model[]}  models
+   * @param  {Collection}  results
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  match (models, results, relation) {
+    return this.matchMany(models, results, relation)
+  }
+}
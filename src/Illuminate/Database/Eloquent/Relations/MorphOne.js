@@ -0,0 +1,47 @@
+import { isNil } from '@devnetic/utils'
+
+import MorphOneOrMany from './MorphOneOrMany.js'
+
+/** @typedef {import('../Model.js').default} Model */
+
+export default class MorphOne extends MorphOneOrMany {
+  /**
+   * Get the results of the relationship.
+   *
+   * @return {Promise<Model|undefined>}
+   */
+  async getResults () {
+    if (isNil(this.getParentKey())) {
+      return
+    }
+
+    return this.query.first()
+  }
+
+  /**
+   * Initialize the relation on a set of models.
+   *
+   * @param  {Model[]}  models
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  initRelation (models, relation) {
+    for (const model of models) {
+      model.setRelation(relation, null)
+    }
+
+    return models
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @param  {Model[]}  models
+   * @param  {import('../../../Collections/Collection.js').default}  results
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  match (models, results, relation) {
+    return this.matchOne(models, results, relation)
+  }
+}
@@ -0,0 +1,112 @@
+import { CustomException } from '../../../Support/helpers.js'
+import HasOneOrMany from './HasOneOrMany.js'
+import Relation from './Relation.js'
+
+/** @typedef {import('../Builder.js').default} Builder */
+/** @typedef {import('../Model.js').default} Model */
+
+/**
+ * @abstract
+ */
+export default class MorphOneOrMany extends HasOneOrMany {
+  /**
+   * Create a new morph one or many relationship instance.
+   *
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {string}  type  The foreign key type for the relationship.
+   * @param  {string}  id
+   * @param  {string}  localKey
+   * @param  {Record<string, any>}  [properties]
+   */
+  constructor (query, parent, type, id, localKey, properties = {}) {
+    if (new.target === MorphOneOrMany) {
+      throw CustomException('abstract')
+    }
+
+    super(query, parent, id, localKey, {
+      morphType: type,
+      morphClass: parent.getMorphClass(),
+      ...properties
+    })
+  }
+
+  /**
+   * Set the base constraints on the relation query.
+   *
+   * @return {void}
+   */
+  addConstraints () {
+    if (Relation.constraints) {
+      super.addConstraints()
+
+      this.getRelationQuery().where(this.morphType, this.morphClass)
+    }
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Model[]}  models
+   * @return {void}
+   */
+  addEagerConstraints (models) {
+    super.addEagerConstraints(models)
+
+    this.getRelationQuery().where(this.morphType, this.morphClass)
+  }
+
+  /**
+   * Set the foreign ID and type for creating a related model.
+   *
+   * @protected
+   * @param  {Model}  model
+   * @return {void}
+   */
+  setForeignAttributesForCreate (model) {
+    super.setForeignAttributesForCreate(model)
+
+    model.setAttribute(this.getMorphType(), this.morphClass)
+  }
+
+  /**
+   * Get the relationship query.
+   *
+   * @param  {Builder}  query
+   * @param  {Builder}  parentQuery
+   * @param  {any[]|any}  [columns=['*']]
+   * @return {Builder}
+   */
+  getRelationExistenceQuery (query, parentQuery, columns = ['*']) {
+    return super.getRelationExistenceQuery(query, parentQuery, columns).where(
+      query.qualifyColumn(this.getMorphType()), this.morphClass
+    )
+  }
+
+  /**
+   * Get the foreign key "type" name.
+   *
+   * @return {string}
+   */
+  getQualifiedMorphType () {
+    return this.morphType
+  }
+
+  /**
+   * Get the plain morph type name without the table.
+   *
+   * @return {string}
+   */
+  getMorphType () {
+    return this.morphType.split('.').pop()
+  }
+
+  /**
+   * Get the class name of the parent model.
+   *
+   * @return {string}
+   */
+  getMorphClass () {
+    return this.morphClass
+  }
+}
@@ -0,0 +1,92 @@
+import Pivot from './Pivot.js'
+
+/** @typedef {import('../Builder.js').default} Builder */
+
+export default class MorphPivot extends Pivot {
+  /**
+   * The type of the polymorphic relation.
+   *
+   * Explicitly define this so it's not included in saved attributes.
+   *
+   * @protected
+   * @type {string|undefined}
+   */
+  morphType
+
+  /**
+   * The value of the polymorphic relation.
+   *
+   * Explicitly define this so it's not included in saved attributes.
+   *
+   * @protected
+   * @type {string|undefined}
+   */
+  morphClass
+
+  /**
+   * Set the keys for a select query.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @return {Builder}
+   */
+  setKeysForSelectQuery (query) {
+    query.where(this.morphType, this.morphClass)
+
+    return super.setKeysForSelectQuery(query)
+  }
+
+  /**
+   * Delete the pivot model record from the database.
+   *
+   * @return {Promise<number>}
+   */
+  async delete () {
+    if (Object.hasOwn(this.attributes, this.getKeyName())) {
+      return super.delete()
+    }
+
+    const query = this.getDeleteQuery()
+
+    query.where(this.morphType, this.morphClass)
+
+    const deleted = await query.delete()
+
+    this.exists = false
+
+    return deleted
+  }
+
+  /**
+   * Get the morph type for the pivot.
+   *
+   * @return {string|undefined}
+   */
+  getMorphType () {
+    return this.morphType
+  }
+
+  /**
+   * Set the morph type for the pivot.
+   *
+   * @param  {string}  morphType
+   * @return {this}
+   */
+  setMorphType (morphType) {
+    this.morphType = morphType
+
+    return this
+  }
+
+  /**
+   * Set the morph class for the pivot.
+   *
+   * @param  {string}  morphClass
+   * @return {this}
+   */
+  setMorphClass (morphClass) {
+    this.morphClass = morphClass
+
+    return this
+  }
+}
@@ -0,0 +1,309 @@
+import { isNil } from '@devnetic/utils'
+
+import Collection from '../Collection.js'
+import Model from '../Model.js'
+import BelongsTo from './BelongsTo.js'
+
+/** @typedef {import('../Builder.js').default} Builder */
+
+export default class MorphTo extends BelongsTo {
+  /**
+   * Create a new morph to relationship instance.
+   *
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {string}  foreignKey
+   * @param  {string|undefined}  ownerKey
+   * @param  {string}  type  The type of the polymorphic relation.
+   * @param  {string}  relation
+   * @param  {Record<string, any>}  [properties]
+   */
+  constructor (query, parent, foreignKey, ownerKey, type, relation, properties = {}) {
+    super(query, parent, foreignKey, /** @type {string} */ (ownerKey), relation, {
+      morphType: type,
+      models: undefined,
+      dictionary: {},
+      macroBuffer: [],
+      morphableEagerLoads: {},
+      morphableEagerLoadCounts: {},
+      morphableConstraints: {},
+      ...properties
+    })
+  }
+
+  /**
+   * Handle dynamic method calls to the relationship.
+   *
+   * Calls are buffered so they can be replayed on the query of each morphed
+   * type once the models are eagerly loaded.
+   *
+   * @param  {string}  method
+   * @param  {any[]}  parameters
+   * @return {any}
+   */
+  call (method, ...parameters) {
+    try {
+      const result = super.call(method, ...parameters)
+
+      if (['select', 'selectRaw', 'selectSub', 'addSelect', 'withoutGlobalScopes'].includes(method)) {
+        this.macroBuffer.push({ method, parameters })
+      }
+
+      return result
+    } catch (error) {
+      // If we tried to call a method that does not exist on the parent Builder instance,
+      // we'll assume that we want to call a query macro (e.g. withTrashed) that only
+      // exists on related models. We will just store the call and replay it later.
+      if (!(error instanceof Error) || !error.message.startsWith('BadMethodCallException')) {
+        throw error
+      }
+
+      this.macroBuffer.push({ method, parameters })
+
+      return this
+    }
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Model[]}  models
+   * @return {void}
+   */
+  addEagerConstraints (models) {
+    this.models = models
+
+    this.buildDictionary(models)
+  }
+
+  /**
+   * Build a dictionary with the models.
+   *
+   * @protected
+   * @param  {Model[]}  models
+   * @return {void}
+   */
+  buildDictionary (models) {
+    for (const model of models) {
+      const type = model.getAttribute(this.morphType)
+
+      if (isNil(type) || type === '') {
+        continue
+      }
+
+      const key = model.getAttribute(this.foreignKey)
+
+      this.dictionary[type] = this.dictionary[type] ?? {}
+
+      this.dictionary[type][key] = [...(this.dictionary[type][key] ?? []), model]
+    }
+  }
+
+  /**
+   * Get the results of the relationship.
+   *
+   * Called via eager load method of Eloquent query builder.
+   *
+   * @return {Promise<Collection>}
+   */
+  async getEager () {
+    for (const type of Object.keys(this.dictionary)) {
+      this.matchToMorphParents(type, await this.getResultsByType(type))
+    }
+
+    return new Collection(this.models ?? [])
+  }
+
+  /**
+   * Get all of the relation results for a type.
+   *
+   * @protected
+   * @param  {string}  type
+   * @return {Promise<Collection>}
+   */
+  getResultsByType (type) {
+    const instance = this.createModelByType(type)
+
+    const ownerKey = this.ownerKey ?? instance.getKeyName()
+
+    const query = this.replayMacros(instance.newQuery())
+      .mergeConstraintsFrom(this.getQuery())
+      .with(this.getQuery().getEagerLoads())
+      .with(this.morphableEagerLoads[type] ?? [])
+      .withCount(this.morphableEagerLoadCounts[type] ?? [])
+
+    this.morphableConstraints[type]?.(query)
+
+    const whereIn = this.whereInMethod(instance, ownerKey)
+
+    return query[whereIn](
+      `${instance.getTable()}.${ownerKey}`, this.gatherKeysByType(type, instance.getKeyType())
+    ).get()
+  }
+
+  /**
+   * Gather all of the foreign keys for a given type.
+   *
+   * @protected
+   * @param  {string}  type
+   * @param  {string}  keyType
+   * @return {any[]}
+   */
+  gatherKeysByType (type, keyType) {
+    const keys = Object.values(this.dictionary[type]).map(models => {
+      return models[0].getAttribute(this.foreignKey)
+    })
+
+    return keyType !== 'string' ? keys : keys.filter(key => key).map(String)
+  }
+
+  /**
+   * Create a new model instance by type.
+   *
+   * @param  {string}  type
+   * @return {Model}
+   */
+  createModelByType (type) {
+    const Related = Model.getActualClassNameForMorph(type)
+
+    const instance = new Related()
+
+    if (isNil(instance.getConnectionName())) {
+      instance.setConnection(this.getConnection().getName())
+    }
+
+    return instance
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @param  {Model[]}  models
+   * @param  {Collection}  results
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  match (models, results, relation) {
+    return models
+  }
+
+  /**
+   * Match the results for a given type to their parents.
+   *
+   * @protected
+   * @param  {string}  type
+   * @param  {Collection}  results
+   * @return {void}
+   */
+  matchToMorphParents (type, results) {
+    for (const result of results.all()) {
+      const ownerKey = !isNil(this.ownerKey) ? result.getAttribute(this.ownerKey) : result.getKey()
+
+      for (const model of this.dictionary[type][ownerKey] ?? []) {
+        model.setRelation(this.relationName, result)
+      }
+    }
+  }
+
+  /**
+   * Associate the model instance to the given parent.
+   *
+   * @param  {Model|undefined}  model
+   * @return {Model}
+   */
+  associate (model) {
+    let foreignKey
+
+    if (model instanceof Model) {
+      foreignKey = this.ownerKey && model.getAttribute(this.ownerKey) ? this.ownerKey : model.getKeyName()
+    }
+
+    this.parent.setAttribute(this.foreignKey, model instanceof Model ? model.getAttribute(foreignKey) : null)
+
+    this.parent.setAttribute(this.morphType, model instanceof Model ? model.getMorphClass() : null)
+
+    return this.parent.setRelation(this.relationName, model)
+  }
+
+  /**
+   * Dissociate previously associated model from the given parent.
+   *
+   * @return {Model}
+   */
+  dissociate () {
+    this.parent.setAttribute(this.foreignKey, null)
+
+    this.parent.setAttribute(this.morphType, null)
+
+    return this.parent.setRelation(this.relationName, null)
+  }
+
+  /**
+   * Get the foreign key "type" name.
+   *
+   * @return {string}
+   */
+  getMorphType () {
+    return this.morphType
+  }
+
+  /**
+   * Get the dictionary used by the relationship.
+   *
+   * @return {Record<string, Record<string, Model[]>>}
+   */
+  getDictionary () {
+    return this.dictionary
+  }
+
+  /**
+   * Specify which relations to load for a given morph type.
+   *
+   * @param  {Record<string, string[]>}  withs  The relations keyed by morph type.
+   * @return {this}
+   */
+  morphWith (withs) {
+    this.morphableEagerLoads = { ...this.morphableEagerLoads, ...withs }
+
+    return this
+  }
+
+  /**
+   * Specify which relationship counts to load for a given morph type.
+   *
+   * @param  {Record<string, string[]>}  withCount  The relations keyed by morph type.
+   * @return {this}
+   */
+  morphWithCount (withCount) {
+    this.morphableEagerLoadCounts = { ...this.morphableEagerLoadCounts, ...withCount }
+
+    return this
+  }
+
+  /**
+   * Specify constraints on the query for a given morph type.
+   *
+   * @param  {Record<string, Function>}  callbacks  The constraints keyed by morph type.
+   * @return {this}
+   */
+  constrain (callbacks) {
+    this.morphableConstraints = { ...this.morphableConstraints, ...callbacks }
+
+    return this
+  }
+
+  /**
+   * Replay stored macro calls on the actual related instance.
+   *
+   * @protected
+   * @param  {Builder}  query
+   * @return {Builder}
+   */
+  replayMacros (query) {
+    for (const { method, parameters } of this.macroBuffer) {
+      query[method](...parameters)
+    }
+
+    return query
+  }
+}
@@ -0,0 +1,172 @@
+import { unique } from '@devnetic/utils'
+
+import BelongsToMany from './BelongsToMany.js'
+
+/** @typedef {import('../Builder.js').default} Builder */
+/** @typedef {import('../Model.js').default} Model */
+/** @typedef {typeof import('../Model.js').default} ModelClass */
+/** @typedef {import('../../Query/Builder.js').default} QueryBuilder */
+
+export default class MorphToMany extends BelongsToMany {
+  /**
+   * Create a new morph to many relationship instance.
+   *
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {string}  name
+   * @param  {string|ModelClass}  table
+   * @param  {string}  foreignPivotKey
+   * @param  {string}  relatedPivotKey
+   * @param  {string}  parentKey
+   * @param  {string}  relatedKey
+   * @param  {string}  [relationName]
+   * @param  {boolean}  [inverse=false]  Indicates if we are connecting the inverse of the relation.
+   * @param  {Record<string, any>}  [properties]
+   */
+  constructor (query, parent, name, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relationName, inverse = false, properties = {}) {
+    super(query, parent, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relationName, {
+      inverse,
+      morphType: `${name}_type`,
+      morphClass: inverse ? query.getModel().getMorphClass() : parent.getMorphClass(),
+      ...properties
+    })
+  }
+
+  /**
+   * Set the where clause for the relation query.
+   *
+   * @protected
+   * @return {this}
+   */
+  addWhereConstraints () {
+    super.addWhereConstraints()
+
+    this.query.where(this.qualifyPivotColumn(this.morphType), this.morphClass)
+
+    return this
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Model[]}  models
+   * @return {void}
+   */
+  addEagerConstraints (models) {
+    super.addEagerConstraints(models)
+
+    this.query.where(this.qualifyPivotColumn(this.morphType), this.morphClass)
+  }
+
+  /**
+   * Create a new pivot attachment record.
+   *
+   * @protected
+   * @param  {any}  id
+   * @param  {boolean}  timed
+   * @return {Record<string, any>}
+   */
+  baseAttachRecord (id, timed) {
+    return { [this.morphType]: this.morphClass, ...super.baseAttachRecord(id, timed) }
+  }
+
+  /**
+   * Add the constraints for a relationship count query.
+   *
+   * @param  {Builder}  query
+   * @param  {Builder}  parentQuery
+   * @param  {any[]|any}  [columns=['*']]
+   * @return {Builder}
+   */
+  getRelationExistenceQuery (query, parentQuery, columns = ['*']) {
+    return super.getRelationExistenceQuery(query, parentQuery, columns).where(
+      this.qualifyPivotColumn(this.morphType), this.morphClass
+    )
+  }
+
+  /**
+   * Create a new query builder for the pivot table.
+   *
+   * @return {QueryBuilder}
+   */
+  newPivotQuery () {
+    return super.newPivotQuery().where(this.morphType, this.morphClass)
+  }
+
+  /**
+   * Create a new pivot model instance.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @param  {boolean}  [exists=false]
+   * @return {Promise<Model>}
+   */
+  async newPivot (attributes = {}, exists = false) {
+    attributes = { [this.morphType]: this.morphClass, ...attributes }
+
+    let pivot
+
+    if (this.pivotClass) {
+      pivot = this.pivotClass.fromRawAttributes(this.parent, attributes, this.table, exists)
+    } else {
+      const { default: MorphPivot } = await import('./MorphPivot.js')
+
+      pivot = MorphPivot.fromAttributes(this.parent, attributes, this.table, exists)
+    }
+
+    return pivot.setPivotKeys(this.foreignPivotKey, this.relatedPivotKey)
+      .setMorphType(this.morphType)
+      .setMorphClass(this.morphClass)
+  }
+
+  /**
+   * Get the pivot columns for the relation.
+   *
+   * "pivot_" is prefixed at each column for easy removal later.
+   *
+   * @protected
+   * @return {string[]}
+   */
+  aliasedPivotColumns () {
+    const defaults = [this.foreignPivotKey, this.relatedPivotKey, this.morphType]
+
+    return unique([...defaults, ...this.pivotColumns].map(column => {
+      return `${this.qualifyPivotColumn(column)} as pivot_${column}`
+    }))
+  }
+
+  /**
+   * Get the foreign key "type" name.
+   *
+   * @return {string}
+   */
+  getMorphType () {
+    return this.morphType
+  }
+
+  /**
+   * Get the fully qualified morph type for the relation.
+   *
+   * @return {string}
+   */
+  getQualifiedMorphTypeName () {
+    return this.qualifyPivotColumn(this.morphType)
+  }
+
+  /**
+   * Get the class name of the parent model.
+   *
+   * @return {string}
+   */
+  getMorphClass () {
+    return this.morphClass
+  }
+
+  /**
+   * Get the indicator for a reverse relationship.
+   *
+   * @return {boolean}
+   */
+  getInverse () {
+    return this.inverse
+  }
+}
@@ -0,0 +1,19 @@
+import { mix } from '../../../Support/Traits/use.js'
+import Model from '../Model.js'
+import AsPivot from './Concerns/AsPivot.js'
+
+export default class Pivot extends mix(Model).use(AsPivot) {
+  /**
+   * Indicates if the IDs are auto-incrementing.
+   *
+   * @type {boolean}
+   */
+  static incrementing = false
+
+  /**
+   * The attributes that aren't mass assignable.
+   *
+   * @type {string[]}
+   */
+  static guarded = []
+}
@@ -1 +1,454 @@
-export default class Relation {}
+import { isNil, unique } from '@devnetic/utils'
+
+import Expression from '../../Query/Expression.js'
+import InstanceProxy from '../../../Support/Proxies/InstanceProxy.js'
+import ForwardsCalls from '../../../Support/Traits/ForwardsCalls.js'
+import { CustomException, spaceship } from '../../../Support/helpers.js'
+import { mix } from '../../../Support/Traits/use.js'
+
+/** @typedef {import('../Builder.js').default} Builder */
+/** @typedef {import('../Model.js').default} Model */
+/** @typedef {typeof import('../Model.js').default} ModelClass */
+
+/**
+ * JavaScript doesn't let a subclass set its own properties before calling the
+ * parent constructor, so the relations hand them to this constructor, which
+ * assigns them before the constraints that depend on them are added.
+ *
+ * @abstract
+ */
+export default class Relation extends mix().use(ForwardsCalls) {
+  /**
+   * Indicates if the relation is adding constraints.
+   *
+   * @protected
+   * @type {boolean}
+   */
+  static constraints = true
+
+  /**
+   * The count of self joins.
+   *
+   * @protected
+   * @type {number}
+   */
+  static selfJoinCount = 0
+
+  /**
+   * An array to map morph names to their class names in the database.
+   *
+   * @protected
+   * @type {Record<string, ModelClass>}
+   */
+  static morphMapping = {}
+
+  /**
+   * Prevents morph relationships without a morph map.
+   *
+   * @protected
+   * @type {boolean}
+   */
+  static morphMapRequired = false
+
+  /**
+   * The Eloquent query builder instance.
+   *
+   * @protected
+   * @type {Builder}
+   */
+  query
+
+  /**
+   * The parent model instance.
+   *
+   * @protected
+   * @type {Model}
+   */
+  parent
+
+  /**
+   * The related model instance.
+   *
+   * @protected
+   * @type {Model}
+   */
+  related
+
+  /**
+   * Create a new relation instance.
+   *
+   * @param  {Builder}  query
+   * @param  {Model}  parent
+   * @param  {Record<string, any>}  [properties]
+   */
+  constructor (query, parent, properties = {}) {
+    super()
+
+    if (new.target === Relation) {
+      throw CustomException('abstract')
+    }
+
+    this.query = query
+    this.parent = parent
+    this.related = query.getModel()
+
+    Object.assign(this, properties)
+
+    this.addConstraints()
+
+    return InstanceProxy(this)
+  }
+
+  /**
+   * Handle dynamic method calls to the relationship.
+   *
+   * @param  {string}  method
+   * @param  {any[]}  parameters
+   * @return {any}
+   */
+  call (method, ...parameters) {
+    const result = this.forwardCallTo(this.query, method, parameters)
+
+    return result === this.query ? this : result
+  }
+
+  /**
+   * Run a callback with constraints disabled on the relation.
+   *
+   * @param  {Function}  callbackFunction
+   * @return {any}
+   */
+  static noConstraints (callbackFunction) {
+    const previous = Relation.constraints
+
+    Relation.constraints = false
+
+    // When resetting the relation where clause, we want to shift the first element
+    // off of the bindings, leaving only the constraints that the developers put
+    // as "extra" on the relationships, and not original relation constraints.
+    try {
+      return callbackFunction()
+    } finally {
+      Relation.constraints = previous
+    }
+  }
+
+  /**
+   * Define the morph map for polymorphic relations and require all morphed models to be explicitly mapped.
+   *
+   * @param  {Record<string, ModelClass>|Array<ModelClass>}  map
+   * @param  {boolean}  [merge=true]
+   * @return {Record<string, ModelClass>}
+   */
+  static enforceMorphMap (map, merge = true) {
+    Relation.requireMorphMap()
+
+    return Relation.morphMap(map, merge)
+  }
+
+  /**
+   * Set or get the morph map for polymorphic relations.
+   *
+   * JavaScript can't resolve a class from its name, so every model that is
+   * the target of a "morph to" relationship must be registered in the map.
+   *
+   * @param  {Record<string, ModelClass>|Array<ModelClass>}  [map]
+   * @param  {boolean}  [merge=true]
+   * @return {Record<string, ModelClass>}
+   */
+  static morphMap (map, merge = true) {
+    const models = Relation.buildMorphMapFromModels(map)
+
+    if (models !== undefined) {
+      Relation.morphMapping = merge ? { ...Relation.morphMapping, ...models } : models
+    }
+
+    return Relation.morphMapping
+  }
+
+  /**
+   * Builds a table-keyed array from model class names.
+   *
+   * @protected
+   * @param  {Record<string, ModelClass>|Array<ModelClass>}  [models]
+   * @return {Record<string, ModelClass>|undefined}
+   */
+  static buildMorphMapFromModels (models) {
+    if (!Array.isArray(models)) {
+      return models
+    }
+
+    return Object.fromEntries(models.map(Model => [new Model().getTable(), Model]))
+  }
+
+  /**
+   * Get the model associated with a custom polymorphic type.
+   *
+   * @param  {string}  alias
+   * @return {ModelClass|undefined}
+   */
+  static getMorphedModel (alias) {
+    return Relation.morphMapping[alias]
+  }
+
+  /**
+   * Get the alias associated with a custom polymorphic class.
+   *
+   * @param  {ModelClass}  model
+   * @return {string}
+   */
+  static getMorphAlias (model) {
+    return Object.keys(Relation.morphMapping).find(alias => {
+      return Relation.morphMapping[alias] === model
+    }) ?? model.name
+  }
+
+  /**
+   * Indicate that polymorphic relations should require an explicit morph map.
+   *
+   * @param  {boolean}  [requireMorphMap=true]
+   * @return {void}
+   */
+  static requireMorphMap (requireMorphMap = true) {
+    Relation.morphMapRequired = requireMorphMap
+  }
+
+  /**
+   * Determine if polymorphic relations require explicit model mapping.
+   *
+   * @return {boolean}
+   */
+  static requiresMorphMap () {
+    return Relation.morphMapRequired
+  }
+
+  /**
+   * Set the base constraints on the relation query.
+   *
+   * @abstract
+   * @return {void}
+   */
+  addConstraints () {
+    throw CustomException('concrete-method', 'addConstraints')
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @abstract
+   * @param  {Model[]}  models
+   * @return {void}
+   */
+  addEagerConstraints (models) {
+    throw CustomException('concrete-method', 'addEagerConstraints')
+  }
+
+  /**
+   * Initialize the relation on a set of models.
+   *
+   * @abstract
+   * @param  {Model[]}  models
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  initRelation (models, relation) {
+    throw CustomException('concrete-method', 'initRelation')
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @abstract
+   * @param  {Model[]}  models
+   * @param  {import('../../../Collections/Collection.js').default}  results
+   * @param  {string}  relation
+   * @return {Model[]}
+   */
+  match (models, results, relation) {
+    throw CustomException('concrete-method', 'match')
+  }
+
+  /**
+   * Get the results of the relationship.
+   *
+   * @abstract
+   * @return {Promise<any>}
+   */
+  getResults () {
+    throw CustomException('concrete-method', 'getResults')
+  }
+
+  /**
+   * Get the relationship for eager loading.
+   *
+   * @return {Promise<import('../../../Collections/Collection.js').default>}
+   */
+  getEager () {
+    return this.get()
+  }
+
+  /**
+   * Execute the query as a "select" statement.
+   *
+   * @param  {string[]|string}  [columns=['*']]
+   * @return {Promise<import('../../../Collections/Collection.js').default>}
+   */
+  get (columns = ['*']) {
+    return this.query.get(columns)
+  }
+
+  /**
+   * Touch all of the related models for the relationship.
+   *
+   * @return {Promise<void>}
+   */
+  async touch () {
+    const model = this.getRelated()
+
+    if (model.usesTimestamps() && !isNil(model.getUpdatedAtColumn())) {
+      await this.rawUpdate({ [model.getUpdatedAtColumn()]: model.freshTimestampString() })
+    }
+  }
+
+  /**
+   * Run a raw update against the base query.
+   *
+   * @param  {Record<string, any>}  [attributes]
+   * @return {Promise<number>}
+   */
+  rawUpdate (attributes = {}) {
+    return this.query.withoutGlobalScopes().update(attributes)
+  }
+
+  /**
+   * Add the constraints for an internal relationship existence query.
+   *
+   * Essentially, these queries compare on column names like whereColumn.
+   *
+   * @param  {Builder}  query
+   * @param  {Builder}  parentQuery
+   * @param  {any[]|any}  [columns=['*']]
+   * @return {Builder}
+   */
+  getRelationExistenceQuery (query, parentQuery, columns = ['*']) {
+    return query.select(columns).whereColumn(
+      this.getQualifiedParentKeyName(), '=', this.getExistenceCompareKey()
+    )
+  }
+
+  /**
+   * Add the constraints for a relationship count query.
+   *
+   * @param  {Builder}  query
+   * @param  {Builder}  parentQuery
+   * @return {Builder}
+   */
+  getRelationExistenceCountQuery (query, parentQuery) {
+    return this.getRelationExistenceQuery(
+      query, parentQuery, new Expression('count(*)')
+    ).setBindings([], 'select')
+  }
+
+  /**
+   * Get a relationship join table hash.
+   *
+   * @param  {boolean}  [incrementJoinCount=true]
+   * @return {string}
+   */
+  getRelationCountHash (incrementJoinCount = true) {
+    return 'laravel_reserved_' + (incrementJoinCount ? Relation.selfJoinCount++ : Relation.selfJoinCount)
+  }
+
+  /**
+   * Get all of the primary keys for an array of models.
+   *
+   * @protected
+   * @param  {Model[]}  models
+   * @param  {string}  [key]
+   * @return {any[]}
+   */
+  getKeys (models, key) {
+    return unique(models.map(value => {
+      return key ? value.getAttribute(key) : value.getKey()
+    })).sort(spaceship)
+  }
+
+  /**
+   * Get the query builder that will contain the relationship constraints.
+   *
+   * @protected
+   * @return {Builder}
+   */
+  getRelationQuery () {
+    return this.query
+  }
+
+  /**
+   * Get the underlying query for the relation.
+   *
+   * @return {Builder}
+   */
+  getQuery () {
+    return this.query
+  }
+
+  /**
+   * Get the base query builder driving the Eloquent builder.
+   *
+   * @return {import('../../Query/Builder.js').default}
+   */
+  getBaseQuery () {
+    return this.query.getQuery()
+  }
+
+  /**
+   * Get a base query builder instance.
+   *
+   * @return {import('../../Query/Builder.js').default}
+   */
+  toBase () {
+    return this.query.toBase()
+  }
+
+  /**
+   * Get the parent model of the relation.
+   *
+   * @return {Model}
+   */
+  getParent () {
+    return this.parent
+  }
+
+  /**
+   * Get the fully qualified parent key name.
+   *
+   * @return {string}
+   */
+  getQualifiedParentKeyName () {
+    return this.parent.getQualifiedKeyName()
+  }
+
+  /**
+   * Get the related model of the relation.
+   *
+   * @return {Model}
+   */
+  getRelated () {
+    return this.related
+  }
+
+  /**
+   * Get the name of the "where in" method for eager loading.
+   *
+   * @protected
+   * @param  {Model}  model
+   * @param  {string}  key
+   * @return {string}
+   */
+  whereInMethod (model, key) {
+    return model.getKeyName() === key.split('.').pop() &&
+      ['int', 'integer'].includes(model.getKeyType())
+      ? 'whereIntegerInRaw'
+      : 'whereIn'
+  }
+}
@@ -1 +1,30 @@
-export default class Scope { }
+import { CustomException } from '../../Support/helpers.js'
+
+/** @typedef {import('./Builder.js').default} Builder */
+/** @typedef {import('./Model.js').default} Model */
+
+/**
+ * @abstract
+ */
+export default class Scope {
+  /**
+   * Create a new scope instance.
+   */
+  constructor () {
+    if (new.target === Scope) {
+      throw CustomException('abstract')
+    }
+  }
+
+  /**
+   * Apply the scope to a given Eloquent query builder.
+   *
+   * @abstract
+   * @param  {Builder}  builder
+   * @param  {Model}  model
+   * @return {void}
+   */
+  apply (builder, model) {
+    throw CustomException('concrete-method', 'apply')
+  }
+}
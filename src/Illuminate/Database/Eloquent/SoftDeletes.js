@@ -0,0 +1,264 @@
+import { isNil } from '@devnetic/utils'
+
+import SoftDeletingScope from './SoftDeletingScope.js'
+
+/** @typedef {import('./Builder.js').default} Builder */
+/** @typedef {typeof import('./Model.js').default} ModelClass */
+
+/**
+ * Usage: `class Post extends mix(Model).use(SoftDeletes) {}`
+ */
+const SoftDeletes = (superclass) => class extends superclass {
+  /**
+   * The name of the "deleted at" column.
+   *
+   * @type {string}
+   */
+  static DELETED_AT = 'deleted_at'
+
+  /**
+   * Indicates if the model is currently force deleting.
+   *
+   * @protected
+   * @type {boolean}
+   */
+  forceDeleting = false
+
+  /**
+   * Boot the soft deleting trait for a model.
+   *
+   * @return {void}
+   */
+  static bootSoftDeletes () {
+    this.addGlobalScope(new SoftDeletingScope())
+  }
+
+  /**
+   * Initialize the soft deleting trait for an instance.
+   *
+   * @return {void}
+   */
+  initializeSoftDeletes () {
+    if (!Reflect.has(this.casts, this.getDeletedAtColumn())) {
+      this.casts[this.getDeletedAtColumn()] = 'datetime'
+    }
+
+    this.addObservableEvents('restoring', 'restored', 'trashed', 'forceDeleting', 'forceDeleted')
+  }
+
+  /**
+   * Get a new query builder that includes soft deletes.
+   *
+   * @param  {boolean}  [withTrashed=true]
+   * @return {Builder}
+   */
+  static withTrashed (withTrashed = true) {
+    return this.query().withTrashed(withTrashed)
+  }
+
+  /**
+   * Get a new query builder that only includes soft deletes.
+   *
+   * @return {Builder}
+   */
+  static onlyTrashed () {
+    return this.query().onlyTrashed()
+  }
+
+  /**
+   * Get a new query builder that doesn't include soft deletes.
+   *
+   * @return {Builder}
+   */
+  static withoutTrashed () {
+    return this.query().withoutTrashed()
+  }
+
+  /**
+   * Force a hard delete on a soft deleted model.
+   *
+   * @return {Promise<boolean|undefined>}
+   */
+  async forceDelete () {
+    if (await this.fireModelEvent('forceDeleting') === false) {
+      return false
+    }
+
+    this.forceDeleting = true
+
+    let deleted
+
+    try {
+      deleted = await this.delete()
+    } finally {
+      this.forceDeleting = false
+    }
+
+    if (deleted) {
+      await this.fireModelEvent('forceDeleted', false)
+    }
+
+    return deleted
+  }
+
+  /**
+   * Perform the actual delete query on this model instance.
+   *
+   * @protected
+   * @return {Promise<void>}
+   */
+  async performDeleteOnModel () {
+    if (this.forceDeleting) {
+      await this.setKeysForSaveQuery(this.newModelQuery()).forceDelete()
+
+      this.exists = false
+
+      return
+    }
+
+    await this.runSoftDelete()
+  }
+
+  /**
+   * Perform the actual delete query on this model instance.
+   *
+   * @protected
+   * @return {Promise<void>}
+   */
+  async runSoftDelete () {
+    const query = this.setKeysForSaveQuery(this.newModelQuery())
+
+    const time = this.freshTimestamp()
+
+    const columns = { [this.getDeletedAtColumn()]: this.fromDateTime(time) }
+
+    this.setAttribute(this.getDeletedAtColumn(), time)
+
+    if (this.usesTimestamps() && !isNil(this.getUpdatedAtColumn())) {
+      this.setAttribute(this.getUpdatedAtColumn(), time)
+
+      columns[this.getUpdatedAtColumn()] = this.fromDateTime(time)
+    }
+
+    await query.update(columns)
+
+    this.syncOriginalAttributes(Object.keys(columns))
+
+    await this.fireModelEvent('trashed', false)
+  }
+
+  /**
+   * Restore a soft-deleted model instance.
+   *
+   * @return {Promise<boolean>}
+   */
+  async restore () {
+    // If the restoring event does not return false, we will proceed with this
+    // restore operation. Otherwise, we bail out so the developer will stop
+    // the restore totally. We will clear the deleted timestamp and save.
+    if (await this.fireModelEvent('restoring') === false) {
+      return false
+    }
+
+    this.setAttribute(this.getDeletedAtColumn(), null)
+
+    // Once we have saved the model, we will fire the "restored" event so this
+    // developer will do anything they need to after a restore operation is
+    // totally finished. Then we will return the result of the save call.
+    this.exists = true
+
+    const result = await this.save()
+
+    await this.fireModelEvent('restored', false)
+
+    return result
+  }
+
+  /**
+   * Register a "restoring" model event callback with the dispatcher.
+   *
+   * @param  {Function}  callback
+   * @return {void}
+   */
+  static restoring (callback) {
+    this.registerModelEvent('restoring', callback)
+  }
+
+  /**
+   * Register a "restored" model event callback with the dispatcher.
+   *
+   * @param  {Function}  callback
+   * @return {void}
+   */
+  static restored (callback) {
+    this.registerModelEvent('restored', callback)
+  }
+
+  /**
+   * Register a "trashed" model event callback with the dispatcher.
+   *
+   * @param  {Function}  callback
+   * @return {void}
+   */
+  static softDeleted (callback) {
+    this.registerModelEvent('trashed', callback)
+  }
+
+  /**
+   * Register a "forceDeleting" model event callback with the dispatcher.
+   *
+   * @param  {Function}  callback
+   * @return {void}
+   */
+  static forceDeleting (callback) {
+    this.registerModelEvent('forceDeleting', callback)
+  }
+
+  /**
+   * Register a "forceDeleted" model event callback with the dispatcher.
+   *
+   * @param  {Function}  callback
+   * @return {void}
+   */
+  static forceDeleted (callback) {
+    this.registerModelEvent('forceDeleted', callback)
+  }
+
+  /**
+   * Determine if the model instance has been soft-deleted.
+   *
+   * @return {boolean}
+   */
+  trashed () {
+    return !isNil(this.getAttribute(this.getDeletedAtColumn()))
+  }
+
+  /**
+   * Determine if the model is currently force deleting.
+   *
+   * @return {boolean}
+   */
+  isForceDeleting () {
+    return this.forceDeleting
+  }
+
+  /**
+   * Get the name of the "deleted at" column.
+   *
+   * @return {string}
+   */
+  getDeletedAtColumn () {
+    return /** @type {ModelClass} */ (this.constructor).DELETED_AT
+  }
+
+  /**
+   * Get the fully qualified "deleted at" column.
+   *
+   * @return {string}
+   */
+  getQualifiedDeletedAtColumn () {
+    return this.qualifyColumn(this.getDeletedAtColumn())
+  }
+}
+
+export default SoftDeletes
@@ -0,0 +1,130 @@
+import Scope from './Scope.js'
+
+/** @typedef {import('./Builder.js').default} Builder */
+/** @typedef {import('./Model.js').default} Model */
+
+export default class SoftDeletingScope extends Scope {
+  /**
+   * All of the extensions to be added to the builder.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  extensions = ['Restore', 'WithTrashed', 'WithoutTrashed', 'OnlyTrashed']
+
+  /**
+   * Apply the scope to a given Eloquent query builder.
+   *
+   * @param  {Builder}  builder
+   * @param  {Model}  model
+   * @return {void}
+   */
+  apply (builder, model) {
+    builder.whereNull(model.getQualifiedDeletedAtColumn())
+  }
+
+  /**
+   * Extend the query builder with the needed functions.
+   *
+   * @param  {Builder}  builder
+   * @return {void}
+   */
+  extend (builder) {
+    for (const extension of this.extensions) {
+      this[`add${extension}`](builder)
+    }
+
+    builder.onDelete((builder) => {
+      const column = this.getDeletedAtColumn(builder)
+
+      return builder.update({
+        [column]: builder.getModel().freshTimestampString()
+      })
+    })
+  }
+
+  /**
+   * Get the "deleted at" column for the builder.
+   *
+   * @protected
+   * @param  {Builder}  builder
+   * @return {string}
+   */
+  getDeletedAtColumn (builder) {
+    if (builder.getQuery().joins.length > 0) {
+      return builder.getModel().getQualifiedDeletedAtColumn()
+    }
+
+    return builder.getModel().getDeletedAtColumn()
+  }
+
+  /**
+   * Add the restore extension to the builder.
+   *
+   * @protected
+   * @param  {Builder}  builder
+   * @return {void}
+   */
+  addRestore (builder) {
+    builder.macro('restore', (builder) => {
+      builder.withTrashed()
+
+      return builder.update({ [builder.getModel().getDeletedAtColumn()]: null })
+    })
+  }
+
+  /**
+   * Add the with-trashed extension to the builder.
+   *
+   * @protected
+   * @param  {Builder}  builder
+   * @return {void}
+   */
+  addWithTrashed (builder) {
+    builder.macro('withTrashed', (builder, withTrashed = true) => {
+      if (!withTrashed) {
+        return builder.withoutTrashed()
+      }
+
+      return builder.withoutGlobalScope(this)
+    })
+  }
+
+  /**
+   * Add the without-trashed extension to the builder.
+   *
+   * @protected
+   * @param  {Builder}  builder
+   * @return {void}
+   */
+  addWithoutTrashed (builder) {
+    builder.macro('withoutTrashed', (builder) => {
+      const model = builder.getModel()
+
+      builder.withoutGlobalScope(this).whereNull(
+        model.getQualifiedDeletedAtColumn()
+      )
+
+      return builder
+    })
+  }
+
+  /**
+   * Add the only-trashed extension to the builder.
+   *
+   * @protected
+   * @param  {Builder}  builder
+   * @return {void}
+   */
+  addOnlyTrashed (builder) {
+    builder.macro('onlyTrashed', (builder) => {
+      const model = builder.getModel()
+
+      builder.withoutGlobalScope(this).whereNotNull(
+        model.getQualifiedDeletedAtColumn()
+      )
+
+      return builder
+    })
+  }
+}
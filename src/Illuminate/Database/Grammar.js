@@ -138,6 +138,20 @@ export default class Grammar extends mix().use(Macroable) {
       .map((value) => this.parameter(value)).join(', ')
   }
 
+  /**
+   * Quote the given string literal.
+   *
+   * @param  {string|string[]}  value
+   * @return {string}
+   */
+  quoteString (value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.quoteString(item)).join(', ')
+    }
+
+    return `'${value}'`
+  }
+
   /**
    * Set the grammar's database connection.
    *
@@ -223,6 +237,16 @@ export default class Grammar extends mix().use(Macroable) {
     return this.wrap(segments[0]) + ' as ' + this.wrapValue(segments[1])
   }
 
+  /**
+   * Wrap an array of values.
+   *
+   * @param  {Array<Expression|string>}  values
+   * @return {string[]}
+   */
+  wrapArray (values) {
+    return values.map(value => this.wrap(value))
+  }
+
   /**
    * Wrap the given JSON selector.
    *
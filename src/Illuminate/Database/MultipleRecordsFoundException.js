@@ -0,0 +1,32 @@
+/**
+ * Thrown when a query that requires a single record finds more than one.
+ */
+export default class MultipleRecordsFoundException extends Error {
+  /**
+   * The number of records found.
+   *
+   * @type {number}
+   */
+  count
+
+  /**
+   * Create a new exception instance.
+   *
+   * @param  {number}  count
+   * @param  {string}  [message]
+   */
+  constructor (count, message = `MultipleRecordsFoundException: ${count} records were found.`) {
+    super(message)
+
+    this.count = count
+  }
+
+  /**
+   * Get the number of records found.
+   *
+   * @return {number}
+   */
+  getCount () {
+    return this.count
+  }
+}
@@ -1,9 +1,36 @@
 import Connection from './Connection.js'
+import Driver from './Drivers/Driver.js'
 import MySqlDriver from '../Database/Drivers/MySqlDriver.js'
+import MySqlProcessor from './Query/Processors/MySqlProcessor.js'
 import { MySqlGrammar as QueryGrammar } from '../Database/Query/Grammars/index.js'
 // import MySqlGrammar as SchemaGrammar from './Schema/Grammars/MySqlGrammar.js'
 
+/** @typedef {import('./Statements/MySqlStatement.js').default} MySqlStatement */
+
 export default class MySqlConnection extends Connection {
+  /**
+   * Escape a binary value for safe SQL embedding.
+   *
+   * @protected
+   * @param  {string}  value
+   * @return {string}
+   */
+  escapeBinary (value) {
+    const hex = Buffer.from(value).toString('hex')
+
+    return `x'${hex}'`
+  }
+
+  /**
+   * Get the default post processor instance.
+   *
+   * @protected
+   * @return {MySqlProcessor}
+   */
+  getDefaultPostProcessor () {
+    return new MySqlProcessor()
+  }
+
   /**
    * Get the default query grammar instance.
    *
@@ -21,4 +48,52 @@ export default class MySqlConnection extends Connection {
   getDoctrineDriver () {
     return new MySqlDriver()
   }
+
+  /**
+   * Run an insert statement against the database and get the ID it generated.
+   *
+   * The ID is read from the result of the statement itself, the connection may
+   * be running other inserts on other pooled sessions at the same time.
+   *
+   * @param  {string}  query
+   * @param  {object}  [bindings]
+   * @param  {string|null}  [sequence]
+   * @return {Promise<string|number>}
+   */
+  async insertGetId (query, bindings = {}, sequence = null) {
+    return await this.run(query, bindings, async (query, bindings) => {
+      if (this.pretending()) {
+        return 0
+      }
+
+      const statement = /** @type {MySqlStatement} */ (this.getDriver().prepare(query))
+
+      this.bindValues(statement, this.prepareBindings(bindings))
+
+      this.recordsHaveBeenModified()
+
+      await statement.execute()
+
+      return statement.lastInsertId() ?? 0
+    })
+  }
+
+  /**
+   * Determine if the connected database is a MariaDB database.
+   *
+   * @return {boolean}
+   */
+  isMaria () {
+    return String(this.getDriver().getAttribute(Driver.ATTR_SERVER_VERSION)).includes('MariaDB')
+  }
+
+  /**
+   * Determine if the given database exception was caused by a unique constraint violation.
+   *
+   * @param  {Error & { code?: string }}  exception
+   * @return {boolean}
+   */
+  isUniqueConstraintError (exception) {
+    return exception.code === 'ER_DUP_ENTRY'
+  }
 }
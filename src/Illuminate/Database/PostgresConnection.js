@@ -58,7 +58,6 @@ export default class PostgresConnection extends Connection {
   /**
  * Determine if the given database exception was caused by a unique constraint violation.
  *
- * @protected
  * @param {Error} exception - The exception object.
  * @returns {boolean} - Whether the exception indicates a unique constraint violation.
  */
@@ -22,7 +22,9 @@ import IndexHint from './IndexHint.js'
 import { JoinClause, JoinLateralClause } from './internal.js'
 import LengthAwarePaginator from '../../Pagination/LengthAwarePaginator.js'
 import Macroable from '../../Macroable/Traits/Macroable.js'
+import RecordsNotFoundException from '../RecordsNotFoundException.js'
 import Relation from '../Eloquent/Relations/Relation.js'
+import WindowClause from './WindowClause.js'
 import { mix } from '../../Support/Traits/use.js'
 import { castArray, changeKeyCase, clone, ksort, tap } from '../../Support/index.js'
 import { collect, head, last, reset, value } from '../../Collections/helpers.js'
@@ -64,6 +66,7 @@ import { collect, head, last, reset, value } from '../../Collections/helpers.js'
 
 /**
  * @typedef {Object} Bindings
+ * @property {unknown[]} expressions - Bindings for the common table expressions.
  * @property {unknown[]} select - Bindings for the SELECT statement.
  * @property {unknown[]} from - Bindings for the FROM statement.
  * @property {unknown[]} join - Bindings for JOIN statements.
@@ -97,6 +100,21 @@ import { collect, head, last, reset, value } from '../../Collections/helpers.js'
  * @property {number} currentPage - The current page number.
  */
 
+/**
+ * @typedef {Object} CommonTableExpression
+ * @property {string} name - The name of the expression.
+ * @property {string} query - The compiled SQL of the expression query.
+ * @property {string[]} [columns] - The column names of the expression.
+ * @property {boolean} [materialized] - The materialization hint of the expression.
+ * @property {boolean} recursive - Indicates if the expression is recursive.
+ */
+
+/**
+ * @typedef {Object} NamedWindow
+ * @property {string} name - The name of the window.
+ * @property {WindowClause} window - The definition of the window.
+ */
+
 /**
  * @typedef {Object} GroupLimit
  * @property {string} column
@@ -117,6 +135,7 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
    * @type {Bindings}
    */
   bindings = {
+    expressions: [],
     select: [],
     from: [],
     join: [],
@@ -170,6 +189,13 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
    */
   fromProperty = ''
 
+  /**
+   * The common table expressions for the query.
+   *
+   * @type {CommonTableExpression[]}
+   */
+  expressions = []
+
   /** @type {import('./Grammars/Grammar.js').default} */
   grammar
 
@@ -288,6 +314,13 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
    */
   wheres = [] // TODO: verify the correct type
 
+  /**
+   * The named windows of the query.
+   *
+   * @type {NamedWindow[]}
+   */
+  windows = []
+
   /**
    * Create a new query builder instance.
    *
@@ -702,6 +735,19 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
     return this
   }
 
+  /**
+   * Get an async generator for the given query.
+   *
+   * @return {AsyncGenerator<Record<string, any>>}
+   */
+  async * cursor () {
+    if (this.columns.length === 0) {
+      this.columns = ['*']
+    }
+
+    yield * this.connection.cursor(this.toSql(), this.getBindings())
+  }
+
   /**
    * Get the default key name of the table.
    *
@@ -716,7 +762,7 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
    * Delete records from the database.
    *
    * @param  {unknown}  [id]
-   * @return {number}
+   * @return {Promise<number>}
    */
   delete (id) {
     // If an ID is passed to the method, we will set the where clause to check the
@@ -729,7 +775,7 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
     this.applyBeforeQueryCallbacks()
 
     return this.connection.delete(
-      this.grammar.compileDelete(this), this.cleanBindings(
+      this.grammar.compileWithExpressions(this, () => this.grammar.compileDelete(this)), this.cleanBindings(
         this.grammar.prepareBindingsForDelete(this.bindings)
       )
     )
@@ -873,14 +919,14 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
    * @param  [Function]  [callback]
    * @return [unknown|this]
    */
-  findOr (id, columns = ['*'], callback) {
+  async findOr (id, columns = ['*'], callback) {
     if (columns instanceof Function) {
       callback = columns
 
       columns = ['*']
     }
 
-    const data = this.find(id, columns)
+    const data = await this.find(id, columns)
     if (!isNil(data)) {
       return data
     }
@@ -888,6 +934,21 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
     return callback()
   }
 
+  /**
+   * Execute a query for a single record by ID or throw an exception.
+   *
+   * @param  {number|string}  id
+   * @param  {string[]}  [columns=['*']]
+   * @return {Promise<object>}
+   *
+   * @throws {RecordsNotFoundException}
+   */
+  async findOrFail (id, columns = ['*']) {
+    return this.findOr(id, columns, () => {
+      throw new RecordsNotFoundException().setTable(this.fromProperty, id)
+    })
+  }
+
   /**
    * Get a scalar type value from an unknown type of input.
    *
@@ -1437,7 +1498,7 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
 
     return this.connection.affectingStatement(
       this.grammar.compileInsertOrIgnoreUsing(this, columns, sql),
-      this.cleanBindings(bindings)
+      this.cleanBindings([...this.bindings.expressions, ...bindings])
     )
   }
 
@@ -1453,7 +1514,10 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
 
     const [sql, bindings] = this.createSub(query)
 
-    return this.connection.affectingStatement(this.grammar.compileInsertUsing(this, columns, sql), this.cleanBindings(bindings))
+    return this.connection.affectingStatement(
+      this.grammar.compileInsertUsing(this, columns, sql),
+      this.cleanBindings([...this.bindings.expressions, ...bindings])
+    )
   }
 
   /**
@@ -2283,6 +2347,25 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
     return this.whereYear(column, operator, value, 'or')
   }
 
+  /**
+   * Create a raw window function expression for the query.
+   *
+   * @param  {string|Expression}  expression
+   * @param  {Function|WindowClause|string}  [window]
+   * @return {Expression}
+   */
+  over (expression, window = new WindowClause()) {
+    if (window instanceof Function) {
+      const callback = window
+
+      window = new WindowClause()
+
+      callback(window)
+    }
+
+    return new Expression(this.grammar.compileOver(expression, window))
+  }
+
   /**
    * Paginate the given query into a simple paginator.
    *
@@ -2621,6 +2704,138 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
     return this.selectRaw('(' + querySub + ') as ' + this.grammar.wrap(as), bindings)
   }
 
+  /**
+   * Add an "avg" window function to the query.
+   *
+   * @param  {string|Expression}  column
+   * @param  {Function|WindowClause|string}  window
+   * @param  {string}  [as=avg]
+   * @return {this}
+   */
+  selectAvgOver (column, window, as = 'avg') {
+    return this.selectWindow(`avg(${this.grammar.wrap(column)})`, window, as)
+  }
+
+  /**
+   * Add a "dense_rank" window function to the query.
+   *
+   * @param  {Function|WindowClause|string}  window
+   * @param  {string}  [as=dense_rank]
+   * @return {this}
+   */
+  selectDenseRank (window, as = 'dense_rank') {
+    return this.selectWindow('dense_rank()', window, as)
+  }
+
+  /**
+   * Add a "lag" window function to the query.
+   *
+   * @param  {string|Expression}  column
+   * @param  {Function|WindowClause|string}  window
+   * @param  {string}  [as=lag]
+   * @param  {number}  [offset=1]
+   * @param  {unknown}  [defaultValue]
+   * @return {this}
+   */
+  selectLag (column, window, as = 'lag', offset = 1, defaultValue = undefined) {
+    return this.selectOffsetWindow('lag', column, window, as, offset, defaultValue)
+  }
+
+  /**
+   * Add a "lead" window function to the query.
+   *
+   * @param  {string|Expression}  column
+   * @param  {Function|WindowClause|string}  window
+   * @param  {string}  [as=lead]
+   * @param  {number}  [offset=1]
+   * @param  {unknown}  [defaultValue]
+   * @return {this}
+   */
+  selectLead (column, window, as = 'lead', offset = 1, defaultValue = undefined) {
+    return this.selectOffsetWindow('lead', column, window, as, offset, defaultValue)
+  }
+
+  /**
+   * Add a "lag" or "lead" window function to the query.
+   *
+   * @protected
+   * @param  {string}  functionName
+   * @param  {string|Expression}  column
+   * @param  {Function|WindowClause|string}  window
+   * @param  {string}  as
+   * @param  {number}  offset
+   * @param  {unknown}  [defaultValue]
+   * @return {this}
+   *
+   * @throws {Error}
+   */
+  selectOffsetWindow (functionName, column, window, as, offset, defaultValue) {
+    if (!isInteger(offset) || offset < 0) {
+      throw new Error('InvalidArgumentException: The window function offset must be a non-negative integer.')
+    }
+
+    const parameters = [this.grammar.wrap(column), offset]
+
+    if (defaultValue === undefined) {
+      return this.selectWindow(`${functionName}(${parameters.join(', ')})`, window, as)
+    }
+
+    parameters.push(this.grammar.parameter(defaultValue))
+
+    return this.selectWindow(
+      `${functionName}(${parameters.join(', ')})`, window, as, this.grammar.isExpression(defaultValue) ? [] : [defaultValue]
+    )
+  }
+
+  /**
+   * Add a "rank" window function to the query.
+   *
+   * @param  {Function|WindowClause|string}  window
+   * @param  {string}  [as=rank]
+   * @return {this}
+   */
+  selectRank (window, as = 'rank') {
+    return this.selectWindow('rank()', window, as)
+  }
+
+  /**
+   * Add a "row_number" window function to the query.
+   *
+   * @param  {Function|WindowClause|string}  window
+   * @param  {string}  [as=row_number]
+   * @return {this}
+   */
+  selectRowNumber (window, as = 'row_number') {
+    return this.selectWindow('row_number()', window, as)
+  }
+
+  /**
+   * Add a "sum" window function to the query.
+   *
+   * @param  {string|Expression}  column
+   * @param  {Function|WindowClause|string}  window
+   * @param  {string}  [as=sum]
+   * @return {this}
+   */
+  selectSumOver (column, window, as = 'sum') {
+    return this.selectWindow(`sum(${this.grammar.wrap(column)})`, window, as)
+  }
+
+  /**
+   * Add a window function expression to the query.
+   *
+   * @param  {string|Expression}  expression
+   * @param  {Function|WindowClause|string}  window
+   * @param  {string}  as
+   * @param  {unknown[]}  [bindings=[]]
+   * @return {this}
+   */
+  selectWindow (expression, window, as, bindings = []) {
+    const over = this.over(expression, window).getValue(this.grammar)
+
+    return this.selectRaw(over + ' as ' + this.grammar.wrap(as), bindings)
+  }
+
   /**
    * Set the aggregate property without running the query.
    *
@@ -2639,6 +2854,25 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
     return this
   }
 
+  /**
+   * Set the bindings on the query builder.
+   *
+   * @param  {any[]}  bindings
+   * @param  {string}  [type='where']
+   * @return {this}
+   *
+   * @throws {Error}
+   */
+  setBindings (bindings, type = 'where') {
+    if (this.bindings[type] === undefined) {
+      throw new Error(`InvalidArgumentException: Invalid binding type: ${type}.`)
+    }
+
+    this.bindings[type] = bindings
+
+    return this
+  }
+
   /**
    * Alias to set the "offset" value of the query.
    *
@@ -2781,7 +3015,9 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
       return { value: new Expression(`(${query})`), bindings: () => bindings }
     })
 
-    const sql = this.grammar.compileUpdate(this, valuesCol.map(value => value.value).all())
+    const sql = this.grammar.compileWithExpressions(this, () => {
+      return this.grammar.compileUpdate(this, valuesCol.map(value => value.value).all())
+    })
 
     return this.connection.update(sql, this.cleanBindings(
       this.grammar.prepareBindingsForUpdate(this.bindings, valuesCol.map(value => value.bindings).all())
@@ -2801,7 +3037,7 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
 
     this.applyBeforeQueryCallbacks()
 
-    const sql = this.grammar.compileUpdateFrom(this, values)
+    const sql = this.grammar.compileWithExpressions(this, () => this.grammar.compileUpdateFrom(this, values))
 
     return this.connection.update(sql, this.cleanBindings(
       this.grammar.prepareBindingsForUpdateFrom(this.bindings, values)
@@ -3590,6 +3826,97 @@ export default class Builder extends mix().use(BuildsQueries, Macroable) {
     return this.addDateBasedWhere('Year', column, operator, value, boolean)
   }
 
+  /**
+   * Add a named window definition to the query.
+   *
+   * @param  {string}  name
+   * @param  {Function|WindowClause}  window
+   * @return {this}
+   */
+  window (name, window) {
+    if (window instanceof Function) {
+      const callback = window
+
+      window = new WindowClause()
+
+      callback(window)
+    }
+
+    this.windows.push({ name, window })
+
+    return this
+  }
+
+  /**
+   * Add a common table expression to the query.
+   *
+   * @param  {string}  name
+   * @param  {Function|Builder|EloquentBuilder|string}  query
+   * @param  {string[]}  [columns]
+   * @param  {boolean}  [materialized]
+   * @param  {boolean}  [recursive=false]
+   * @return {this}
+   */
+  withExpression (name, query, columns = undefined, materialized = undefined, recursive = false) {
+    if (query instanceof Function) {
+      const callback = query
+
+      query = this.forSubQuery()
+
+      callback(query)
+    } else if (query instanceof EloquentBuilder || query instanceof Relation) {
+      query = query.toBase()
+    }
+
+    // Query builders are compiled by the grammar of this query, since a dialect
+    // may not allow the members of a recursive union to be wrapped as usual.
+    const [sql, bindings] = query instanceof Builder
+      ? [this.grammar.compileExpressionQuery(query), query.getBindings()]
+      : this.parseSub(query)
+
+    this.expressions.push({ name, query: sql, columns, materialized, recursive })
+
+    this.addBinding(bindings, 'expressions')
+
+    return this
+  }
+
+  /**
+   * Add a common table expression that should be materialized to the query.
+   *
+   * @param  {string}  name
+   * @param  {Function|Builder|EloquentBuilder|string}  query
+   * @param  {string[]}  [columns]
+   * @return {this}
+   */
+  withMaterializedExpression (name, query, columns = undefined) {
+    return this.withExpression(name, query, columns, true)
+  }
+
+  /**
+   * Add a common table expression that should not be materialized to the query.
+   *
+   * @param  {string}  name
+   * @param  {Function|Builder|EloquentBuilder|string}  query
+   * @param  {string[]}  [columns]
+   * @return {this}
+   */
+  withNonMaterializedExpression (name, query, columns = undefined) {
+    return this.withExpression(name, query, columns, false)
+  }
+
+  /**
+   * Add a recursive common table expression to the query.
+   *
+   * @param  {string}  name
+   * @param  {Function|Builder|EloquentBuilder|string}  query
+   * @param  {string[]}  [columns]
+   * @return {this}
+   */
+  withRecursiveExpression (name, query, columns = undefined) {
+    return this.withExpression(name, query, columns, undefined, true)
+  }
+
   /**
    * @protected
    * @param {Collection} items The collection of items
@@ -57,6 +57,7 @@ export default class Grammar extends mix(BaseGrammar).use(CompilesJsonPaths) {
     { name: 'wheres', property: 'wheres' },
     { name: 'groups', property: 'groups' },
     { name: 'havings', property: 'havings' },
+    { name: 'windows', property: 'windows' },
     { name: 'orders', property: 'orders' },
     { name: 'limit', property: 'limitProperty' },
     { name: 'offset', property: 'offsetProperty' },
@@ -206,6 +207,37 @@ export default class Grammar extends mix(BaseGrammar).use(CompilesJsonPaths) {
     return `select exists(${select}) as ${this.wrap('exists')}`
   }
 
+  /**
+   * Compile the query that makes up the body of a common table expression.
+   *
+   * @param  {import('./../Builder.js').default}  query
+   * @return {string}
+   */
+  compileExpressionQuery (query) {
+    return query.toSql()
+  }
+
+  /**
+   * Compile the common table expressions of the query.
+   *
+   * @param  {import('./../Builder.js').default}  query
+   * @param  {import('./../Builder.js').CommonTableExpression[]}  expressions
+   * @return {string}
+   */
+  compileExpressions (query, expressions) {
+    if (expressions.length === 0) {
+      return ''
+    }
+
+    const statements = expressions.map((expression) => {
+      const columns = expression.columns?.length > 0 ? ` (${this.columnize(expression.columns)})` : ''
+
+      return `${this.wrap(expression.name)}${columns} as ${this.compileMaterializationHint(expression)}(${expression.query})`
+    })
+
+    return `with ${this.compileRecursiveKeyword(expressions)}${statements.join(', ')}`
+  }
+
   /**
    * Compile the "from" portion of the query.
    *
@@ -421,6 +453,10 @@ export default class Grammar extends mix(BaseGrammar).use(CompilesJsonPaths) {
   compileInsertUsing (query, columns, sql) {
     const table = this.wrapTable(query.fromProperty)
 
+    if (query.expressions.length > 0) {
+      sql = this.compileExpressions(query, query.expressions) + ' ' + sql
+    }
+
     if (columns.length === 0 || columns[0] === '*') {
       return `insert into ${table} ${sql}`
     }
@@ -535,6 +571,17 @@ export default class Grammar extends mix(BaseGrammar).use(CompilesJsonPaths) {
     return typeof value === 'string' ? value : ''
   }
 
+  /**
+   * Compile the materialization hint of a common table expression.
+   *
+   * @protected
+   * @param  {import('./../Builder.js').CommonTableExpression}  expression
+   * @return {string}
+   */
+  compileMaterializationHint (expression) {
+    return ''
+  }
+
   /**
    * Compile a nested having clause.
    *
@@ -584,6 +631,19 @@ export default class Grammar extends mix(BaseGrammar).use(CompilesJsonPaths) {
     })
   }
 
+  /**
+   * Compile a window function expression into SQL.
+   *
+   * @param  {string|import('./../Expression.js').default}  expression
+   * @param  {import('./../WindowClause.js').default|string}  window
+   * @return {string}
+   */
+  compileOver (expression, window) {
+    const value = this.isExpression(expression) ? this.getValue(expression) : expression
+
+    return `${value} over ${this.compileWindow(window)}`
+  }
+
   /**
    * Compile the random statement into SQL.
    *
@@ -594,6 +654,17 @@ export default class Grammar extends mix(BaseGrammar).use(CompilesJsonPaths) {
     return 'RANDOM()'
   }
 
+  /**
+   * Compile the "recursive" keyword of the common table expressions.
+   *
+   * @protected
+   * @param  {import('./../Builder.js').CommonTableExpression[]}  expressions
+   * @return {string}
+   */
+  compileRecursiveKeyword (expressions) {
+    return expressions.some(expression => expression.recursive) ? 'recursive ' : ''
+  }
+
   /**
    * Compile the SQL statement to define a savepoint.
    *
@@ -621,6 +692,12 @@ export default class Grammar extends mix(BaseGrammar).use(CompilesJsonPaths) {
    * @return {string}
    */
   compileSelect (query) {
+    // The common table expressions are compiled around the whole statement so they
+    // precede any union or aggregate wrapping the grammar applies to the query.
+    if (query.expressions.length > 0) {
+      return this.compileWithExpressions(query, () => this.compileSelect(query))
+    }
+
     if ((query.unions.length > 0 || query.havings.length > 0) && query.aggregateProperty !== undefined) {
       return this.compileUnionAggregate(query)
     }
@@ -815,6 +892,103 @@ export default class Grammar extends mix(BaseGrammar).use(CompilesJsonPaths) {
     return ''
   }
 
+  /**
+   * Compile the window a function is evaluated over.
+   *
+   * @protected
+   * @param  {import('./../WindowClause.js').default|string}  window
+   * @return {string}
+   */
+  compileWindow (window) {
+    if (typeof window === 'string') {
+      return this.wrap(window)
+    }
+
+    return `(${this.compileWindowSpecification(window)})`
+  }
+
+  /**
+   * Compile the frame of a window.
+   *
+   * @protected
+   * @param  {import('./../WindowClause.js').WindowFrame}  frame
+   * @return {string}
+   */
+  compileWindowFrame (frame) {
+    if (frame.end === undefined) {
+      return `${frame.unit} ${frame.start}`
+    }
+
+    return `${frame.unit} between ${frame.start} and ${frame.end}`
+  }
+
+  /**
+   * Compile the definition of a window.
+   *
+   * @protected
+   * @param  {import('./../WindowClause.js').default}  window
+   * @return {string}
+   */
+  compileWindowSpecification (window) {
+    const segments = []
+
+    if (window.base !== undefined) {
+      segments.push(this.wrap(window.base))
+    }
+
+    if (window.partitions.length > 0) {
+      segments.push('partition by ' + this.columnize(window.partitions))
+    }
+
+    if (window.orders.length > 0) {
+      segments.push('order by ' + window.orders.map(order => this.wrap(order.column) + ' ' + order.direction).join(', '))
+    }
+
+    if (window.frame !== undefined) {
+      segments.push(this.compileWindowFrame(window.frame))
+    }
+
+    return segments.join(' ')
+  }
+
+  /**
+   * Compile the named windows of the query.
+   *
+   * @param  {import('./../Builder.js').default}  query
+   * @param  {import('./../Builder.js').NamedWindow[]}  windows
+   * @return {string}
+   */
+  compileWindows (query, windows) {
+    return 'window ' + windows.map(({ name, window }) => {
+      return `${this.wrap(name)} as (${this.compileWindowSpecification(window)})`
+    }).join(', ')
+  }
+
+  /**
+   * Compile a statement preceded by the common table expressions of the query.
+   *
+   * @param  {import('./../Builder.js').default}  query
+   * @param  {() => string}  callback
+   * @return {string}
+   */
+  compileWithExpressions (query, callback) {
+    const expressions = query.expressions
+
+    if (expressions.length === 0) {
+      return callback()
+    }
+
+    // The expressions are removed while the statement compiles so the sub-selects
+    // some grammars build from the query itself do not repeat the expressions.
+    query.expressions = []
+
+    try {
+      return this.compileExpressions(query, expressions) + ' ' + callback()
+    } finally {
+      query.expressions = expressions
+    }
+  }
+
   /**
    * Get an array of all the where clauses for the query.
    *
@@ -936,11 +1110,12 @@ export default class Grammar extends mix(BaseGrammar).use(CompilesJsonPaths) {
     //   ...Object.values(Arr.flatten(cleanBindings))
     // ].flat()
 
-    const cleanBindings = Arr.except(bindings, ['select', 'join'])
+    const cleanBindings = Arr.except(bindings, ['expressions', 'select', 'join'])
 
     values = Arr.flatten(Object.values(values).map((value) => getValue(value)))
 
     return Object.values([
+      ...Object.values(bindings.expressions),
       ...Object.values(bindings.join),
       ...Object.values(values),
       ...Object.values(Arr.flatten(cleanBindings))
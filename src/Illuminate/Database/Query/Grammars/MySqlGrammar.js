@@ -275,6 +275,23 @@ export default class MySqlGrammar extends Grammar {
     return sql + columns
   }
 
+  /**
+   * Compile the frame of a window.
+   *
+   * @protected
+   * @param  {import('./../WindowClause.js').WindowFrame}  frame
+   * @return {string}
+   *
+   * @throws {Error}
+   */
+  compileWindowFrame (frame) {
+    if (frame.unit === 'groups') {
+      throw new Error('RuntimeException: This database engine does not support "groups" window frames.')
+    }
+
+    return super.compileWindowFrame(frame)
+  }
+
   /**
    * Prepare the bindings for an update statement.
    *
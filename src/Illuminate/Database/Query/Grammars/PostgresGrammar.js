@@ -256,6 +256,21 @@ export default class PostgresGrammar extends Grammar {
     return value
   }
 
+  /**
+   * Compile the materialization hint of a common table expression.
+   *
+   * @protected
+   * @param  {import('./../Builder.js').CommonTableExpression}  expression
+   * @return {string}
+   */
+  compileMaterializationHint (expression) {
+    if (expression.materialized === undefined) {
+      return ''
+    }
+
+    return expression.materialized ? 'materialized ' : 'not materialized '
+  }
+
   /**
    * Compile a truncate table statement into SQL.
    *
@@ -479,9 +494,10 @@ export default class PostgresGrammar extends Grammar {
         : value
     }).all()
 
-    const cleanBindings = Arr.except(bindings, 'select')
+    const cleanBindings = Arr.except(bindings, ['expressions', 'select'])
 
     return [
+      ...Object.values(bindings.expressions),
       ...Object.values(values),
       ...Object.values(Arr.flatten(cleanBindings))
     ].flat()
@@ -501,12 +517,13 @@ export default class PostgresGrammar extends Grammar {
         : value
     }).all()
 
-    const bindingsWithoutWhere = Arr.except(bindings, ['select', 'where'])
+    const bindingsWithoutWhere = Arr.except(bindings, ['expressions', 'select', 'where'])
 
     // return array_values(
     //   array_merge(values, bindings.where, Arr.flatten(bindingsWithoutWhere))
     // )
     return [
+      ...Object.values(bindings.expressions),
       ...Object.values(values),
       bindings.where,
       ...Object.values(Arr.flatten(bindingsWithoutWhere))
@@ -19,6 +19,14 @@ export default class SQLiteGrammar extends Grammar {
       'like', 'not like', 'ilike',
       '&', '|', '<<', '>>'
     ]
+
+    /**
+     * Indicates if the members of a union are wrapped in sub-selects.
+     *
+     * @protected
+     * @type {boolean}
+     */
+    this.wrapsUnions = true
   }
 
   /**
@@ -51,6 +59,30 @@ export default class SQLiteGrammar extends Grammar {
     return `delete from ${table} where ${this.wrap('rowid')} in (${selectSql})`
   }
 
+  /**
+   * Compile the query that makes up the body of a common table expression.
+   *
+   * A recursive expression may only refer to itself from a select that is a
+   * member of its compound select, so the members are not wrapped in there.
+   *
+   * @override
+   * @param  {import('./../Builder.js').default}  query
+   * @return {string}
+   */
+  compileExpressionQuery (query) {
+    const wrapsUnions = this.wrapsUnions
+
+    this.wrapsUnions = false
+
+    try {
+      query.applyBeforeQueryCallbacks()
+
+      return this.compileSelect(query)
+    } finally {
+      this.wrapsUnions = wrapsUnions
+    }
+  }
+
   /**
    * Compile a delete statement with joins or limit into SQL.
    *
@@ -152,7 +184,7 @@ export default class SQLiteGrammar extends Grammar {
    * Compile a truncate table statement into SQL.
    *
    * @param  {import('./../Builder.js').default}  query
-   * @return {Object.<string, unknown>}
+   * @return {Record<string, unknown[]>}
    */
   compileTruncate (query) {
     // return {
@@ -307,9 +339,10 @@ export default class SQLiteGrammar extends Grammar {
       return (Array.isArray(value) || isPlainObject(value)) ? JSON.stringify(value) : value
     }).all()
 
-    const cleanBindings = Arr.except(bindings, 'select')
+    const cleanBindings = Arr.except(bindings, ['expressions', 'select'])
 
     return [
+      ...Object.values(bindings.expressions),
       ...Object.values(values),
       ...Object.values(Arr.flatten(cleanBindings))
     ].flat()
@@ -389,6 +422,6 @@ export default class SQLiteGrammar extends Grammar {
    * @return {string}
    */
   wrapUnion (sql) {
-    return `select * from (${sql})`
+    return this.wrapsUnions ? `select * from (${sql})` : sql
   }
 }
@@ -35,6 +35,7 @@ export default class SqlServerGrammar extends Grammar {
       { name: 'wheres', property: 'wheres' },
       { name: 'groups', property: 'groups' },
       { name: 'havings', property: 'havings' },
+      { name: 'windows', property: 'windows' },
       { name: 'orders', property: 'orders' },
       { name: 'offset', property: 'offsetProperty' },
       { name: 'limit', property: 'limitProperty' },
@@ -98,6 +99,22 @@ export default class SqlServerGrammar extends Grammar {
     return this.compileSelect(existsQuery.selectRaw('1 [exists]').limit(1))
   }
 
+  /**
+   * Compile the common table expressions of the query.
+   *
+   * SQL Server requires the previous statement to be terminated before a "with"
+   * clause, so the expressions are always preceded by a semicolon.
+   *
+   * @param  {import('./../Builder.js').default}  query
+   * @param  {import('./../Builder.js').CommonTableExpression[]}  expressions
+   * @return {string}
+   */
+  compileExpressions (query, expressions) {
+    const sql = super.compileExpressions(query, expressions)
+
+    return sql === '' ? sql : ';' + sql
+  }
+
   /**
    * Compile the "from" portion of the query.
    *
@@ -160,6 +177,18 @@ export default class SqlServerGrammar extends Grammar {
       : ''
   }
 
+  /**
+   * Compile an insert statement using a subquery into SQL.
+   *
+   * @param  {import('./../Builder.js').default}  query
+   * @param  {any[]}  columns
+   * @param  {string}  sql
+   * @return {string}
+   */
+  compileInsertUsing (query, columns, sql) {
+    return this.compileWithExpressions(query, () => super.compileInsertUsing(query, columns, sql))
+  }
+
   /**
    * Compile a "lateral join" clause.
    *
@@ -283,23 +312,26 @@ export default class SqlServerGrammar extends Grammar {
   }
 
   /**
-   * Compile the over statement for a table expression.
+   * Compile the random statement into SQL.
    *
-   * @param  {string}  orderings
+   * @param  {string|int}  seed
    * @return {string}
    */
-  compileOver (orderings) {
-    return `, row_number() over (${orderings}) as row_num`
+  compileRandom (seed) {
+    return 'NEWID()'
   }
 
   /**
-   * Compile the random statement into SQL.
+   * Compile the "recursive" keyword of the common table expressions.
    *
-   * @param  {string|int}  seed
+   * SQL Server has no such keyword, recursive expressions are detected implicitly.
+   *
+   * @protected
+   * @param  {import('./../Builder.js').CommonTableExpression[]}  expressions
    * @return {string}
    */
-  compileRandom (seed) {
-    return 'NEWID()'
+  compileRecursiveKeyword (expressions) {
+    return ''
   }
 
   /**
@@ -395,6 +427,23 @@ export default class SqlServerGrammar extends Grammar {
     return sql
   }
 
+  /**
+   * Compile the frame of a window.
+   *
+   * @protected
+   * @param  {import('./../WindowClause.js').WindowFrame}  frame
+   * @return {string}
+   *
+   * @throws {Error}
+   */
+  compileWindowFrame (frame) {
+    if (frame.unit === 'groups') {
+      throw new Error('RuntimeException: This database engine does not support "groups" window frames.')
+    }
+
+    return super.compileWindowFrame(frame)
+  }
+
   /**
    * Get the format for database stored dates.
    *
@@ -417,14 +466,15 @@ export default class SqlServerGrammar extends Grammar {
   /**
    * Prepare the bindings for an update statement.
    *
-   * @param  {array}  bindings
-   * @param  {array}  values
-   * @return {array}
+   * @param  {import('./../Builder.js').Bindings}  bindings
+   * @param  {unknown[]}  values
+   * @return {unknown[]}
    */
   prepareBindingsForUpdate (bindings, values) {
-    const cleanBindings = Arr.except(bindings, 'select')
+    const cleanBindings = Arr.except(bindings, ['expressions', 'select'])
 
     return [
+      ...Object.values(bindings.expressions),
       ...Object.values(values),
       ...Object.values(Arr.flatten(cleanBindings))
     ].flat()
@@ -1,3 +1,5 @@
+import { isNumeric } from '@devnetic/utils'
+
 import Processor from './Processor.js'
 
 export default class MySqlProcessor extends Processor {
@@ -30,4 +32,21 @@ export default class MySqlProcessor extends Processor {
       }
     })
   }
+
+  /**
+   * Process an "insert get ID" query.
+   *
+   * @param  {import('./../Builder.js').default}  query
+   * @param  {string}  sql
+   * @param  {Record<string, unknown>}  values
+   * @param  {string}  [sequence]
+   * @return {Promise<number|string>}
+   */
+  async processInsertGetId (query, sql, values, sequence) {
+    const connection = /** @type {import('../../MySqlConnection.js').default} */ (query.getConnection())
+
+    const id = await connection.insertGetId(sql, values, sequence)
+
+    return isNumeric(id) ? Number(id) : id
+  }
 }
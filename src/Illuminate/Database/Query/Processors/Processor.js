@@ -28,11 +28,9 @@ export default class Processor {
    * @return {Promise<number|string>}
    */
   async processInsertGetId (query, sql, values, sequence) {
-    query.getConnection().insert(sql, values)
+    await query.getConnection().insert(sql, values)
 
-    // TODO: verify the lastInsertId method, I think need refactoring or proper
-    // definition
-    const id = query.getConnection().getNdo().lastInsertId(sequence)
+    const id = query.getConnection().getDriver().lastInsertId(sequence)
 
     return isNumeric(id) ? Number(id) : id
   }
@@ -29,7 +29,7 @@ export default class SQLiteProcessor extends Processor {
         collation,
         nullable: Boolean(parseInt(result.nullable, 10)),
         default: result.default,
-        auto_increment: hasPrimaryKey && result.primary && type === 'integer',
+        auto_increment: hasPrimaryKey && Boolean(result.primary) && type === 'integer',
         comment: null,
         generation: isGenerated
           ? {
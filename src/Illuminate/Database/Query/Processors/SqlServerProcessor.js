@@ -0,0 +1,94 @@
+import Processor from './Processor.js'
+
+export default class SqlServerProcessor extends Processor {
+  /**
+   * Process the results of a columns query.
+   *
+   * @param  {Array<Record<string, any>>}  results
+   * @return {Array<Record<string, any>>}
+   */
+  processColumns (results) {
+    return results.map(result => {
+      const typeName = result.type_name
+
+      let type
+
+      switch (typeName) {
+        case 'binary':
+        case 'varbinary':
+        case 'char':
+        case 'varchar':
+          type = result.length === -1 ? `${typeName}(max)` : `${typeName}(${result.length})`
+          break
+        case 'nchar':
+        case 'nvarchar':
+          // The length of the unicode types is reported in bytes, two per character.
+          type = result.length === -1 ? `${typeName}(max)` : `${typeName}(${result.length / 2})`
+          break
+        case 'decimal':
+        case 'numeric':
+          type = `${typeName}(${result.precision},${result.places})`
+          break
+        case 'float':
+        case 'datetime2':
+        case 'datetimeoffset':
+        case 'time':
+          type = `${typeName}(${result.precision})`
+          break
+        default:
+          type = typeName
+      }
+
+      return {
+        name: result.name,
+        type_name: typeName,
+        type,
+        collation: result.collation,
+        nullable: Boolean(result.nullable),
+        default: result.default,
+        auto_increment: Boolean(result.autoincrement),
+        comment: result.comment,
+        generation: result.expression
+          ? {
+              type: result.persisted ? 'stored' : 'virtual',
+              expression: result.expression
+            }
+          : null
+      }
+    })
+  }
+
+  /**
+   * Process the results of a foreign keys query.
+   *
+   * @param  {Array<Record<string, any>>}  results
+   * @return {Array<Record<string, any>>}
+   */
+  processForeignKeys (results) {
+    return results.map(result => ({
+      name: result.name,
+      columns: result.columns.split(','),
+      foreign_schema: result.foreign_schema,
+      foreign_table: result.foreign_table,
+      foreign_columns: result.foreign_columns.split(','),
+      on_update: result.on_update.replaceAll('_', ' ').toLowerCase(),
+      on_delete: result.on_delete.replaceAll('_', ' ').toLowerCase()
+    }))
+  }
+
+  /**
+   * Process the results of an indexes query.
+   *
+   * @param  {Array<Record<string, any>>}  results
+   * @return {Array<Record<string, any>>}
+   */
+  processIndexes (results) {
+    return results.map(result => ({
+      name: result.name.toLowerCase(),
+      columns: result.columns.split(','),
+      type: result.type.toLowerCase(),
+      unique: Boolean(result.unique),
+      primary: Boolean(result.primary)
+    }))
+  }
+}
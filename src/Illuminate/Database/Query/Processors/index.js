@@ -1,3 +1,4 @@
 export { default as Processor } from './Processor.js'
 export { default as PostgresProcessor } from './PostgresProcessor.js'
 export { default as MySqlProcessor } from './MySqlProcessor.js'
+export { default as SqlServerProcessor } from './SqlServerProcessor.js'
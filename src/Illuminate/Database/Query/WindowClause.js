@@ -0,0 +1,152 @@
+/**
+ * @typedef {Object} WindowFrame
+ * @property {string} unit - The unit of the frame ('rows', 'range' or 'groups').
+ * @property {string} start - The starting bound of the frame.
+ * @property {string} [end] - The ending bound of the frame.
+ */
+
+export default class WindowClause {
+  /**
+   * The name of the window the definition is based on.
+   *
+   * @type {string|undefined}
+   */
+  base = undefined
+
+  /**
+   * The frame of the window.
+   *
+   * @type {WindowFrame|undefined}
+   */
+  frame = undefined
+
+  /**
+   * The orderings of the window.
+   *
+   * @type {import('./Builder.js').Order[]}
+   */
+  orders = []
+
+  /**
+   * The partitions of the window.
+   *
+   * @type {Array<string|import('./Expression.js').default>}
+   */
+  partitions = []
+
+  /**
+   * Base the window on an existing named window.
+   *
+   * @param  {string}  name
+   * @return {this}
+   */
+  basedOn (name) {
+    this.base = name
+
+    return this
+  }
+
+  /**
+   * Set the frame of the window, using "groups" as the unit.
+   *
+   * @param  {string}  start
+   * @param  {string}  [end]
+   * @return {this}
+   */
+  groups (start, end = undefined) {
+    return this.setFrame('groups', start, end)
+  }
+
+  /**
+   * Add an "order by" clause to the window.
+   *
+   * @param  {string|import('./Expression.js').default}  column
+   * @param  {string}  [direction=asc]
+   * @return {this}
+   *
+   * @throws {Error}
+   */
+  orderBy (column, direction = 'asc') {
+    direction = direction.toLowerCase()
+
+    if (!['asc', 'desc'].includes(direction)) {
+      throw new Error('InvalidArgumentException: Order direction must be "asc" or "desc".')
+    }
+
+    this.orders.push({ column, direction })
+
+    return this
+  }
+
+  /**
+   * Add a descending "order by" clause to the window.
+   *
+   * @param  {string|import('./Expression.js').default}  column
+   * @return {this}
+   */
+  orderByDesc (column) {
+    return this.orderBy(column, 'desc')
+  }
+
+  /**
+   * Add a "partition by" clause to the window.
+   *
+   * @param  {...(string|import('./Expression.js').default|Array<string|import('./Expression.js').default>)}  columns
+   * @return {this}
+   */
+  partitionBy (...columns) {
+    this.partitions.push(...columns.flat())
+
+    return this
+  }
+
+  /**
+   * Set the frame of the window, using "range" as the unit.
+   *
+   * @param  {string}  start
+   * @param  {string}  [end]
+   * @return {this}
+   */
+  range (start, end = undefined) {
+    return this.setFrame('range', start, end)
+  }
+
+  /**
+   * Set the frame of the window, using "rows" as the unit.
+   *
+   * @param  {string}  start
+   * @param  {string}  [end]
+   * @return {this}
+   */
+  rows (start, end = undefined) {
+    return this.setFrame('rows', start, end)
+  }
+
+  /**
+   * Set the frame of the window.
+   *
+   * Each bound must be one of "unbounded preceding", "n preceding", "current row",
+   * "n following" or "unbounded following".
+   *
+   * @protected
+   * @param  {string}  unit
+   * @param  {string}  start
+   * @param  {string}  [end]
+   * @return {this}
+   *
+   * @throws {Error}
+   */
+  setFrame (unit, start, end) {
+    const bounds = [start, end].filter(bound => bound !== undefined).map(bound => String(bound).toLowerCase())
+
+    for (const bound of bounds) {
+      if (!/^(unbounded preceding|unbounded following|current row|\d+ preceding|\d+ following)$/.test(bound)) {
+        throw new Error(`InvalidArgumentException: Invalid window frame bound [${bound}].`)
+      }
+    }
+
+    this.frame = { unit, start: bounds[0], end: bounds[1] }
+
+    return this
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Thrown when a query that requires at least one record does not find any.
+ *
+ * The message starts with the name of the exception, like the rest of the
+ * errors thrown by the library, so it can be matched the same way.
+ */
+export default class RecordsNotFoundException extends Error {
+  /**
+   * Name of the affected table.
+   *
+   * @protected
+   * @type {string|undefined}
+   */
+  table
+
+  /**
+   * The affected record IDs.
+   *
+   * @protected
+   * @type {any[]}
+   */
+  ids = []
+
+  /**
+   * Create a new exception instance.
+   *
+   * @param  {string}  [message]
+   */
+  constructor (message = 'RecordsNotFoundException: No records were found.') {
+    super(message)
+  }
+
+  /**
+   * Set the affected table and record ids.
+   *
+   * @param  {string}  table
+   * @param  {any[]|any}  [ids=[]]
+   * @return {this}
+   */
+  setTable (table, ids = []) {
+    this.table = table
+
+    this.ids = Array.isArray(ids) ? ids : [ids]
+
+    this.message = `RecordsNotFoundException: No query results for table [${table}]`
+
+    this.message += this.ids.length > 0 ? ` ${this.ids.join(', ')}` : '.'
+
+    return this
+  }
+
+  /**
+   * Get the affected table.
+   *
+   * @return {string|undefined}
+   */
+  getTable () {
+    return this.table
+  }
+
+  /**
+   * Get the affected record IDs.
+   *
+   * @return {any[]}
+   */
+  getIds () {
+    return this.ids
+  }
+}
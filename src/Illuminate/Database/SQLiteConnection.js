@@ -1,23 +1,14 @@
+import { isNil } from '@devnetic/utils'
+
 import SQLiteDriver from './../Database/Drivers/SQLiteDriver.js'
 import { SQLiteGrammar as QueryGrammar } from '../Database/Query/Grammars/index.js'
 import Connection from './Connection.js'
+import SQLiteProcessor from './Query/Processors/SQLiteProcessor.js'
+import SQLiteBuilder from './Schema/SQLiteBuilder.js'
+import SchemaGrammar from './Schema/Grammars/SQLiteGrammar.js'
 import { bin2hex } from '../Support/helpers.js'
 
 export default class SQLiteConnection extends Connection {
-  constructor (ndo, database = '', tablePrefix = '', config = {}) {
-    super(ndo, database, tablePrefix, config)
-
-    const enableForeignKeyConstraints = this.getForeignKeyConstraintsConfigurationValue()
-
-    if (enableForeignKeyConstraints === undefined) {
-      return
-    }
-
-    enableForeignKeyConstraints
-      ? this.getSchemaBuilder().enableForeignKeyConstraints()
-      : this.getSchemaBuilder().disableForeignKeyConstraints()
-  }
-
   /**
  * Escape a binary value for safe SQL embedding.
  *
@@ -46,33 +37,59 @@ export default class SQLiteConnection extends Connection {
   }
 
   /**
-   * Get the Doctrine DBAL driver.
+   * Get a schema builder instance for the connection.
+   *
+   * @return {SQLiteBuilder}
+   */
+  getSchemaBuilder () {
+    if (isNil(this.schemaGrammar)) {
+      this.useDefaultSchemaGrammar()
+    }
+
+    return new SQLiteBuilder(this)
+  }
+
+  /**
+   * Get the default schema grammar instance.
    *
    * @protected
-   * @return {\Illuminate\Database\PDO\SQLiteDriver}
+   * @return {SchemaGrammar}
    */
-  getDoctrineDriver () {
-    return new SQLiteDriver()
+  getDefaultSchemaGrammar () {
+    const grammar = new SchemaGrammar()
+
+    grammar.setConnection(this)
+
+    return this.withTablePrefix(grammar)
   }
 
   /**
-   * Get the database connection foreign key constraints configuration option.
+   * Get the default post processor instance.
    *
    * @protected
-   * @return {boolean|undefined}
+   * @return {SQLiteProcessor}
    */
-  getForeignKeyConstraintsConfigurationValue () {
-    return this.getConfig('foreign_key_constraints')
+  getDefaultPostProcessor () {
+    return new SQLiteProcessor()
   }
 
   /**
-   * Determine if the given database exception was caused by a unique constraint violation.
+   * Get the Doctrine DBAL driver.
    *
    * @protected
+   * @return {\Illuminate\Database\PDO\SQLiteDriver}
+   */
+  getDoctrineDriver () {
+    return new SQLiteDriver()
+  }
+
+  /**
+   * Determine if the given database exception was caused by a unique constraint violation.
+   *
    * @param  {Error}  exception
    * @return {boolean}
    */
   isUniqueConstraintError (exception) {
-    return /(column(s)? .* (is|are) not unique|UNIQUE constraint failed: .*)/i.test(exception.getMessage())
+    return /(column(s)? .* (is|are) not unique|UNIQUE constraint failed: .*)/i.test(exception.message)
   }
 }
@@ -115,24 +115,35 @@ export default class Blueprint extends mix().use(Macroable) {
   }
 
   /**
+   * Execute the blueprint against the database.
+   *
    * @param {Connection} connection
    * @param {Grammar} grammar
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  build (connection, grammar) {
-    for (const statement of this.toSql(connection, grammar)) {
-      connection.statement(statement)
+  async build (connection, grammar) {
+    for (const statement of await this.toSql(connection, grammar)) {
+      await connection.statement(statement)
     }
   }
 
   /**
+   * Get the raw SQL statements for the blueprint.
+   *
    * @param {Connection} connection
    * @param {Grammar} grammar
-   * @returns {Array}
+   * @returns {Promise<string[]>}
    */
-  toSql (connection, grammar) {
+  async toSql (connection, grammar) {
     this.addImpliedCommands(connection, grammar)
 
+    // The state describes the table as it currently exists in the database, so
+    // it has to be read before compiling any command which rebuilds a table,
+    // since those commands need to know every existing column and index.
+    if (this.hasState()) {
+      await this.state.load()
+    }
+
     const statements = []
 
     // Each type of command has a corresponding compiler function on the schema
@@ -153,7 +164,7 @@ export default class Blueprint extends mix().use(Macroable) {
           this.state.update(command)
         }
 
-        const sql = grammar[method](this, command, connection)
+        const sql = await grammar[method](this, command, connection)
 
         if (!isNil(sql)) {
           // statements = statements.concat(sql)
@@ -1452,7 +1463,7 @@ export default class Blueprint extends mix().use(Macroable) {
    * @param {string|array} columns
    * @param {string} [index]
    * @param {string|null} [algorithm]
-   * @returns {Fluent}
+   * @returns {IndexDefinition}
    */
   indexCommand (type, columns, index = null, algorithm = null) {
     columns = Array.isArray(columns) ? columns : [columns]
@@ -1462,7 +1473,7 @@ export default class Blueprint extends mix().use(Macroable) {
     // index type, such as primary or index, which makes the index unique.
     index = index ?? this.createIndexName(type, columns)
 
-    return this.addCommand(type, { index, columns, algorithm })
+    return /** @type {IndexDefinition} */ (this.addCommand(type, { index, columns, algorithm }))
   }
 
   /**
@@ -1501,7 +1512,7 @@ export default class Blueprint extends mix().use(Macroable) {
       ? this.table.substring(0, this.table.lastIndexOf('.')) + '.' + this.prefix + this.table.substring(this.table.lastIndexOf('.') + 1)
       : this.prefix + this.table
 
-    const index = `${table.toLowerCase()}_${columns.join('_').toLowerCase()}_${type}`
+    const index = `${table}_${columns.join('_')}_${type}`.toLowerCase()
 
     return index.replace(/[-.]/g, '_')
   }
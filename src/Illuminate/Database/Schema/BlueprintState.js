@@ -1,5 +1,11 @@
-import { collect } from '../../Collections/helpers.js'
+import { isNil } from '@devnetic/utils'
+
 import { Expression } from '../Query/internal.js'
+import ColumnDefinition from './ColumnDefinition.js'
+import ForeignKeyDefinition from './ForeignKeyDefinition.js'
+import IndexDefinition from './IndexDefinition.js'
+
+/** @typedef {import('../../Support/Fluent.js').default} Fluent */
 
 export default class BlueprintState {
   /**
@@ -30,7 +36,7 @@ export default class BlueprintState {
    * The columns.
    *
    * @private
-   * @type {Array<import('./ColumnDefinition.js').default>}
+   * @type {ColumnDefinition[]}
    */
   columns = []
 
@@ -38,7 +44,7 @@ export default class BlueprintState {
    * The primary key.
    *
    * @private
-   * @type {import('./IndexDefinition.js').default|null}
+   * @type {IndexDefinition|Fluent|null}
    */
   primaryKey = null
 
@@ -46,7 +52,7 @@ export default class BlueprintState {
    * The indexes.
    *
    * @private
-   * @type {Array<import('./IndexDefinition.js').default>}
+   * @type {Array<IndexDefinition|Fluent>}
    */
   indexes = []
 
@@ -54,7 +60,7 @@ export default class BlueprintState {
    * The foreign keys.
    *
    * @private
-   * @type {Array<import('./ForeignKeyDefinition.js').default>}
+   * @type {Array<ForeignKeyDefinition|Fluent>}
    */
   foreignKeys = []
 
@@ -69,38 +75,178 @@ export default class BlueprintState {
     this.blueprint = blueprint
     this.connection = connection
     this.grammar = grammar
+  }
 
-    const schema = connection.getSchemaBuilder()
-    const table = blueprint.getTable()
-
-    this.columns = schema.getColumns(table).map(column => ({
-      name: column.get('name'),
-      type: column.get('type_name'),
-      full_type_definition: column.get('type'),
-      nullable: column.get('nullable'),
-      default: column.get('default') ? new Expression(column.get('default')) : null,
-      autoIncrement: column.get('auto_increment'),
-      collation: column.get('collation'),
-      comment: column.get('comment'),
-      virtualAs: column.get('generation') && column.get('generation').type === 'virtual' ? column.get('generation').expression : null,
-      storedAs: column.get('generation') && column.get('generation').type === 'stored' ? column.get('generation').expression : null
+  /**
+   * Read the current columns, indexes and foreign keys of the table.
+   *
+   * The schema builder has to query the database to describe the table, so
+   * this can not happen on the constructor and is awaited by the blueprint
+   * right before compiling its commands.
+   *
+   * @return {Promise<this>}
+   */
+  async load () {
+    const schema = this.connection.getSchemaBuilder()
+    const table = this.blueprint.getTable()
+
+    this.columns = (await schema.getColumns(table)).map(column => new ColumnDefinition({
+      name: column.name,
+      type: column.type_name,
+      full_type_definition: column.type,
+      nullable: column.nullable,
+      default: isNil(column.default) ? null : new Expression(column.default),
+      autoIncrement: column.auto_increment,
+      collation: column.collation,
+      comment: column.comment,
+      virtualAs: column.generation?.type === 'virtual' ? column.generation.expression : null,
+      storedAs: column.generation?.type === 'stored' ? column.generation.expression : null
     }))
 
-    const [primary, indexes] = schema.getIndexes(table).map(index => ({
+    const indexes = (await schema.getIndexes(table)).map(index => new IndexDefinition({
       name: index.primary ? 'primary' : index.unique ? 'unique' : 'index',
       index: index.name,
       columns: index.columns
-    })).partition(index => index.name === 'primary')
+    }))
 
-    this.indexes = indexes
-    this.primaryKey = primary[0] || null
+    this.indexes = indexes.filter(index => index.get('name') !== 'primary')
+    this.primaryKey = indexes.find(index => index.get('name') === 'primary') ?? null
 
-    this.foreignKeys = collect(schema.getForeignKeys(table)).map(foreignKey => ({
+    this.foreignKeys = (await schema.getForeignKeys(table)).map(foreignKey => new ForeignKeyDefinition({
       columns: foreignKey.columns,
       on: foreignKey.foreign_table,
       references: foreignKey.foreign_columns,
       onUpdate: foreignKey.on_update,
       onDelete: foreignKey.on_delete
-    })).all()
+    }))
+
+    return this
+  }
+
+  /**
+   * Get the primary key.
+   *
+   * @return {IndexDefinition|Fluent|null}
+   */
+  getPrimaryKey () {
+    return this.primaryKey
+  }
+
+  /**
+   * Get the columns.
+   *
+   * @return {ColumnDefinition[]}
+   */
+  getColumns () {
+    return this.columns
+  }
+
+  /**
+   * Get the indexes.
+   *
+   * @return {Array<IndexDefinition|Fluent>}
+   */
+  getIndexes () {
+    return this.indexes
+  }
+
+  /**
+   * Get the foreign keys.
+   *
+   * @return {Array<ForeignKeyDefinition|Fluent>}
+   */
+  getForeignKeys () {
+    return this.foreignKeys
+  }
+
+  /**
+   * Update the blueprint's state.
+   *
+   * @param  {Fluent}  command
+   * @return {void}
+   */
+  update (command) {
+    switch (command.get('name')) {
+      case 'alter':
+        // Already handled...
+        break
+
+      case 'add':
+        this.columns.push(command.get('column'))
+        break
+
+      case 'change':
+        this.columns = this.columns.map(column => {
+          return column.get('name') === command.get('column').get('name')
+            ? command.get('column')
+            : column
+        })
+        break
+
+      case 'renameColumn': {
+        const rename = columns => columns.map(column => column === command.get('from') ? command.get('to') : column)
+
+        for (const column of this.columns) {
+          if (column.get('name') === command.get('from')) {
+            column.set('name', command.get('to'))
+            break
+          }
+        }
+
+        if (this.primaryKey) {
+          this.primaryKey.set('columns', rename(this.primaryKey.get('columns')))
+        }
+
+        for (const index of this.indexes) {
+          index.set('columns', rename(index.get('columns')))
+        }
+
+        for (const foreignKey of this.foreignKeys) {
+          foreignKey.set('columns', rename(foreignKey.get('columns')))
+        }
+        break
+      }
+
+      case 'dropColumn':
+        this.columns = this.columns.filter(column => !command.get('columns').includes(column.get('name')))
+        break
+
+      case 'primary':
+        this.primaryKey = command
+        break
+
+      case 'unique':
+      case 'index':
+        this.indexes.push(command)
+        break
+
+      case 'renameIndex':
+        for (const index of this.indexes) {
+          if (index.get('index') === command.get('from')) {
+            index.set('index', command.get('to'))
+            break
+          }
+        }
+        break
+
+      case 'foreign':
+        this.foreignKeys.push(command)
+        break
+
+      case 'dropPrimary':
+        this.primaryKey = null
+        break
+
+      case 'dropIndex':
+      case 'dropUnique':
+        this.indexes = this.indexes.filter(index => index.get('index') !== command.get('index'))
+        break
+
+      case 'dropForeign':
+        this.foreignKeys = this.foreignKeys.filter(foreignKey => {
+          return foreignKey.get('columns').join() !== command.get('columns').join()
+        })
+        break
+    }
   }
 }
@@ -103,7 +103,7 @@ export default class Builder {
    * Create a database in the schema.
    *
    * @param  {string}  name
-   * @return {boolean}
+   * @return {Promise<boolean>}
    *
    * @throws {LogicException}
    */
@@ -115,7 +115,7 @@ export default class Builder {
    * Drop a database from the schema if the database exists.
    *
    * @param  {string}  name
-   * @return {boolean}
+   * @return {Promise<boolean>}
    *
    * @throws {LogicException}
    */
@@ -166,7 +166,7 @@ export default class Builder {
   /**
    * Get the tables that belong to the database.
    *
-   * @return {Promise<string[]>}
+   * @return {Promise<Array<Record<string, any>>>}
    */
   async getTables () {
     return this.connection.getPostProcessor().processTables(
@@ -192,7 +192,7 @@ export default class Builder {
   /**
    * Get the views that belong to the database.
    *
-   * @return {Promise<array>}
+   * @return {Promise<Array<Record<string, any>>>}
    */
   async getViews () {
     return this.connection.getPostProcessor().processViews(
@@ -255,7 +255,7 @@ export default class Builder {
     const hasColumn = await this.hasColumn(table, column)
 
     if (hasColumn) {
-      this.table(table, (table) => callback(table))
+      await this.table(table, (table) => callback(table))
     }
   }
 
@@ -271,7 +271,7 @@ export default class Builder {
     const hasColumn = await this.hasColumn(table, column)
 
     if (!hasColumn) {
-      this.table(table, (table) => callback(table))
+      await this.table(table, (table) => callback(table))
     }
   }
 
@@ -386,7 +386,7 @@ export default class Builder {
    * Get the foreign keys for a given table.
    *
    * @param  {string}  table
-   * @return {Promise<string[]>}
+   * @return {Promise<Array<Record<string, any>>>}
    */
   async getForeignKeys (table) {
     table = this.connection.getTablePrefix() + table
@@ -401,10 +401,10 @@ export default class Builder {
    *
    * @param  {string}  table
    * @param  {Function}  callback
-   * @return {void}
+   * @return {Promise<void>}
    */
   table (table, callback) {
-    this.build(this.createBlueprint(table, callback))
+    return this.build(this.createBlueprint(table, callback))
   }
 
   /**
@@ -412,10 +412,10 @@ export default class Builder {
    *
    * @param  {string}  table
    * @param  {Function}  callback
-   * @return {void}
+   * @return {Promise<void>}
    */
   create (table, callback) {
-    this.build(tap(this.createBlueprint(table), (blueprint) => {
+    return this.build(tap(this.createBlueprint(table), (blueprint) => {
       blueprint.create()
 
       callback(blueprint)
@@ -426,10 +426,10 @@ export default class Builder {
    * Drop a table from the schema.
    *
    * @param  {string}  table
-   * @return {void}
+   * @return {Promise<void>}
    */
   drop (table) {
-    this.build(tap(this.createBlueprint(table), (blueprint) => {
+    return this.build(tap(this.createBlueprint(table), (blueprint) => {
       blueprint.drop()
     }))
   }
@@ -438,10 +438,10 @@ export default class Builder {
    * Drop a table from the schema if it exists.
    *
    * @param  {string}  table
-   * @return {void}
+   * @return {Promise<void>}
    */
   dropIfExists (table) {
-    this.build(tap(this.createBlueprint(table), (blueprint) => {
+    return this.build(tap(this.createBlueprint(table), (blueprint) => {
       blueprint.dropIfExists()
     }))
   }
@@ -451,10 +451,10 @@ export default class Builder {
    *
    * @param  {string}  table
    * @param  {string|array}  columns
-   * @return {void}
+   * @return {Promise<void>}
    */
   dropColumns (table, columns) {
-    this.table(table, (blueprint) => {
+    return this.table(table, (blueprint) => {
       blueprint.dropColumn(columns)
     })
   }
@@ -497,10 +497,10 @@ export default class Builder {
    *
    * @param  {string}  from
    * @param  {string}  to
-   * @return {void}
+   * @return {Promise<void>}
    */
   rename (from, to) {
-    this.build(tap(this.createBlueprint(from), (blueprint) => {
+    return this.build(tap(this.createBlueprint(from), (blueprint) => {
       blueprint.rename(to)
     }))
   }
@@ -531,15 +531,15 @@ export default class Builder {
    * Disable foreign key constraints during the execution of a callback.
    *
    * @param  {Function}  callback
-   * @return {any}
+   * @return {Promise<any>}
    */
-  withoutForeignKeyConstraints (callback) {
-    this.disableForeignKeyConstraints()
+  async withoutForeignKeyConstraints (callback) {
+    await this.disableForeignKeyConstraints()
 
     try {
-      return callback()
+      return await callback()
     } finally {
-      this.enableForeignKeyConstraints()
+      await this.enableForeignKeyConstraints()
     }
   }
 
@@ -548,10 +548,10 @@ export default class Builder {
    *
    * @protected
    * @param  {Blueprint}  blueprint
-   * @return {void}
+   * @return {Promise<void>}
    */
   build (blueprint) {
-    blueprint.build(this.connection, this.grammar)
+    return blueprint.build(this.connection, this.grammar)
   }
 
   /**
@@ -22,7 +22,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   always (value = true) {
-    // Implementation here
+    this.offsetSet('always', value)
+
     return this
   }
 
@@ -32,7 +33,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   autoIncrement () {
-    // Implementation here
+    this.offsetSet('autoIncrement', true)
+
     return this
   }
 
@@ -42,7 +44,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   change () {
-    // Implementation here
+    this.offsetSet('change', true)
+
     return this
   }
 
@@ -53,7 +56,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   charset (charset) {
-    // Implementation here
+    this.offsetSet('charset', charset)
+
     return this
   }
 
@@ -88,7 +92,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   default (value) {
-    // Implementation here
+    this.offsetSet('default', value)
+
     return this
   }
 
@@ -98,7 +103,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   first () {
-    // Implementation here
+    this.offsetSet('first', true)
+
     return this
   }
 
@@ -121,7 +127,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   generatedAs (expression = undefined) {
-    // Implementation here
+    this.offsetSet('generatedAs', expression ?? true)
+
     return this
   }
 
@@ -132,7 +139,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   index (indexName = undefined) {
-    // Implementation here
+    this.offsetSet('index', indexName ?? true)
+
     return this
   }
 
@@ -142,7 +150,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   invisible () {
-    // Implementation here
+    this.offsetSet('invisible', true)
+
     return this
   }
 
@@ -153,7 +162,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   nullable (value = true) {
-    // Implementation here
+    this.offsetSet('nullable', value)
+
     return this
   }
 
@@ -163,7 +173,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   persisted () {
-    // Implementation here
+    this.offsetSet('persisted', true)
+
     return this
   }
 
@@ -174,7 +185,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   primary (value = true) {
-    // Implementation here
+    this.offsetSet('primary', value)
+
     return this
   }
 
@@ -185,7 +197,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   fulltext (indexName = undefined) {
-    // Implementation here
+    this.offsetSet('fulltext', indexName ?? true)
+
     return this
   }
 
@@ -196,7 +209,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   spatialIndex (indexName = undefined) {
-    // Implementation here
+    this.offsetSet('spatialIndex', indexName ?? true)
+
     return this
   }
 
@@ -219,7 +233,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   storedAs (expression) {
-    // Implementation here
+    this.offsetSet('storedAs', expression)
+
     return this
   }
 
@@ -230,7 +245,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   type (type) {
-    // Implementation here
+    this.offsetSet('type', type)
+
     return this
   }
 
@@ -241,7 +257,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   unique (indexName = undefined) {
-    // Implementation here
+    this.offsetSet('unique', indexName ?? true)
+
     return this
   }
 
@@ -251,7 +268,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   unsigned () {
-    // Implementation here
+    this.offsetSet('unsigned', true)
+
     return this
   }
 
@@ -261,7 +279,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   useCurrent () {
-    // Implementation here
+    this.offsetSet('useCurrent', true)
+
     return this
   }
 
@@ -271,7 +290,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   useCurrentOnUpdate () {
-    // Implementation here
+    this.offsetSet('useCurrentOnUpdate', true)
+
     return this
   }
 
@@ -282,7 +302,8 @@ export default class ColumnDefinition extends Fluent {
    * @returns {this}
    */
   virtualAs (expression) {
-    // Implementation here
+    this.offsetSet('virtualAs', expression)
+
     return this
   }
 }
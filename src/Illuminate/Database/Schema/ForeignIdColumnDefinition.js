@@ -1,4 +1,7 @@
+import { plural } from '@devnetic/utils'
+
 import ColumnDefinition from './ColumnDefinition.js'
+import Str from '../../Support/Str.js'
 
 /** @typedef {import('./Blueprint.js').default} Blueprint */
 
@@ -23,4 +26,30 @@ export default class ForeignIdColumnDefinition extends ColumnDefinition {
 
     this.blueprint = blueprint
   }
+
+  /**
+   * Create a foreign key constraint on this column referencing the "id" column of the conventionally related table.
+   *
+   * @param  {string|null}  [table]
+   * @param  {string|null}  [column]
+   * @param  {string|null}  [indexName]
+   * @return {import('./ForeignKeyDefinition.js').default}
+   */
+  constrained (table = null, column = null, indexName = null) {
+    column = column ?? 'id'
+    table = table ?? plural(Str.beforeLast(this.get('name'), `_${column}`))
+
+    return this.references(column, indexName).on(table)
+  }
+
+  /**
+   * Specify which column this foreign ID references on another table.
+   *
+   * @param  {string}  column
+   * @param  {string|null}  [indexName]
+   * @return {import('./ForeignKeyDefinition.js').default}
+   */
+  references (column, indexName = null) {
+    return this.blueprint.foreign(this.get('name'), indexName).references(column)
+  }
 }
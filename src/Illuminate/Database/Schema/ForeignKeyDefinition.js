@@ -1,3 +1,147 @@
 import Fluent from '../../Support/Fluent.js'
 
-export default class ForeignKeyDefinition extends Fluent { }
+export default class ForeignKeyDefinition extends Fluent {
+  /**
+   * Indicate that updates should cascade.
+   *
+   * @returns {this}
+   */
+  cascadeOnUpdate () {
+    return this.onUpdate('cascade')
+  }
+
+  /**
+   * Indicate that updates should be restricted.
+   *
+   * @returns {this}
+   */
+  restrictOnUpdate () {
+    return this.onUpdate('restrict')
+  }
+
+  /**
+   * Indicate that updates should set the foreign key value to null.
+   *
+   * @returns {this}
+   */
+  nullOnUpdate () {
+    return this.onUpdate('set null')
+  }
+
+  /**
+   * Indicate that updates should have "no action".
+   *
+   * @returns {this}
+   */
+  noActionOnUpdate () {
+    return this.onUpdate('no action')
+  }
+
+  /**
+   * Indicate that deletes should cascade.
+   *
+   * @returns {this}
+   */
+  cascadeOnDelete () {
+    return this.onDelete('cascade')
+  }
+
+  /**
+   * Indicate that deletes should be restricted.
+   *
+   * @returns {this}
+   */
+  restrictOnDelete () {
+    return this.onDelete('restrict')
+  }
+
+  /**
+   * Indicate that deletes should set the foreign key value to null.
+   *
+   * @returns {this}
+   */
+  nullOnDelete () {
+    return this.onDelete('set null')
+  }
+
+  /**
+   * Indicate that deletes should have "no action".
+   *
+   * @returns {this}
+   */
+  noActionOnDelete () {
+    return this.onDelete('no action')
+  }
+
+  /**
+   * Set the foreign key as deferrable (PostgreSQL).
+   *
+   * @param {boolean} [value=true]
+   * @returns {this}
+   */
+  deferrable (value = true) {
+    this.offsetSet('deferrable', value)
+
+    return this
+  }
+
+  /**
+   * Set the default time to check the constraint (PostgreSQL).
+   *
+   * @param {boolean} [value=true]
+   * @returns {this}
+   */
+  initiallyImmediate (value = true) {
+    this.offsetSet('initiallyImmediate', value)
+
+    return this
+  }
+
+  /**
+   * Specify the referenced table.
+   *
+   * @param {string} table
+   * @returns {this}
+   */
+  on (table) {
+    this.offsetSet('on', table)
+
+    return this
+  }
+
+  /**
+   * Add an ON DELETE action.
+   *
+   * @param {string} action
+   * @returns {this}
+   */
+  onDelete (action) {
+    this.offsetSet('onDelete', action)
+
+    return this
+  }
+
+  /**
+   * Add an ON UPDATE action.
+   *
+   * @param {string} action
+   * @returns {this}
+   */
+  onUpdate (action) {
+    this.offsetSet('onUpdate', action)
+
+    return this
+  }
+
+  /**
+   * Specify the referenced column(s).
+   *
+   * @param {string|string[]} columns
+   * @returns {this}
+   */
+  references (columns) {
+    this.offsetSet('references', columns)
+
+    return this
+  }
+}
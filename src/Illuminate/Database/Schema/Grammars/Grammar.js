@@ -1,7 +1,9 @@
+import { isNil } from '@devnetic/utils'
+
 import BaseGrammar from '../../Grammar.js'
 import Blueprint from '../Blueprint.js'
 import Fluent from '../../../Support/Fluent.js'
-import { CustomException, ucfirst } from '../../../Support/helpers.js'
+import { castArray, CustomException, ucfirst } from '../../../Support/helpers.js'
 import { Expression } from '../../Query/internal.js'
 
 /** @typedef {import('../../Connection.js').default} Connection */
@@ -43,6 +45,7 @@ export default class Grammar extends BaseGrammar {
    *
    * @param {string} name
    * @param {Connection} connection
+   * @return {string}
    * @throws {Error}
    */
   compileCreateDatabase (name, connection) {
@@ -53,6 +56,7 @@ export default class Grammar extends BaseGrammar {
    * Compile a drop database if exists command.
    *
    * @param {string} name
+   * @return {string}
    * @throws {Error}
    */
   compileDropDatabaseIfExists (name) {
@@ -110,7 +114,7 @@ export default class Grammar extends BaseGrammar {
    *
    * @param {Blueprint} blueprint
    * @param {Fluent} command
-   * @returns {string}
+   * @returns {string|undefined}
    */
   compileForeign (blueprint, command) {
     // We need to prepare several of the elements of the foreign key definition
@@ -121,16 +125,16 @@ export default class Grammar extends BaseGrammar {
     // Once we have the initial portion of the SQL statement we will add on the
     // key name, table name, and referenced columns. These will complete the
     // main portion of the SQL statement and this SQL will almost be done.
-    sql += `foreign key (${this.columnize(command.get('columns'))}) references ${this.wrapTable(command.get('on'))} (${this.columnize(command.get('references'))})`
+    sql += `foreign key (${this.columnize(command.get('columns'))}) references ${this.wrapTable(command.get('on'))} (${this.columnize(castArray(command.get('references')))})`
 
     // Once we have the basic foreign key creation statement constructed we can
     // build out the syntax for what should happen on an update or delete of
     // the affected columns, which will get something like "cascade", etc.
-    if (command.get('onDelete') !== null) {
+    if (!isNil(command.get('onDelete'))) {
       sql += ` on delete ${command.get('onDelete')}`
     }
 
-    if (command.get('onUpdate') !== null) {
+    if (!isNil(command.get('onUpdate'))) {
       sql += ` on update ${command.get('onUpdate')}`
     }
 
@@ -142,7 +146,7 @@ export default class Grammar extends BaseGrammar {
    *
    * @param {Blueprint} blueprint
    * @param {Fluent} command
-   * @returns {string}
+   * @returns {string|undefined}
    * @throws {RuntimeException} This database driver does not support dropping foreign keys.
    */
   compileDropForeign (blueprint, command) {
@@ -328,7 +328,7 @@ export default class PostgresGrammar extends Grammar {
    * @return {string}
    */
   compileForeign (blueprint, command) {
-    let sql = super.compileForeign(blueprint, command)
+    let sql = /** @type {string} */ (super.compileForeign(blueprint, command))
 
     const deferrable = command.get('deferrable')
 
@@ -1,11 +1,35 @@
-import { versionCompare } from '../../../Support/helpers.js'
+import { isNil } from '@devnetic/utils'
+
+import { ucfirst, versionCompare } from '../../../Support/helpers.js'
 import Grammar from './Grammar.js'
+import IndexDefinition from '../IndexDefinition.js'
+import { Expression } from '../../Query/internal.js'
+
+/** @typedef {import('../../Connection.js').default} Connection */
+/** @typedef {import('../Blueprint.js').default} Blueprint */
+/** @typedef {import('../../../Support/Fluent.js').default} Fluent */
 
 export default class SQLiteGrammar extends Grammar {
+  /**
+   * The possible column modifiers.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  modifiers = ['Increment', 'Nullable', 'Default', 'Collate', 'VirtualAs', 'StoredAs']
+
+  /**
+   * The columns available as serials.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  serials = ['bigInteger', 'integer', 'mediumInteger', 'smallInteger', 'tinyInteger']
+
   /**
    * Get the commands to be compiled on the alter command.
    *
-   * @param {Object} connection
+   * @param {Connection} connection
    * @returns {Array}
    */
   getAlterCommands (connection) {
@@ -17,4 +41,919 @@ export default class SQLiteGrammar extends Grammar {
 
     return alterCommands
   }
+
+  /**
+   * Compile the query to determine the SQL text that describes the given object.
+   *
+   * @param  {string}  name
+   * @param  {string}  [type='table']
+   * @return {string}
+   */
+  compileSqlCreateStatement (name, type = 'table') {
+    return `select "sql" from sqlite_master where type = ${this.quoteString(type)} and name = ${this.quoteString(name.replace(/\./g, '__'))}`
+  }
+
+  /**
+   * Compile the query to determine if the dbstat table is available.
+   *
+   * @return {string}
+   */
+  compileDbstatExists () {
+    return "select exists (select 1 from pragma_compile_options where compile_options = 'ENABLE_DBSTAT_VTAB') as enabled"
+  }
+
+  /**
+   * Compile the query to determine the tables.
+   *
+   * @param  {boolean}  [withSize=false]
+   * @return {string}
+   */
+  compileTables (withSize = false) {
+    return withSize
+      ? 'select m.tbl_name as name, sum(s.pgsize) as size from sqlite_master as m ' +
+        'join dbstat as s on s.name = m.name ' +
+        "where m.type in ('table', 'index') and m.tbl_name not like 'sqlite_%' " +
+        'group by m.tbl_name ' +
+        'order by m.tbl_name'
+      : "select name from sqlite_master where type = 'table' and name not like 'sqlite_%' order by name"
+  }
+
+  /**
+   * Compile the query to determine the views.
+   *
+   * @return {string}
+   */
+  compileViews () {
+    return "select name, sql as definition from sqlite_master where type = 'view' order by name"
+  }
+
+  /**
+   * Compile the query to determine the columns.
+   *
+   * @param  {string}  table
+   * @return {string}
+   */
+  compileColumns (table) {
+    return 'select name, type, not "notnull" as "nullable", dflt_value as "default", pk as "primary", hidden as "extra" ' +
+      `from pragma_table_xinfo(${this.quoteString(table.replace(/\./g, '__'))}) order by cid asc`
+  }
+
+  /**
+   * Compile the query to determine the indexes.
+   *
+   * @param  {string}  table
+   * @return {string}
+   */
+  compileIndexes (table) {
+    table = this.quoteString(table.replace(/\./g, '__'))
+
+    return 'select \'primary\' as name, group_concat(col) as columns, 1 as "unique", 1 as "primary" ' +
+      `from (select name as col from pragma_table_info(${table}) where pk > 0 order by pk, cid) group by name ` +
+      'union select name, group_concat(col) as columns, "unique", origin = \'pk\' as "primary" ' +
+      `from (select il.*, ii.name as col from pragma_index_list(${table}) il, pragma_index_info(il.name) ii order by il.seq, ii.seqno) ` +
+      'group by name, "unique", "primary"'
+  }
+
+  /**
+   * Compile the query to determine the foreign keys.
+   *
+   * @param  {string}  table
+   * @return {string}
+   */
+  compileForeignKeys (table) {
+    return 'select group_concat("from") as columns, "table" as foreign_table, ' +
+      'group_concat("to") as foreign_columns, on_update, on_delete ' +
+      `from (select * from pragma_foreign_key_list(${this.quoteString(table.replace(/\./g, '__'))}) order by id desc, seq) ` +
+      'group by id, "table", on_update, on_delete'
+  }
+
+  /**
+   * Compile a create table command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileCreate (blueprint, command) {
+    return `${blueprint.temporaryProperty ? 'create temporary' : 'create'} table ${this.wrapTable(blueprint)} (` +
+      this.getColumns(blueprint).join(', ') +
+      this.addForeignKeys(this.getCommandsByName(blueprint, 'foreign')) +
+      this.addPrimaryKeys(this.getCommandByName(blueprint, 'primary')) +
+      ')'
+  }
+
+  /**
+   * Get the foreign key syntax for a table creation statement.
+   *
+   * @protected
+   * @param  {Fluent[]}  foreignKeys
+   * @return {string}
+   */
+  addForeignKeys (foreignKeys) {
+    // Once we have all the foreign key commands for the table creation statement
+    // we'll loop through each of them and add them to the create table SQL we
+    // are building, since SQLite needs foreign keys on the tables creation.
+    return foreignKeys.reduce((sql, foreign) => sql + this.getForeignKey(foreign), '')
+  }
+
+  /**
+   * Get the SQL for the foreign key.
+   *
+   * @protected
+   * @param  {Fluent}  foreign
+   * @return {string}
+   */
+  getForeignKey (foreign) {
+    // We need to columnize the columns that the foreign key is being defined for
+    // so that it is a properly formatted list. Once we have done this, we can
+    // return the foreign key SQL declaration to the calling method for use.
+    let sql = `, foreign key(${this.columnize(foreign.get('columns'))}) ` +
+      `references ${this.wrapTable(foreign.get('on'))}(${this.columnize([].concat(foreign.get('references')))})`
+
+    if (!isNil(foreign.get('onDelete'))) {
+      sql += ` on delete ${foreign.get('onDelete')}`
+    }
+
+    // If this foreign key specifies the action to be taken on update we will add
+    // that to the statement here. We'll append it to this SQL and then return
+    // this SQL so we can keep adding any other foreign constraints to this.
+    if (!isNil(foreign.get('onUpdate'))) {
+      sql += ` on update ${foreign.get('onUpdate')}`
+    }
+
+    return sql
+  }
+
+  /**
+   * Get the primary key syntax for a table creation statement.
+   *
+   * @protected
+   * @param  {Fluent|null}  primary
+   * @return {string}
+   */
+  addPrimaryKeys (primary) {
+    if (primary !== null && primary !== undefined) {
+      return `, primary key (${this.columnize(primary.get('columns'))})`
+    }
+
+    return ''
+  }
+
+  /**
+   * Compile alter table commands for adding columns.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileAdd (blueprint, command) {
+    return `alter table ${this.wrapTable(blueprint)} add column ${this.getColumn(blueprint, command.get('column'))}`
+  }
+
+  /**
+   * Compile alter table command into a series of SQL statements.
+   *
+   * SQLite can not alter most of a table definition, so the table is rebuilt
+   * from the blueprint state: a new table is created with the final schema,
+   * the rows are copied over and the new table takes the original name.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @param  {Connection}  connection
+   * @return {Promise<string[]>}
+   */
+  async compileAlter (blueprint, command, connection) {
+    const columnNames = []
+    let autoIncrementColumn = null
+
+    const columns = blueprint.getState().getColumns().map(column => {
+      const name = this.wrap(column)
+
+      autoIncrementColumn = column.get('autoIncrement') ? column.get('name') : autoIncrementColumn
+
+      if (isNil(column.get('virtualAs')) && isNil(column.get('storedAs'))) {
+        columnNames.push(name)
+      }
+
+      return this.addModifiers(
+        `${name} ${column.get('full_type_definition') ?? this.getType(column)}`, blueprint, column
+      )
+    })
+
+    const indexes = blueprint.getState().getIndexes()
+      .filter(index => !index.get('index').startsWith('sqlite_'))
+      .map(index => this[`compile${ucfirst(index.get('name'))}`](blueprint, index))
+
+    const tempTable = this.wrap(`__temp__${blueprint.getPrefix()}${blueprint.getTable()}`)
+    const table = this.wrapTable(blueprint)
+
+    const foreignKeyConstraintsEnabled = await connection.scalar('pragma foreign_keys')
+
+    return [
+      foreignKeyConstraintsEnabled ? this.compileDisableForeignKeyConstraints() : null,
+      `create table ${tempTable} (${columns.join(', ')}` +
+        this.addForeignKeys(blueprint.getState().getForeignKeys()) +
+        (autoIncrementColumn ? '' : this.addPrimaryKeys(blueprint.getState().getPrimaryKey())) +
+        ')',
+      `insert into ${tempTable} (${columnNames.join(', ')}) select ${columnNames.join(', ')} from ${table}`,
+      `drop table ${table}`,
+      `alter table ${tempTable} rename to ${table}`,
+      ...indexes,
+      foreignKeyConstraintsEnabled ? this.compileEnableForeignKeyConstraints() : null
+    ].filter(statement => !isNil(statement))
+  }
+
+  /**
+   * Compile a change column command into a series of SQL statements.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @param  {Connection}  connection
+   * @return {void}
+   */
+  compileChange (blueprint, command, connection) {
+    // Handled on table alteration...
+  }
+
+  /**
+   * Compile a primary key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {void}
+   */
+  compilePrimary (blueprint, command) {
+    // Handled on table creation or alteration...
+  }
+
+  /**
+   * Compile a unique key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileUnique (blueprint, command) {
+    return `create unique index ${this.wrap(command.get('index'))} on ${this.wrapTable(blueprint)} (${this.columnize(command.get('columns'))})`
+  }
+
+  /**
+   * Compile a plain index key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileIndex (blueprint, command) {
+    return `create index ${this.wrap(command.get('index'))} on ${this.wrapTable(blueprint)} (${this.columnize(command.get('columns'))})`
+  }
+
+  /**
+   * Compile a spatial index key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @throws {Error}
+   */
+  compileSpatialIndex (blueprint, command) {
+    throw new Error('RuntimeException: The database driver in use does not support spatial indexes.')
+  }
+
+  /**
+   * Compile a foreign key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {undefined}
+   */
+  compileForeign (blueprint, command) {
+    // Handled on table creation or alteration...
+  }
+
+  /**
+   * Compile a drop table command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDrop (blueprint, command) {
+    return 'drop table ' + this.wrapTable(blueprint)
+  }
+
+  /**
+   * Compile a drop table (if exists) command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDropIfExists (blueprint, command) {
+    return 'drop table if exists ' + this.wrapTable(blueprint)
+  }
+
+  /**
+   * Compile a drop column command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @param  {Connection}  connection
+   * @return {string[]|undefined}
+   */
+  compileDropColumn (blueprint, command, connection) {
+    if (versionCompare(connection.getServerVersion(), '3.35', '<')) {
+      // Handled on table alteration...
+      return
+    }
+
+    return this.prefixArray(
+      `alter table ${this.wrapTable(blueprint)} drop column`, this.wrapArray(command.get('columns'))
+    )
+  }
+
+  /**
+   * Compile a drop primary key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {void}
+   */
+  compileDropPrimary (blueprint, command) {
+    // Handled on table alteration...
+  }
+
+  /**
+   * Compile a drop unique key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDropUnique (blueprint, command) {
+    return `drop index ${this.wrap(command.get('index'))}`
+  }
+
+  /**
+   * Compile a drop index command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDropIndex (blueprint, command) {
+    return `drop index ${this.wrap(command.get('index'))}`
+  }
+
+  /**
+   * Compile a drop spatial index command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @throws {Error}
+   */
+  compileDropSpatialIndex (blueprint, command) {
+    throw new Error('RuntimeException: The database driver in use does not support spatial indexes.')
+  }
+
+  /**
+   * Compile a drop foreign key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {undefined}
+   * @throws {Error}
+   */
+  compileDropForeign (blueprint, command) {
+    if (command.get('columns', []).length === 0) {
+      throw new Error('RuntimeException: This database driver does not support dropping foreign keys by name.')
+    }
+
+    // Handled on table alteration...
+  }
+
+  /**
+   * Compile a rename table command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileRename (blueprint, command) {
+    return `alter table ${this.wrapTable(blueprint)} rename to ${this.wrapTable(command.get('to'))}`
+  }
+
+  /**
+   * Compile a rename index command.
+   *
+   * SQLite can not rename an index, so it is dropped and created again with
+   * the new name using the columns read from the database.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @param  {Connection}  connection
+   * @return {Promise<string[]>}
+   * @throws {Error}
+   */
+  async compileRenameIndex (blueprint, command, connection) {
+    const indexes = await connection.getSchemaBuilder().getIndexes(blueprint.getTable())
+
+    const index = indexes.find(index => index.name === command.get('from'))
+
+    if (index === undefined) {
+      throw new Error(`RuntimeException: Index [${command.get('from')}] does not exist.`)
+    }
+
+    if (index.primary) {
+      throw new Error('RuntimeException: SQLite does not support altering primary keys.')
+    }
+
+    if (index.unique) {
+      return [
+        this.compileDropUnique(blueprint, new IndexDefinition({ index: index.name })),
+        this.compileUnique(blueprint, new IndexDefinition({ index: command.get('to'), columns: index.columns }))
+      ]
+    }
+
+    return [
+      this.compileDropIndex(blueprint, new IndexDefinition({ index: index.name })),
+      this.compileIndex(blueprint, new IndexDefinition({ index: command.get('to'), columns: index.columns }))
+    ]
+  }
+
+  /**
+   * Compile the command to enable foreign key constraints.
+   *
+   * @return {string}
+   */
+  compileEnableForeignKeyConstraints () {
+    return 'PRAGMA foreign_keys = ON;'
+  }
+
+  /**
+   * Compile the command to disable foreign key constraints.
+   *
+   * @return {string}
+   */
+  compileDisableForeignKeyConstraints () {
+    return 'PRAGMA foreign_keys = OFF;'
+  }
+
+  /**
+   * Create the column definition for a char type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeChar (column) {
+    return 'varchar'
+  }
+
+  /**
+   * Create the column definition for a string type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeString (column) {
+    return 'varchar'
+  }
+
+  /**
+   * Create the column definition for a tiny text type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeTinyText (column) {
+    return 'text'
+  }
+
+  /**
+   * Create the column definition for a text type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeText (column) {
+    return 'text'
+  }
+
+  /**
+   * Create the column definition for a medium text type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeMediumText (column) {
+    return 'text'
+  }
+
+  /**
+   * Create the column definition for a long text type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeLongText (column) {
+    return 'text'
+  }
+
+  /**
+   * Create the column definition for an integer type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeInteger (column) {
+    return 'integer'
+  }
+
+  /**
+   * Create the column definition for a big integer type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeBigInteger (column) {
+    return 'integer'
+  }
+
+  /**
+   * Create the column definition for a medium integer type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeMediumInteger (column) {
+    return 'integer'
+  }
+
+  /**
+   * Create the column definition for a tiny integer type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeTinyInteger (column) {
+    return 'integer'
+  }
+
+  /**
+   * Create the column definition for a small integer type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeSmallInteger (column) {
+    return 'integer'
+  }
+
+  /**
+   * Create the column definition for a float type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeFloat (column) {
+    return 'float'
+  }
+
+  /**
+   * Create the column definition for a double type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeDouble (column) {
+    return 'double'
+  }
+
+  /**
+   * Create the column definition for a decimal type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeDecimal (column) {
+    return 'numeric'
+  }
+
+  /**
+   * Create the column definition for a boolean type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeBoolean (column) {
+    return 'tinyint(1)'
+  }
+
+  /**
+   * Create the column definition for an enumeration type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeEnum (column) {
+    return `varchar check ("${column.get('name')}" in (${this.quoteString(column.get('allowed'))}))`
+  }
+
+  /**
+   * Create the column definition for a json type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeJson (column) {
+    return 'text'
+  }
+
+  /**
+   * Create the column definition for a jsonb type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeJsonb (column) {
+    return 'text'
+  }
+
+  /**
+   * Create the column definition for a date type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeDate (column) {
+    return 'date'
+  }
+
+  /**
+   * Create the column definition for a date-time type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeDateTime (column) {
+    return this.typeTimestamp(column)
+  }
+
+  /**
+   * Create the column definition for a date-time (with time zone) type.
+   *
+   * Note: "SQLite does not have a storage class set aside for storing dates and/or times."
+   *
+   * @link https://www.sqlite.org/datatype3.html
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeDateTimeTz (column) {
+    return this.typeDateTime(column)
+  }
+
+  /**
+   * Create the column definition for a time type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeTime (column) {
+    return 'time'
+  }
+
+  /**
+   * Create the column definition for a time (with time zone) type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeTimeTz (column) {
+    return this.typeTime(column)
+  }
+
+  /**
+   * Create the column definition for a timestamp type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeTimestamp (column) {
+    if (column.get('useCurrent')) {
+      column.set('default', new Expression('CURRENT_TIMESTAMP'))
+    }
+
+    return 'datetime'
+  }
+
+  /**
+   * Create the column definition for a timestamp (with time zone) type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeTimestampTz (column) {
+    return this.typeTimestamp(column)
+  }
+
+  /**
+   * Create the column definition for a year type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeYear (column) {
+    return this.typeInteger(column)
+  }
+
+  /**
+   * Create the column definition for a binary type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeBinary (column) {
+    return 'blob'
+  }
+
+  /**
+   * Create the column definition for a uuid type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeUuid (column) {
+    return 'varchar'
+  }
+
+  /**
+   * Create the column definition for an IP address type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeIpAddress (column) {
+    return 'varchar'
+  }
+
+  /**
+   * Create the column definition for a MAC address type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeMacAddress (column) {
+    return 'varchar'
+  }
+
+  /**
+   * Create the column definition for a spatial Geometry type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeGeometry (column) {
+    return 'geometry'
+  }
+
+  /**
+   * Create the column definition for a spatial Geography type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeGeography (column) {
+    return this.typeGeometry(column)
+  }
+
+  /**
+   * Create the column definition for a generated, computed column type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @throws {Error}
+   */
+  typeComputed (column) {
+    throw new Error('RuntimeException: This database driver requires a type, see the virtualAs / storedAs modifiers.')
+  }
+
+  /**
+   * Get the SQL for a generated virtual column modifier.
+   *
+   * @protected
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {string|undefined}
+   */
+  modifyVirtualAs (blueprint, column) {
+    if (!isNil(column.get('virtualAs'))) {
+      return ` as (${this.getValue(column.get('virtualAs'))})`
+    }
+  }
+
+  /**
+   * Get the SQL for a generated stored column modifier.
+   *
+   * @protected
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {string|undefined}
+   */
+  modifyStoredAs (blueprint, column) {
+    if (!isNil(column.get('storedAs'))) {
+      return ` as (${this.getValue(column.get('storedAs'))}) stored`
+    }
+  }
+
+  /**
+   * Get the SQL for a nullable column modifier.
+   *
+   * @protected
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {string|undefined}
+   */
+  modifyNullable (blueprint, column) {
+    if (isNil(column.get('virtualAs')) && isNil(column.get('storedAs'))) {
+      return column.get('nullable') ? '' : ' not null'
+    }
+
+    if (column.get('nullable') === false) {
+      return ' not null'
+    }
+  }
+
+  /**
+   * Get the SQL for a default column modifier.
+   *
+   * @protected
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {string|undefined}
+   */
+  modifyDefault (blueprint, column) {
+    if (!isNil(column.get('default')) && isNil(column.get('virtualAs')) && isNil(column.get('storedAs'))) {
+      return ' default ' + this.getDefaultValue(column.get('default'))
+    }
+  }
+
+  /**
+   * Get the SQL for an auto-increment column modifier.
+   *
+   * @protected
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {string|undefined}
+   */
+  modifyIncrement (blueprint, column) {
+    if (this.serials.includes(column.get('type')) && column.get('autoIncrement')) {
+      return ' primary key autoincrement'
+    }
+  }
+
+  /**
+   * Get the SQL for a collation column modifier.
+   *
+   * @protected
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {string|undefined}
+   */
+  modifyCollate (blueprint, column) {
+    if (!isNil(column.get('collation'))) {
+      return ` collate '${column.get('collation')}'`
+    }
+  }
 }
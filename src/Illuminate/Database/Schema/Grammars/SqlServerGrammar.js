@@ -0,0 +1,963 @@
+import { isNil } from '@devnetic/utils'
+
+import Blueprint from '../Blueprint.js'
+import Grammar from './Grammar.js'
+import { Expression } from '../../Query/internal.js'
+
+/** @typedef {import('../../Connection.js').default} Connection */
+/** @typedef {import('../../../Support/Fluent.js').default} Fluent */
+
+export default class SqlServerGrammar extends Grammar {
+  /**
+   * If this Grammar supports schema changes wrapped in a transaction.
+   *
+   * @protected
+   * @type {boolean}
+   */
+  transactions = true
+
+  /**
+   * The possible column modifiers.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  modifiers = ['Collate', 'Nullable', 'Default', 'Persisted', 'Increment']
+
+  /**
+   * The columns available as serials.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  serials = ['tinyInteger', 'smallInteger', 'mediumInteger', 'integer', 'bigInteger']
+
+  /**
+   * The commands to be executed outside of create or alter command.
+   *
+   * @protected
+   * @type {string[]}
+   */
+  fluentCommands = ['Default']
+
+  /**
+   * Compile a query to determine the name of the default schema.
+   *
+   * @return {string}
+   */
+  compileDefaultSchema () {
+    return 'select schema_name()'
+  }
+
+  /**
+   * Compile a create database command.
+   *
+   * @param  {string}  name
+   * @param  {Connection}  connection
+   * @return {string}
+   */
+  compileCreateDatabase (name, connection) {
+    return `create database ${this.wrapValue(name)}`
+  }
+
+  /**
+   * Compile a drop database if exists command.
+   *
+   * @param  {string}  name
+   * @return {string}
+   */
+  compileDropDatabaseIfExists (name) {
+    return `drop database if exists ${this.wrapValue(name)}`
+  }
+
+  /**
+   * Compile the query to determine the tables.
+   *
+   * @return {string}
+   */
+  compileTables () {
+    return 'select t.name as name, schema_name(t.schema_id) as [schema], sum(u.total_pages) * 8 * 1024 as size ' +
+      'from sys.tables as t ' +
+      'join sys.partitions as p on p.object_id = t.object_id ' +
+      'join sys.allocation_units as u on u.container_id = p.hobt_id ' +
+      'group by t.name, t.schema_id ' +
+      'order by t.name'
+  }
+
+  /**
+   * Compile the query to determine the views.
+   *
+   * @return {string}
+   */
+  compileViews () {
+    return 'select name, schema_name(v.schema_id) as [schema], definition from sys.views as v ' +
+      'inner join sys.sql_modules as m on v.object_id = m.object_id ' +
+      'order by name'
+  }
+
+  /**
+   * Compile the query to determine the columns.
+   *
+   * @param  {string|null}  schema
+   * @param  {string}  table
+   * @return {string}
+   */
+  compileColumns (schema, table) {
+    return 'select col.name, type.name as type_name, ' +
+      'col.max_length as length, col.precision as precision, col.scale as places, ' +
+      'col.is_nullable as nullable, def.definition as [default], ' +
+      'col.is_identity as autoincrement, col.collation_name as collation, ' +
+      'com.definition as [expression], is_persisted as [persisted], ' +
+      'cast(prop.value as nvarchar(max)) as comment ' +
+      'from sys.columns as col ' +
+      'join sys.types as type on col.user_type_id = type.user_type_id ' +
+      'join sys.objects as obj on col.object_id = obj.object_id ' +
+      'join sys.schemas as scm on obj.schema_id = scm.schema_id ' +
+      'left join sys.default_constraints def on col.default_object_id = def.object_id and col.object_id = def.parent_object_id ' +
+      "left join sys.extended_properties as prop on obj.object_id = prop.major_id and col.column_id = prop.minor_id and prop.name = 'MS_Description' " +
+      'left join sys.computed_columns as com on col.column_id = com.column_id and col.object_id = com.object_id ' +
+      `where obj.type in ('U', 'V') and obj.name = ${this.quoteString(table)} and scm.name = ${this.getSchemaName(schema)} ` +
+      'order by col.column_id'
+  }
+
+  /**
+   * Compile the query to determine the indexes.
+   *
+   * @param  {string|null}  schema
+   * @param  {string}  table
+   * @return {string}
+   */
+  compileIndexes (schema, table) {
+    return "select idx.name as name, string_agg(col.name, ',') within group (order by idxcol.key_ordinal) as columns, " +
+      'idx.type_desc as [type], idx.is_unique as [unique], idx.is_primary_key as [primary] ' +
+      'from sys.indexes as idx ' +
+      'join sys.tables as tbl on idx.object_id = tbl.object_id ' +
+      'join sys.schemas as scm on tbl.schema_id = scm.schema_id ' +
+      'join sys.index_columns as idxcol on idx.object_id = idxcol.object_id and idx.index_id = idxcol.index_id ' +
+      'join sys.columns as col on idxcol.object_id = col.object_id and idxcol.column_id = col.column_id ' +
+      `where tbl.name = ${this.quoteString(table)} and scm.name = ${this.getSchemaName(schema)} ` +
+      'group by idx.name, idx.type_desc, idx.is_unique, idx.is_primary_key'
+  }
+
+  /**
+   * Compile the query to determine the foreign keys.
+   *
+   * @param  {string|null}  schema
+   * @param  {string}  table
+   * @return {string}
+   */
+  compileForeignKeys (schema, table) {
+    return 'select fk.name as name, ' +
+      "string_agg(lc.name, ',') within group (order by fkc.constraint_column_id) as columns, " +
+      'fs.name as foreign_schema, ft.name as foreign_table, ' +
+      "string_agg(fc.name, ',') within group (order by fkc.constraint_column_id) as foreign_columns, " +
+      'fk.update_referential_action_desc as on_update, ' +
+      'fk.delete_referential_action_desc as on_delete ' +
+      'from sys.foreign_keys as fk ' +
+      'join sys.foreign_key_columns as fkc on fkc.constraint_object_id = fk.object_id ' +
+      'join sys.tables as lt on lt.object_id = fk.parent_object_id ' +
+      'join sys.schemas as ls on lt.schema_id = ls.schema_id ' +
+      'join sys.columns as lc on fkc.parent_object_id = lc.object_id and fkc.parent_column_id = lc.column_id ' +
+      'join sys.tables as ft on ft.object_id = fk.referenced_object_id ' +
+      'join sys.schemas as fs on ft.schema_id = fs.schema_id ' +
+      'join sys.columns as fc on fkc.referenced_object_id = fc.object_id and fkc.referenced_column_id = fc.column_id ' +
+      `where lt.name = ${this.quoteString(table)} and ls.name = ${this.getSchemaName(schema)} ` +
+      'group by fk.name, fs.name, ft.name, fk.update_referential_action_desc, fk.delete_referential_action_desc'
+  }
+
+  /**
+   * Compile a create table command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileCreate (blueprint, command) {
+    return `create table ${this.wrapTable(blueprint)} (${this.getColumns(blueprint).join(', ')})`
+  }
+
+  /**
+   * Compile a column addition table command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileAdd (blueprint, command) {
+    return `alter table ${this.wrapTable(blueprint)} add ${this.getColumn(blueprint, command.get('column'))}`
+  }
+
+  /**
+   * Compile a rename column command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @param  {Connection}  connection
+   * @return {string}
+   */
+  compileRenameColumn (blueprint, command, connection) {
+    return `sp_rename ${this.quoteString(this.wrapTable(blueprint) + '.' + this.wrap(command.get('from')))}, ${this.wrap(command.get('to'))}, N'COLUMN'`
+  }
+
+  /**
+   * Compile a change column command into a series of SQL statements.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @param  {Connection}  connection
+   * @return {string[]}
+   */
+  compileChange (blueprint, command, connection) {
+    return [
+      this.compileDropDefaultConstraint(blueprint, command),
+      `alter table ${this.wrapTable(blueprint)} alter column ${this.getColumn(blueprint, command.get('column'))}`
+    ]
+  }
+
+  /**
+   * Compile a primary key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compilePrimary (blueprint, command) {
+    return `alter table ${this.wrapTable(blueprint)} add constraint ${this.wrap(command.get('index'))} primary key (${this.columnize(command.get('columns'))})`
+  }
+
+  /**
+   * Compile a unique key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileUnique (blueprint, command) {
+    return `create unique index ${this.wrap(command.get('index'))} on ${this.wrapTable(blueprint)} (${this.columnize(command.get('columns'))})` +
+      (command.get('online') ? ' with (online = on)' : '')
+  }
+
+  /**
+   * Compile a plain index key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileIndex (blueprint, command) {
+    return `create index ${this.wrap(command.get('index'))} on ${this.wrapTable(blueprint)} (${this.columnize(command.get('columns'))})` +
+      (command.get('online') ? ' with (online = on)' : '')
+  }
+
+  /**
+   * Compile a spatial index key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileSpatialIndex (blueprint, command) {
+    return `create spatial index ${this.wrap(command.get('index'))} on ${this.wrapTable(blueprint)} (${this.columnize(command.get('columns'))})`
+  }
+
+  /**
+   * Compile a default command.
+   *
+   * New columns declare their default inline, but a changed column gets it
+   * back as a separate constraint, since the old one is dropped by name.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string|undefined}
+   */
+  compileDefault (blueprint, command) {
+    const column = command.get('column')
+
+    if (column.get('change') && !isNil(column.get('default'))) {
+      return `alter table ${this.wrapTable(blueprint)} add default ${this.getDefaultValue(column.get('default'))} for ${this.wrap(column)}`
+    }
+  }
+
+  /**
+   * Compile a drop table command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDrop (blueprint, command) {
+    return 'drop table ' + this.wrapTable(blueprint)
+  }
+
+  /**
+   * Compile a drop table (if exists) command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDropIfExists (blueprint, command) {
+    return `if object_id(${this.quoteString(this.wrapTable(blueprint))}, 'U') is not null drop table ${this.wrapTable(blueprint)}`
+  }
+
+  /**
+   * Compile the SQL needed to drop all tables.
+   *
+   * @return {string}
+   */
+  compileDropAllTables () {
+    return "EXEC sp_msforeachtable 'DROP TABLE ?'"
+  }
+
+  /**
+   * Compile a drop column command.
+   *
+   * SQL Server refuses to drop a column which still has a default constraint,
+   * so the constraints of the columns are dropped first in the same batch.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDropColumn (blueprint, command) {
+    const columns = this.wrapArray(command.get('columns'))
+
+    return this.compileDropDefaultConstraint(blueprint, command) + ';' +
+      `alter table ${this.wrapTable(blueprint)} drop column ${columns.join(', ')}`
+  }
+
+  /**
+   * Compile a drop default constraint command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDropDefaultConstraint (blueprint, command) {
+    const columns = command.get('name') === 'change'
+      ? `'${command.get('column').get('name')}'`
+      : `'${command.get('columns').join("','")}'`
+
+    const table = this.wrapTable(blueprint)
+    const tableName = this.quoteString(this.wrapTable(blueprint))
+
+    return "DECLARE @sql NVARCHAR(MAX) = '';" +
+      `SELECT @sql += 'ALTER TABLE ${table} DROP CONSTRAINT ' + OBJECT_NAME([default_object_id]) + ';' ` +
+      'FROM sys.columns ' +
+      `WHERE [object_id] = OBJECT_ID(${tableName}) AND [name] in (${columns}) AND [default_object_id] <> 0;` +
+      'EXEC(@sql)'
+  }
+
+  /**
+   * Compile a drop primary key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDropPrimary (blueprint, command) {
+    return `alter table ${this.wrapTable(blueprint)} drop constraint ${this.wrap(command.get('index'))}`
+  }
+
+  /**
+   * Compile a drop unique key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDropUnique (blueprint, command) {
+    return `drop index ${this.wrap(command.get('index'))} on ${this.wrapTable(blueprint)}`
+  }
+
+  /**
+   * Compile a drop index command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDropIndex (blueprint, command) {
+    return `drop index ${this.wrap(command.get('index'))} on ${this.wrapTable(blueprint)}`
+  }
+
+  /**
+   * Compile a drop spatial index command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDropSpatialIndex (blueprint, command) {
+    return this.compileDropIndex(blueprint, command)
+  }
+
+  /**
+   * Compile a drop foreign key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileDropForeign (blueprint, command) {
+    return `alter table ${this.wrapTable(blueprint)} drop constraint ${this.wrap(command.get('index'))}`
+  }
+
+  /**
+   * Compile a rename table command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileRename (blueprint, command) {
+    return `sp_rename ${this.quoteString(this.wrapTable(blueprint))}, ${this.wrapTable(command.get('to'))}`
+  }
+
+  /**
+   * Compile a rename index command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {string}
+   */
+  compileRenameIndex (blueprint, command) {
+    return `sp_rename ${this.quoteString(this.wrapTable(blueprint) + '.' + this.wrap(command.get('from')))}, ${this.wrap(command.get('to'))}, N'INDEX'`
+  }
+
+  /**
+   * Compile the command to enable foreign key constraints.
+   *
+   * @return {string}
+   */
+  compileEnableForeignKeyConstraints () {
+    return 'EXEC sp_msforeachtable @command1="print \'?\'", @command2="ALTER TABLE ? WITH CHECK CHECK CONSTRAINT all";'
+  }
+
+  /**
+   * Compile the command to disable foreign key constraints.
+   *
+   * @return {string}
+   */
+  compileDisableForeignKeyConstraints () {
+    return 'EXEC sp_msforeachtable "ALTER TABLE ? NOCHECK CONSTRAINT all";'
+  }
+
+  /**
+   * Compile the command to drop all foreign keys.
+   *
+   * @return {string}
+   */
+  compileDropAllForeignKeys () {
+    return "DECLARE @sql NVARCHAR(MAX) = N'';" +
+      "SELECT @sql += 'ALTER TABLE ' + QUOTENAME(OBJECT_SCHEMA_NAME(parent_object_id)) + '.' + QUOTENAME(OBJECT_NAME(parent_object_id)) + ' DROP CONSTRAINT ' + QUOTENAME(name) + ';' " +
+      'FROM sys.foreign_keys;' +
+      'EXEC sp_executesql @sql;'
+  }
+
+  /**
+   * Compile the command to drop all views.
+   *
+   * @return {string}
+   */
+  compileDropAllViews () {
+    return "DECLARE @sql NVARCHAR(MAX) = N'';" +
+      "SELECT @sql += 'DROP VIEW ' + QUOTENAME(OBJECT_SCHEMA_NAME(object_id)) + '.' + QUOTENAME(name) + ';' " +
+      'FROM sys.views;' +
+      'EXEC sp_executesql @sql;'
+  }
+
+  /**
+   * Create the column definition for a char type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeChar (column) {
+    return `nchar(${column.get('length')})`
+  }
+
+  /**
+   * Create the column definition for a string type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeString (column) {
+    return `nvarchar(${column.get('length')})`
+  }
+
+  /**
+   * Create the column definition for a tiny text type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeTinyText (column) {
+    return 'nvarchar(255)'
+  }
+
+  /**
+   * Create the column definition for a text type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeText (column) {
+    return 'nvarchar(max)'
+  }
+
+  /**
+   * Create the column definition for a medium text type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeMediumText (column) {
+    return 'nvarchar(max)'
+  }
+
+  /**
+   * Create the column definition for a long text type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeLongText (column) {
+    return 'nvarchar(max)'
+  }
+
+  /**
+   * Create the column definition for an integer type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeInteger (column) {
+    return 'int'
+  }
+
+  /**
+   * Create the column definition for a big integer type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeBigInteger (column) {
+    return 'bigint'
+  }
+
+  /**
+   * Create the column definition for a medium integer type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeMediumInteger (column) {
+    return 'int'
+  }
+
+  /**
+   * Create the column definition for a tiny integer type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeTinyInteger (column) {
+    return 'tinyint'
+  }
+
+  /**
+   * Create the column definition for a small integer type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeSmallInteger (column) {
+    return 'smallint'
+  }
+
+  /**
+   * Create the column definition for a float type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeFloat (column) {
+    return column.get('precision') ? `float(${column.get('precision')})` : 'float'
+  }
+
+  /**
+   * Create the column definition for a double type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeDouble (column) {
+    return 'double precision'
+  }
+
+  /**
+   * Create the column definition for a decimal type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeDecimal (column) {
+    return `decimal(${column.get('total')}, ${column.get('places')})`
+  }
+
+  /**
+   * Create the column definition for a boolean type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeBoolean (column) {
+    return 'bit'
+  }
+
+  /**
+   * Create the column definition for an enumeration type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeEnum (column) {
+    return `nvarchar(255) check ("${column.get('name')}" in (${this.quoteString(column.get('allowed'))}))`
+  }
+
+  /**
+   * Create the column definition for a json type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeJson (column) {
+    return 'nvarchar(max)'
+  }
+
+  /**
+   * Create the column definition for a jsonb type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeJsonb (column) {
+    return 'nvarchar(max)'
+  }
+
+  /**
+   * Create the column definition for a date type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeDate (column) {
+    return 'date'
+  }
+
+  /**
+   * Create the column definition for a date-time type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeDateTime (column) {
+    return this.typeTimestamp(column)
+  }
+
+  /**
+   * Create the column definition for a date-time (with time zone) type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeDateTimeTz (column) {
+    return this.typeTimestampTz(column)
+  }
+
+  /**
+   * Create the column definition for a time type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeTime (column) {
+    return column.get('precision') ? `time(${column.get('precision')})` : 'time'
+  }
+
+  /**
+   * Create the column definition for a time (with time zone) type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeTimeTz (column) {
+    return this.typeTime(column)
+  }
+
+  /**
+   * Create the column definition for a timestamp type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeTimestamp (column) {
+    if (column.get('useCurrent')) {
+      column.set('default', new Expression('CURRENT_TIMESTAMP'))
+    }
+
+    return column.get('precision') ? `datetime2(${column.get('precision')})` : 'datetime'
+  }
+
+  /**
+   * Create the column definition for a timestamp (with time zone) type.
+   *
+   * @link https://docs.microsoft.com/en-us/sql/t-sql/data-types/datetimeoffset-transact-sql?view=sql-server-ver15
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeTimestampTz (column) {
+    if (column.get('useCurrent')) {
+      column.set('default', new Expression('CURRENT_TIMESTAMP'))
+    }
+
+    return column.get('precision') ? `datetimeoffset(${column.get('precision')})` : 'datetimeoffset'
+  }
+
+  /**
+   * Create the column definition for a year type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeYear (column) {
+    return this.typeInteger(column)
+  }
+
+  /**
+   * Create the column definition for a binary type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeBinary (column) {
+    if (column.get('length')) {
+      return column.get('fixed') ? `binary(${column.get('length')})` : `varbinary(${column.get('length')})`
+    }
+
+    return 'varbinary(max)'
+  }
+
+  /**
+   * Create the column definition for a uuid type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeUuid (column) {
+    return 'uniqueidentifier'
+  }
+
+  /**
+   * Create the column definition for an IP address type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeIpAddress (column) {
+    return 'nvarchar(45)'
+  }
+
+  /**
+   * Create the column definition for a MAC address type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeMacAddress (column) {
+    return 'nvarchar(17)'
+  }
+
+  /**
+   * Create the column definition for a spatial Geometry type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeGeometry (column) {
+    return 'geometry'
+  }
+
+  /**
+   * Create the column definition for a spatial Geography type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeGeography (column) {
+    return 'geography'
+  }
+
+  /**
+   * Create the column definition for a generated, computed column type.
+   *
+   * @protected
+   * @param  {Fluent}  column
+   * @return {string}
+   */
+  typeComputed (column) {
+    return `as (${this.getValue(column.get('expression'))})`
+  }
+
+  /**
+   * Get the SQL for a collation column modifier.
+   *
+   * @protected
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {string|undefined}
+   */
+  modifyCollate (blueprint, column) {
+    if (!isNil(column.get('collation'))) {
+      return ' collate ' + column.get('collation')
+    }
+  }
+
+  /**
+   * Get the SQL for a nullable column modifier.
+   *
+   * @protected
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {string|undefined}
+   */
+  modifyNullable (blueprint, column) {
+    if (column.get('type') !== 'computed') {
+      return column.get('nullable') ? ' null' : ' not null'
+    }
+  }
+
+  /**
+   * Get the SQL for a default column modifier.
+   *
+   * @protected
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {string|undefined}
+   */
+  modifyDefault (blueprint, column) {
+    if (!column.get('change') && !isNil(column.get('default'))) {
+      return ' default ' + this.getDefaultValue(column.get('default'))
+    }
+  }
+
+  /**
+   * Get the SQL for an auto-increment column modifier.
+   *
+   * @protected
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {string|undefined}
+   */
+  modifyIncrement (blueprint, column) {
+    if (!column.get('change') && this.serials.includes(column.get('type')) && column.get('autoIncrement')) {
+      return this.hasCommand(blueprint, 'primary') ? ' identity' : ' identity primary key'
+    }
+  }
+
+  /**
+   * Get the SQL for a generated stored column modifier.
+   *
+   * @protected
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {string|undefined}
+   */
+  modifyPersisted (blueprint, column) {
+    if (column.get('change')) {
+      if (column.get('type') === 'computed') {
+        return column.get('persisted') ? ' add persisted' : ' drop persisted'
+      }
+
+      return
+    }
+
+    if (column.get('persisted')) {
+      return ' persisted'
+    }
+  }
+
+  /**
+   * Get the schema name for the introspection queries.
+   *
+   * @protected
+   * @param  {string|null}  schema
+   * @return {string}
+   */
+  getSchemaName (schema) {
+    return schema ? this.quoteString(schema) : 'schema_name()'
+  }
+
+  /**
+   * Wrap a table in keyword identifiers.
+   *
+   * @param  {Blueprint|Expression|string}  table
+   * @return {string}
+   */
+  wrapTable (table) {
+    if (table instanceof Blueprint && table.temporaryProperty) {
+      this.setTablePrefix('#')
+    }
+
+    return super.wrapTable(table)
+  }
+
+  /**
+   * Quote the given string literal.
+   *
+   * @param  {string|string[]}  value
+   * @return {string}
+   */
+  quoteString (value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.quoteString(item)).join(', ')
+    }
+
+    return `N'${value}'`
+  }
+}
@@ -1,3 +1,51 @@
 import Fluent from '../../Support/Fluent.js'
 
-export default class IndexDefinition extends Fluent { }
+export default class IndexDefinition extends Fluent {
+  /**
+   * Specify an algorithm for the index (MySQL/PostgreSQL).
+   *
+   * @param {string} algorithm
+   * @returns {this}
+   */
+  algorithm (algorithm) {
+    this.offsetSet('algorithm', algorithm)
+
+    return this
+  }
+
+  /**
+   * Specify that the unique index is deferrable (PostgreSQL).
+   *
+   * @param {boolean} [value=true]
+   * @returns {this}
+   */
+  deferrable (value = true) {
+    this.offsetSet('deferrable', value)
+
+    return this
+  }
+
+  /**
+   * Specify the default time to check the unique index constraint (PostgreSQL).
+   *
+   * @param {boolean} [value=true]
+   * @returns {this}
+   */
+  initiallyImmediate (value = true) {
+    this.offsetSet('initiallyImmediate', value)
+
+    return this
+  }
+
+  /**
+   * Specify a language for the full text index (PostgreSQL).
+   *
+   * @param {string} language
+   * @returns {this}
+   */
+  language (language) {
+    this.offsetSet('language', language)
+
+    return this
+  }
+}
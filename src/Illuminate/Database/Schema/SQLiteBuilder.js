@@ -0,0 +1,68 @@
+import { existsSync, unlinkSync, writeFileSync } from 'node:fs'
+
+import Builder from './Builder.js'
+
+export default class SQLiteBuilder extends Builder {
+  /**
+   * Create a database in the schema.
+   *
+   * @param  {string}  name
+   * @return {Promise<boolean>}
+   */
+  async createDatabase (name) {
+    writeFileSync(name, '')
+
+    return true
+  }
+
+  /**
+   * Drop a database from the schema if the database exists.
+   *
+   * @param  {string}  name
+   * @return {Promise<boolean>}
+   */
+  async dropDatabaseIfExists (name) {
+    if (existsSync(name)) {
+      unlinkSync(name)
+    }
+
+    return true
+  }
+
+  /**
+   * Get the tables that belong to the database.
+   *
+   * @param  {boolean}  [withSize=true]
+   * @return {Promise<Array<Record<string, unknown>>>}
+   */
+  async getTables (withSize = true) {
+    if (withSize) {
+      try {
+        withSize = Boolean(await this.connection.scalar(this.grammar.compileDbstatExists()))
+      } catch (error) {
+        withSize = false
+      }
+    }
+
+    return this.connection.getPostProcessor().processTables(
+      await this.connection.selectFromWriteConnection(this.grammar.compileTables(withSize))
+    )
+  }
+
+  /**
+   * Get the columns for a given table.
+   *
+   * @param  {string}  table
+   * @return {Promise<Array<Record<string, unknown>>>}
+   */
+  async getColumns (table) {
+    table = this.connection.getTablePrefix() + table
+
+    const processor = /** @type {import('../Query/Processors/SQLiteProcessor.js').default} */ (this.connection.getPostProcessor())
+
+    return processor.processColumns(
+      await this.connection.selectFromWriteConnection(this.grammar.compileColumns(table)),
+      await this.connection.scalar(this.grammar.compileSqlCreateStatement(table)) ?? ''
+    )
+  }
+}
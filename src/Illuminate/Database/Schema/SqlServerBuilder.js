@@ -0,0 +1,183 @@
+import Builder from './Builder.js'
+
+export default class SqlServerBuilder extends Builder {
+  /**
+   * Create a database in the schema.
+   *
+   * @param  {string}  name
+   * @return {Promise<boolean>}
+   */
+  createDatabase (name) {
+    return this.connection.statement(
+      this.grammar.compileCreateDatabase(name, this.connection)
+    )
+  }
+
+  /**
+   * Drop a database from the schema if the database exists.
+   *
+   * @param  {string}  name
+   * @return {Promise<boolean>}
+   */
+  dropDatabaseIfExists (name) {
+    return this.connection.statement(
+      this.grammar.compileDropDatabaseIfExists(name)
+    )
+  }
+
+  /**
+   * Determine if the given table exists.
+   *
+   * @param  {string}  table
+   * @return {Promise<boolean>}
+   */
+  async hasTable (table) {
+    let schema
+
+    [schema, table] = this.parseSchemaAndTable(table)
+
+    schema = schema ?? await this.getDefaultSchema()
+    table = this.connection.getTablePrefix() + table
+
+    for (const value of await this.getTables()) {
+      if (table.toLowerCase() === value.name.toLowerCase() &&
+        schema.toLowerCase() === value.schema.toLowerCase()) {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  /**
+   * Determine if the given view exists.
+   *
+   * @param  {string}  view
+   * @return {Promise<boolean>}
+   */
+  async hasView (view) {
+    let schema
+
+    [schema, view] = this.parseSchemaAndTable(view)
+
+    schema = schema ?? await this.getDefaultSchema()
+    view = this.connection.getTablePrefix() + view
+
+    for (const value of await this.getViews()) {
+      if (view.toLowerCase() === value.name.toLowerCase() &&
+        schema.toLowerCase() === value.schema.toLowerCase()) {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  /**
+   * Drop all tables from the database.
+   *
+   * @return {Promise<void>}
+   */
+  async dropAllTables () {
+    await this.connection.statement(this.grammar.compileDropAllForeignKeys())
+
+    await this.connection.statement(this.grammar.compileDropAllTables())
+  }
+
+  /**
+   * Drop all views from the database.
+   *
+   * @return {Promise<void>}
+   */
+  async dropAllViews () {
+    await this.connection.statement(this.grammar.compileDropAllViews())
+  }
+
+  /**
+   * Get the columns for a given table.
+   *
+   * @param  {string}  table
+   * @return {Promise<Array<Record<string, any>>>}
+   */
+  async getColumns (table) {
+    let schema
+
+    [schema, table] = this.parseSchemaAndTable(table)
+
+    table = this.connection.getTablePrefix() + table
+
+    return this.connection.getPostProcessor().processColumns(
+      await this.connection.selectFromWriteConnection(this.grammar.compileColumns(schema, table))
+    )
+  }
+
+  /**
+   * Get the indexes for a given table.
+   *
+   * @param  {string}  table
+   * @return {Promise<Array<Record<string, any>>>}
+   */
+  async getIndexes (table) {
+    let schema
+
+    [schema, table] = this.parseSchemaAndTable(table)
+
+    table = this.connection.getTablePrefix() + table
+
+    return this.connection.getPostProcessor().processIndexes(
+      await this.connection.selectFromWriteConnection(this.grammar.compileIndexes(schema, table))
+    )
+  }
+
+  /**
+   * Get the foreign keys for a given table.
+   *
+   * @param  {string}  table
+   * @return {Promise<Array<Record<string, any>>>}
+   */
+  async getForeignKeys (table) {
+    let schema
+
+    [schema, table] = this.parseSchemaAndTable(table)
+
+    table = this.connection.getTablePrefix() + table
+
+    return this.connection.getPostProcessor().processForeignKeys(
+      await this.connection.selectFromWriteConnection(this.grammar.compileForeignKeys(schema, table))
+    )
+  }
+
+  /**
+   * Get the default schema for the connection.
+   *
+   * @return {Promise<string>}
+   */
+  getDefaultSchema () {
+    return this.connection.scalar(this.grammar.compileDefaultSchema())
+  }
+
+  /**
+   * Parse the database object reference and extract the schema and table.
+   *
+   * @protected
+   * @param  {string}  reference
+   * @return {[string|null, string]}
+   *
+   * @throws {InvalidArgumentException}
+   */
+  parseSchemaAndTable (reference) {
+    const index = reference.indexOf('.')
+
+    if (index === -1) {
+      return [null, reference]
+    }
+
+    const [schema, table] = [reference.slice(0, index), reference.slice(index + 1)]
+
+    if (table.includes('.')) {
+      throw new Error(`InvalidArgumentException: Using three-part reference is not supported, you may use \`Schema.connection('${schema}')\` instead.`)
+    }
+
+    return [schema, table]
+  }
+}
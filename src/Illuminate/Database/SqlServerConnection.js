@@ -1,12 +1,83 @@
+import { isNil } from '@devnetic/utils'
+
 import Connection from './Connection.js'
+import { SqlServerGrammar as QueryGrammar } from '../Database/Query/Grammars/index.js'
+import SqlServerProcessor from './Query/Processors/SqlServerProcessor.js'
+import SqlServerBuilder from './Schema/SqlServerBuilder.js'
+import SchemaGrammar from './Schema/Grammars/SqlServerGrammar.js'
 
 export default class SqlServerConnection extends Connection {
   /**
-   * Compile the command to disable foreign key constraints.
+   * Escape a binary value for safe SQL embedding.
    *
+   * @protected
+   * @param  {string}  value
    * @return {string}
    */
-  compileDisableForeignKeyConstraints () {
-    return 'EXEC sp_msforeachtable "ALTER TABLE ? NOCHECK CONSTRAINT all";'
+  escapeBinary (value) {
+    const hex = Buffer.from(value).toString('hex')
+
+    return `0x${hex}`
+  }
+
+  /**
+   * Get the default query grammar instance.
+   *
+   * @protected
+   * @return {import('./Query/Grammars/SqlServerGrammar.js').default}
+   */
+  getDefaultQueryGrammar () {
+    const grammar = new QueryGrammar()
+
+    grammar.setConnection(this)
+
+    return this.withTablePrefix(grammar)
+  }
+
+  /**
+   * Get a schema builder instance for the connection.
+   *
+   * @return {SqlServerBuilder}
+   */
+  getSchemaBuilder () {
+    if (isNil(this.schemaGrammar)) {
+      this.useDefaultSchemaGrammar()
+    }
+
+    return new SqlServerBuilder(this)
+  }
+
+  /**
+   * Get the default schema grammar instance.
+   *
+   * @protected
+   * @return {SchemaGrammar}
+   */
+  getDefaultSchemaGrammar () {
+    const grammar = new SchemaGrammar()
+
+    grammar.setConnection(this)
+
+    return this.withTablePrefix(grammar)
+  }
+
+  /**
+   * Get the default post processor instance.
+   *
+   * @protected
+   * @return {SqlServerProcessor}
+   */
+  getDefaultPostProcessor () {
+    return new SqlServerProcessor()
+  }
+
+  /**
+   * Determine if the given database exception was caused by a unique constraint violation.
+   *
+   * @param  {Error}  exception
+   * @return {boolean}
+   */
+  isUniqueConstraintError (exception) {
+    return /Cannot insert duplicate key row in object/i.test(exception.message)
   }
 }
@@ -0,0 +1,85 @@
+import Statement from './Statement.js'
+
+export default class MySqlStatement extends Statement {
+  /**
+   * Executes the statement, iterating the rows of the result set as they are read
+   *
+   * @param {unknown[]} [values]
+   * @returns {AsyncGenerator<any>}
+   */
+  async * cursor (values) {
+    values = values ?? Object.values(this.bindings)
+
+    const connection = await this.driver.acquire()
+
+    const query = connection.query(this.query, values)
+
+    const finished = new Promise(resolve => query.once('end', resolve))
+
+    const stream = query.stream()
+
+    /** @type {Error|undefined} */
+    let error
+
+    try {
+      yield * stream
+    } catch (exception) {
+      error = /** @type {Error} */ (exception)
+
+      throw exception
+    } finally {
+      // A cursor closed half way leaves the remaining rows on the wire. A pooled
+      // connection is thrown away instead of being reused, but the connection of
+      // the active transaction is still needed, so the rows are drained instead.
+      if (!stream.readableEnded && error === undefined) {
+        if (this.driver.inTransaction()) {
+          connection.resume()
+
+          await finished
+        } else {
+          error = new Error('The cursor was closed before reading every row.')
+        }
+      }
+
+      this.driver.release(connection, error)
+    }
+  }
+
+  /**
+   *
+   * @param {unknown[]} [values]
+   * @returns {Promise<any[]>}
+   */
+  async execute (values) {
+    values = values ?? Object.values(this.bindings)
+
+    const connection = await this.driver.acquire()
+
+    try {
+      this.result = await new Promise((resolve, reject) => {
+        connection.query(this.query, values, (error, result) => error ? reject(error) : resolve(result))
+      })
+
+      return this.fetchAll()
+    } finally {
+      this.driver.release(connection)
+    }
+  }
+
+  fetchAll () {
+    return Array.isArray(this.result) ? this.result : []
+  }
+
+  /**
+   * Returns the ID of the last inserted row.
+   *
+   * @returns {number|string|undefined}
+   */
+  lastInsertId () {
+    return this.result.insertId
+  }
+
+  rowCount () {
+    return Array.isArray(this.result) ? this.result.length : this.result.affectedRows
+  }
+}
@@ -1,27 +1,35 @@
-import pg from 'pg'
-import { uuid } from '@devnetic/utils'
-
 import Statement from './Statement.js'
 
+/**
+ * The number of server-side cursors declared so far, used to name them.
+ *
+ * @type {number}
+ */
+let cursors = 0
+
 export default class PostgresStatement extends Statement {
+  /**
+   * The number of rows fetched from a server-side cursor at a time.
+   *
+   * @type {number}
+   */
+  fetchSize = 1000
+
   /**
    * Creates an instance of Statement.
    * @param {string} dsn
    * @param {Record<string, unknown>} options
    * @param {string} query
+   * @param {import('../Drivers/PostgresDriver.js').default} driver
    * @memberof Statement
    */
-  constructor (dsn, options, query) {
-    super(dsn, options, query)
-
-    this.client = new pg.Client({
-      connectionString: this.dsn,
-      connectionTimeoutMillis: 2000
-    })
+  constructor (dsn, options, query, driver) {
+    super(dsn, options, query, driver)
 
+    // The statement is left unnamed on purpose, a named statement would be kept
+    // by the server for as long as the pooled session lives, and every query
+    // would slowly leak a prepared statement into the long-lived sessions.
     this.statement = {
-      // give the query a unique name
-      name: `prepared-statement-${uuid()}`,
       text: this.parameterize(query),
       rowMode: this.fetchMode
     }
@@ -29,8 +37,63 @@ export default class PostgresStatement extends Statement {
     this.bindings = {}
   }
 
-  async close () {
-    await this.client.end()
+  /**
+   * Executes the statement, iterating the rows of the result set as they are read
+   *
+   * The query runs behind a server-side cursor which is read in batches of the
+   * fetch size, a cursor only lives inside a transaction so one is started when
+   * the client is not already in the middle of one.
+   *
+   * @param {unknown[]} [values]
+   * @returns {AsyncGenerator<any>}
+   */
+  async * cursor (values) {
+    values = values ?? Object.values(this.bindings)
+
+    const name = `lihtne_cursor_${++cursors}`
+
+    const ownsTransaction = !this.driver.inTransaction()
+
+    const client = await this.driver.acquire()
+
+    /** @type {Error|undefined} */
+    let error
+
+    try {
+      if (ownsTransaction) {
+        await client.query('begin')
+      }
+
+      await client.query({
+        text: `declare ${name} no scroll cursor for ${this.statement.text}`,
+        values: values.length > 0 ? values : undefined
+      })
+
+      let rows
+
+      do {
+        ({ rows } = await client.query({
+          text: `fetch ${this.fetchSize} from ${name}`,
+          rowMode: this.statement.rowMode
+        }))
+
+        yield * rows
+      } while (rows.length === this.fetchSize)
+    } catch (exception) {
+      error = /** @type {Error} */ (exception)
+
+      throw exception
+    } finally {
+      try {
+        if (ownsTransaction) {
+          await client.query(error === undefined ? 'commit' : 'rollback')
+        } else if (error === undefined) {
+          await client.query(`close ${name}`)
+        }
+      } finally {
+        this.driver.release(client, error)
+      }
+    }
   }
 
   /**
@@ -45,14 +108,14 @@ export default class PostgresStatement extends Statement {
       this.statement.values = values
     }
 
-    try {
-      await this.client.connect()
+    const client = await this.driver.acquire()
 
-      this.result = await this.client.query(this.statement)
+    try {
+      this.result = await client.query(this.statement)
 
       return this.result.rows
     } finally {
-      await this.close()
+      this.driver.release(client)
     }
   }
 
@@ -0,0 +1,60 @@
+import Statement from './Statement.js'
+
+export default class SQLiteStatement extends Statement {
+  /**
+   * Executes the statement, iterating the rows of the result set as they are read
+   *
+   * The rows are stepped through one at a time by better-sqlite3, the handle
+   * can still run reads meanwhile but any write throws until the cursor is
+   * exhausted or closed, so rows that are updated while iterating should be
+   * read with lazy() or chunk() instead.
+   *
+   * @param {unknown[]} [values]
+   * @returns {AsyncGenerator<any>}
+   */
+  async * cursor (values) {
+    values = values ?? Object.values(this.bindings)
+
+    const database = await this.driver.acquire()
+
+    try {
+      yield * database.prepare(this.query).iterate(values)
+    } finally {
+      this.driver.release(database)
+    }
+  }
+
+  /**
+   *
+   * @param {unknown[]} values
+   * @returns {Promise<any[]>}
+   */
+  async execute (values) {
+    values = values ?? Object.values(this.bindings)
+
+    const database = await this.driver.acquire()
+
+    try {
+      const statement = database.prepare(this.query)
+
+      // Only the statements returning data may be iterated, every other statement
+      // has to be run instead, giving us back the number of rows it has changed
+      // which is all we need to answer the affected rows for the statement.
+      this.result = statement.reader
+        ? { rows: statement.all(values), changes: 0 }
+        : { rows: [], changes: statement.run(values).changes }
+
+      return this.result.rows
+    } finally {
+      this.driver.release(database)
+    }
+  }
+
+  fetchAll () {
+    return this.result.rows
+  }
+
+  rowCount () {
+    return this.result.changes
+  }
+}
@@ -0,0 +1,107 @@
+import Statement from './Statement.js'
+
+export default class SqlServerStatement extends Statement {
+  /**
+   * The index of the result set being fetched.
+   *
+   * @protected
+   * @type {number}
+   */
+  rowsetIndex = 0
+
+  /**
+   * Executes the statement, iterating the rows of the result set as they are read
+   *
+   * @param {unknown[]} [values]
+   * @returns {AsyncGenerator<any>}
+   */
+  async * cursor (values) {
+    values = values ?? Object.values(this.bindings)
+
+    const session = await this.driver.acquire()
+
+    const request = session.request()
+
+    values.forEach((value, index) => request.input(`p${index + 1}`, value))
+
+    const stream = request.toReadableStream()
+
+    request.query(this.parameterize(this.query))
+
+    try {
+      yield * stream
+    } finally {
+      // Closing the cursor half way cancels the request, so the server stops
+      // sending the rows that were never going to be read.
+      if (!stream.readableEnded) {
+        request.cancel()
+      }
+
+      this.driver.release(session)
+    }
+  }
+
+  /**
+   *
+   * @param {unknown[]} values
+   * @returns {Promise<any[]>}
+   */
+  async execute (values) {
+    values = values ?? Object.values(this.bindings)
+
+    const session = await this.driver.acquire()
+
+    try {
+      const request = session.request()
+
+      values.forEach((value, index) => request.input(`p${index + 1}`, value))
+
+      this.result = await request.query(this.parameterize(this.query))
+      this.rowsetIndex = 0
+
+      return this.fetchAll()
+    } finally {
+      this.driver.release(session)
+    }
+  }
+
+  fetchAll () {
+    return this.result.recordsets?.[this.rowsetIndex] ?? []
+  }
+
+  /**
+   * Advances to the next rowset in a multi-rowset statement handle.
+   *
+   * @returns {boolean}
+   */
+  nextRowset () {
+    if (this.rowsetIndex + 1 >= (this.result.recordsets?.length ?? 0)) {
+      return false
+    }
+
+    this.rowsetIndex++
+
+    return true
+  }
+
+  /**
+   * Replace the positional place-holders with the named parameters of mssql.
+   *
+   * Question marks inside quoted literals and identifiers are left untouched,
+   * since commands like sp_msforeachtable use them as their own place-holder.
+   *
+   * @param  {string}  query
+   * @return {string}
+   */
+  parameterize (query) {
+    let index = 0
+
+    return query.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|\[[^\]]*\]|\?/gm, (match) => {
+      return match === '?' ? `@p${++index}` : match
+    })
+  }
+
+  rowCount () {
+    return (this.result.rowsAffected ?? []).reduce((count, affected) => count + affected, 0)
+  }
+}
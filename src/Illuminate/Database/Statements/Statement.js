@@ -2,8 +2,9 @@ import { CustomException } from './../../Support/index.js'
 
 /**
  * @typedef {Object} PreparedStatement
- * @property {string} name
+ * @property {string} [name]
  * @property {string} text
+ * @property {unknown[]} [values]
  * @property {import('../Drivers/Driver.js').FetchMode} rowMode
  */
 
@@ -13,20 +14,28 @@ import { CustomException } from './../../Support/index.js'
  * @description Implementation of the PHP PDOStatement class
  */
 export default class Statement {
-  /** @type {} */
+  /** @type {Record<string|number, unknown>} */
   bindings = {}
 
   /** @type {string} */
   dsn = ''
 
+  /**
+   * The driver that owns the statement.
+   *
+   * @protected
+   * @type {import('../Drivers/Driver.js').default}
+   */
+  driver
+
   /** @type {import('../Drivers/Driver.js').FetchMode} */
   fetchMode = 'object'
 
   /** @type {Record<string, unknown>} */
   options = {}
 
-  /** @type {string|undefined} */
-  query = undefined
+  /** @type {string} */
+  query = ''
 
   /**
    * @protected
@@ -48,9 +57,10 @@ export default class Statement {
    * @param {string} dsn
    * @param {Record<string, unknown>} options
    * @param {string} query
+   * @param {import('../Drivers/Driver.js').default} driver
    * @memberof Statement
    */
-  constructor (dsn, options, query) {
+  constructor (dsn, options, query, driver) {
     if (new.target === Statement) {
       throw CustomException('abstract')
     }
@@ -58,6 +68,7 @@ export default class Statement {
     this.dsn = dsn
     this.options = options
     this.query = query
+    this.driver = driver
   }
 
   /**
@@ -77,11 +88,22 @@ export default class Statement {
   }
 
   /**
+   * Executes the statement, iterating the rows of the result set as they are read
    *
-   * @param {Record<string, unknown>} [params]
+   * @param {unknown[]} [values]
+   * @returns {AsyncGenerator<any>}
+   */
+  cursor (values) {
+    throw CustomException('concrete-method', 'cursor')
+  }
+
+  /**
+   * Executes the prepared statement
+   *
+   * @param {unknown[]} [values]
    * @returns {Promise<any[]>}
    */
-  execute (params) {
+  execute (values) {
     throw CustomException('concrete-method', 'execute')
   }
 
@@ -94,7 +116,22 @@ export default class Statement {
     throw CustomException('concrete-method', 'fetchAll')
   }
 
-  parameterize () {
+  /**
+   * Advances to the next rowset in a multi-rowset statement handle.
+   *
+   * @returns {boolean}
+   */
+  nextRowset () {
+    return false
+  }
+
+  /**
+   * Replace the placeholders of the query with the ones of the driver
+   *
+   * @param {string} query
+   * @returns {string}
+   */
+  parameterize (query) {
     throw CustomException('concrete-method', 'parameterize')
   }
 
@@ -108,7 +145,24 @@ export default class Statement {
     throw CustomException('concrete-method', 'prepare')
   }
 
+  /**
+   * Returns the number of rows affected by the last statement
+   *
+   * @returns {number}
+   */
   rowCount () {
     throw CustomException('concrete-method', 'rowCount')
   }
+
+  /**
+   * Set the default fetch mode for this statement
+   *
+   * @param {import('../Drivers/Driver.js').FetchMode} mode
+   * @returns {boolean}
+   */
+  setFetchMode (mode) {
+    this.fetchMode = mode
+
+    return true
+  }
 }
@@ -1,2 +1,5 @@
+export { default as MySqlStatement } from './MySqlStatement.js'
 export { default as PostgresStatement } from './PostgresStatement.js'
+export { default as SQLiteStatement } from './SQLiteStatement.js'
+export { default as SqlServerStatement } from './SqlServerStatement.js'
 export { default as Statement } from './Statement.js'
@@ -0,0 +1,58 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+/**
+ * The transaction state of every async context, keyed by the object that owns it.
+ *
+ * @type {AsyncLocalStorage<Map<object, any>>}
+ */
+const storage = new AsyncLocalStorage()
+
+export default class TransactionContext {
+  /**
+   * Give the current async context its own copy of the transaction state.
+   *
+   * The state stays visible to the continuations of the current context, but
+   * whatever they change is no longer seen by the contexts running beside it.
+   *
+   * @return {void}
+   */
+  static fork () {
+    storage.enterWith(new Map(storage.getStore()))
+  }
+
+  /**
+   * Get the transaction state the given owner holds in the current async context.
+   *
+   * @param  {object}  owner
+   * @return {any}
+   */
+  static get (owner) {
+    return storage.getStore()?.get(owner)
+  }
+
+  /**
+   * Run the callback with its own copy of the transaction state.
+   *
+   * @template T
+   * @param  {() => T}  callback
+   * @return {T}
+   */
+  static run (callback) {
+    return storage.run(new Map(storage.getStore()), callback)
+  }
+
+  /**
+   * Set the transaction state the given owner holds in the current async context.
+   *
+   * @param  {object}  owner
+   * @param  {any}  value
+   * @return {void}
+   */
+  static set (owner, value) {
+    if (storage.getStore() === undefined) {
+      this.fork()
+    }
+
+    storage.getStore()?.set(owner, value)
+  }
+}
@@ -1,2 +1,12 @@
 export { default as Connection } from './Connection.js'
 export { default as Grammar } from './Grammar.js'
+export { default as Model } from './Eloquent/Model.js'
+export { default as ModelNotFoundException } from './Eloquent/ModelNotFoundException.js'
+export { default as MorphPivot } from './Eloquent/Relations/MorphPivot.js'
+export { default as MultipleRecordsFoundException } from './MultipleRecordsFoundException.js'
+export { default as Pivot } from './Eloquent/Relations/Pivot.js'
+export { default as RecordsNotFoundException } from './RecordsNotFoundException.js'
+export { default as Relation } from './Eloquent/Relations/Relation.js'
+export { default as Scope } from './Eloquent/Scope.js'
+export { default as SoftDeletes } from './Eloquent/SoftDeletes.js'
+export { default as SoftDeletingScope } from './Eloquent/SoftDeletingScope.js'
@@ -2,13 +2,20 @@ import Repository from '../../Config/Repository.js'
 import ConnectionFactory from '../../Database/Connectors/ConnectionFactory.js'
 import DatabaseManager from '../../Database/DatabaseManager.js'
 
+/**
+ * The database manager shared by every call, so the connections and their
+ * session pools live for as long as the process does.
+ *
+ * @type {DatabaseManager|undefined}
+ */
+let databaseManager
+
 /**
  *
  * @returns {import('../../Database/Connection.js').default}
  */
 const DB = () => {
-  // TODO: avoid the databaseManager variable instantiation
-  const databaseManager = new DatabaseManager(
+  databaseManager = databaseManager ?? new DatabaseManager(
     new ConnectionFactory(),
     new Repository()
   )
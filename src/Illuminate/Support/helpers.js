@@ -100,6 +100,41 @@ export const clone = (obj, hash = new WeakMap()) => {
   return result
 }
 
+/**
+ * Format a date using the PHP date() format characters the grammars use.
+ *
+ * @param  {Date}  date
+ * @param  {string}  format
+ * @return {string}
+ */
+export const formatDate = (date, format) => {
+  const pad = (value, length = 2) => String(value).padStart(length, '0')
+
+  const characters = {
+    d: () => pad(date.getDate()),
+    j: () => String(date.getDate()),
+    m: () => pad(date.getMonth() + 1),
+    n: () => String(date.getMonth() + 1),
+    Y: () => String(date.getFullYear()),
+    y: () => String(date.getFullYear()).slice(-2),
+    H: () => pad(date.getHours()),
+    G: () => String(date.getHours()),
+    i: () => pad(date.getMinutes()),
+    s: () => pad(date.getSeconds()),
+    v: () => pad(date.getMilliseconds(), 3),
+    u: () => pad(date.getMilliseconds() * 1000, 6),
+    U: () => String(Math.floor(date.getTime() / 1000))
+  }
+
+  return format.replace(/\\?./g, (character) => {
+    if (character.length > 1) {
+      return character.slice(1)
+    }
+
+    return characters[character]?.() ?? character
+  })
+}
+
 export const explode = (delimiter, string, limit = 0) => {
   if (delimiter === '' || typeof delimiter !== 'string') {
     throw new Error('Invalid delimiter')
@@ -406,7 +441,8 @@ export const versionCompare = (version1, version2, operator = '=') => {
     return compareNumbers(a, b, operator)
   }
 
-  return true // Versions are equal
+  // The versions are equal, so only the inclusive operators are satisfied.
+  return compareNumbers(0, 0, operator)
 }
 
 export const compareNumbers = (a, b, operator) => {
@@ -0,0 +1,217 @@
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import getBuilder from './helpers/getBuilder.js'
+import getMySqlBuilder from './helpers/getMySqlBuilder.js'
+import getPostgresBuilder from './helpers/getPostgresBuilder.js'
+import getSQLiteBuilder from './helpers/getSQLiteBuilder.js'
+import getSqlServerBuilder from './helpers/getSqlServerBuilder.js'
+import mock from '../helpers/mock.js'
+
+test('testWithExpression', t => {
+  let builder = getBuilder()
+  builder.select('*').from('u').withExpression('u', (query) => {
+    query.select('id').from('users').where('active', true)
+  }).where('id', '>', 5)
+  t.is(builder.toSql(), 'with "u" as (select "id" from "users" where "active" = ?) select * from "u" where "id" > ?')
+  t.deepEqual(builder.getBindings(), [true, 5])
+
+  builder = getBuilder()
+  builder.from('u').withExpression('u', getBuilder().from('users'), ['id', 'name']).withExpression('p', 'select 1')
+  t.is(builder.toSql(), 'with "u" ("id", "name") as (select * from "users"), "p" as (select 1) select * from "u"')
+
+  builder = getMySqlBuilder()
+  builder.from('u').withExpression('u', getMySqlBuilder().from('users'))
+  t.is(builder.toSql(), 'with `u` as (select * from `users`) select * from `u`')
+})
+
+test('testWithRecursiveExpression', t => {
+  const query = getBuilder()
+    .selectRaw('1')
+    .unionAll(getBuilder().selectRaw('number + 1').from('numbers').where('number', '<', 10))
+
+  let builder = getBuilder()
+  builder.from('numbers').withRecursiveExpression('numbers', query, ['number'])
+  t.is(builder.toSql(), 'with recursive "numbers" ("number") as ((select 1) union all (select number + 1 from "numbers" where "number" < ?)) select * from "numbers"')
+  t.deepEqual(builder.getBindings(), [10])
+
+  builder = getSQLiteBuilder()
+  builder.from('numbers').withRecursiveExpression('numbers', getSQLiteBuilder()
+    .selectRaw('1')
+    .unionAll(getSQLiteBuilder().selectRaw('number + 1').from('numbers').where('number', '<', 10)), ['number'])
+  t.is(builder.toSql(), 'with recursive "numbers" ("number") as (select 1 union all select number + 1 from "numbers" where "number" < ?) select * from "numbers"')
+  t.deepEqual(builder.getBindings(), [10])
+
+  builder = getSqlServerBuilder()
+  builder.from('numbers').withRecursiveExpression('numbers', 'select 1 union all select number + 1 from numbers', ['number'])
+  t.is(builder.toSql(), ';with [numbers] ([number]) as (select 1 union all select number + 1 from numbers) select * from [numbers]')
+})
+
+test('testWithMaterializedExpressionOnPostgres', t => {
+  let builder = getPostgresBuilder()
+  builder.from('u').withMaterializedExpression('u', getPostgresBuilder().from('users'))
+  t.is(builder.toSql(), 'with "u" as materialized (select * from "users") select * from "u"')
+
+  builder = getPostgresBuilder()
+  builder.from('u').withNonMaterializedExpression('u', getPostgresBuilder().from('users'))
+  t.is(builder.toSql(), 'with "u" as not materialized (select * from "users") select * from "u"')
+
+  builder = getBuilder()
+  builder.from('u').withMaterializedExpression('u', getBuilder().from('users'))
+  t.is(builder.toSql(), 'with "u" as (select * from "users") select * from "u"')
+})
+
+test('testWithExpressionAndUnionsOrAggregates', async t => {
+  let builder = getBuilder()
+  builder.from('u').withExpression('u', getBuilder().from('users').where('id', 1))
+    .union(getBuilder().from('u').where('id', 2))
+  t.is(builder.toSql(), 'with "u" as (select * from "users" where "id" = ?) (select * from "u") union (select * from "u" where "id" = ?)')
+  t.deepEqual(builder.getBindings(), [1, 2])
+
+  const { createMock, verifyMock } = mock()
+
+  builder = getBuilder()
+  createMock(builder.getConnection()).expects('select').once().withArgs('with "u" as (select * from "users" where "id" = ?) select count(*) as aggregate from "u"', [1]).resolves([{ aggregate: 1 }])
+  t.is(await builder.from('u').withExpression('u', getBuilder().from('users').where('id', 1)).count(), 1)
+
+  verifyMock()
+})
+
+test('testUpdateWithExpression', async t => {
+  const { createMock, verifyMock } = mock()
+
+  let builder = getBuilder()
+  createMock(builder.getConnection()).expects('update').once().withArgs('with "u" as (select "id" from "users" where "active" = ?) update "users" set "name" = ? where "id" in (select "id" from "u")', [true, 'foo']).resolves(1)
+  let result = await builder.from('users')
+    .withExpression('u', getBuilder().select('id').from('users').where('active', true))
+    .whereIn('id', getBuilder().select('id').from('u'))
+    .update({ name: 'foo' })
+  t.is(result, 1)
+
+  builder = getPostgresBuilder()
+  createMock(builder.getConnection()).expects('update').once().withArgs('with "u" as (select "id" from "users" where "active" = ?) update "users" set "name" = ? where "ctid" in (select "users"."ctid" from "users" inner join "u" on "u"."id" = "users"."id" where "users"."id" > ?)', [true, 'foo', 5]).resolves(1)
+  result = await builder.from('users')
+    .withExpression('u', getPostgresBuilder().select('id').from('users').where('active', true))
+    .join('u', 'u.id', '=', 'users.id')
+    .where('users.id', '>', 5)
+    .update({ name: 'foo' })
+  t.is(result, 1)
+
+  builder = getPostgresBuilder()
+  createMock(builder.getConnection()).expects('update').once().withArgs('with "u" as (select "id" from "users" where "active" = ?) update "users" set "name" = ? from "u" where "users"."id" > ? and "u"."id" = "users"."id"', [true, 'foo', 5]).resolves(1)
+  result = await builder.from('users')
+    .withExpression('u', getPostgresBuilder().select('id').from('users').where('active', true))
+    .join('u', 'u.id', '=', 'users.id')
+    .where('users.id', '>', 5)
+    .updateFrom({ name: 'foo' })
+  t.is(result, 1)
+
+  builder = getSqlServerBuilder()
+  createMock(builder.getConnection()).expects('update').once().withArgs(';with [u] as (select [id] from [users] where [active] = ?) update [users] set [name] = ? where [id] in (select [id] from [u])', [true, 'foo']).resolves(1)
+  result = await builder.from('users')
+    .withExpression('u', getSqlServerBuilder().select('id').from('users').where('active', true))
+    .whereIn('id', getSqlServerBuilder().select('id').from('u'))
+    .update({ name: 'foo' })
+  t.is(result, 1)
+
+  verifyMock()
+})
+
+test('testDeleteWithExpression', async t => {
+  const { createMock, verifyMock } = mock()
+
+  let builder = getBuilder()
+  createMock(builder.getConnection()).expects('delete').once().withArgs('with "u" as (select "id" from "users" where "active" = ?) delete from "users" where "id" in (select "id" from "u")', [false]).resolves(1)
+  let result = await builder.from('users')
+    .withExpression('u', getBuilder().select('id').from('users').where('active', false))
+    .whereIn('id', getBuilder().select('id').from('u'))
+    .delete()
+  t.is(result, 1)
+
+  builder = getSQLiteBuilder()
+  createMock(builder.getConnection()).expects('delete').once().withArgs('with "u" as (select "id" from "users" where "active" = ?) delete from "users" where "rowid" in (select "users"."rowid" from "users" inner join "u" on "u"."id" = "users"."id" limit 3)', [false]).resolves(1)
+  result = await builder.from('users')
+    .withExpression('u', getSQLiteBuilder().select('id').from('users').where('active', false))
+    .join('u', 'u.id', '=', 'users.id')
+    .limit(3)
+    .delete()
+  t.is(result, 1)
+
+  verifyMock()
+})
+
+test('testInsertUsingWithExpression', async t => {
+  const { createMock, verifyMock } = mock()
+
+  let builder = getBuilder()
+  createMock(builder.getConnection()).expects('affectingStatement').once().withArgs('insert into "archive" ("id") with "u" as (select "id" from "users" where "active" = ?) select "id" from "u" where "id" > ?', [false, 5]).resolves(1)
+  let result = await builder.from('archive')
+    .withExpression('u', getBuilder().select('id').from('users').where('active', false))
+    .insertUsing(['id'], getBuilder().select('id').from('u').where('id', '>', 5))
+  t.is(result, 1)
+
+  builder = getSqlServerBuilder()
+  createMock(builder.getConnection()).expects('affectingStatement').once().withArgs(';with [u] as (select [id] from [users] where [active] = ?) insert into [archive] ([id]) select [id] from [u] where [id] > ?', [false, 5]).resolves(1)
+  result = await builder.from('archive')
+    .withExpression('u', getSqlServerBuilder().select('id').from('users').where('active', false))
+    .insertUsing(['id'], getSqlServerBuilder().select('id').from('u').where('id', '>', 5))
+  t.is(result, 1)
+
+  verifyMock()
+})
+
+test('testRecursiveExpressionsAreExecuted', async t => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  await connection.getSchemaBuilder().create('categories', (table) => {
+    table.id()
+    table.integer('parent_id').nullable()
+    table.string('name')
+  })
+
+  await connection.table('categories').insert([
+    { id: 1, parent_id: null, name: 'root' },
+    { id: 2, parent_id: 1, name: 'child' },
+    { id: 3, parent_id: 2, name: 'grandchild' },
+    { id: 4, parent_id: null, name: 'other' }
+  ])
+
+  const tree = connection.query()
+    .select('id', 'name').selectRaw('0')
+    .from('categories')
+    .where('id', 1)
+    .unionAll(
+      connection.query()
+        .select('categories.id', 'categories.name').selectRaw('tree.depth + 1')
+        .from('categories')
+        .join('tree', 'tree.id', '=', 'categories.parent_id')
+    )
+
+  const rows = await connection.query()
+    .from('tree')
+    .withRecursiveExpression('tree', tree, ['id', 'name', 'depth'])
+    .orderBy('depth')
+    .get()
+
+  t.deepEqual(rows.all(), [
+    { id: 1, name: 'root', depth: 0 },
+    { id: 2, name: 'child', depth: 1 },
+    { id: 3, name: 'grandchild', depth: 2 }
+  ])
+
+  await connection.query()
+    .from('categories')
+    .withRecursiveExpression('tree', tree, ['id', 'name', 'depth'])
+    .whereIn('id', connection.query().select('id').from('tree'))
+    .update({ name: 'updated' })
+
+  t.deepEqual((await connection.query().from('categories').where('name', 'updated').pluck('id')).all(), [1, 2, 3])
+
+  await connection.query()
+    .from('categories')
+    .withRecursiveExpression('tree', tree, ['id', 'name', 'depth'])
+    .whereIn('id', connection.query().select('id').from('tree'))
+    .delete()
+
+  t.deepEqual((await connection.query().from('categories').pluck('name')).all(), ['other'])
+})
@@ -0,0 +1,193 @@
+import { Writable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+import PostgresStatement from '../../src/Illuminate/Database/Statements/PostgresStatement.js'
+
+class DatabaseCursorTestUser extends Model {
+  static table = 'users'
+
+  static guarded = []
+
+  static timestamps = false
+}
+
+const getConnection = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  await connection.statement('create table "users" ("id" integer primary key autoincrement, "name" varchar not null)')
+
+  await connection.table('users').insert(['taylor', 'abigail', 'dayle'].map(name => ({ name })))
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  return connection
+}
+
+test.serial('testCursorYieldsTheRowsOneAtATime', async t => {
+  const connection = await getConnection()
+
+  const cursor = connection.cursor('select * from "users" where "id" > ?', [1])
+
+  t.is(typeof cursor[Symbol.asyncIterator], 'function')
+  t.deepEqual(await cursor.next(), { done: false, value: { id: 2, name: 'abigail' } })
+  t.deepEqual(await cursor.next(), { done: false, value: { id: 3, name: 'dayle' } })
+  t.deepEqual(await cursor.next(), { done: true, value: undefined })
+
+  const names = []
+
+  for await (const user of connection.table('users').orderBy('id', 'desc').cursor()) {
+    names.push(user.name)
+  }
+
+  t.deepEqual(names, ['dayle', 'abigail', 'taylor'])
+})
+
+test.serial('testCursorReleasesTheStatementWhenClosedEarly', async t => {
+  const connection = await getConnection()
+
+  const cursor = connection.table('users').cursor()
+
+  t.is((await cursor.next()).value.name, 'taylor')
+
+  await cursor.return()
+
+  t.is(await connection.table('users').where('id', 1).update({ name: 'otwell' }), 1)
+  t.is((await connection.table('users').find(1)).name, 'otwell')
+})
+
+test.serial('testSQLiteCursorKeepsTheHandleBusyForWritesUntilClosed', async t => {
+  const connection = await getConnection()
+
+  const cursor = connection.table('users').cursor()
+
+  t.is((await cursor.next()).value.name, 'taylor')
+  t.is(await connection.table('users').count(), 3)
+
+  await t.throwsAsync(connection.table('users').where('id', 1).update({ name: 'otwell' }), {
+    message: /This database connection is busy executing a query/
+  })
+
+  await cursor.return()
+
+  t.is(await connection.table('users').where('id', 1).update({ name: 'otwell' }), 1)
+})
+
+test.serial('testCursorReportsQueryErrorsWhenIterated', async t => {
+  const connection = await getConnection()
+
+  const cursor = connection.cursor('select * from "missing"')
+
+  await t.throwsAsync(cursor.next(), { message: /no such table: missing \(Connection: sqlite, SQL: select \* from "missing"\)/ })
+
+  t.deepEqual(await cursor.next(), { done: true, value: undefined })
+})
+
+test.serial('testEloquentCursorHydratesModels', async t => {
+  await getConnection()
+
+  const users = []
+
+  for await (const user of DatabaseCursorTestUser.where('id', '<', 3).cursor()) {
+    users.push(user)
+  }
+
+  t.true(users.every(user => user instanceof DatabaseCursorTestUser && user.exists))
+  t.deepEqual(users.map(user => user.name), ['taylor', 'abigail'])
+})
+
+test.serial('testQueriesCanBeStreamedToAWritable', async t => {
+  await getConnection()
+
+  const chunks = []
+
+  await pipeline(
+    DatabaseCursorTestUser.query().orderBy('id').stream(),
+    async function * (users) {
+      for await (const user of users) {
+        yield JSON.stringify(user) + '\n'
+      }
+    },
+    new Writable({
+      write (chunk, encoding, callback) {
+        chunks.push(chunk.toString())
+
+        callback()
+      }
+    })
+  )
+
+  t.deepEqual(chunks, [
+    '{"id":1,"name":"taylor"}\n',
+    '{"id":2,"name":"abigail"}\n',
+    '{"id":3,"name":"dayle"}\n'
+  ])
+})
+
+const getPostgresStatement = (batches, { inTransaction = false } = {}) => {
+  const client = {
+    queries: [],
+
+    async query (query) {
+      this.queries.push(typeof query === 'string' ? query : [query.text, query.values])
+
+      return { rows: typeof query === 'string' || query.text.startsWith('declare') ? [] : batches.shift() ?? [] }
+    }
+  }
+
+  const driver = {
+    released: [],
+
+    inTransaction: () => inTransaction,
+
+    acquire: async () => client,
+
+    release (session, error) {
+      this.released.push([session, error])
+    }
+  }
+
+  const statement = new PostgresStatement('', {}, 'select * from "users" where "id" > ?', driver)
+
+  statement.fetchSize = 2
+
+  return { client, driver, statement }
+}
+
+test('testPostgresCursorFetchesFromAServerSideCursorInBatches', async t => {
+  const { client, driver, statement } = getPostgresStatement([[{ id: 2 }, { id: 3 }], [{ id: 4 }]])
+
+  const ids = []
+
+  for await (const row of statement.cursor([1])) {
+    ids.push(row.id)
+  }
+
+  const [, declare] = client.queries[1][0].match(/^declare (\w+) no scroll cursor for select \* from "users" where "id" > \$1$/)
+
+  t.deepEqual(ids, [2, 3, 4])
+  t.deepEqual(client.queries, [
+    'begin',
+    [`declare ${declare} no scroll cursor for select * from "users" where "id" > $1`, [1]],
+    [`fetch 2 from ${declare}`, undefined],
+    [`fetch 2 from ${declare}`, undefined],
+    'commit'
+  ])
+  t.deepEqual(driver.released, [[client, undefined]])
+})
+
+test('testPostgresCursorReusesTheActiveTransaction', async t => {
+  const { client, statement } = getPostgresStatement([[{ id: 2 }, { id: 3 }], [{ id: 4 }]], { inTransaction: true })
+
+  const cursor = statement.cursor([1])
+
+  t.is((await cursor.next()).value.id, 2)
+
+  await cursor.return()
+
+  t.is(client.queries.length, 3)
+  t.regex(client.queries[2], /^close lihtne_cursor_\d+$/)
+})
@@ -0,0 +1,365 @@
+import test from 'ava'
+
+import Collection from '../../src/Illuminate/Collections/Collection.js'
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import CastsAttributes from '../../src/Illuminate/Contracts/Database/Eloquent/CastsAttributes.js'
+import Encrypter from '../../src/Illuminate/Contracts/Encryption/Encrypter.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+
+class Address {
+  constructor (lineOne, lineTwo) {
+    this.lineOne = lineOne
+    this.lineTwo = lineTwo
+  }
+}
+
+class AddressCaster extends CastsAttributes {
+  get (model, key, value, attributes) {
+    if (attributes.address_line_one === undefined) {
+      return
+    }
+
+    return new Address(attributes.address_line_one, attributes.address_line_two)
+  }
+
+  set (model, key, value, attributes) {
+    return { address_line_one: value?.lineOne, address_line_two: value?.lineTwo }
+  }
+}
+
+class UppercaseCaster extends CastsAttributes {
+  get (model, key, value, attributes) {
+    return value.toUpperCase()
+  }
+
+  set (model, key, value, attributes) {
+    return value.toLowerCase()
+  }
+}
+
+class Uppercase {
+  static castUsing (args) {
+    return UppercaseCaster
+  }
+}
+
+const base64Encrypter = {
+  encrypt: (value) => Buffer.from(String(value)).toString('base64'),
+  decrypt: (payload) => Buffer.from(payload, 'base64').toString()
+}
+
+class ReversingEncrypter extends Encrypter {
+  encrypt (value, serialize = true) {
+    return [...(serialize ? JSON.stringify(value) : String(value))].reverse().join('')
+  }
+
+  decrypt (payload, unserialize = true) {
+    const value = [...payload].reverse().join('')
+
+    return unserialize ? JSON.parse(value) : value
+  }
+}
+
+class EloquentModelCastingStub extends Model {
+  static table = 'casting_table'
+
+  static guarded = []
+
+  static casts = {
+    intAttribute: 'int',
+    floatAttribute: 'float',
+    stringAttribute: 'string',
+    boolAttribute: 'bool',
+    booleanAttribute: 'boolean',
+    objectAttribute: 'object',
+    arrayAttribute: 'array',
+    jsonAttribute: 'json',
+    collectionAttribute: 'collection',
+    dateAttribute: 'date',
+    datetimeAttribute: 'datetime',
+    customDateAttribute: 'date:Y-m-d',
+    timestampAttribute: 'timestamp',
+    decimalAttribute: 'decimal:2',
+    secretAttribute: 'encrypted',
+    secretArrayAttribute: 'encrypted:array',
+    address: AddressCaster,
+    name: Uppercase,
+    title: new UppercaseCaster()
+  }
+}
+
+class EloquentTestUser extends Model {
+  static table = 'users'
+
+  static guarded = []
+
+  static timestamps = false
+
+  static casts = {
+    is_admin: 'boolean',
+    options: 'array',
+    balance: 'decimal:2',
+    birthday: 'date'
+  }
+
+  posts () {
+    return this.hasMany(EloquentTestPost, 'user_id')
+  }
+}
+
+class EloquentTestPost extends Model {
+  static table = 'posts'
+
+  static guarded = []
+
+  static timestamps = false
+}
+
+const setUpResolver = () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  Model.setConnectionResolver({ connection: () => connection })
+}
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  const schema = connection.getSchemaBuilder()
+
+  await schema.create('users', (table) => {
+    table.id()
+    table.boolean('is_admin')
+    table.json('options').nullable()
+    table.decimal('balance')
+    table.date('birthday').nullable()
+  })
+
+  await schema.create('posts', (table) => {
+    table.id()
+    table.integer('user_id')
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  return connection
+}
+
+test('testAttributesAreCastOnRetrieval', t => {
+  setUpResolver()
+
+  const model = new EloquentModelCastingStub().newFromBuilder({
+    id: '1',
+    intAttribute: '3.9',
+    floatAttribute: '4.5',
+    stringAttribute: 2,
+    boolAttribute: 1,
+    booleanAttribute: '0',
+    objectAttribute: '{"foo":"bar"}',
+    arrayAttribute: '["foo","bar"]',
+    jsonAttribute: '{"foo":"bar"}',
+    collectionAttribute: '["foo","bar"]',
+    dateAttribute: '1969-07-20 22:56:00',
+    datetimeAttribute: '1969-07-20 22:56:00',
+    customDateAttribute: '1969-07-20',
+    timestampAttribute: '1969-07-20',
+    decimalAttribute: '1.015'
+  })
+
+  t.is(model.id, 1)
+  t.is(model.intAttribute, 3)
+  t.is(model.floatAttribute, 4.5)
+  t.is(model.stringAttribute, '2')
+  t.true(model.boolAttribute)
+  t.false(model.booleanAttribute)
+  t.deepEqual(model.objectAttribute, { foo: 'bar' })
+  t.deepEqual(model.arrayAttribute, ['foo', 'bar'])
+  t.deepEqual(model.jsonAttribute, { foo: 'bar' })
+  t.true(model.collectionAttribute instanceof Collection)
+  t.deepEqual(model.collectionAttribute.all(), ['foo', 'bar'])
+  t.deepEqual(model.dateAttribute, new Date(1969, 6, 20))
+  t.deepEqual(model.datetimeAttribute, new Date(1969, 6, 20, 22, 56))
+  t.deepEqual(model.customDateAttribute, new Date(1969, 6, 20))
+  t.is(model.timestampAttribute, Math.floor(new Date(1969, 6, 20).getTime() / 1000))
+  t.is(model.decimalAttribute, '1.01')
+  t.is(model.getAttributes().intAttribute, '3.9')
+})
+
+test('testNullValuesAreNotCast', t => {
+  setUpResolver()
+
+  const model = new EloquentModelCastingStub().newFromBuilder({
+    intAttribute: null,
+    boolAttribute: null,
+    arrayAttribute: null,
+    datetimeAttribute: null
+  })
+
+  t.is(model.intAttribute, null)
+  t.is(model.boolAttribute, null)
+  t.is(model.arrayAttribute, null)
+  t.is(model.datetimeAttribute, null)
+})
+
+test('testAttributesAreCastForStorage', t => {
+  setUpResolver()
+
+  const model = new EloquentModelCastingStub()
+
+  model.arrayAttribute = ['foo', 'bar']
+  model.objectAttribute = { foo: 'bar' }
+  model.collectionAttribute = new Collection(['foo'])
+  model.datetimeAttribute = new Date(1969, 6, 20, 22, 56)
+  model.dateAttribute = '1969-07-20'
+
+  t.deepEqual(model.getAttributes(), {
+    arrayAttribute: '["foo","bar"]',
+    objectAttribute: '{"foo":"bar"}',
+    collectionAttribute: '["foo"]',
+    datetimeAttribute: '1969-07-20 22:56:00',
+    dateAttribute: '1969-07-20 00:00:00'
+  })
+})
+
+test('testEncryptedAttributesAreEncryptedAndDecrypted', t => {
+  setUpResolver()
+
+  t.throws(() => { new EloquentModelCastingStub().secretAttribute = 'secret' }, {
+    message: 'RuntimeException: No encrypter has been set, call Model.encryptUsing() before using the encrypted casts.'
+  })
+
+  Model.encryptUsing(base64Encrypter)
+
+  const model = new EloquentModelCastingStub()
+
+  model.secretAttribute = 'secret'
+  model.secretArrayAttribute = { foo: 'bar' }
+
+  t.is(model.getAttributes().secretAttribute, 'c2VjcmV0')
+  t.is(model.secretAttribute, 'secret')
+  t.deepEqual(model.secretArrayAttribute, { foo: 'bar' })
+
+  Model.encryptUsing(undefined)
+})
+
+test('testEncryptedAttributesRoundTripThroughTheEncrypter', t => {
+  setUpResolver()
+
+  t.throws(() => new Encrypter().encrypt('secret'), { message: 'RuntimeException: Implement encrypt method on concrete class.' })
+  t.throws(() => new Encrypter().decrypt('terces'), { message: 'RuntimeException: Implement decrypt method on concrete class.' })
+
+  Model.encryptUsing(new ReversingEncrypter())
+
+  const model = new EloquentModelCastingStub()
+
+  model.secretAttribute = 'secret'
+  model.secretArrayAttribute = { foo: 'bar' }
+
+  t.is(model.getAttributes().secretAttribute, 'terces')
+
+  const retrieved = new EloquentModelCastingStub().newFromBuilder(model.getAttributes())
+
+  t.is(retrieved.secretAttribute, 'secret')
+  t.deepEqual(retrieved.secretArrayAttribute, { foo: 'bar' })
+
+  Model.encryptUsing(undefined)
+})
+
+test('testCustomCastClasses', t => {
+  setUpResolver()
+
+  const model = new EloquentModelCastingStub()
+
+  model.address = new Address('110 Kingsbrook St.', 'My Childhood House')
+
+  t.is(model.getAttributes().address_line_one, '110 Kingsbrook St.')
+  t.is(model.address.lineOne, '110 Kingsbrook St.')
+
+  // Mutations of the cast object are written back to the attributes.
+  model.address.lineOne = '117 Spencer St.'
+
+  t.is(model.getAttributes().address_line_one, '117 Spencer St.')
+
+  model.name = 'Taylor'
+  model.title = 'Developer'
+
+  t.is(model.getAttributes().name, 'taylor')
+  t.is(model.name, 'TAYLOR')
+  t.is(model.getAttributes().title, 'developer')
+  t.is(model.title, 'DEVELOPER')
+})
+
+test('testUndefinedCastsThrow', t => {
+  setUpResolver()
+
+  const model = new EloquentModelCastingStub().mergeCasts({ foo: 'undefined_cast' })
+
+  t.throws(() => { model.foo = 'bar' }, {
+    message: 'InvalidCastException: Call to undefined cast [undefined_cast] on column [foo] in model [EloquentModelCastingStub].'
+  })
+})
+
+test('testDirtyChecksCompareTheCastValues', t => {
+  setUpResolver()
+
+  const model = new EloquentModelCastingStub().newFromBuilder({
+    intAttribute: '1',
+    floatAttribute: '0.1',
+    objectAttribute: '{"foo": "bar"}',
+    datetimeAttribute: '1969-07-20 22:56:00'
+  })
+
+  model.intAttribute = 1
+  model.floatAttribute = 0.1
+  model.objectAttribute = { foo: 'bar' }
+  model.datetimeAttribute = new Date(1969, 6, 20, 22, 56)
+
+  t.false(model.isDirty())
+
+  model.objectAttribute = { foo: 'baz' }
+
+  t.deepEqual(Object.keys(model.getDirty()), ['objectAttribute'])
+})
+
+test.serial('testCastsAreAppliedOnHydrationAndSave', async t => {
+  const connection = await setUpDatabase()
+
+  const user = await EloquentTestUser.create({
+    is_admin: true,
+    options: { theme: 'dark' },
+    balance: 10.5,
+    birthday: new Date(1990, 0, 15)
+  })
+
+  t.deepEqual(await connection.table('users').first(), {
+    id: 1, is_admin: 1, options: '{"theme":"dark"}', balance: 10.5, birthday: '1990-01-15 00:00:00'
+  })
+
+  const fresh = await EloquentTestUser.find(user.id)
+
+  t.true(fresh.is_admin)
+  t.deepEqual(fresh.options, { theme: 'dark' })
+  t.is(fresh.balance, '10.50')
+  t.deepEqual(fresh.birthday, new Date(1990, 0, 15))
+
+  fresh.options = { ...fresh.options, theme: 'light' }
+
+  t.true(await fresh.save())
+  t.deepEqual((await EloquentTestUser.find(1)).options, { theme: 'light' })
+})
+
+test.serial('testQueryTimeCasts', async t => {
+  await setUpDatabase()
+
+  const user = await EloquentTestUser.create({ is_admin: false, balance: 0 })
+
+  await user.posts().create({})
+
+  const users = await EloquentTestUser.query()
+    .withExists('posts')
+    .withCount('posts')
+    .withCasts({ posts_count: 'string' })
+    .get()
+
+  t.true(users.first().posts_exists)
+  t.is(users.first().posts_count, '1')
+})
@@ -0,0 +1,165 @@
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+
+class EloquentCreateOrFirstTestUser extends Model {
+  static table = 'users'
+
+  static guarded = []
+
+  posts () {
+    return this.hasMany(EloquentCreateOrFirstTestPost, 'user_id')
+  }
+}
+
+class EloquentCreateOrFirstTestPost extends Model {
+  static table = 'posts'
+
+  static guarded = []
+}
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  const schema = connection.getSchemaBuilder()
+
+  await schema.create('users', (table) => {
+    table.id()
+    table.string('email').unique()
+    table.string('name')
+    table.timestamps()
+  })
+
+  await schema.create('posts', (table) => {
+    table.id()
+    table.integer('user_id')
+    table.string('slug').unique()
+    table.string('title')
+    table.timestamps()
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  return connection
+}
+
+test.serial('testFirstOrNewReturnsTheExistingOrAnUnsavedModel', async t => {
+  const connection = await setUpDatabase()
+
+  await EloquentCreateOrFirstTestUser.create({ email: 'taylor@laravel.com', name: 'taylor' })
+
+  const existing = await EloquentCreateOrFirstTestUser.firstOrNew({ email: 'taylor@laravel.com' }, { name: 'otwell' })
+
+  t.true(existing.exists)
+  t.is(existing.name, 'taylor')
+
+  const fresh = await EloquentCreateOrFirstTestUser.firstOrNew({ email: 'abigail@laravel.com' }, { name: 'abigail' })
+
+  t.false(fresh.exists)
+  t.deepEqual(fresh.getAttributes(), { email: 'abigail@laravel.com', name: 'abigail' })
+  t.is(await connection.table('users').count(), 1)
+})
+
+test.serial('testFirstOrCreateOnlyInsertsMissingRecords', async t => {
+  const connection = await setUpDatabase()
+
+  const created = await EloquentCreateOrFirstTestUser.firstOrCreate({ email: 'taylor@laravel.com' }, { name: 'taylor' })
+
+  t.true(created.wasRecentlyCreated)
+  t.is(created.id, 1)
+
+  const found = await EloquentCreateOrFirstTestUser.firstOrCreate({ email: 'taylor@laravel.com' }, { name: 'otwell' })
+
+  t.false(found.wasRecentlyCreated)
+  t.is(found.id, 1)
+  t.is(found.name, 'taylor')
+  t.is(await connection.table('users').count(), 1)
+})
+
+test.serial('testCreateOrFirstFallsBackToSelectOnUniqueConstraintViolations', async t => {
+  const connection = await setUpDatabase()
+
+  await connection.table('users').insert({ email: 'taylor@laravel.com', name: 'taylor' })
+
+  connection.enableQueryLog()
+
+  const user = await EloquentCreateOrFirstTestUser.createOrFirst({ email: 'taylor@laravel.com' }, { name: 'otwell' })
+
+  t.false(user.wasRecentlyCreated)
+  t.is(user.id, 1)
+  t.is(user.name, 'taylor')
+  t.deepEqual(connection.getQueryLog().map(({ query }) => query), [
+    'select * from "users" where ("email" = ?) limit 1'
+  ])
+
+  const created = await EloquentCreateOrFirstTestUser.createOrFirst({ email: 'abigail@laravel.com' }, { name: 'abigail' })
+
+  t.true(created.wasRecentlyCreated)
+  t.is(created.id, 2)
+
+  await t.throwsAsync(EloquentCreateOrFirstTestUser.createOrFirst({ email: 'dayle@laravel.com' }), {
+    message: /NOT NULL constraint failed/
+  })
+})
+
+test.serial('testCreateOrFirstUsesASavepointInsideTransactions', async t => {
+  const connection = await setUpDatabase()
+
+  await connection.table('users').insert({ email: 'taylor@laravel.com', name: 'taylor' })
+
+  const user = await connection.transaction(async () => {
+    const user = await EloquentCreateOrFirstTestUser.createOrFirst({ email: 'taylor@laravel.com' }, { name: 'otwell' })
+
+    await EloquentCreateOrFirstTestUser.create({ email: 'abigail@laravel.com', name: 'abigail' })
+
+    return user
+  })
+
+  t.is(user.name, 'taylor')
+  t.is(await connection.table('users').count(), 2)
+})
+
+test.serial('testUpdateOrCreateUpdatesOrInsertsTheRecord', async t => {
+  const connection = await setUpDatabase()
+
+  const created = await EloquentCreateOrFirstTestUser.updateOrCreate({ email: 'taylor@laravel.com' }, { name: 'taylor' })
+
+  t.true(created.wasRecentlyCreated)
+
+  const updated = await EloquentCreateOrFirstTestUser.updateOrCreate({ email: 'taylor@laravel.com' }, { name: 'otwell' })
+
+  t.false(updated.wasRecentlyCreated)
+  t.is(updated.id, created.id)
+  t.is(updated.name, 'otwell')
+  t.deepEqual(await connection.table('users').pluck('name').then(names => names.all()), ['otwell'])
+})
+
+test.serial('testHasManyRelationsScopeTheLookupsToTheParent', async t => {
+  const connection = await setUpDatabase()
+
+  const taylor = await EloquentCreateOrFirstTestUser.create({ email: 'taylor@laravel.com', name: 'taylor' })
+  const abigail = await EloquentCreateOrFirstTestUser.create({ email: 'abigail@laravel.com', name: 'abigail' })
+
+  await abigail.posts().create({ slug: 'hello', title: 'Hello' })
+
+  const post = await taylor.posts().firstOrNew({ title: 'Hello' }, { slug: 'hello-taylor' })
+
+  t.false(post.exists)
+  t.is(post.user_id, taylor.id)
+
+  const created = await taylor.posts().firstOrCreate({ title: 'Hello' }, { slug: 'hello-taylor' })
+
+  t.true(created.wasRecentlyCreated)
+  t.is(created.user_id, taylor.id)
+
+  const first = await taylor.posts().createOrFirst({ slug: 'hello-taylor' }, { title: 'Other' })
+
+  t.is(first.id, created.id)
+  t.is(first.title, 'Hello')
+
+  await taylor.posts().updateOrCreate({ slug: 'hello-taylor' }, { title: 'Updated' })
+
+  t.is((await connection.table('posts').find(created.id)).title, 'Updated')
+  t.is(await connection.table('posts').count(), 2)
+})
@@ -0,0 +1,250 @@
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Collection from '../../src/Illuminate/Database/Eloquent/Collection.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+
+class EloquentTestUser extends Model {
+  static table = 'users'
+
+  static guarded = []
+
+  posts () {
+    return this.hasMany(EloquentTestPost, 'user_id')
+  }
+
+  roles () {
+    return this.belongsToMany(EloquentTestRole, 'role_user', 'user_id', 'role_id')
+  }
+
+  friends () {
+    return this.hasMany(EloquentTestUser, 'friend_id')
+  }
+}
+
+class EloquentTestPost extends Model {
+  static table = 'posts'
+
+  static guarded = []
+
+  user () {
+    return this.belongsTo(EloquentTestUser)
+  }
+
+  comments () {
+    return this.hasMany(EloquentTestComment, 'post_id')
+  }
+}
+
+class EloquentTestComment extends Model {
+  static table = 'comments'
+
+  static guarded = []
+}
+
+class EloquentTestRole extends Model {
+  static table = 'roles'
+
+  static guarded = []
+}
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  const schema = connection.getSchemaBuilder()
+
+  await schema.create('users', (table) => {
+    table.id()
+    table.integer('friend_id').nullable()
+    table.string('name')
+    table.timestamps()
+  })
+
+  await schema.create('posts', (table) => {
+    table.id()
+    table.integer('user_id')
+    table.string('title')
+    table.integer('votes').default(0)
+    table.timestamps()
+  })
+
+  await schema.create('comments', (table) => {
+    table.id()
+    table.integer('post_id')
+    table.string('body')
+    table.timestamps()
+  })
+
+  await schema.create('roles', (table) => {
+    table.id()
+    table.string('name')
+    table.timestamps()
+  })
+
+  await schema.create('role_user', (table) => {
+    table.integer('user_id')
+    table.integer('role_id')
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  const taylor = await EloquentTestUser.create({ name: 'taylor' })
+
+  await EloquentTestUser.create({ name: 'abigail' })
+
+  const first = await taylor.posts().create({ title: 'First', votes: 3 })
+
+  await taylor.posts().create({ title: 'Second', votes: 5 })
+
+  await first.comments().create({ body: 'Nice' })
+  await first.comments().create({ body: 'Great' })
+
+  await EloquentTestRole.create({ name: 'admin' })
+
+  await taylor.roles().attach(1)
+
+  return connection
+}
+
+const setUpResolver = () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  Model.setConnectionResolver({ connection: () => connection })
+}
+
+test('testWithParsesNestedAndConstrainedRelations', t => {
+  setUpResolver()
+
+  const constraint = () => {}
+
+  let builder = EloquentTestUser.with('posts.comments', 'roles')
+
+  t.deepEqual(Object.keys(builder.getEagerLoads()), ['posts', 'posts.comments', 'roles'])
+
+  builder = EloquentTestUser.with({ posts: constraint }).with('roles', constraint)
+
+  t.deepEqual(Object.keys(builder.getEagerLoads()), ['posts', 'roles'])
+
+  builder = EloquentTestUser.with(['posts:id,title', { roles: ['users'] }])
+
+  t.deepEqual(Object.keys(builder.getEagerLoads()), ['roles', 'roles.users', 'posts'])
+
+  builder.without('roles.users')
+
+  t.deepEqual(Object.keys(builder.getEagerLoads()), ['roles', 'posts'])
+
+  builder.withOnly('posts')
+
+  t.deepEqual(Object.keys(builder.getEagerLoads()), ['posts'])
+})
+
+test('testWithCountAndAggregatesAreAddedAsSubSelects', t => {
+  setUpResolver()
+
+  let builder = EloquentTestUser.query().withCount('posts').withSum('posts', 'votes').withExists('roles')
+
+  t.is(builder.toSql(), 'select "users".*, ' +
+    '(select count(*) from "posts" where "users"."id" = "posts"."user_id") as "posts_count", ' +
+    '(select sum("posts"."votes") from "posts" where "users"."id" = "posts"."user_id") as "posts_sum_votes", ' +
+    'exists(select * from "roles" inner join "role_user" on "roles"."id" = "role_user"."role_id" where "users"."id" = "role_user"."user_id") as "roles_exists" ' +
+    'from "users"')
+
+  builder = EloquentTestUser.query().select('id').withCount({ 'posts as popular_count': query => query.where('votes', '>', 4) })
+
+  t.is(builder.toSql(), 'select "id", (select count(*) from "posts" where "users"."id" = "posts"."user_id" and "votes" > ?) as "popular_count" from "users"')
+  t.deepEqual(builder.getBindings(), [4])
+
+  builder = EloquentTestPost.query().withMax('user', 'id')
+
+  t.is(builder.toSql(), 'select "posts".*, (select max("users"."id") from "users" where "posts"."user_id" = "users"."id") as "user_max_id" from "posts"')
+
+  builder = EloquentTestUser.query().withCount('friends')
+
+  t.regex(builder.toSql(), /^select "users"\.\*, \(select count\(\*\) from "users" as "laravel_reserved_\d+" where "users"\."id" = "laravel_reserved_\d+"\."friend_id"\) as "friends_count" from "users"$/)
+})
+
+test('testEagerLoadingAnUndefinedRelationThrows', async t => {
+  setUpResolver()
+
+  await t.throwsAsync(() => EloquentTestUser.with('missing').eagerLoadRelations([new EloquentTestUser()]), {
+    message: 'RelationNotFoundException: Call to undefined relationship [missing] on model [EloquentTestUser].'
+  })
+})
+
+test.serial('testNestedRelationsAreEagerLoadedWithOneQueryPerRelation', async t => {
+  const connection = await setUpDatabase()
+
+  connection.enableQueryLog()
+
+  const users = await EloquentTestUser.with('posts.comments', 'roles').get()
+
+  t.is(connection.getQueryLog().length, 4)
+  t.true(users instanceof Collection)
+
+  const [taylor, abigail] = users.all()
+
+  t.deepEqual(taylor.getRelation('posts').map(post => post.title).all(), ['First', 'Second'])
+  t.deepEqual(taylor.getRelation('posts').first().getRelation('comments').map(comment => comment.body).all(), ['Nice', 'Great'])
+  t.is(taylor.getRelation('posts').last().getRelation('comments').count(), 0)
+  t.deepEqual(taylor.getRelation('roles').map(role => role.name).all(), ['admin'])
+  t.is(abigail.getRelation('posts').count(), 0)
+  t.is(abigail.getRelation('roles').count(), 0)
+})
+
+test.serial('testConstrainedEagerLoads', async t => {
+  await setUpDatabase()
+
+  const taylor = await EloquentTestUser.with({ posts: query => query.where('votes', '>', 4) }).find(1)
+
+  t.deepEqual(taylor.getRelation('posts').map(post => post.title).all(), ['Second'])
+
+  const posts = await EloquentTestPost.with('user:id,name').get()
+
+  t.deepEqual(posts.first().getRelation('user').getAttributes(), { id: 1, name: 'taylor' })
+})
+
+test.serial('testLoadAndLoadMissing', async t => {
+  const connection = await setUpDatabase()
+
+  const posts = await EloquentTestPost.all()
+
+  await posts.load('user')
+
+  t.deepEqual(posts.map(post => post.getRelation('user').name).all(), ['taylor', 'taylor'])
+
+  connection.enableQueryLog()
+
+  await posts.loadMissing('user', 'comments')
+
+  t.is(connection.getQueryLog().length, 1)
+  t.is(posts.first().getRelation('comments').count(), 2)
+
+  const user = await EloquentTestUser.find(1)
+
+  await user.load({ posts: query => query.where('title', 'First') })
+
+  t.deepEqual(user.getRelation('posts').map(post => post.title).all(), ['First'])
+
+  connection.flushQueryLog()
+
+  await user.loadMissing('posts.comments')
+
+  t.is(connection.getQueryLog().length, 1)
+  t.is(user.getRelation('posts').first().getRelation('comments').count(), 2)
+  t.deepEqual(posts.modelKeys(), [1, 2])
+})
+
+test.serial('testAggregatesAreSelectedWithTheModels', async t => {
+  await setUpDatabase()
+
+  const users = await EloquentTestUser.query()
+    .withCount('posts')
+    .withSum('posts', 'votes')
+    .withExists('roles')
+    .get()
+
+  t.deepEqual(users.map(user => [user.posts_count, user.posts_sum_votes, Boolean(user.roles_exists)]).all(), [
+    [2, 8, true],
+    [0, null, false]
+  ])
+})
@@ -0,0 +1,99 @@
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+import ModelNotFoundException from '../../src/Illuminate/Database/Eloquent/ModelNotFoundException.js'
+import MultipleRecordsFoundException from '../../src/Illuminate/Database/MultipleRecordsFoundException.js'
+import RecordsNotFoundException from '../../src/Illuminate/Database/RecordsNotFoundException.js'
+
+class EloquentFindersTestUser extends Model {
+  static table = 'users'
+
+  static guarded = []
+}
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  await connection.getSchemaBuilder().create('users', (table) => {
+    table.id()
+    table.string('name')
+    table.timestamps()
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  await EloquentFindersTestUser.create({ name: 'taylor' })
+  await EloquentFindersTestUser.create({ name: 'abigail' })
+  await EloquentFindersTestUser.create({ name: 'abigail' })
+
+  return connection
+}
+
+test('testModelNotFoundExceptionCarriesTheModelAndIds', t => {
+  const exception = new ModelNotFoundException().setModel(EloquentFindersTestUser, 5)
+
+  t.true(exception instanceof RecordsNotFoundException)
+  t.true(exception instanceof Error)
+  t.is(exception.getModel(), EloquentFindersTestUser)
+  t.deepEqual(exception.getIds(), [5])
+  t.is(exception.message, 'ModelNotFoundException: No query results for model [EloquentFindersTestUser] 5')
+
+  t.is(new ModelNotFoundException().setModel(EloquentFindersTestUser).message, 'ModelNotFoundException: No query results for model [EloquentFindersTestUser].')
+  t.is(new MultipleRecordsFoundException(3).getCount(), 3)
+})
+
+test.serial('testFindOrFailThrowsModelNotFoundException', async t => {
+  await setUpDatabase()
+
+  t.is((await EloquentFindersTestUser.findOrFail(1)).name, 'taylor')
+  t.is((await EloquentFindersTestUser.findOrFail([1, 2])).count(), 2)
+
+  const error = await t.throwsAsync(EloquentFindersTestUser.findOrFail(10), { instanceOf: ModelNotFoundException })
+
+  t.is(error.getModel(), EloquentFindersTestUser)
+  t.deepEqual(error.getIds(), [10])
+
+  const many = await t.throwsAsync(EloquentFindersTestUser.findOrFail([1, 10, 11]), { instanceOf: ModelNotFoundException })
+
+  t.deepEqual(many.getIds(), [10, 11])
+})
+
+test.serial('testFirstOrFailThrowsModelNotFoundException', async t => {
+  await setUpDatabase()
+
+  t.is((await EloquentFindersTestUser.where('name', 'abigail').firstOrFail()).id, 2)
+
+  const error = await t.throwsAsync(EloquentFindersTestUser.where('name', 'otwell').firstOrFail(), {
+    instanceOf: ModelNotFoundException,
+    message: 'ModelNotFoundException: No query results for model [EloquentFindersTestUser].'
+  })
+
+  t.deepEqual(error.getIds(), [])
+})
+
+test.serial('testSoleReturnsTheOnlyMatchingModel', async t => {
+  const connection = await setUpDatabase()
+
+  connection.enableQueryLog()
+
+  const user = await EloquentFindersTestUser.where('name', 'taylor').sole()
+
+  t.true(user instanceof EloquentFindersTestUser)
+  t.is(user.id, 1)
+  t.is(connection.getQueryLog()[0].query, 'select * from "users" where "name" = ? limit 2')
+
+  await t.throwsAsync(EloquentFindersTestUser.where('name', 'otwell').sole(), {
+    instanceOf: ModelNotFoundException,
+    message: 'ModelNotFoundException: No query results for model [EloquentFindersTestUser].'
+  })
+
+  const error = await t.throwsAsync(EloquentFindersTestUser.where('name', 'abigail').sole(), {
+    instanceOf: MultipleRecordsFoundException,
+    message: 'MultipleRecordsFoundException: 2 records were found.'
+  })
+
+  t.is(error.getCount(), 2)
+  t.is((await connection.table('users').where('name', 'taylor').sole()).name, 'taylor')
+  await t.throwsAsync(connection.table('users').where('name', 'otwell').sole(), { instanceOf: RecordsNotFoundException })
+})
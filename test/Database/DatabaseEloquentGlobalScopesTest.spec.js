@@ -0,0 +1,291 @@
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+import Scope from '../../src/Illuminate/Database/Eloquent/Scope.js'
+
+class ActiveScope extends Scope {
+  apply (builder, model) {
+    builder.where(model.qualifyColumn('active'), 1)
+  }
+}
+
+class TenantScope extends Scope {
+  static tenant = 1
+
+  apply (builder, model) {
+    builder.where(model.qualifyColumn('team_id'), TenantScope.tenant)
+  }
+}
+
+class EloquentGlobalScopesTestModel extends Model {
+  static table = 'table'
+
+  static guarded = []
+
+  static booted () {
+    this.addGlobalScope(new ActiveScope())
+  }
+}
+
+class EloquentClosureGlobalScopesTestModel extends Model {
+  static table = 'table'
+
+  static guarded = []
+
+  static booted () {
+    this.addGlobalScope((query) => query.orderBy('name'))
+
+    this.addGlobalScope('age', (query) => query.where('age', '>', 10).orWhere('age', '<', 5))
+  }
+
+  scopeApproved (query, status = 'approved') {
+    return query.where('status', status)
+  }
+}
+
+class EloquentGlobalScopesWithRelationModel extends Model {
+  static table = 'table'
+
+  static guarded = []
+
+  static booted () {
+    this.addGlobalScope(ActiveScope)
+  }
+
+  related () {
+    return this.hasMany(EloquentClosureGlobalScopesTestModel, 'parent_id')
+  }
+}
+
+class EloquentTestTeamUser extends Model {
+  static table = 'users'
+
+  static guarded = []
+
+  static booted () {
+    this.addGlobalScope(TenantScope)
+  }
+
+  posts () {
+    return this.hasMany(EloquentTestTeamPost, 'user_id')
+  }
+}
+
+class EloquentTestTeamPost extends Model {
+  static table = 'posts'
+
+  static guarded = []
+
+  static booted () {
+    this.addGlobalScope(TenantScope)
+  }
+}
+
+const setUpResolver = () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  Model.setConnectionResolver({ connection: () => connection })
+}
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  const schema = connection.getSchemaBuilder()
+
+  await schema.create('users', (table) => {
+    table.id()
+    table.integer('team_id')
+    table.string('name')
+    table.timestamps()
+  })
+
+  await schema.create('posts', (table) => {
+    table.id()
+    table.integer('team_id')
+    table.integer('user_id')
+    table.string('title')
+    table.timestamps()
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  await connection.table('users').insert([
+    { team_id: 1, name: 'taylor' },
+    { team_id: 2, name: 'abigail' }
+  ])
+
+  await connection.table('posts').insert([
+    { team_id: 1, user_id: 1, title: 'First' },
+    { team_id: 2, user_id: 1, title: 'Second' }
+  ])
+
+  return connection
+}
+
+test('testScopeIsAbstract', t => {
+  t.throws(() => new Scope(), { message: 'RuntimeException: Cannot create an instance of an abstract class.' })
+
+  class IncompleteScope extends Scope {}
+
+  t.throws(() => new IncompleteScope().apply(), { message: 'RuntimeException: Implement apply method on concrete class.' })
+})
+
+test('testGlobalScopeIsApplied', t => {
+  setUpResolver()
+
+  const query = EloquentGlobalScopesTestModel.query()
+
+  t.is(query.toSql(), 'select * from "table" where "table"."active" = ?')
+  t.deepEqual(query.getBindings(), [1])
+})
+
+test('testGlobalScopeCanBeRemoved', t => {
+  setUpResolver()
+
+  let query = EloquentGlobalScopesTestModel.query().withoutGlobalScope(ActiveScope)
+
+  t.is(query.toSql(), 'select * from "table"')
+  t.deepEqual(query.getBindings(), [])
+
+  query = EloquentGlobalScopesTestModel.query().withoutGlobalScope(new ActiveScope())
+
+  t.is(query.toSql(), 'select * from "table"')
+  t.deepEqual(query.removedScopes, [ActiveScope])
+
+  query = new EloquentGlobalScopesTestModel().newQueryWithoutScope(ActiveScope)
+
+  t.is(query.toSql(), 'select * from "table"')
+})
+
+test('testClosureGlobalScopeIsApplied', t => {
+  setUpResolver()
+
+  const query = EloquentClosureGlobalScopesTestModel.query()
+
+  t.is(query.toSql(), 'select * from "table" where ("age" > ? or "age" < ?) order by "name" asc')
+  t.deepEqual(query.getBindings(), [10, 5])
+})
+
+test('testClosureGlobalScopeCanBeRemoved', t => {
+  setUpResolver()
+
+  const query = EloquentClosureGlobalScopesTestModel.query().withoutGlobalScope('age')
+
+  t.is(query.toSql(), 'select * from "table" order by "name" asc')
+  t.deepEqual(query.getBindings(), [])
+})
+
+test('testGlobalScopeCanBeRemovedAfterTheQueryIsExecuted', t => {
+  setUpResolver()
+
+  const query = EloquentClosureGlobalScopesTestModel.query()
+
+  t.is(query.toSql(), 'select * from "table" where ("age" > ? or "age" < ?) order by "name" asc')
+
+  query.withoutGlobalScope('age')
+
+  t.is(query.toSql(), 'select * from "table" order by "name" asc')
+  t.deepEqual(query.getBindings(), [])
+})
+
+test('testAllGlobalScopesCanBeRemoved', t => {
+  setUpResolver()
+
+  let query = EloquentClosureGlobalScopesTestModel.query().withoutGlobalScopes()
+
+  t.is(query.toSql(), 'select * from "table"')
+  t.deepEqual(query.getBindings(), [])
+
+  query = EloquentClosureGlobalScopesTestModel.query().withoutGlobalScopes(['age'])
+
+  t.is(query.toSql(), 'select * from "table" order by "name" asc')
+})
+
+test('testGlobalScopesWithOrWhereConditionsAreNested', t => {
+  setUpResolver()
+
+  const query = EloquentClosureGlobalScopesTestModel.query()
+    .where('col1', 'val1')
+    .orWhere('col2', 'val2')
+    .approved('pending')
+
+  t.is(query.toSql(), 'select * from "table" where ("col1" = ? or "col2" = ?) and "status" = ? and ("age" > ? or "age" < ?) order by "name" asc')
+  t.deepEqual(query.getBindings(), ['val1', 'val2', 'pending', 10, 5])
+})
+
+test('testRegularScopesWithOrWhereConditionsAreNested', t => {
+  setUpResolver()
+
+  const query = EloquentClosureGlobalScopesTestModel.query()
+    .withoutGlobalScopes()
+    .where('foo', 'foo')
+    .orWhere('bar', 'bar')
+    .approved()
+
+  t.is(query.toSql(), 'select * from "table" where ("foo" = ? or "bar" = ?) and "status" = ?')
+  t.deepEqual(query.getBindings(), ['foo', 'bar', 'approved'])
+})
+
+test('testGlobalScopesCanBeInspectedOnTheModel', t => {
+  setUpResolver()
+
+  new EloquentClosureGlobalScopesTestModel() // eslint-disable-line no-new
+  new EloquentGlobalScopesTestModel() // eslint-disable-line no-new
+
+  t.true(EloquentClosureGlobalScopesTestModel.hasGlobalScope('age'))
+  t.false(EloquentClosureGlobalScopesTestModel.hasGlobalScope(ActiveScope))
+  t.true(EloquentGlobalScopesTestModel.hasGlobalScope(new ActiveScope()))
+  t.true(EloquentGlobalScopesTestModel.getGlobalScope(ActiveScope) instanceof ActiveScope)
+  t.deepEqual([...new EloquentClosureGlobalScopesTestModel().getGlobalScopes().keys()].slice(1), ['age'])
+})
+
+test('testInvalidGlobalScopesThrow', t => {
+  t.throws(() => EloquentGlobalScopesTestModel.addGlobalScope('invalid'), {
+    message: 'InvalidArgumentException: Global scope must be an instance of Closure or Scope or be a class name of a class extending Scope'
+  })
+})
+
+test('testGlobalScopesAreAppliedToRelationQueries', t => {
+  setUpResolver()
+
+  const model = new EloquentGlobalScopesWithRelationModel()
+
+  model.id = 1
+
+  const query = model.related()
+
+  t.is(query.toSql(), 'select * from "table" where "table"."parent_id" = ? and "table"."parent_id" is not null and ("age" > ? or "age" < ?) order by "name" asc')
+
+  const counts = EloquentGlobalScopesWithRelationModel.query().withCount('related')
+
+  t.is(counts.toSql(), 'select "table".*, (select count(*) from "table" as "laravel_reserved_0" where "table"."id" = "laravel_reserved_0"."parent_id" and ("age" > ? or "age" < ?)) as "related_count" from "table" where "table"."active" = ?')
+  t.deepEqual(counts.getBindings(), [10, 5, 1])
+
+  const withoutScopes = EloquentGlobalScopesWithRelationModel.query().withCount({ related: query => query.withoutGlobalScopes() })
+
+  t.is(withoutScopes.toSql(), 'select "table".*, (select count(*) from "table" as "laravel_reserved_1" where "table"."id" = "laravel_reserved_1"."parent_id") as "related_count" from "table" where "table"."active" = ?')
+})
+
+test.serial('testTenantScopeIsAppliedEverywhereUntilItIsLifted', async t => {
+  await setUpDatabase()
+
+  t.deepEqual((await EloquentTestTeamUser.all()).map(user => user.name).all(), ['taylor'])
+  t.is(await EloquentTestTeamUser.query().count(), 1)
+  t.is(await EloquentTestTeamUser.find(2), undefined)
+
+  const taylor = await EloquentTestTeamUser.with('posts').first()
+
+  t.deepEqual(taylor.getRelation('posts').map(post => post.title).all(), ['First'])
+  t.deepEqual((await taylor.posts().get()).map(post => post.title).all(), ['First'])
+
+  const users = await EloquentTestTeamUser.query().withoutGlobalScope(TenantScope).orderBy('id').get()
+
+  t.deepEqual(users.map(user => user.name).all(), ['taylor', 'abigail'])
+
+  TenantScope.tenant = 2
+
+  t.deepEqual((await EloquentTestTeamUser.all()).map(user => user.name).all(), ['abigail'])
+
+  TenantScope.tenant = 1
+})
@@ -0,0 +1,238 @@
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+import Pivot from '../../src/Illuminate/Database/Eloquent/Relations/Pivot.js'
+
+class EloquentModelFillableStub extends Model {
+  static table = 'users'
+
+  static fillable = ['name', 'email']
+}
+
+class EloquentModelGuardedStub extends Model {
+  static table = 'users'
+
+  static guarded = ['is_admin']
+}
+
+class EloquentModelTotallyGuardedStub extends Model {
+  static table = 'users'
+}
+
+class EloquentModelUnguardedStub extends Model {
+  static table = 'users'
+
+  static guarded = false
+}
+
+const setUpResolver = () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  Model.setConnectionResolver({ connection: () => connection })
+}
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  await connection.getSchemaBuilder().create('users', (table) => {
+    table.id()
+    table.string('name')
+    table.string('email').nullable()
+    table.boolean('is_admin').default(false)
+    table.timestamps()
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  return connection
+}
+
+test.afterEach.always(() => {
+  Model.reguard()
+
+  Model.preventSilentlyDiscardingAttributes(false)
+
+  Model.handleDiscardedAttributeViolationUsing(undefined)
+})
+
+test.serial('testFillableAttributesAreTheOnlyOnesMassAssigned', t => {
+  setUpResolver()
+
+  const model = new EloquentModelFillableStub({ name: 'taylor', email: 'taylor@laravel.com', is_admin: true })
+
+  t.deepEqual(model.getAttributes(), { name: 'taylor', email: 'taylor@laravel.com' })
+  t.true(model.isFillable('name'))
+  t.false(model.isFillable('is_admin'))
+
+  model.fillable(['is_admin']).fill({ name: 'otwell', is_admin: true })
+
+  t.is(model.name, 'taylor')
+  t.true(model.is_admin)
+  t.deepEqual(model.mergeFillable(['name', 'votes']).getFillable(), ['is_admin', 'name', 'votes'])
+})
+
+test.serial('testGuardedAttributesAreDiscarded', t => {
+  setUpResolver()
+
+  const model = new EloquentModelGuardedStub({ name: 'taylor', is_admin: true, IS_ADMIN: true, _token: 'secret', 'options.theme': 'dark' })
+
+  t.deepEqual(model.getAttributes(), { name: 'taylor' })
+  t.true(model.isGuarded('Is_Admin'))
+  t.false(model.totallyGuarded())
+
+  t.deepEqual(model.mergeGuarded(['email']).getGuarded(), ['is_admin', 'email'])
+  t.false(model.guard([]).isGuarded('is_admin'))
+
+  const unguarded = new EloquentModelUnguardedStub({ is_admin: true })
+
+  t.deepEqual(unguarded.getGuarded(), [])
+  t.true(unguarded.is_admin)
+})
+
+test.serial('testTotallyGuardedModelsThrowOnMassAssignment', t => {
+  setUpResolver()
+
+  t.true(new EloquentModelTotallyGuardedStub().totallyGuarded())
+  t.deepEqual(new EloquentModelTotallyGuardedStub().getGuarded(), ['*'])
+
+  t.throws(() => new EloquentModelTotallyGuardedStub({ name: 'taylor' }), {
+    message: 'MassAssignmentException: Add [name] to fillable property to allow mass assignment on [EloquentModelTotallyGuardedStub].'
+  })
+
+  const model = new EloquentModelTotallyGuardedStub().forceFill({ name: 'taylor', is_admin: true })
+
+  t.deepEqual(model.getAttributes(), { name: 'taylor', is_admin: true })
+  t.false(Model.isUnguarded())
+})
+
+test.serial('testUnguardedRunsTheCallbackWithoutRestrictions', async t => {
+  setUpResolver()
+
+  const model = Model.unguarded(() => new EloquentModelFillableStub({ is_admin: true }))
+
+  t.true(model.is_admin)
+  t.false(Model.isUnguarded())
+
+  t.throws(() => Model.unguarded(() => { throw new Error('failed') }), { message: 'failed' })
+  t.false(Model.isUnguarded())
+
+  Model.unguard()
+
+  t.true(EloquentModelGuardedStub.isUnguarded())
+  t.true(new EloquentModelGuardedStub({ is_admin: true }).is_admin)
+
+  EloquentModelGuardedStub.reguard()
+
+  t.false(Model.isUnguarded())
+
+  const pending = Model.unguarded(async () => {
+    await Promise.resolve()
+
+    return new EloquentModelGuardedStub({ is_admin: true })
+  })
+
+  t.false(Model.isUnguarded())
+  t.true((await pending).is_admin)
+  t.false(Model.isUnguarded())
+})
+
+test.serial('testUnguardedDoesNotLeakIntoConcurrentAsyncContexts', async t => {
+  const connection = await setUpDatabase()
+
+  let release
+  const released = new Promise(resolve => { release = resolve })
+
+  const pending = Model.unguarded(async () => {
+    await released
+
+    t.true(Model.isUnguarded())
+
+    return EloquentModelGuardedStub.create({ name: 'taylor', is_admin: true })
+  })
+
+  const guarded = await EloquentModelGuardedStub.create({ name: 'otwell', is_admin: true })
+
+  release()
+
+  const unguarded = await pending
+
+  t.false(Reflect.has(guarded.getAttributes(), 'is_admin'))
+  t.true(unguarded.is_admin)
+  t.false(Model.isUnguarded())
+  t.deepEqual((await connection.table('users').orderBy('name').pluck('is_admin', 'name')).all(), { otwell: 0, taylor: 1 })
+})
+
+test.serial('testGuardedAttributesMustBeRealColumns', async t => {
+  class EloquentModelTenantStub extends Model {
+    static table = 'users'
+
+    static guarded = ['is_admin']
+  }
+
+  setUpResolver()
+
+  const attributes = { name: 'taylor', 'is_admin ': true, 'is_admin->level': 5, 'email->verified': true }
+
+  t.deepEqual(new EloquentModelTenantStub(attributes).getAttributes(), { name: 'taylor' })
+
+  const connection = await setUpDatabase()
+
+  const user = await EloquentModelTenantStub.create({ ...attributes, Name: 'otwell', nickname: 'taylor' })
+
+  t.deepEqual(Object.keys(user.getAttributes()).sort(), ['created_at', 'id', 'name', 'updated_at'])
+  t.is(user.name, 'taylor')
+  t.false(user.isFillable('is_admin '))
+  t.false(user.isFillable('name->first'))
+  t.true(user.isFillable('email'))
+
+  await user.update({ 'is_admin ': true, email: 'taylor@laravel.com' })
+
+  t.deepEqual(await connection.table('users').select('name', 'email', 'is_admin').first(), { name: 'taylor', email: 'taylor@laravel.com', is_admin: 0 })
+})
+
+test.serial('testStrictModeThrowsOnDiscardedAttributes', t => {
+  setUpResolver()
+
+  Model.preventSilentlyDiscardingAttributes()
+
+  t.true(Model.preventsSilentlyDiscardingAttributes())
+
+  t.throws(() => new EloquentModelFillableStub({ name: 'taylor', is_admin: true, votes: 5 }), {
+    message: 'MassAssignmentException: Add fillable property [is_admin, votes] to allow mass assignment on [EloquentModelFillableStub].'
+  })
+
+  t.throws(() => new EloquentModelGuardedStub({ name: 'taylor', is_admin: true }), {
+    message: 'MassAssignmentException: Add [is_admin] to fillable property to allow mass assignment on [EloquentModelGuardedStub].'
+  })
+
+  const violations = []
+
+  Model.handleDiscardedAttributeViolationUsing((model, keys) => violations.push([model.constructor.name, keys]))
+
+  const model = new EloquentModelFillableStub({ name: 'taylor', is_admin: true })
+
+  t.is(model.name, 'taylor')
+  t.deepEqual(violations, [['EloquentModelFillableStub', ['is_admin']]])
+})
+
+test.serial('testMassAssignmentIsEnforcedWhenCreatingModels', async t => {
+  const connection = await setUpDatabase()
+
+  const user = await EloquentModelFillableStub.create({ name: 'taylor', is_admin: true })
+
+  t.false(Reflect.has(user.getAttributes(), 'is_admin'))
+  t.is((await connection.table('users').first()).is_admin, 0)
+
+  await user.update({ name: 'otwell', is_admin: true })
+
+  t.is((await connection.table('users').first()).name, 'otwell')
+  t.is((await connection.table('users').first()).is_admin, 0)
+
+  await t.throwsAsync(EloquentModelTotallyGuardedStub.create({ name: 'taylor' }), {
+    message: 'MassAssignmentException: Add [name] to fillable property to allow mass assignment on [EloquentModelTotallyGuardedStub].'
+  })
+
+  t.is(await connection.table('users').count(), 1)
+  t.deepEqual(new Pivot().getGuarded(), [])
+})
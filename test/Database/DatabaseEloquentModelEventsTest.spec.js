@@ -0,0 +1,212 @@
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+import SoftDeletes from '../../src/Illuminate/Database/Eloquent/SoftDeletes.js'
+import { mix } from '../../src/Illuminate/Support/Traits/use.js'
+
+class EloquentEventsTestUser extends Model {
+  static table = 'users'
+
+  static guarded = []
+}
+
+class EloquentEventsTestPost extends Model {
+  static table = 'posts'
+
+  static guarded = []
+
+  static booted () {
+    this.creating(async (post) => {
+      const count = await EloquentEventsTestPost.query().where('title', post.title).count()
+
+      post.slug = post.title.toLowerCase().replaceAll(' ', '-') + (count > 0 ? `-${count + 1}` : '')
+    })
+  }
+}
+
+class EloquentEventsTestSoftDeletingUser extends mix(Model).use(SoftDeletes) {
+  static table = 'users'
+
+  static guarded = []
+}
+
+class EloquentEventsTestAuditObserver {
+  static log = []
+
+  saving (model) {
+    EloquentEventsTestAuditObserver.log.push(['saving', model.name])
+  }
+
+  created (model) {
+    EloquentEventsTestAuditObserver.log.push(['created', model.id])
+  }
+
+  updating (model) {
+    if (model.name === 'forbidden') {
+      return false
+    }
+  }
+
+  deleted (model) {
+    EloquentEventsTestAuditObserver.log.push(['deleted', model.id])
+  }
+
+  restored (model) {
+    EloquentEventsTestAuditObserver.log.push(['restored', model.id])
+  }
+
+  unrelated () {
+    EloquentEventsTestAuditObserver.log.push(['unrelated'])
+  }
+}
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  const schema = connection.getSchemaBuilder()
+
+  await schema.create('users', (table) => {
+    table.id()
+    table.string('name')
+    table.softDeletes()
+    table.timestamps()
+  })
+
+  await schema.create('posts', (table) => {
+    table.id()
+    table.string('title')
+    table.string('slug')
+    table.timestamps()
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  return connection
+}
+
+test.afterEach.always(() => {
+  EloquentEventsTestUser.flushEventListeners()
+  EloquentEventsTestSoftDeletingUser.flushEventListeners()
+
+  EloquentEventsTestAuditObserver.log = []
+})
+
+test.serial('testEventsAreFiredInOrder', async t => {
+  await setUpDatabase()
+
+  const events = []
+
+  for (const event of ['saving', 'saved', 'creating', 'created', 'updating', 'updated', 'deleting', 'deleted', 'retrieved']) {
+    EloquentEventsTestUser[event]((model) => { events.push(event) })
+  }
+
+  const user = await EloquentEventsTestUser.create({ name: 'taylor' })
+
+  t.deepEqual(events.splice(0), ['saving', 'creating', 'created', 'saved'])
+
+  await user.update({ name: 'otwell' })
+
+  t.deepEqual(events.splice(0), ['saving', 'updating', 'updated', 'saved'])
+
+  // Saving a clean model does not run an update, so only the saving events fire.
+  await user.save()
+
+  t.deepEqual(events.splice(0), ['saving', 'saved'])
+
+  await EloquentEventsTestUser.find(user.id)
+
+  t.deepEqual(events.splice(0), ['retrieved'])
+
+  await user.delete()
+
+  t.deepEqual(events.splice(0), ['deleting', 'deleted'])
+})
+
+test.serial('testOperationsAreHaltedWhenAnIngListenerReturnsFalse', async t => {
+  const connection = await setUpDatabase()
+
+  EloquentEventsTestUser.creating((model) => model.name !== 'blocked')
+  EloquentEventsTestUser.deleting(async () => false)
+
+  const blocked = new EloquentEventsTestUser({ name: 'blocked' })
+
+  t.false(await blocked.save())
+  t.false(blocked.exists)
+  t.is(await connection.table('users').count(), 0)
+
+  const user = await EloquentEventsTestUser.create({ name: 'taylor' })
+
+  t.false(await user.delete())
+  t.is(await connection.table('users').count(), 1)
+
+  EloquentEventsTestUser.saving(() => false)
+
+  user.name = 'otwell'
+
+  t.false(await user.save())
+  t.true(user.isDirty('name'))
+  t.is((await connection.table('users').first()).name, 'taylor')
+})
+
+test.serial('testListenersCanChangeTheModelBeforeItIsSaved', async t => {
+  await setUpDatabase()
+
+  await EloquentEventsTestPost.create({ title: 'Hello World' })
+
+  const post = await EloquentEventsTestPost.create({ title: 'Hello World' })
+
+  t.is(post.slug, 'hello-world-2')
+  t.is((await EloquentEventsTestPost.find(post.id)).slug, 'hello-world-2')
+})
+
+test.serial('testObserversAreRegisteredForTheObservableEvents', async t => {
+  const connection = await setUpDatabase()
+
+  EloquentEventsTestSoftDeletingUser.observe(EloquentEventsTestAuditObserver)
+
+  const user = await EloquentEventsTestSoftDeletingUser.create({ name: 'taylor' })
+
+  user.name = 'forbidden'
+
+  t.false(await user.save())
+
+  user.name = 'otwell'
+
+  await user.delete()
+
+  t.true(await user.restore())
+
+  t.deepEqual(EloquentEventsTestAuditObserver.log, [
+    ['saving', 'taylor'],
+    ['created', 1],
+    ['saving', 'forbidden'],
+    ['deleted', 1],
+    ['saving', 'otwell'],
+    ['restored', 1]
+  ])
+
+  t.is((await connection.table('users').first()).name, 'otwell')
+})
+
+test.serial('testSoftDeleteEventsCanHaltTheOperation', async t => {
+  await setUpDatabase()
+
+  const events = []
+
+  EloquentEventsTestSoftDeletingUser.restoring(() => false)
+  EloquentEventsTestSoftDeletingUser.softDeleted((model) => { events.push('trashed') })
+  EloquentEventsTestSoftDeletingUser.forceDeleting((model) => { events.push('forceDeleting') })
+  EloquentEventsTestSoftDeletingUser.forceDeleted((model) => { events.push('forceDeleted') })
+
+  const user = await EloquentEventsTestSoftDeletingUser.create({ name: 'taylor' })
+
+  await user.delete()
+
+  t.false(await user.restore())
+  t.true(user.trashed())
+
+  t.true(await user.forceDelete())
+  t.deepEqual(events, ['trashed', 'forceDeleting', 'forceDeleted'])
+  t.true(new EloquentEventsTestSoftDeletingUser().getObservableEvents().includes('restoring'))
+})
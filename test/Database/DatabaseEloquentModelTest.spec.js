@@ -0,0 +1,363 @@
+import test from 'ava'
+
+import Collection from '../../src/Illuminate/Collections/Collection.js'
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import EloquentBuilder from '../../src/Illuminate/Database/Eloquent/Builder.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+
+class EloquentModelStub extends Model {
+  static table = 'stub'
+
+  static guarded = []
+
+  getListItemsAttribute (value) {
+    return JSON.parse(value)
+  }
+
+  setListItemsAttribute (value) {
+    this.attributes.list_items = JSON.stringify(value)
+  }
+}
+
+class UserProfile extends Model {}
+
+class EloquentTestUser extends Model {
+  static table = 'users'
+
+  static guarded = []
+
+  static timestamps = false
+
+  posts () {
+    return this.hasMany(EloquentTestPost, 'user_id')
+  }
+}
+
+class EloquentTestPost extends Model {
+  static table = 'posts'
+}
+
+class EloquentModelCastingStub extends Model {
+  static casts = {
+    votes: 'integer',
+    options: 'object'
+  }
+}
+
+class EloquentTestUuidPost extends Model {
+  static table = 'uuid_posts'
+
+  static guarded = []
+
+  static keyType = 'string'
+
+  static incrementing = false
+}
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  await connection.getSchemaBuilder().create('users', (table) => {
+    table.id()
+    table.string('name')
+    table.string('email')
+    table.integer('votes').default(0)
+  })
+
+  await connection.getSchemaBuilder().create('uuid_posts', (table) => {
+    table.uuid('id').primary()
+    table.string('title')
+    table.timestamps()
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  return connection
+}
+
+test('testTableNameIsGuessedFromTheClassName', t => {
+  t.is(new UserProfile().getTable(), 'user_profiles')
+  t.is(new EloquentModelStub().getTable(), 'stub')
+  t.is(new UserProfile().setTable('profiles').getTable(), 'profiles')
+  t.is(new EloquentModelStub().getQualifiedKeyName(), 'stub.id')
+})
+
+test('testKeyConventions', t => {
+  const model = new EloquentModelStub()
+
+  t.is(model.getKeyName(), 'id')
+  t.is(model.getKeyType(), 'int')
+  t.true(model.getIncrementing())
+
+  const post = new EloquentTestUuidPost()
+
+  t.is(post.getKeyType(), 'string')
+  t.false(post.getIncrementing())
+})
+
+test('testAttributeManipulation', t => {
+  const model = new EloquentModelStub()
+  model.name = 'foo'
+
+  t.is(model.name, 'foo')
+  t.is(model.getAttribute('name'), 'foo')
+  t.is(model.missing, undefined)
+
+  // Mutators are applied on set and accessors on get.
+  model.list_items = { name: 'taylor' }
+
+  t.deepEqual(model.list_items, { name: 'taylor' })
+  t.is(model.getAttributes().list_items, '{"name":"taylor"}')
+})
+
+test('testConstructorFillsTheAttributes', t => {
+  const model = new EloquentModelStub({ name: 'foo', age: 30 })
+
+  t.deepEqual(model.getAttributes(), { name: 'foo', age: 30 })
+  t.false(model.exists)
+  t.true(model instanceof EloquentModelStub)
+})
+
+test('testDirtyAttributes', t => {
+  const model = new EloquentModelStub()
+  model.setRawAttributes({ foo: '1', bar: 2, baz: 3 }, true)
+  model.foo = 1
+  model.bar = 20
+  model.baz = 30
+
+  t.true(model.isDirty())
+  t.false(model.isDirty('foo'))
+  t.true(model.isDirty('bar'))
+  t.true(model.isDirty('foo', 'bar'))
+  t.true(model.isDirty(['foo', 'bar']))
+  t.true(model.isClean('foo'))
+  t.deepEqual(model.getDirty(), { bar: 20, baz: 30 })
+  t.is(model.getOriginal('bar'), 2)
+  t.deepEqual(model.getOriginal(), { foo: '1', bar: 2, baz: 3 })
+})
+
+test('testGetOriginalCastsTheOriginalValues', t => {
+  const model = new EloquentModelCastingStub()
+  model.setRawAttributes({ votes: '5', options: '{"theme":"dark"}' }, true)
+  model.votes = 10
+
+  t.is(model.getOriginal('votes'), 5)
+  t.is(model.getOriginal('missing', 3), 3)
+  t.deepEqual(model.getOriginal(), { votes: 5, options: { theme: 'dark' } })
+  t.is(model.getRawOriginal('votes'), '5')
+  t.deepEqual(model.getRawOriginal(), { votes: '5', options: '{"theme":"dark"}' })
+  t.is(model.votes, 10)
+})
+
+test('testNewFromBuilderCreatesExistingModels', t => {
+  const model = new EloquentModelStub()
+  model.setConnection('foo')
+
+  const instance = model.newFromBuilder({ id: 1, name: 'taylor' })
+
+  t.true(instance instanceof EloquentModelStub)
+  t.true(instance.exists)
+  t.is(instance.getConnectionName(), 'foo')
+  t.is(instance.name, 'taylor')
+  t.false(instance.isDirty())
+})
+
+test('testNewQueryReturnsEloquentQueryBuilder', t => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+  Model.setConnectionResolver({ connection: () => connection })
+
+  const builder = EloquentTestUser.query()
+
+  t.true(builder instanceof EloquentBuilder)
+  t.true(builder.getModel() instanceof EloquentTestUser)
+  t.is(builder.where('name', 'taylor').toSql(), 'select * from "users" where "name" = ?')
+  t.is(EloquentTestUser.query().whereKey([1, 2]).toSql(), 'select * from "users" where "users"."id" in (1, 2)')
+  t.is(EloquentTestUuidPost.query().whereKey(1).toSql(), 'select * from "uuid_posts" where "uuid_posts"."id" = ?')
+})
+
+test.serial('testCreateAndFindModels', async t => {
+  await setUpDatabase()
+
+  const user = await EloquentTestUser.create({ name: 'taylor', email: 'taylor@example.com' })
+
+  t.true(user.exists)
+  t.true(user.wasRecentlyCreated)
+  t.is(user.id, 1)
+  t.is(user.getConnectionName(), 'sqlite')
+
+  await EloquentTestUser.create({ name: 'abigail', email: 'abigail@example.com' })
+
+  const found = await EloquentTestUser.find(1)
+
+  t.true(found instanceof EloquentTestUser)
+  t.true(found.exists)
+  t.false(found.wasRecentlyCreated)
+  t.is(found.name, 'taylor')
+  t.true(found.is(user))
+
+  const many = await EloquentTestUser.find([1, 2])
+
+  t.true(many instanceof Collection)
+  t.deepEqual(many.map(user => user.name).all(), ['taylor', 'abigail'])
+  t.is(await EloquentTestUser.find(3), undefined)
+
+  const all = await EloquentTestUser.all()
+
+  t.is(all.count(), 2)
+  t.true(all.first() instanceof EloquentTestUser)
+
+  const abigail = await EloquentTestUser.where('name', 'abigail').first()
+
+  t.is(abigail.email, 'abigail@example.com')
+})
+
+test.serial('testStaticCallsAreForwardedToTheQueryBuilder', async t => {
+  await setUpDatabase()
+
+  await EloquentTestUser.create({ name: 'taylor', email: 'taylor@example.com', votes: 3 })
+  await EloquentTestUser.create({ name: 'abigail', email: 'abigail@example.com', votes: 5 })
+
+  t.is(await EloquentTestUser.count(), 2)
+  t.true(await EloquentTestUser.exists())
+  t.is(await EloquentTestUser.max('votes'), 5)
+  t.is(await EloquentTestUser.min('votes'), 3)
+  t.is(await EloquentTestUser.sum('votes'), 8)
+  t.is(await EloquentTestUser.avg('votes'), 4)
+
+  t.is((await EloquentTestUser.first()).name, 'taylor')
+  t.is((await EloquentTestUser.firstOrFail()).name, 'taylor')
+  t.is((await EloquentTestUser.orderBy('name').first()).name, 'abigail')
+  t.is((await EloquentTestUser.latest('id').first()).name, 'abigail')
+  t.is((await EloquentTestUser.oldest('id').first()).name, 'taylor')
+  t.is((await EloquentTestUser.whereKey(2).first()).name, 'abigail')
+  t.is(await EloquentTestUser.whereIn('name', ['taylor', 'otwell']).count(), 1)
+  t.deepEqual((await EloquentTestUser.findMany([1, 2])).map(user => user.name).all(), ['taylor', 'abigail'])
+  t.deepEqual((await EloquentTestUser.select('name').first()).getAttributes(), { name: 'taylor' })
+
+  t.is(EloquentTestUser.withCount('posts').toSql(), 'select "users".*, ' +
+    '(select count(*) from "posts" where "users"."id" = "posts"."user_id") as "posts_count" from "users"')
+})
+
+test.serial('testFindOrFailThrowsWhenTheModelIsMissing', async t => {
+  await setUpDatabase()
+
+  await EloquentTestUser.create({ name: 'taylor', email: 'taylor@example.com' })
+
+  t.is((await EloquentTestUser.findOrFail(1)).name, 'taylor')
+
+  await t.throwsAsync(() => EloquentTestUser.findOrFail(2), {
+    message: 'ModelNotFoundException: No query results for model [EloquentTestUser] 2'
+  })
+  await t.throwsAsync(() => EloquentTestUser.findOrFail([1, 2, 3]), {
+    message: 'ModelNotFoundException: No query results for model [EloquentTestUser] 2, 3'
+  })
+})
+
+test.serial('testSaveOnlyUpdatesTheDirtyAttributes', async t => {
+  const connection = await setUpDatabase()
+
+  const user = await EloquentTestUser.create({ name: 'taylor', email: 'taylor@example.com' })
+
+  connection.enableQueryLog()
+
+  t.true(await user.save())
+  t.is(connection.getQueryLog().length, 0)
+
+  user.name = 'otwell'
+
+  t.true(user.isDirty('name'))
+  t.true(await user.save())
+  t.false(user.isDirty())
+  t.deepEqual(user.getChanges(), { name: 'otwell' })
+  t.true(user.wasChanged('name'))
+  t.false(user.wasChanged('email'))
+  t.is(connection.getQueryLog()[0].query, 'update "users" set "name" = ? where "id" = ?')
+
+  t.true(await user.update({ votes: 5 }))
+  t.is((await EloquentTestUser.find(1)).votes, 5)
+  t.false(await new EloquentTestUser().update({ votes: 1 }))
+})
+
+test.serial('testNonIncrementingKeysAreInsertedAsGiven', async t => {
+  await setUpDatabase()
+
+  const post = await EloquentTestUuidPost.create({ id: 'a1b2', title: 'Hello' })
+
+  t.is(post.getKey(), 'a1b2')
+  t.is((await EloquentTestUuidPost.find('a1b2')).title, 'Hello')
+})
+
+test.serial('testDeleteRemovesTheRecord', async t => {
+  await setUpDatabase()
+
+  const user = await EloquentTestUser.create({ name: 'taylor', email: 'taylor@example.com' })
+
+  t.true(await user.delete())
+  t.false(user.exists)
+  t.is(await user.delete(), undefined)
+  t.is(await EloquentTestUser.query().count(), 0)
+})
+
+test.serial('testRefreshAndFresh', async t => {
+  const connection = await setUpDatabase()
+
+  const user = await EloquentTestUser.create({ name: 'taylor', email: 'taylor@example.com' })
+
+  await connection.table('users').where('id', 1).update({ name: 'otwell' })
+
+  const fresh = await user.fresh()
+
+  t.is(fresh.name, 'otwell')
+  t.is(user.name, 'taylor')
+
+  user.email = 'changed@example.com'
+
+  t.is(await user.refresh(), user)
+  t.is(user.name, 'otwell')
+  t.is(user.email, 'taylor@example.com')
+  t.false(user.isDirty())
+
+  await user.delete()
+  user.exists = true
+
+  await t.throwsAsync(() => user.refresh(), {
+    message: 'ModelNotFoundException: No query results for model [EloquentTestUser].'
+  })
+  t.is(await new EloquentTestUser().fresh(), undefined)
+})
+
+test.serial('testModelsCanBeIteratedLazily', async t => {
+  const connection = await setUpDatabase()
+
+  await connection.table('users').insert(['taylor', 'abigail', 'dayle'].map(name => ({ name, email: `${name}@example.com` })))
+
+  connection.enableQueryLog()
+
+  const names = []
+
+  for await (const user of EloquentTestUser.query().lazy(2)) {
+    t.true(user instanceof EloquentTestUser)
+
+    names.push(user.name)
+  }
+
+  t.deepEqual(names, ['taylor', 'abigail', 'dayle'])
+  t.is(connection.getQueryLog()[0].query, 'select * from "users" order by "users"."id" asc limit 2 offset 0')
+
+  const ids = []
+
+  for await (const user of EloquentTestUser.query().lazyByIdDesc(2)) {
+    ids.push(user.id)
+  }
+
+  t.deepEqual(ids, [3, 2, 1])
+
+  const visited = []
+
+  t.false(await EloquentTestUser.query().eachById(async (user) => {
+    visited.push(user.name)
+
+    return user.id < 2
+  }, 2))
+  t.deepEqual(visited, ['taylor', 'abigail'])
+})
@@ -0,0 +1,287 @@
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+import MorphMany from '../../src/Illuminate/Database/Eloquent/Relations/MorphMany.js'
+import MorphOne from '../../src/Illuminate/Database/Eloquent/Relations/MorphOne.js'
+import MorphPivot from '../../src/Illuminate/Database/Eloquent/Relations/MorphPivot.js'
+import MorphTo from '../../src/Illuminate/Database/Eloquent/Relations/MorphTo.js'
+import MorphToMany from '../../src/Illuminate/Database/Eloquent/Relations/MorphToMany.js'
+import Relation from '../../src/Illuminate/Database/Eloquent/Relations/Relation.js'
+
+class EloquentTestPost extends Model {
+  static table = 'posts'
+
+  static guarded = []
+
+  comments () {
+    return this.morphMany(EloquentTestComment, 'commentable')
+  }
+
+  image () {
+    return this.morphOne(EloquentTestImage, 'imageable')
+  }
+
+  tags () {
+    return this.morphToMany(EloquentTestTag, 'taggable', undefined, undefined, 'tag_id')
+  }
+}
+
+class EloquentTestVideo extends Model {
+  static table = 'videos'
+
+  static guarded = []
+
+  comments () {
+    return this.morphMany(EloquentTestComment, 'commentable')
+  }
+
+  tags () {
+    return this.morphToMany(EloquentTestTag, 'taggable', undefined, undefined, 'tag_id').withPivot('weight')
+  }
+}
+
+class EloquentTestComment extends Model {
+  static table = 'comments'
+
+  static guarded = []
+
+  commentable () {
+    return this.morphTo()
+  }
+}
+
+class EloquentTestImage extends Model {
+  static table = 'images'
+
+  static guarded = []
+
+  imageable () {
+    return this.morphTo()
+  }
+}
+
+class EloquentTestTag extends Model {
+  static table = 'tags'
+
+  static guarded = []
+
+  posts () {
+    return this.morphedByMany(EloquentTestPost, 'taggable', 'taggables', 'tag_id')
+  }
+
+  videos () {
+    return this.morphedByMany(EloquentTestVideo, 'taggable', 'taggables', 'tag_id')
+  }
+}
+
+class EloquentTestUnmapped extends Model {
+  static table = 'unmapped'
+
+  static guarded = []
+}
+
+Relation.morphMap({ post: EloquentTestPost, video: EloquentTestVideo })
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  const schema = connection.getSchemaBuilder()
+
+  await schema.create('posts', (table) => {
+    table.id()
+    table.string('title')
+    table.timestamps()
+  })
+
+  await schema.create('videos', (table) => {
+    table.id()
+    table.string('title')
+    table.timestamps()
+  })
+
+  await schema.create('comments', (table) => {
+    table.id()
+    table.morphs('commentable')
+    table.string('body')
+    table.timestamps()
+  })
+
+  await schema.create('images', (table) => {
+    table.id()
+    table.nullableMorphs('imageable')
+    table.string('url')
+    table.timestamps()
+  })
+
+  await schema.create('tags', (table) => {
+    table.id()
+    table.string('name')
+    table.timestamps()
+  })
+
+  await schema.create('taggables', (table) => {
+    table.integer('tag_id')
+    table.morphs('taggable')
+    table.integer('weight').nullable()
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  return connection
+}
+
+const setUpResolver = () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  Model.setConnectionResolver({ connection: () => connection })
+}
+
+test('testMorphMapResolvesAliases', t => {
+  t.is(new EloquentTestPost().getMorphClass(), 'post')
+  t.is(new EloquentTestUnmapped().getMorphClass(), 'EloquentTestUnmapped')
+  t.is(Relation.getMorphedModel('video'), EloquentTestVideo)
+  t.is(Relation.getMorphAlias(EloquentTestVideo), 'video')
+  t.is(Model.getActualClassNameForMorph('post'), EloquentTestPost)
+  t.throws(() => Model.getActualClassNameForMorph('unknown'), {
+    message: 'InvalidArgumentException: No model is registered in the morph map for [unknown].'
+  })
+
+  Relation.requireMorphMap()
+
+  try {
+    t.throws(() => new EloquentTestUnmapped().getMorphClass(), {
+      message: 'ClassMorphViolationException: No morph map defined for model [EloquentTestUnmapped].'
+    })
+  } finally {
+    Relation.requireMorphMap(false)
+  }
+})
+
+test('testMorphOneAndMorphManyConstrainTheTypeColumn', t => {
+  setUpResolver()
+
+  const post = new EloquentTestPost().newFromBuilder({ id: 1 })
+
+  const comments = post.comments()
+
+  t.true(comments instanceof MorphMany)
+  t.is(comments.getQualifiedMorphType(), 'comments.commentable_type')
+  t.is(comments.getMorphType(), 'commentable_type')
+  t.is(comments.getMorphClass(), 'post')
+  t.is(comments.toSql(), 'select * from "comments" where "comments"."commentable_id" = ? and "comments"."commentable_id" is not null and "comments"."commentable_type" = ?')
+  t.deepEqual(comments.getBindings(), [1, 'post'])
+
+  const image = post.image()
+
+  t.true(image instanceof MorphOne)
+  t.deepEqual(image.make({ url: 'a.png' }).getAttributes(), { url: 'a.png', imageable_id: 1, imageable_type: 'post' })
+
+  t.is(EloquentTestPost.query().withCount('comments').toSql(), 'select "posts".*, (select count(*) from "comments" where "posts"."id" = "comments"."commentable_id" and "comments"."commentable_type" = ?) as "comments_count" from "posts"')
+})
+
+test('testMorphToUsesTheTypeColumnToPickTheRelatedModel', t => {
+  setUpResolver()
+
+  const comment = new EloquentTestComment({ commentable_type: 'video', commentable_id: 2 })
+
+  const commentable = comment.commentable()
+
+  t.true(commentable instanceof MorphTo)
+  t.is(commentable.getMorphType(), 'commentable_type')
+  t.is(commentable.getForeignKeyName(), 'commentable_id')
+  t.is(commentable.toSql(), 'select * from "videos" where "videos"."id" = ?')
+  t.deepEqual(commentable.getBindings(), [2])
+
+  const post = new EloquentTestPost().newFromBuilder({ id: 5 })
+
+  commentable.associate(post)
+
+  t.is(comment.commentable_type, 'post')
+  t.is(comment.commentable_id, 5)
+  t.is(comment.getRelation('commentable'), post)
+
+  comment.commentable().dissociate()
+
+  t.is(comment.commentable_type, null)
+  t.is(comment.commentable_id, null)
+})
+
+test('testMorphToManyJoinsThePivotTableWithTheTypeColumn', t => {
+  setUpResolver()
+
+  const post = new EloquentTestPost().newFromBuilder({ id: 1 })
+
+  const tags = post.tags()
+
+  t.true(tags instanceof MorphToMany)
+  t.is(tags.getTable(), 'taggables')
+  t.is(tags.getQualifiedMorphTypeName(), 'taggables.taggable_type')
+  t.false(tags.getInverse())
+  t.is(tags.toSql(), 'select * from "tags" inner join "taggables" on "tags"."id" = "taggables"."tag_id" where "taggables"."taggable_id" = ? and "taggables"."taggable_type" = ?')
+
+  const posts = new EloquentTestTag().newFromBuilder({ id: 3 }).posts()
+
+  t.true(posts.getInverse())
+  t.is(posts.getMorphClass(), 'post')
+  t.is(posts.getForeignPivotKeyName(), 'tag_id')
+  t.is(posts.getRelatedPivotKeyName(), 'taggable_id')
+})
+
+test.serial('testPolymorphicResultsAndEagerLoading', async t => {
+  const connection = await setUpDatabase()
+
+  const post = await EloquentTestPost.create({ title: 'Post' })
+  const video = await EloquentTestVideo.create({ title: 'Video' })
+
+  await post.comments().create({ body: 'On the post' })
+  await video.comments().create({ body: 'On the video' })
+  await post.image().create({ url: 'post.png' })
+
+  t.deepEqual((await post.comments().getResults()).map(comment => comment.body).all(), ['On the post'])
+  t.is((await post.image().getResults()).url, 'post.png')
+  t.is((await (await EloquentTestComment.find(2)).commentable().getResults()).title, 'Video')
+
+  connection.enableQueryLog()
+
+  const comments = await EloquentTestComment.with('commentable').get()
+
+  t.is(connection.getQueryLog().length, 3)
+  t.true(comments.first().getRelation('commentable') instanceof EloquentTestPost)
+  t.true(comments.last().getRelation('commentable') instanceof EloquentTestVideo)
+  t.deepEqual(comments.map(comment => comment.getRelation('commentable').title).all(), ['Post', 'Video'])
+
+  const posts = await EloquentTestPost.with('comments.commentable', 'image').get()
+
+  t.is(posts.first().getRelation('image').url, 'post.png')
+  t.is(posts.first().getRelation('comments').first().getRelation('commentable').title, 'Post')
+})
+
+test.serial('testMorphToManyAttachAndInverse', async t => {
+  const connection = await setUpDatabase()
+
+  const post = await EloquentTestPost.create({ title: 'Post' })
+  const video = await EloquentTestVideo.create({ title: 'Video' })
+  const tag = await EloquentTestTag.create({ name: 'js' })
+
+  await post.tags().attach(tag.id)
+  await video.tags().attach(tag, { weight: 5 })
+
+  t.deepEqual((await connection.table('taggables').orderBy('taggable_type').get()).all(), [
+    { tag_id: 1, taggable_type: 'post', taggable_id: 1, weight: null },
+    { tag_id: 1, taggable_type: 'video', taggable_id: 1, weight: 5 }
+  ])
+
+  const pivot = (await video.tags().get()).first().getRelation('pivot')
+
+  t.true(pivot instanceof MorphPivot)
+  t.is(pivot.getMorphType(), 'taggable_type')
+  t.deepEqual(pivot.getAttributes(), { taggable_type: 'video', taggable_id: 1, tag_id: 1, weight: 5 })
+
+  t.deepEqual((await tag.posts().get()).map(post => post.title).all(), ['Post'])
+  t.deepEqual((await tag.videos().get()).map(video => video.title).all(), ['Video'])
+
+  t.is(await post.tags().detach(), 1)
+  t.is(await connection.table('taggables').count(), 1)
+  t.is((await video.tags().get()).count(), 1)
+})
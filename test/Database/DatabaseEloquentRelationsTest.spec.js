@@ -0,0 +1,321 @@
+import test from 'ava'
+
+import Collection from '../../src/Illuminate/Collections/Collection.js'
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+import BelongsTo from '../../src/Illuminate/Database/Eloquent/Relations/BelongsTo.js'
+import BelongsToMany from '../../src/Illuminate/Database/Eloquent/Relations/BelongsToMany.js'
+import HasMany from '../../src/Illuminate/Database/Eloquent/Relations/HasMany.js'
+import HasOne from '../../src/Illuminate/Database/Eloquent/Relations/HasOne.js'
+import Pivot from '../../src/Illuminate/Database/Eloquent/Relations/Pivot.js'
+
+class EloquentTestUser extends Model {
+  static table = 'users'
+
+  static guarded = []
+
+  posts () {
+    return this.hasMany(EloquentTestPost, 'user_id')
+  }
+
+  latestPost () {
+    return this.hasOne(EloquentTestPost, 'user_id').orderBy('id', 'desc')
+  }
+
+  roles () {
+    return this.belongsToMany(EloquentTestRole, 'role_user', 'user_id', 'role_id')
+  }
+
+  memberships () {
+    return this.belongsToMany(EloquentTestRole, EloquentTestMembership, 'user_id', 'role_id')
+      .withPivot('level')
+  }
+}
+
+class EloquentTestPost extends Model {
+  static table = 'posts'
+
+  static guarded = []
+
+  user () {
+    return this.belongsTo(EloquentTestUser)
+  }
+
+  author () {
+    return this.belongsTo(EloquentTestUser, 'user_id')
+  }
+}
+
+class EloquentTestRole extends Model {
+  static table = 'roles'
+
+  static guarded = []
+
+  users () {
+    return this.belongsToMany(EloquentTestUser, 'role_user', 'role_id', 'user_id')
+  }
+}
+
+class EloquentTestMembership extends Pivot {
+  static table = 'role_user'
+}
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  await connection.getSchemaBuilder().create('users', (table) => {
+    table.id()
+    table.string('name')
+    table.timestamps()
+  })
+
+  await connection.getSchemaBuilder().create('posts', (table) => {
+    table.id()
+    table.integer('user_id').nullable()
+    table.string('title')
+    table.timestamps()
+  })
+
+  await connection.getSchemaBuilder().create('roles', (table) => {
+    table.id()
+    table.string('name')
+    table.timestamps()
+  })
+
+  await connection.getSchemaBuilder().create('role_user', (table) => {
+    table.integer('user_id')
+    table.integer('role_id')
+    table.string('level').nullable()
+    table.timestamps()
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  return connection
+}
+
+const setUpResolver = () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  Model.setConnectionResolver({ connection: () => connection })
+}
+
+test('testHasOneAndHasManyConstrainTheRelatedQuery', t => {
+  setUpResolver()
+
+  const user = new EloquentTestUser().newFromBuilder({ id: 1 })
+
+  const posts = user.posts()
+
+  t.true(posts instanceof HasMany)
+  t.is(posts.getQualifiedForeignKeyName(), 'posts.user_id')
+  t.is(posts.getForeignKeyName(), 'user_id')
+  t.is(posts.toSql(), 'select * from "posts" where "posts"."user_id" = ? and "posts"."user_id" is not null')
+  t.deepEqual(posts.getBindings(), [1])
+
+  const latestPost = user.latestPost()
+
+  t.true(latestPost instanceof HasOne)
+  t.is(latestPost.toSql(), 'select * from "posts" where "posts"."user_id" = ? and "posts"."user_id" is not null order by "id" desc')
+
+  const post = posts.make({ title: 'Hello' })
+
+  t.true(post instanceof EloquentTestPost)
+  t.false(post.exists)
+  t.is(post.user_id, 1)
+})
+
+test('testBelongsToGuessesTheForeignKeyFromTheRelationName', t => {
+  setUpResolver()
+
+  const post = new EloquentTestPost({ user_id: 2 })
+
+  const user = post.user()
+
+  t.true(user instanceof BelongsTo)
+  t.is(user.getRelationName(), 'user')
+  t.is(user.getForeignKeyName(), 'user_id')
+  t.is(user.getQualifiedOwnerKeyName(), 'users.id')
+  t.is(user.toSql(), 'select * from "users" where "users"."id" = ?')
+  t.deepEqual(user.getBindings(), [2])
+
+  t.is(post.author().getRelationName(), 'author')
+  t.is(post.author().getForeignKeyName(), 'user_id')
+})
+
+test('testBelongsToManyJoinsThePivotTable', t => {
+  setUpResolver()
+
+  const user = new EloquentTestUser().newFromBuilder({ id: 1 })
+
+  const roles = user.roles()
+
+  t.true(roles instanceof BelongsToMany)
+  t.is(roles.getRelationName(), 'roles')
+  t.is(roles.getTable(), 'role_user')
+  t.is(roles.getQualifiedForeignPivotKeyName(), 'role_user.user_id')
+  t.is(roles.getQualifiedRelatedPivotKeyName(), 'role_user.role_id')
+  t.is(roles.toSql(), 'select * from "roles" inner join "role_user" on "roles"."id" = "role_user"."role_id" where "role_user"."user_id" = ?')
+
+  roles.wherePivot('level', 'admin')
+
+  t.is(roles.toSql(), 'select * from "roles" inner join "role_user" on "roles"."id" = "role_user"."role_id" where "role_user"."user_id" = ? and "role_user"."level" = ?')
+  t.deepEqual(roles.getBindings(), [1, 'admin'])
+
+  const memberships = user.memberships()
+
+  t.is(memberships.getTable(), 'role_user')
+  t.is(memberships.getPivotClass(), EloquentTestMembership)
+  t.deepEqual(memberships.getPivotColumns(), ['level'])
+})
+
+test('testJoiningTableIsGuessedFromTheModelNames', t => {
+  t.is(new EloquentTestUser().joiningTable(EloquentTestRole), 'eloquent_test_role_eloquent_test_user')
+  t.is(new EloquentTestRole().getForeignKey(), 'eloquent_test_role_id')
+})
+
+test('testLoadedRelationsAreReadableAsAttributes', t => {
+  const user = new EloquentTestUser({ name: 'taylor' })
+
+  t.false(user.relationLoaded('comments'))
+  t.is(user.comments, undefined)
+
+  user.setRelation('comments', new Collection([]))
+
+  t.true(user.relationLoaded('comments'))
+  t.true(user.comments instanceof Collection)
+  t.true(user.getRelation('comments') instanceof Collection)
+
+  delete user.comments
+  delete user.name
+
+  t.false(user.relationLoaded('comments'))
+  t.deepEqual(user.getAttributes(), {})
+})
+
+test.serial('testHasManyAndBelongsToResults', async t => {
+  await setUpDatabase()
+
+  const user = await EloquentTestUser.create({ name: 'taylor' })
+
+  const first = await user.posts().create({ title: 'First' })
+
+  t.true(first.exists)
+  t.is(first.user_id, user.id)
+
+  await user.posts().save(new EloquentTestPost({ title: 'Second' }))
+  await EloquentTestPost.create({ title: 'Orphan' })
+
+  const posts = await user.posts().getResults()
+
+  t.deepEqual(posts.map(post => post.title).all(), ['First', 'Second'])
+  t.is((await user.latestPost().getResults()).title, 'Second')
+  t.deepEqual((await user.posts().where('title', 'First').get()).map(post => post.id).all(), [1])
+
+  const author = await first.author().getResults()
+
+  t.true(author instanceof EloquentTestUser)
+  t.true(author.is(user))
+
+  const orphan = await EloquentTestPost.find(3)
+
+  t.is(await orphan.user().getResults(), undefined)
+  t.is((await new EloquentTestUser().posts().getResults()).count(), 0)
+
+  orphan.user().associate(user)
+
+  t.is(orphan.user_id, 1)
+  t.is(orphan.getRelation('user'), user)
+
+  await orphan.save()
+
+  t.is((await user.posts().getResults()).count(), 3)
+
+  orphan.author().dissociate()
+
+  t.is(orphan.user_id, null)
+  t.is(orphan.getRelation('author'), null)
+})
+
+test.serial('testBelongsToManyAttachDetachAndSync', async t => {
+  const connection = await setUpDatabase()
+
+  const user = await EloquentTestUser.create({ name: 'taylor' })
+
+  for (const name of ['admin', 'editor', 'viewer']) {
+    await EloquentTestRole.create({ name })
+  }
+
+  await user.roles().attach([1, 2], { level: 'high' })
+
+  const roles = await user.roles().withPivot('level').get()
+
+  t.deepEqual(roles.map(role => role.name).all(), ['admin', 'editor'])
+
+  const pivot = roles.first().getRelation('pivot')
+
+  t.true(pivot instanceof Pivot)
+  t.true(pivot.exists)
+  t.is(pivot.getTable(), 'role_user')
+  t.deepEqual(pivot.getAttributes(), { user_id: 1, role_id: 1, level: 'high' })
+  t.is(pivot.pivotParent, user)
+  t.false(Reflect.has(roles.first().getAttributes(), 'pivot_user_id'))
+
+  t.is(await user.roles().detach(2), 1)
+  t.deepEqual((await user.roles().get()).map(role => role.id).all(), [1])
+
+  const changes = await user.roles().sync({ 2: { level: 'low' }, 3: {} })
+
+  t.deepEqual(changes, { attached: [2, 3], detached: [1], updated: [] })
+
+  const synced = await user.roles().withPivot('level').get()
+
+  t.deepEqual(synced.map(role => [role.id, role.getRelation('pivot').level]).all(), [[2, 'low'], [3, null]])
+
+  t.deepEqual(await user.roles().syncWithoutDetaching([3, 1]), { attached: [1], detached: [], updated: [] })
+  t.deepEqual(await user.roles().sync({ 2: { level: 'high' } }), { attached: [], detached: [3, 1], updated: [2] })
+
+  const role = await EloquentTestRole.find(2)
+
+  t.deepEqual((await role.users().get()).map(user => user.name).all(), ['taylor'])
+  t.is((await user.roles().find(2)).name, 'editor')
+  t.is(await user.roles().find(1), undefined)
+
+  await user.roles().detach()
+
+  t.is(await connection.table('role_user').count(), 0)
+})
+
+test.serial('testBelongsToManyWithTimestampsAndCustomPivots', async t => {
+  const connection = await setUpDatabase()
+
+  const user = await EloquentTestUser.create({ name: 'taylor' })
+
+  const admin = await user.roles().withTimestamps().create({ name: 'admin' })
+
+  t.true(admin.exists)
+
+  const record = await connection.table('role_user').first()
+
+  t.is(record.user_id, 1)
+  t.is(record.role_id, 1)
+  t.regex(record.created_at, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/)
+  t.is(record.created_at, record.updated_at)
+
+  await EloquentTestRole.create({ name: 'editor' })
+  await user.memberships().attach(2, { level: 'low' })
+
+  const memberships = await user.memberships().get()
+  const pivot = memberships.last().getRelation('pivot')
+
+  t.true(pivot instanceof EloquentTestMembership)
+  t.is(pivot.level, 'low')
+  t.is(pivot.getForeignKey(), 'user_id')
+  t.is(pivot.getRelatedKey(), 'role_id')
+
+  t.is(await user.memberships().updateExistingPivot(2, { level: 'high' }), 1)
+  t.is((await connection.table('role_user').where('role_id', 2).first()).level, 'high')
+
+  t.is(await user.memberships().detach(2), 1)
+  t.deepEqual((await user.memberships().get()).map(role => role.name).all(), ['admin'])
+})
@@ -0,0 +1,224 @@
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+import { formatDate } from '../../src/Illuminate/Support/helpers.js'
+
+class EloquentSerializationTestUser extends Model {
+  static table = 'users'
+
+  static guarded = []
+
+  static hidden = ['password']
+
+  static appends = ['display_name']
+
+  static casts = {
+    is_admin: 'boolean',
+    options: 'json',
+    birthday: 'date:Y-m-d',
+    last_login_at: 'datetime'
+  }
+
+  getDisplayNameAttribute () {
+    return `${this.name} <${this.email}>`
+  }
+
+  getEmailAttribute (value) {
+    return value?.toLowerCase()
+  }
+
+  blogPosts () {
+    return this.hasMany(EloquentSerializationTestPost, 'user_id')
+  }
+}
+
+class EloquentSerializationTestPost extends Model {
+  static table = 'posts'
+
+  static guarded = []
+
+  static visible = ['id', 'title', 'user']
+
+  user () {
+    return this.belongsTo(EloquentSerializationTestUser, 'user_id')
+  }
+}
+
+class EloquentSerializationTestCustomDateUser extends EloquentSerializationTestUser {
+  serializeDate (date) {
+    return formatDate(date, 'd/m/Y H:i')
+  }
+}
+
+const setUpResolver = () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  Model.setConnectionResolver({ connection: () => connection })
+}
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  const schema = connection.getSchemaBuilder()
+
+  await schema.create('users', (table) => {
+    table.id()
+    table.string('name')
+    table.string('email')
+    table.string('password')
+    table.boolean('is_admin').default(false)
+    table.json('options').nullable()
+    table.date('birthday').nullable()
+    table.dateTime('last_login_at').nullable()
+    table.timestamps()
+  })
+
+  await schema.create('posts', (table) => {
+    table.id()
+    table.integer('user_id').nullable()
+    table.string('title')
+    table.timestamps()
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  return connection
+}
+
+test('testHiddenAndVisibleAttributesAreRespected', t => {
+  setUpResolver()
+
+  const user = new EloquentSerializationTestUser({ name: 'taylor', email: 'Taylor@Laravel.com', password: 'secret' })
+
+  t.deepEqual(user.toArray(), {
+    name: 'taylor',
+    email: 'taylor@laravel.com',
+    display_name: 'taylor <taylor@laravel.com>'
+  })
+
+  const post = new EloquentSerializationTestPost({ id: 1, title: 'Hello', user_id: 1 })
+
+  t.deepEqual(post.toArray(), { id: 1, title: 'Hello' })
+  t.deepEqual(post.getVisible(), ['id', 'title', 'user'])
+})
+
+test('testAttributesCanBeHiddenOrShownAtRuntime', t => {
+  setUpResolver()
+
+  const user = new EloquentSerializationTestUser({ name: 'taylor', email: 'taylor@laravel.com', password: 'secret' })
+
+  t.deepEqual(Object.keys(user.makeVisible('password').makeHidden(['email', 'display_name']).toArray()), ['name', 'password'])
+  t.deepEqual(user.getHidden(), ['email', 'display_name'])
+
+  t.deepEqual(Object.keys(user.makeHiddenIf(() => true, 'password').makeVisibleIf(false, 'email').toArray()), ['name'])
+
+  const post = new EloquentSerializationTestPost({ id: 1, title: 'Hello', user_id: 1 })
+
+  t.deepEqual(post.makeVisible('user_id').toArray(), { id: 1, title: 'Hello', user_id: 1 })
+  t.deepEqual(post.makeHidden('title').toArray(), { id: 1, user_id: 1 })
+  t.deepEqual(new EloquentSerializationTestPost().getHidden(), [])
+})
+
+test('testAppendedAccessorsAreSerialized', t => {
+  setUpResolver()
+
+  const user = new EloquentSerializationTestUser({ name: 'taylor', email: 'taylor@laravel.com' })
+
+  t.true(user.hasAppended('display_name'))
+  t.deepEqual(user.getMutatedAttributes(), ['display_name', 'email'])
+
+  user.setAppends([])
+
+  t.false(Reflect.has(user.toArray(), 'display_name'))
+
+  user.append('display_name')
+
+  t.is(user.toArray().display_name, 'taylor <taylor@laravel.com>')
+  t.deepEqual(user.getAppends(), ['display_name'])
+})
+
+test('testCastsAndDatesAreSerialized', t => {
+  setUpResolver()
+
+  const user = new EloquentSerializationTestUser().newFromBuilder({
+    id: 1,
+    name: 'taylor',
+    email: 'taylor@laravel.com',
+    is_admin: 1,
+    options: '{"theme":"dark"}',
+    birthday: '1990-01-15 00:00:00',
+    last_login_at: '2020-05-10 08:30:00',
+    created_at: '2020-05-10 08:30:00',
+    updated_at: null
+  })
+
+  const array = user.toArray()
+
+  t.true(array.is_admin)
+  t.deepEqual(array.options, { theme: 'dark' })
+  t.is(array.birthday, '1990-01-15')
+  t.is(array.last_login_at, new Date(2020, 4, 10, 8, 30).toISOString())
+  t.is(array.created_at, new Date(2020, 4, 10, 8, 30).toISOString())
+  t.is(array.updated_at, null)
+
+  const custom = new EloquentSerializationTestCustomDateUser().newFromBuilder({
+    created_at: '2020-05-10 08:30:00',
+    last_login_at: '2020-05-10 08:30:00',
+    birthday: '1990-01-15 00:00:00'
+  })
+
+  t.is(custom.toArray().created_at, '10/05/2020 08:30')
+  t.is(custom.toArray().last_login_at, '10/05/2020 08:30')
+  t.is(custom.toArray().birthday, '1990-01-15')
+})
+
+test.serial('testLoadedRelationsAreSerializedRecursively', async t => {
+  await setUpDatabase()
+
+  const user = await EloquentSerializationTestUser.create({ name: 'taylor', email: 'taylor@laravel.com', password: 'secret' })
+
+  await user.blogPosts().create({ title: 'First' })
+  await user.blogPosts().create({ title: 'Second' })
+
+  const [loaded] = (await EloquentSerializationTestUser.with('blogPosts.user').get()).all()
+
+  const array = loaded.toArray()
+
+  t.false(Reflect.has(array, 'password'))
+  t.deepEqual(array.blog_posts.map(post => post.title), ['First', 'Second'])
+  t.deepEqual(Object.keys(array.blog_posts[0]), ['id', 'title', 'user'])
+  t.is(array.blog_posts[0].user.display_name, 'taylor <taylor@laravel.com>')
+
+  const orphan = await EloquentSerializationTestPost.create({ title: 'Orphan' })
+
+  await orphan.load('user')
+
+  t.deepEqual(orphan.toArray(), { id: 3, title: 'Orphan', user: null })
+})
+
+test.serial('testModelsAndCollectionsAreConvertedToJson', async t => {
+  await setUpDatabase()
+
+  await EloquentSerializationTestUser.create({ name: 'taylor', email: 'taylor@laravel.com', password: 'secret', options: { theme: 'dark' } })
+  await EloquentSerializationTestUser.create({ name: 'abigail', email: 'abigail@laravel.com', password: 'secret' })
+
+  const users = await EloquentSerializationTestUser.query().orderBy('id').get()
+
+  const json = JSON.parse(JSON.stringify(users))
+
+  t.deepEqual(json.map(user => user.name), ['taylor', 'abigail'])
+  t.deepEqual(json[0].options, { theme: 'dark' })
+  t.false(Reflect.has(json[0], 'password'))
+  t.is(JSON.stringify(users.first()), JSON.stringify(users.first().toArray()))
+
+  users.makeVisible('password').makeHidden('options', 'created_at', 'updated_at', 'birthday', 'last_login_at', 'is_admin').append('display_name')
+
+  t.deepEqual(users.toArray()[1], {
+    id: 2,
+    name: 'abigail',
+    email: 'abigail@laravel.com',
+    password: 'secret',
+    display_name: 'abigail <abigail@laravel.com>'
+  })
+})
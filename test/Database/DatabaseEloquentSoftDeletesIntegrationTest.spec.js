@@ -0,0 +1,151 @@
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+import SoftDeletes from '../../src/Illuminate/Database/Eloquent/SoftDeletes.js'
+import SoftDeletingScope from '../../src/Illuminate/Database/Eloquent/SoftDeletingScope.js'
+import { mix } from '../../src/Illuminate/Support/Traits/use.js'
+
+class SoftDeletesTestUser extends mix(Model).use(SoftDeletes) {
+  static table = 'users'
+
+  static guarded = []
+
+  posts () {
+    return this.hasMany(SoftDeletesTestPost, 'user_id')
+  }
+}
+
+class SoftDeletesTestPost extends mix(Model).use(SoftDeletes) {
+  static table = 'posts'
+
+  static guarded = []
+
+  static DELETED_AT = 'removed_at'
+}
+
+const setUpResolver = () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  Model.setConnectionResolver({ connection: () => connection })
+}
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  const schema = connection.getSchemaBuilder()
+
+  await schema.create('users', (table) => {
+    table.id()
+    table.string('email')
+    table.softDeletes()
+    table.timestamps()
+  })
+
+  await schema.create('posts', (table) => {
+    table.id()
+    table.integer('user_id')
+    table.string('title')
+    table.softDeletes('removed_at')
+    table.timestamps()
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  const taylor = await SoftDeletesTestUser.create({ email: 'taylorotwell@gmail.com' })
+  const abigail = await SoftDeletesTestUser.create({ email: 'abigailotwell@gmail.com' })
+
+  await taylor.posts().create({ title: 'First' })
+  await taylor.posts().create({ title: 'Second' })
+
+  return { connection, taylor, abigail }
+}
+
+test('testSoftDeletingScopeIsAppliedToTheQueries', t => {
+  setUpResolver()
+
+  t.true(SoftDeletesTestUser.hasGlobalScope(SoftDeletingScope))
+
+  t.is(SoftDeletesTestUser.query().toSql(), 'select * from "users" where "users"."deleted_at" is null')
+  t.is(SoftDeletesTestUser.withTrashed().toSql(), 'select * from "users"')
+  t.is(SoftDeletesTestUser.withTrashed(false).toSql(), 'select * from "users" where "users"."deleted_at" is null')
+  t.is(SoftDeletesTestUser.onlyTrashed().toSql(), 'select * from "users" where "users"."deleted_at" is not null')
+  t.is(SoftDeletesTestUser.withoutTrashed().toSql(), 'select * from "users" where "users"."deleted_at" is null')
+  t.is(SoftDeletesTestPost.query().toSql(), 'select * from "posts" where "posts"."removed_at" is null')
+})
+
+test('testTheDeletedAtColumnCanBeCustomized', t => {
+  setUpResolver()
+
+  const post = new SoftDeletesTestPost()
+
+  t.is(post.getDeletedAtColumn(), 'removed_at')
+  t.is(post.getQualifiedDeletedAtColumn(), 'posts.removed_at')
+  t.false(post.trashed())
+  t.false(post.isForceDeleting())
+})
+
+test.serial('testSoftDeletesAreNotRetrievedFromTheDatabase', async t => {
+  const { taylor } = await setUpDatabase()
+
+  t.true(await taylor.delete())
+  t.true(taylor.trashed())
+  t.false(taylor.isDirty())
+  t.true(taylor.exists)
+
+  t.deepEqual((await SoftDeletesTestUser.all()).map(user => user.email).all(), ['abigailotwell@gmail.com'])
+  t.is(await SoftDeletesTestUser.find(1), undefined)
+  t.is(await SoftDeletesTestUser.query().count(), 1)
+  t.is(await SoftDeletesTestUser.withTrashed().count(), 2)
+  t.deepEqual((await SoftDeletesTestUser.onlyTrashed().get()).map(user => user.email).all(), ['taylorotwell@gmail.com'])
+  t.true((await SoftDeletesTestUser.withTrashed().find(1)).trashed())
+})
+
+test.serial('testSoftDeletesThroughTheBuilder', async t => {
+  const { connection } = await setUpDatabase()
+
+  t.is(await SoftDeletesTestUser.where('email', 'taylorotwell@gmail.com').delete(), 1)
+
+  t.is(await SoftDeletesTestUser.query().count(), 1)
+  t.is(await connection.table('users').count(), 2)
+
+  t.is(await SoftDeletesTestUser.onlyTrashed().restore(), 1)
+  t.is(await SoftDeletesTestUser.query().count(), 2)
+
+  t.is(await SoftDeletesTestUser.where('email', 'taylorotwell@gmail.com').forceDelete(), 1)
+  t.is(await connection.table('users').count(), 1)
+})
+
+test.serial('testRestoreAndForceDelete', async t => {
+  const { connection, taylor } = await setUpDatabase()
+
+  await taylor.delete()
+
+  const user = await SoftDeletesTestUser.withTrashed().find(1)
+
+  t.true(await user.restore())
+  t.false(user.trashed())
+  t.true(user.exists)
+  t.is((await SoftDeletesTestUser.find(1)).email, 'taylorotwell@gmail.com')
+
+  t.true(await user.forceDelete())
+  t.false(user.exists)
+  t.false(user.isForceDeleting())
+  t.is(await connection.table('users').where('id', 1).first(), undefined)
+})
+
+test.serial('testSoftDeletedRelationsAreHiddenUntilRequested', async t => {
+  const { taylor } = await setUpDatabase()
+
+  const post = await taylor.posts().where('title', 'First').first()
+
+  await post.delete()
+
+  t.deepEqual((await taylor.posts().get()).map(post => post.title).all(), ['Second'])
+  t.deepEqual((await taylor.posts().withTrashed().get()).map(post => post.title).all(), ['First', 'Second'])
+
+  const [user] = (await SoftDeletesTestUser.with('posts').withCount('posts').get()).all()
+
+  t.deepEqual(user.getRelation('posts').map(post => post.title).all(), ['Second'])
+  t.is(user.posts_count, 1)
+})
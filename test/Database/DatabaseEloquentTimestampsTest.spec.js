@@ -0,0 +1,248 @@
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Model from '../../src/Illuminate/Database/Eloquent/Model.js'
+
+class EloquentTimestampsTestUser extends Model {
+  static table = 'users'
+
+  static guarded = []
+
+  roles () {
+    return this.belongsToMany(EloquentTimestampsTestRole, 'role_user', 'user_id', 'role_id')
+  }
+}
+
+class EloquentTimestampsTestPost extends Model {
+  static table = 'posts'
+
+  static guarded = []
+
+  static CREATED_AT = 'published_at'
+
+  static UPDATED_AT = 'edited_at'
+}
+
+class EloquentTimestampsTestComment extends Model {
+  static table = 'comments'
+
+  static guarded = []
+
+  static UPDATED_AT = null
+
+  static touches = ['post']
+
+  post () {
+    return this.belongsTo(EloquentTimestampsTestPost, 'post_id')
+  }
+}
+
+class EloquentTimestampsTestRole extends Model {
+  static table = 'roles'
+
+  static guarded = []
+}
+
+class EloquentTimestampsTestLog extends Model {
+  static table = 'logs'
+
+  static guarded = []
+
+  static timestamps = false
+}
+
+const setUpResolver = () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  Model.setConnectionResolver({ connection: () => connection })
+}
+
+const setUpDatabase = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  const schema = connection.getSchemaBuilder()
+
+  await schema.create('users', (table) => {
+    table.id()
+    table.string('name')
+    table.timestamps()
+  })
+
+  await schema.create('posts', (table) => {
+    table.id()
+    table.string('title')
+    table.timestamp('published_at').nullable()
+    table.timestamp('edited_at').nullable()
+  })
+
+  await schema.create('comments', (table) => {
+    table.id()
+    table.integer('post_id')
+    table.string('body')
+    table.timestamp('created_at').nullable()
+  })
+
+  await schema.create('roles', (table) => {
+    table.id()
+    table.string('name')
+    table.timestamps()
+  })
+
+  await schema.create('role_user', (table) => {
+    table.integer('user_id')
+    table.integer('role_id')
+  })
+
+  await schema.create('logs', (table) => {
+    table.id()
+    table.string('message')
+  })
+
+  Model.setConnectionResolver({ connection: () => connection })
+
+  return connection
+}
+
+test('testTimestampColumnsCanBeCustomizedOrDisabled', t => {
+  setUpResolver()
+
+  const user = new EloquentTimestampsTestUser()
+
+  t.true(user.usesTimestamps())
+  t.is(user.getCreatedAtColumn(), 'created_at')
+  t.is(user.getQualifiedUpdatedAtColumn(), 'users.updated_at')
+  t.deepEqual(user.getDates(), ['created_at', 'updated_at'])
+
+  const post = new EloquentTimestampsTestPost()
+
+  t.is(post.getQualifiedCreatedAtColumn(), 'posts.published_at')
+  t.is(post.getUpdatedAtColumn(), 'edited_at')
+
+  const comment = new EloquentTimestampsTestComment()
+
+  t.is(comment.getUpdatedAtColumn(), null)
+  t.is(comment.getQualifiedUpdatedAtColumn(), null)
+  t.deepEqual(comment.getDates(), ['created_at'])
+
+  t.false(new EloquentTimestampsTestLog().usesTimestamps())
+  t.deepEqual(new EloquentTimestampsTestLog().getDates(), [])
+})
+
+test.serial('testBuilderUpdatesAddTheUpdatedAtColumn', async t => {
+  const connection = await setUpDatabase()
+
+  connection.enableQueryLog()
+
+  await EloquentTimestampsTestUser.where('id', 1).update({ name: 'taylor' })
+  await EloquentTimestampsTestUser.where('id', 1).update({ name: 'taylor', updated_at: '2020-01-01 00:00:00' })
+  await EloquentTimestampsTestComment.where('id', 1).update({ body: 'foo' })
+  await EloquentTimestampsTestLog.where('id', 1).update({ message: 'foo' })
+
+  t.deepEqual(connection.getQueryLog().map(({ query }) => query), [
+    'update "users" set "name" = ?, "updated_at" = ? where "id" = ?',
+    'update "users" set "name" = ?, "updated_at" = ? where "id" = ?',
+    'update "comments" set "body" = ? where "id" = ?',
+    'update "logs" set "message" = ? where "id" = ?'
+  ])
+  t.regex(connection.getQueryLog()[0].bindings[1], /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/)
+  t.is(connection.getQueryLog()[1].bindings[1], '2020-01-01 00:00:00')
+})
+
+test.serial('testTimestampsAreSetOnCreateAndUpdate', async t => {
+  const connection = await setUpDatabase()
+
+  const user = await EloquentTimestampsTestUser.create({ name: 'taylor' })
+
+  t.true(user.created_at instanceof Date)
+  t.deepEqual(user.created_at, user.updated_at)
+
+  const row = await connection.table('users').first()
+
+  t.regex(row.created_at, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/)
+  t.is(row.created_at, row.updated_at)
+
+  const yesterday = new Date(Date.now() - 86400000)
+
+  await connection.table('users').update({ created_at: user.fromDateTime(yesterday), updated_at: user.fromDateTime(yesterday) })
+
+  const fresh = await EloquentTimestampsTestUser.find(1)
+
+  fresh.name = 'otwell'
+
+  await fresh.save()
+
+  const updated = await connection.table('users').first()
+
+  t.is(updated.created_at, user.fromDateTime(yesterday))
+  t.not(updated.updated_at, user.fromDateTime(yesterday))
+
+  const log = await EloquentTimestampsTestLog.create({ message: 'created' })
+
+  t.is(log.created_at, undefined)
+  t.deepEqual(await connection.table('logs').first(), { id: 1, message: 'created' })
+})
+
+test.serial('testCustomTimestampColumnsUseTheModelDateFormat', async t => {
+  const connection = await setUpDatabase()
+
+  const post = new EloquentTimestampsTestPost({ title: 'Hello' })
+
+  post.setDateFormat('Y-m-d')
+
+  await post.save()
+
+  const row = await connection.table('posts').first()
+
+  t.regex(row.published_at, /^\d{4}-\d{2}-\d{2}$/)
+  t.is(row.published_at, row.edited_at)
+
+  const comment = await EloquentTimestampsTestComment.create({ post_id: post.id, body: 'First' })
+
+  t.true(comment.created_at instanceof Date)
+  t.false(Reflect.has(comment.getAttributes(), 'updated_at'))
+})
+
+test.serial('testTouchUpdatesTheUpdatedAtTimestamp', async t => {
+  const connection = await setUpDatabase()
+
+  const user = await EloquentTimestampsTestUser.create({ name: 'taylor' })
+
+  const yesterday = user.fromDateTime(new Date(Date.now() - 86400000))
+
+  await connection.table('users').update({ updated_at: yesterday })
+
+  const fresh = await EloquentTimestampsTestUser.find(1)
+
+  t.true(await fresh.touch())
+  t.not((await connection.table('users').first()).updated_at, yesterday)
+  t.false(await (await EloquentTimestampsTestLog.create({ message: 'created' })).touch())
+
+  await fresh.roles().attach((await EloquentTimestampsTestRole.create({ name: 'admin' })).id)
+
+  await connection.table('roles').update({ updated_at: yesterday })
+
+  await fresh.roles().touch()
+
+  t.not((await connection.table('roles').first()).updated_at, yesterday)
+})
+
+test.serial('testTouchesBumpTheParentTimestamps', async t => {
+  const connection = await setUpDatabase()
+
+  const post = await EloquentTimestampsTestPost.create({ title: 'Hello' })
+
+  const yesterday = post.fromDateTime(new Date(Date.now() - 86400000))
+
+  await connection.table('posts').update({ edited_at: yesterday })
+
+  const comment = await EloquentTimestampsTestComment.create({ post_id: post.id, body: 'First' })
+
+  t.true(comment.touches('post'))
+  t.not((await connection.table('posts').first()).edited_at, yesterday)
+
+  await connection.table('posts').update({ edited_at: yesterday })
+
+  await comment.delete()
+
+  t.not((await connection.table('posts').first()).edited_at, yesterday)
+})
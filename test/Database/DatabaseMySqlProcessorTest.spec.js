@@ -1,6 +1,9 @@
 import test from 'ava'
 
 import MySqlProcessor from '../../src/Illuminate/Database/Query/Processors/MySqlProcessor.js'
+import mock from '../helpers/mock.js'
+
+const { sinon } = mock()
 
 test('testProcessColumns', async t => {
   const processor = new MySqlProcessor()
@@ -18,3 +21,14 @@ test('testProcessColumns', async t => {
 
   t.deepEqual(processor.processColumns(listing), expected)
 })
+
+test('testInsertGetIdProcessing', async t => {
+  const processor = new MySqlProcessor()
+  const connection = { insertGetId: sinon.stub().resolves('1') }
+  const builder = { getConnection: () => connection }
+
+  const result = await processor.processInsertGetId(builder, 'insert into `users` (`email`) values (?)', ['foo'], 'id')
+
+  t.is(result, 1)
+  t.true(connection.insertGetId.calledOnceWith('insert into `users` (`email`) values (?)', ['foo'], 'id'))
+})
@@ -10,7 +10,7 @@ test('testBasicCreateTable', async t => {
   blueprint.increments('id')
   blueprint.string('email')
   blueprint.string('name').collation('nb_NO.utf8')
-  let statements = blueprint.toSql(getConnection(), getGrammar())
+  let statements = await blueprint.toSql(getConnection(), getGrammar())
 
   t.is(statements.length, 1)
   t.is(statements[0], 'create table "users" ("id" serial not null primary key, "email" varchar(255) not null, "name" varchar(255) collate "nb_NO.utf8" not null)')
@@ -18,7 +18,7 @@ test('testBasicCreateTable', async t => {
   blueprint = new Blueprint('users')
   blueprint.increments('id')
   blueprint.string('email')
-  statements = blueprint.toSql(getConnection(), getGrammar())
+  statements = await blueprint.toSql(getConnection(), getGrammar())
 
   t.is(statements.length, 2)
   t.deepEqual(statements, [
@@ -33,7 +33,7 @@ test('testCreateTableWithAutoIncrementStartingValue', async t => {
   blueprint.increments('id').startingValue(1000)
   blueprint.string('email')
   blueprint.string('name').collation('nb_NO.utf8')
-  const statements = blueprint.toSql(getConnection(), getGrammar())
+  const statements = await blueprint.toSql(getConnection(), getGrammar())
 
   t.is(statements.length, 2)
   t.is(statements[0], 'create table "users" ("id" serial not null primary key, "email" varchar(255) not null, "name" varchar(255) collate "nb_NO.utf8" not null)')
@@ -45,7 +45,7 @@ test('testAddColumnsWithMultipleAutoIncrementStartingValue', async t => {
   blueprint.id().from(100)
   blueprint.increments('code').from(200)
   blueprint.string('name').from(300)
-  const statements = blueprint.toSql(getConnection(), getGrammar())
+  const statements = await blueprint.toSql(getConnection(), getGrammar())
 
   t.deepEqual(statements, [
     'alter table "users" add column "id" bigserial not null primary key',
@@ -61,7 +61,7 @@ test('testCreateTableAndCommentColumn', async t => {
   blueprint.create()
   blueprint.increments('id')
   blueprint.string('email').comment('my first comment')
-  const statements = blueprint.toSql(getConnection(), getGrammar())
+  const statements = await blueprint.toSql(getConnection(), getGrammar())
 
   t.is(statements.length, 2)
   t.is(statements[0], 'create table "users" ("id" serial not null primary key, "email" varchar(255) not null)')
@@ -74,7 +74,7 @@ test('testCreateTemporaryTable', async t => {
   blueprint.temporary()
   blueprint.increments('id')
   blueprint.string('email')
-  const statements = blueprint.toSql(getConnection(), getGrammar())
+  const statements = await blueprint.toSql(getConnection(), getGrammar())
 
   t.is(statements.length, 1)
   t.is(statements[0], 'create temporary table "users" ("id" serial not null primary key, "email" varchar(255) not null)')
@@ -20,6 +20,9 @@ import ConditionExpression from '../../src/Illuminate/Database/Query/ConditionEx
 import { collect } from '../../src/Illuminate/Collections/helpers.js'
 
 import mock from '../helpers/mock.js'
+import ModelNotFoundException from '../../src/Illuminate/Database/Eloquent/ModelNotFoundException.js'
+import MultipleRecordsFoundException from '../../src/Illuminate/Database/MultipleRecordsFoundException.js'
+import RecordsNotFoundException from '../../src/Illuminate/Database/RecordsNotFoundException.js'
 import { IntegerStatus, NonBackedStatus } from './Enums.js'
 
 test('testBasicSelect', (t) => {
@@ -2585,13 +2588,74 @@ test('testFindOrReturnsFirstResultByID', async (t) => {
   stub.withArgs(['column']).onFirstCall().returns(data)
   stub.onThirdCall().returns(null)
 
-  t.deepEqual(data, builder.findOr(1, () => 'callback result'))
-  t.deepEqual(data, builder.findOr(1, ['column'], () => 'callback result'))
-  t.deepEqual('callback result', builder.findOr(1, () => 'callback result'))
+  t.deepEqual(data, await builder.findOr(1, () => 'callback result'))
+  t.deepEqual(data, await builder.findOr(1, ['column'], () => 'callback result'))
+  t.deepEqual('callback result', await builder.findOr(1, () => 'callback result'))
 
   restoreStub(builder, 'first')
 })
 
+test('testFindOrFailThrowsWhenTheRecordIsMissing', async (t) => {
+  const { createStub, restoreStub } = mock()
+
+  const builder = getBuilder().from('users')
+  const stub = createStub(builder, 'first')
+
+  stub.onFirstCall().resolves({ id: 1 })
+  stub.onSecondCall().resolves(undefined)
+
+  t.deepEqual(await builder.findOrFail(1), { id: 1 })
+
+  const error = await t.throwsAsync(builder.findOrFail(2), {
+    instanceOf: RecordsNotFoundException,
+    message: 'RecordsNotFoundException: No query results for table [users] 2'
+  })
+
+  t.is(error.getTable(), 'users')
+  t.deepEqual(error.getIds(), [2])
+  t.false(error instanceof ModelNotFoundException)
+
+  restoreStub(builder, 'first')
+})
+
+test('testFirstOrFailThrowsWhenThereAreNoResults', async (t) => {
+  const { createMock, verifyMock } = mock()
+
+  const builder = getBuilder()
+  createMock(builder.getConnection()).expects('select').twice().withArgs('select * from "users" where "id" = ? limit 1', [1]).onFirstCall().returns([{ foo: 'bar' }]).onSecondCall().returns([])
+  createMock(builder.getProcessor()).expects('processSelect').twice().callsFake((query, results) => results)
+
+  t.deepEqual(await builder.from('users').where('id', '=', 1).firstOrFail(), { foo: 'bar' })
+  await t.throwsAsync(builder.firstOrFail(), { instanceOf: RecordsNotFoundException })
+
+  verifyMock()
+})
+
+test('testSoleReturnsTheOnlyMatchingRecord', async (t) => {
+  const { createMock, verifyMock } = mock()
+
+  const builder = getBuilder()
+  createMock(builder.getConnection()).expects('select').thrice().withArgs('select * from "users" where "name" = ? limit 2', ['taylor'])
+    .onFirstCall().returns([{ name: 'taylor' }])
+    .onSecondCall().returns([])
+    .onThirdCall().returns([{ name: 'taylor' }, { name: 'taylor' }])
+  createMock(builder.getProcessor()).expects('processSelect').thrice().callsFake((query, results) => results)
+
+  builder.from('users').where('name', 'taylor')
+
+  t.deepEqual(await builder.sole(), { name: 'taylor' })
+  await t.throwsAsync(builder.sole(), { instanceOf: RecordsNotFoundException })
+
+  const error = await t.throwsAsync(builder.sole(), {
+    instanceOf: MultipleRecordsFoundException,
+    message: 'MultipleRecordsFoundException: 2 records were found.'
+  })
+
+  t.is(error.getCount(), 2)
+
+  verifyMock()
+})
+
 test('testFirstMethodReturnsFirstResult', async (t) => {
   const { createMock, verifyMock } = mock()
 
@@ -4960,6 +5024,176 @@ test('testChunkPaginatesUsingIdDesc', async (t) => {
   t.pass()
 })
 
+test('testEachCanBeStoppedByReturningFalse', async (t) => {
+  const { createMock, verifyMock } = mock()
+
+  const builder = getBuilder()
+  builder.orders.push({ column: 'foobar', direction: 'asc' })
+
+  const builderMock = createMock(builder)
+  builderMock.expects('forPage').once().withArgs(1, 2).returnsThis()
+  builderMock.expects('forPage').once().withArgs(2, 2).returnsThis()
+  builderMock.expects('get').once().resolves(collect(['foo1', 'foo2']))
+  builderMock.expects('get').once().resolves(collect(['foo3', 'foo4']))
+
+  const items = []
+
+  const result = await builder.each(async (item, key) => {
+    items.push([key, item])
+
+    return item !== 'foo3'
+  }, 2)
+
+  t.false(result)
+  t.deepEqual(items, [[0, 'foo1'], [1, 'foo2'], [0, 'foo3']])
+
+  verifyMock()
+})
+
+test('testEachByIdPassesTheIndexAcrossChunks', async (t) => {
+  const { createMock, verifyMock } = mock()
+
+  const builder = getBuilder()
+  builder.orders.push({ column: 'foobar', direction: 'asc' })
+
+  const chunk1 = collect([{ someIdField: 1 }, { someIdField: 2 }])
+  const chunk2 = collect([{ someIdField: 10 }])
+  const builderMock = createMock(builder)
+
+  builderMock.expects('forPageAfterId').once().withArgs(2, undefined, 'someIdField').returnsThis()
+  builderMock.expects('forPageAfterId').once().withArgs(2, 2, 'someIdField').returnsThis()
+  builderMock.expects('get').once().resolves(chunk1)
+  builderMock.expects('get').once().resolves(chunk2)
+
+  const items = []
+
+  t.true(await builder.eachById((item, index) => { items.push([index, item.someIdField]) }, 2, 'someIdField'))
+  t.deepEqual(items, [[0, 1], [1, 2], [2, 10]])
+
+  verifyMock()
+})
+
+test('testLazyWithLastChunkPartial', async (t) => {
+  const { createMock, verifyMock } = mock()
+
+  const builder = getBuilder()
+  builder.orders.push({ column: 'foobar', direction: 'asc' })
+
+  const builderMock = createMock(builder)
+  builderMock.expects('forPage').once().withArgs(1, 2).returnsThis()
+  builderMock.expects('forPage').once().withArgs(2, 2).returnsThis()
+  builderMock.expects('get').once().resolves(collect(['foo1', 'foo2']))
+  builderMock.expects('get').once().resolves(collect(['foo3']))
+
+  const items = []
+
+  for await (const item of builder.lazy(2)) {
+    items.push(item)
+  }
+
+  t.deepEqual(items, ['foo1', 'foo2', 'foo3'])
+
+  verifyMock()
+})
+
+test('testLazyWithLastChunkComplete', async (t) => {
+  const { createMock, verifyMock } = mock()
+
+  const builder = getBuilder()
+  builder.orders.push({ column: 'foobar', direction: 'asc' })
+
+  const builderMock = createMock(builder)
+  builderMock.expects('forPage').once().withArgs(1, 2).returnsThis()
+  builderMock.expects('forPage').once().withArgs(2, 2).returnsThis()
+  builderMock.expects('forPage').once().withArgs(3, 2).returnsThis()
+  builderMock.expects('get').once().resolves(collect(['foo1', 'foo2']))
+  builderMock.expects('get').once().resolves(collect(['foo3', 'foo4']))
+  builderMock.expects('get').once().resolves(collect([]))
+
+  const items = []
+
+  for await (const item of builder.lazy(2)) {
+    items.push(item)
+  }
+
+  t.deepEqual(items, ['foo1', 'foo2', 'foo3', 'foo4'])
+
+  verifyMock()
+})
+
+test('testLazyValidatesTheChunkSizeAndTheOrder', (t) => {
+  const builder = getBuilder()
+
+  t.throws(() => builder.lazy(0), { message: 'InvalidArgumentException: The chunk size should be at least 1' })
+  t.throws(() => builder.lazyById(0), { message: 'InvalidArgumentException: The chunk size should be at least 1' })
+  t.throws(() => builder.lazy(2), { message: 'RuntimeException: You must specify an orderBy clause when using this function.' })
+})
+
+test('testLazyById', async (t) => {
+  const { createMock, verifyMock } = mock()
+
+  const builder = getBuilder()
+  builder.orders.push({ column: 'foobar', direction: 'asc' })
+
+  const builderMock = createMock(builder)
+  builderMock.expects('forPageAfterId').once().withArgs(2, null, 'someIdField').returnsThis()
+  builderMock.expects('forPageAfterId').once().withArgs(2, 2, 'someIdField').returnsThis()
+  builderMock.expects('forPageAfterId').once().withArgs(2, 11, 'someIdField').returnsThis()
+  builderMock.expects('get').once().resolves(collect([{ someIdField: 1 }, { someIdField: 2 }]))
+  builderMock.expects('get').once().resolves(collect([{ someIdField: 10 }, { someIdField: 11 }]))
+  builderMock.expects('get').once().resolves(collect([]))
+
+  const ids = []
+
+  for await (const item of builder.lazyById(2, 'someIdField')) {
+    ids.push(item.someIdField)
+  }
+
+  t.deepEqual(ids, [1, 2, 10, 11])
+
+  verifyMock()
+})
+
+test('testLazyByIdDescWithAlias', async (t) => {
+  const { createMock, verifyMock } = mock()
+
+  const builder = getBuilder()
+  builder.orders.push({ column: 'foobar', direction: 'desc' })
+
+  const builderMock = createMock(builder)
+  builderMock.expects('forPageBeforeId').once().withArgs(2, null, 'table.id').returnsThis()
+  builderMock.expects('forPageBeforeId').once().withArgs(2, 1, 'table.id').returnsThis()
+  builderMock.expects('get').once().resolves(collect([{ table_id: 10 }, { table_id: 1 }]))
+  builderMock.expects('get').once().resolves(collect([]))
+
+  const ids = []
+
+  for await (const item of builder.lazyByIdDesc(2, 'table.id', 'table_id')) {
+    ids.push(item.table_id)
+  }
+
+  t.deepEqual(ids, [10, 1])
+
+  verifyMock()
+})
+
+test('testLazyByIdThrowsWhenTheAliasIsMissing', async (t) => {
+  const { createMock } = mock()
+
+  const builder = getBuilder()
+
+  createMock(builder).expects('get').once().resolves(collect([{ id: 1 }, { id: 2 }]))
+
+  const items = builder.lazyById(2, 'id', 'missing')
+
+  t.is((await items.next()).value.id, 1)
+  t.is((await items.next()).value.id, 2)
+
+  await t.throwsAsync(items.next(), {
+    message: 'RuntimeException: The lazyById operation was aborted because the [missing] column is not present in the query result.'
+  })
+})
+
 test('testPaginate', async (t) => {
   const { createMock, verifyMock } = mock()
 
@@ -0,0 +1,163 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import SQLiteConnection from '../../src/Illuminate/Database/SQLiteConnection.js'
+
+const getConnection = async (config = {}) => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:', ...config }, 'sqlite')
+
+  await connection.statement('create table "users" ("id" integer primary key autoincrement, "name" varchar not null, "votes" integer not null default 0)')
+
+  return connection
+}
+
+test('testQueriesRunAgainstAnInMemoryDatabase', async t => {
+  const connection = await getConnection()
+
+  t.true(connection instanceof SQLiteConnection)
+
+  await connection.table('users').insert([{ name: 'foo', votes: 1 }, { name: 'bar', votes: 2 }])
+
+  const users = await connection.table('users').where('votes', '>', 1).get()
+
+  t.deepEqual(users.all(), [{ id: 2, name: 'bar', votes: 2 }])
+  t.is(await connection.table('users').count(), 2)
+  t.is(await connection.table('users').where('name', 'foo').update({ votes: 5 }), 1)
+  t.is(await connection.table('users').max('votes'), 5)
+  t.is(await connection.table('users').where('name', 'bar').delete(), 1)
+
+  await connection.disconnect()
+})
+
+test('testInsertGetIdReturnsTheLastInsertedRowId', async t => {
+  const connection = await getConnection()
+
+  await connection.table('users').insert({ name: 'foo' })
+  const id = await connection.table('users').insertGetId({ name: 'bar' })
+
+  t.is(id, 2)
+
+  await connection.disconnect()
+})
+
+test('testTransactionsAreRolledBack', async t => {
+  const connection = await getConnection()
+
+  await t.throwsAsync(connection.transaction(async (db) => {
+    await db.table('users').insert({ name: 'foo' })
+
+    throw new Error('bar')
+  }))
+
+  await connection.transaction(async (db) => {
+    await db.table('users').insert({ name: 'baz' })
+
+    await t.throwsAsync(db.transaction(async () => {
+      await db.table('users').insert({ name: 'qux' })
+
+      throw new Error('bar')
+    }))
+  })
+
+  t.deepEqual((await connection.table('users').pluck('name')).all(), ['baz'])
+
+  await connection.disconnect()
+})
+
+test('testConcurrentTransactionsWaitForTheDatabaseHandle', async t => {
+  const connection = await getConnection()
+  const tick = () => new Promise(resolve => setImmediate(resolve))
+
+  await Promise.all([
+    connection.transaction(async (db) => {
+      await db.table('users').insert({ name: 'foo' })
+      await tick()
+      await db.table('users').insert({ name: 'bar' })
+    }),
+    t.throwsAsync(connection.transaction(async (db) => {
+      await db.table('users').insert({ name: 'baz' })
+
+      throw new Error('qux')
+    }), { message: 'qux' })
+  ])
+
+  t.deepEqual((await connection.table('users').pluck('name')).all(), ['foo', 'bar'])
+
+  await connection.disconnect()
+})
+
+test('testStatementsOutsideATransactionWaitForTheDatabaseHandle', async t => {
+  const connection = await getConnection()
+  const tick = () => new Promise(resolve => setImmediate(resolve))
+
+  let inserted
+  const began = new Promise(resolve => { inserted = resolve })
+
+  await Promise.all([
+    t.throwsAsync(connection.transaction(async (db) => {
+      await db.table('users').insert({ name: 'foo' })
+      inserted()
+      await tick()
+
+      throw new Error('bar')
+    }), { message: 'bar' }),
+    began.then(() => connection.table('users').insert({ name: 'baz' }))
+  ])
+
+  t.deepEqual((await connection.table('users').pluck('name')).all(), ['baz'])
+
+  await connection.disconnect()
+})
+
+test('testConfigurationPragmasAreApplied', async t => {
+  const connection = await getConnection({ foreign_key_constraints: true, busy_timeout: 3000, journal_mode: 'memory' })
+
+  t.is((await connection.selectOne('pragma foreign_keys')).foreign_keys, 1)
+  t.is((await connection.selectOne('pragma busy_timeout')).timeout, 3000)
+  t.is((await connection.selectOne('pragma journal_mode')).journal_mode, 'memory')
+
+  await connection.disconnect()
+})
+
+test('testUniqueConstraintErrorsAreDetected', async t => {
+  const connection = await getConnection()
+
+  await connection.table('users').insert({ id: 1, name: 'foo' })
+  const error = await t.throwsAsync(connection.table('users').insert({ id: 1, name: 'bar' }))
+
+  t.true(connection.isUniqueConstraintError(error))
+
+  await connection.disconnect()
+})
+
+test('testFileDatabasesMayBeConnectedTo', async t => {
+  const directory = mkdtempSync(join(tmpdir(), 'lihtne-'))
+  const path = join(directory, 'database.sqlite')
+  writeFileSync(path, '')
+
+  try {
+    const connection = await getConnection({ database: path })
+    await connection.table('users').insert({ name: 'foo' })
+    await connection.disconnect()
+
+    const reconnected = new ConnectionFactory().make({ driver: 'sqlite', database: path }, 'sqlite')
+
+    t.deepEqual((await reconnected.table('users').pluck('name')).all(), ['foo'])
+
+    await reconnected.disconnect()
+  } finally {
+    rmSync(directory, { recursive: true, force: true })
+  }
+})
+
+test('testMissingDatabaseFilesThrow', t => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: '/path/to/missing.sqlite' }, 'sqlite')
+
+  t.throws(() => connection.getDriver(), {
+    message: 'SQLiteDatabaseDoesNotExistException: Database file at path [/path/to/missing.sqlite] does not exist. Ensure this is an absolute path to the database.'
+  })
+})
@@ -0,0 +1,337 @@
+import test from 'ava'
+
+import Blueprint from '../../src/Illuminate/Database/Schema/Blueprint.js'
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import SQLiteGrammar from '../../src/Illuminate/Database/Schema/Grammars/SQLiteGrammar.js'
+import { getConnection as getBaseConnection } from './helpers/getConnection.js'
+import { Expression } from '../../src/Illuminate/Database/Query/internal.js'
+import mock from '../helpers/mock.js'
+
+const { createStub } = mock()
+
+const getConnection = (version = '3.45.0') => {
+  const connection = getBaseConnection()
+
+  createStub(connection, 'getServerVersion').returns(version)
+
+  return connection
+}
+
+const getGrammar = () => new SQLiteGrammar()
+
+const getDatabaseConnection = async () => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:', foreign_key_constraints: true }, 'sqlite')
+
+  await connection.getSchemaBuilder().create('teams', (table) => {
+    table.id()
+    table.string('name')
+  })
+
+  await connection.getSchemaBuilder().create('users', (table) => {
+    table.id()
+    table.string('name').default('guest')
+    table.string('email').unique()
+    table.integer('votes').nullable()
+    table.foreignId('team_id').nullable().constrained()
+  })
+
+  await connection.table('teams').insert({ name: 'core' })
+  await connection.table('users').insert({ name: 'taylor', email: 'taylor@example.com', votes: 10, team_id: 1 })
+
+  return connection
+}
+
+test('testBasicCreateTable', async t => {
+  let blueprint = new Blueprint('users')
+  blueprint.create()
+  blueprint.increments('id')
+  blueprint.string('email')
+  let statements = await blueprint.toSql(getConnection(), getGrammar())
+
+  t.deepEqual(statements, ['create table "users" ("id" integer primary key autoincrement not null, "email" varchar not null)'])
+
+  blueprint = new Blueprint('users')
+  blueprint.increments('id')
+  blueprint.string('email')
+  statements = await blueprint.toSql(getConnection(), getGrammar())
+
+  t.deepEqual(statements, [
+    'alter table "users" add column "id" integer primary key autoincrement not null',
+    'alter table "users" add column "email" varchar not null'
+  ])
+})
+
+test('testCreateTemporaryTable', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.create()
+  blueprint.temporary()
+  blueprint.increments('id')
+  blueprint.string('email')
+  const statements = await blueprint.toSql(getConnection(), getGrammar())
+
+  t.deepEqual(statements, ['create temporary table "users" ("id" integer primary key autoincrement not null, "email" varchar not null)'])
+})
+
+test('testDropTable', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.drop()
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['drop table "users"'])
+})
+
+test('testDropTableIfExists', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.dropIfExists()
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['drop table if exists "users"'])
+})
+
+test('testDropUnique', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.dropUnique('foo')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['drop index "foo"'])
+})
+
+test('testDropIndex', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.dropIndex('foo')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['drop index "foo"'])
+})
+
+test('testDropColumn', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.dropColumn('foo', 'bar')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'alter table "users" drop column "foo"',
+    'alter table "users" drop column "bar"'
+  ])
+})
+
+test('testDropSpatialIndex', async t => {
+  const blueprint = new Blueprint('geo')
+  blueprint.dropSpatialIndex(['coordinates'])
+
+  await t.throwsAsync(blueprint.toSql(getConnection(), getGrammar()), {
+    message: 'RuntimeException: The database driver in use does not support spatial indexes.'
+  })
+})
+
+test('testDropForeignByNameIsNotSupported', async t => {
+  const connection = await getDatabaseConnection()
+
+  await t.throwsAsync(connection.getSchemaBuilder().table('users', (table) => {
+    table.dropForeign('users_team_id_foreign')
+  }), {
+    message: 'RuntimeException: This database driver does not support dropping foreign keys by name.'
+  })
+
+  await connection.disconnect()
+})
+
+test('testRenameTable', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.rename('foo')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['alter table "users" rename to "foo"'])
+})
+
+test('testRenameColumn', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.renameColumn('foo', 'bar')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['alter table "users" rename column "foo" to "bar"'])
+})
+
+test('testAddingPrimaryKey', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.create()
+  blueprint.string('foo').primary()
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'create table "users" ("foo" varchar not null, primary key ("foo"))'
+  ])
+})
+
+test('testAddingForeignKey', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.create()
+  blueprint.string('foo').primary()
+  blueprint.string('order_id')
+  blueprint.foreign('order_id').references('id').on('orders')
+  blueprint.foreignId('team_id').constrained().cascadeOnDelete()
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'create table "users" ("foo" varchar not null, "order_id" varchar not null, "team_id" integer not null, ' +
+    'foreign key("order_id") references "orders"("id"), foreign key("team_id") references "teams"("id") on delete cascade, primary key ("foo"))'
+  ])
+})
+
+test('testAddingIndexes', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.unique('foo', 'bar')
+  blueprint.index(['foo', 'bar'], 'baz')
+  blueprint.string('email').unique()
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'create unique index "bar" on "users" ("foo")',
+    'create index "baz" on "users" ("foo", "bar")',
+    'alter table "users" add column "email" varchar not null',
+    'create unique index "users_email_unique" on "users" ("email")'
+  ])
+})
+
+test('testAddingSpatialIndex', async t => {
+  const blueprint = new Blueprint('geo')
+  blueprint.spatialIndex('coordinates')
+
+  await t.throwsAsync(blueprint.toSql(getConnection(), getGrammar()), {
+    message: 'RuntimeException: The database driver in use does not support spatial indexes.'
+  })
+})
+
+test('testAddingColumnsWithModifiers', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.string('foo').nullable().default('bar')
+  blueprint.string('name').collation('nocase')
+  blueprint.boolean('active').default(true)
+  blueprint.timestamp('created_at').useCurrent()
+  blueprint.integer('discounted_virtual').virtualAs('"price" - 5')
+  blueprint.integer('discounted_stored').storedAs(new Expression('"price" - 5')).nullable(false)
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'alter table "users" add column "foo" varchar default \'bar\'',
+    'alter table "users" add column "name" varchar not null collate \'nocase\'',
+    'alter table "users" add column "active" tinyint(1) not null default \'1\'',
+    'alter table "users" add column "created_at" datetime not null default CURRENT_TIMESTAMP',
+    'alter table "users" add column "discounted_virtual" integer as ("price" - 5)',
+    'alter table "users" add column "discounted_stored" integer not null as ("price" - 5) stored'
+  ])
+})
+
+test('testAddingColumnTypes', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.create()
+  blueprint.char('a')
+  blueprint.text('b')
+  blueprint.bigInteger('c')
+  blueprint.float('d')
+  blueprint.double('e')
+  blueprint.decimal('f', 5, 2)
+  blueprint.enum('role', ['member', 'admin'])
+  blueprint.json('g')
+  blueprint.date('h')
+  blueprint.dateTime('i')
+  blueprint.time('j')
+  blueprint.binary('k')
+  blueprint.uuid('l')
+  blueprint.ipAddress('m')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'create table "users" ("a" varchar not null, "b" text not null, "c" integer not null, "d" float not null, ' +
+    '"e" double not null, "f" numeric not null, "role" varchar check ("role" in (\'member\', \'admin\')) not null, ' +
+    '"g" text not null, "h" date not null, "i" datetime not null, "j" time not null, "k" blob not null, ' +
+    '"l" varchar not null, "m" varchar not null)'
+  ])
+})
+
+test('testCompileColumnsIndexesAndForeignKeys', t => {
+  const grammar = getGrammar()
+
+  t.is(grammar.compileColumns('users'), 'select name, type, not "notnull" as "nullable", dflt_value as "default", pk as "primary", hidden as "extra" from pragma_table_xinfo(\'users\') order by cid asc')
+  t.true(grammar.compileIndexes('users').includes('from pragma_index_list(\'users\') il, pragma_index_info(il.name) ii'))
+  t.true(grammar.compileForeignKeys('users').includes('from (select * from pragma_foreign_key_list(\'users\') order by id desc, seq)'))
+})
+
+test('testEnableAndDisableForeignKeyConstraints', t => {
+  t.is(getGrammar().compileEnableForeignKeyConstraints(), 'PRAGMA foreign_keys = ON;')
+  t.is(getGrammar().compileDisableForeignKeyConstraints(), 'PRAGMA foreign_keys = OFF;')
+})
+
+test('testDropColumnIsHandledByTheTableRebuildOnOlderVersions', t => {
+  t.deepEqual(getGrammar().getAlterCommands(getConnection('3.34.1')), ['change', 'primary', 'dropPrimary', 'foreign', 'dropForeign', 'dropColumn'])
+  t.deepEqual(getGrammar().getAlterCommands(getConnection('3.35')), ['change', 'primary', 'dropPrimary', 'foreign', 'dropForeign'])
+})
+
+test('testSchemaBuilderIntrospectsTheDatabase', async t => {
+  const connection = await getDatabaseConnection()
+  const schema = connection.getSchemaBuilder()
+
+  t.deepEqual(await schema.getTableListing(), ['teams', 'users'])
+  t.deepEqual(await schema.getColumnListing('users'), ['id', 'name', 'email', 'votes', 'team_id'])
+  t.is(await schema.getColumnType('users', 'name'), 'varchar')
+  t.true(await schema.hasIndex('users', 'users_email_unique', 'unique'))
+  t.deepEqual((await schema.getForeignKeys('users')).map(foreignKey => foreignKey.foreign_table), ['teams'])
+
+  await connection.disconnect()
+})
+
+test('testChangingColumnRebuildsTheTable', async t => {
+  const connection = await getDatabaseConnection()
+  const schema = connection.getSchemaBuilder()
+
+  const blueprint = new Blueprint('users', (table) => {
+    table.text('name').nullable().change()
+  })
+
+  t.deepEqual(await blueprint.toSql(connection, schema.getConnection().getSchemaGrammar()), [
+    'PRAGMA foreign_keys = OFF;',
+    'create table "__temp__users" ("id" integer primary key autoincrement not null, "name" text, "email" varchar not null, "votes" integer, "team_id" integer, ' +
+    'foreign key("team_id") references "teams"("id") on delete no action on update no action)',
+    'insert into "__temp__users" ("id", "name", "email", "votes", "team_id") select "id", "name", "email", "votes", "team_id" from "users"',
+    'drop table "users"',
+    'alter table "__temp__users" rename to "users"',
+    'create unique index "users_email_unique" on "users" ("email")',
+    'PRAGMA foreign_keys = ON;'
+  ])
+
+  await schema.table('users', (table) => {
+    table.text('name').nullable().change()
+  })
+
+  const name = (await schema.getColumns('users')).find(column => column.name === 'name')
+
+  t.is(name.type, 'text')
+  t.true(name.nullable)
+  t.true(await schema.hasIndex('users', 'users_email_unique', 'unique'))
+  t.deepEqual((await connection.table('users').get()).all(), [
+    { id: 1, name: 'taylor', email: 'taylor@example.com', votes: 10, team_id: 1 }
+  ])
+
+  await connection.disconnect()
+})
+
+test('testDroppingColumnsAndForeignKeys', async t => {
+  const connection = await getDatabaseConnection()
+  const schema = connection.getSchemaBuilder()
+
+  await schema.table('users', (table) => {
+    table.dropForeign(['team_id'])
+    table.dropColumn('votes')
+  })
+
+  t.deepEqual(await schema.getColumnListing('users'), ['id', 'name', 'email', 'team_id'])
+  t.deepEqual(await schema.getForeignKeys('users'), [])
+
+  await connection.disconnect()
+})
+
+test('testRenamingIndexRecreatesIt', async t => {
+  const connection = await getDatabaseConnection()
+  const schema = connection.getSchemaBuilder()
+
+  await schema.table('users', (table) => {
+    table.renameIndex('users_email_unique', 'users_mail_unique')
+  })
+
+  t.false(await schema.hasIndex('users', 'users_email_unique'))
+  t.true(await schema.hasIndex('users', 'users_mail_unique', 'unique'))
+
+  await t.throwsAsync(schema.table('users', (table) => {
+    table.renameIndex('missing', 'other')
+  }), { message: 'RuntimeException: Index [missing] does not exist.' })
+
+  await connection.disconnect()
+})
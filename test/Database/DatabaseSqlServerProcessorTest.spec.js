@@ -0,0 +1,35 @@
+import test from 'ava'
+
+import SqlServerProcessor from '../../src/Illuminate/Database/Query/Processors/SqlServerProcessor.js'
+
+test('testProcessColumns', t => {
+  const processor = new SqlServerProcessor()
+
+  const listing = [
+    { name: 'id', type_name: 'int', length: 4, precision: 10, places: 0, nullable: 0, default: null, autoincrement: 1, collation: null, expression: null, persisted: null, comment: null },
+    { name: 'name', type_name: 'nvarchar', length: 200, precision: 0, places: 0, nullable: 1, default: "('guest')", autoincrement: 0, collation: 'SQL_Latin1_General_CP1_CI_AS', expression: null, persisted: null, comment: 'foo' },
+    { name: 'bio', type_name: 'nvarchar', length: -1, precision: 0, places: 0, nullable: 1, default: null, autoincrement: 0, collation: 'SQL_Latin1_General_CP1_CI_AS', expression: null, persisted: null, comment: null },
+    { name: 'amount', type_name: 'decimal', length: 5, precision: 8, places: 2, nullable: 0, default: null, autoincrement: 0, collation: null, expression: null, persisted: null, comment: null },
+    { name: 'total', type_name: 'int', length: 4, precision: 10, places: 0, nullable: 1, default: null, autoincrement: 0, collation: null, expression: '([price]-(5))', persisted: 1, comment: null }
+  ]
+
+  t.deepEqual(processor.processColumns(listing), [
+    { name: 'id', type_name: 'int', type: 'int', collation: null, nullable: false, default: null, auto_increment: true, comment: null, generation: null },
+    { name: 'name', type_name: 'nvarchar', type: 'nvarchar(100)', collation: 'SQL_Latin1_General_CP1_CI_AS', nullable: true, default: "('guest')", auto_increment: false, comment: 'foo', generation: null },
+    { name: 'bio', type_name: 'nvarchar', type: 'nvarchar(max)', collation: 'SQL_Latin1_General_CP1_CI_AS', nullable: true, default: null, auto_increment: false, comment: null, generation: null },
+    { name: 'amount', type_name: 'decimal', type: 'decimal(8,2)', collation: null, nullable: false, default: null, auto_increment: false, comment: null, generation: null },
+    { name: 'total', type_name: 'int', type: 'int', collation: null, nullable: true, default: null, auto_increment: false, comment: null, generation: { type: 'stored', expression: '([price]-(5))' } }
+  ])
+})
+
+test('testProcessForeignKeys', t => {
+  const processor = new SqlServerProcessor()
+
+  const listing = [
+    { name: 'users_team_id_foreign', columns: 'team_id', foreign_schema: 'dbo', foreign_table: 'teams', foreign_columns: 'id', on_update: 'NO_ACTION', on_delete: 'SET_NULL' }
+  ]
+
+  t.deepEqual(processor.processForeignKeys(listing), [
+    { name: 'users_team_id_foreign', columns: ['team_id'], foreign_schema: 'dbo', foreign_table: 'teams', foreign_columns: ['id'], on_update: 'no action', on_delete: 'set null' }
+  ])
+})
@@ -0,0 +1,330 @@
+import test from 'ava'
+
+import Blueprint from '../../src/Illuminate/Database/Schema/Blueprint.js'
+import SqlServerBuilder from '../../src/Illuminate/Database/Schema/SqlServerBuilder.js'
+import SqlServerGrammar from '../../src/Illuminate/Database/Schema/Grammars/SqlServerGrammar.js'
+import SqlServerProcessor from '../../src/Illuminate/Database/Query/Processors/SqlServerProcessor.js'
+import { getConnection } from './helpers/getConnection.js'
+import { Expression } from '../../src/Illuminate/Database/Query/internal.js'
+import mock from '../helpers/mock.js'
+
+const { createStub } = mock()
+
+const getGrammar = () => new SqlServerGrammar()
+
+test('testBasicCreateTable', async t => {
+  let blueprint = new Blueprint('users')
+  blueprint.create()
+  blueprint.increments('id')
+  blueprint.string('email')
+  let statements = await blueprint.toSql(getConnection(), getGrammar())
+
+  t.deepEqual(statements, ['create table "users" ("id" int not null identity primary key, "email" nvarchar(255) not null)'])
+
+  blueprint = new Blueprint('users')
+  blueprint.increments('id')
+  blueprint.string('email')
+  statements = await blueprint.toSql(getConnection(), getGrammar())
+
+  t.deepEqual(statements, [
+    'alter table "users" add "id" int not null identity primary key',
+    'alter table "users" add "email" nvarchar(255) not null'
+  ])
+
+  blueprint = new Blueprint('users')
+  blueprint.create()
+  blueprint.increments('id')
+  blueprint.string('email')
+  statements = await blueprint.toSql(getConnection(), getGrammar().setTablePrefix('prefix_'))
+
+  t.deepEqual(statements, ['create table "prefix_users" ("id" int not null identity primary key, "email" nvarchar(255) not null)'])
+})
+
+test('testCreateTemporaryTable', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.create()
+  blueprint.temporary()
+  blueprint.increments('id')
+  blueprint.string('email')
+  const statements = await blueprint.toSql(getConnection(), getGrammar())
+
+  t.deepEqual(statements, ['create table "#users" ("id" int not null identity primary key, "email" nvarchar(255) not null)'])
+})
+
+test('testDropTable', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.drop()
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['drop table "users"'])
+})
+
+test('testDropTableIfExists', async t => {
+  let blueprint = new Blueprint('users')
+  blueprint.dropIfExists()
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['if object_id(N\'"users"\', \'U\') is not null drop table "users"'])
+
+  blueprint = new Blueprint('users')
+  blueprint.dropIfExists()
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar().setTablePrefix('prefix_')), ['if object_id(N\'"prefix_users"\', \'U\') is not null drop table "prefix_users"'])
+})
+
+test('testDropColumnDropsTheDefaultConstraintsFirst', async t => {
+  let blueprint = new Blueprint('users')
+  blueprint.dropColumn('foo')
+  let statements = await blueprint.toSql(getConnection(), getGrammar())
+
+  t.is(statements.length, 1)
+  t.true(statements[0].includes("DECLARE @sql NVARCHAR(MAX) = '';SELECT @sql += 'ALTER TABLE \"users\" DROP CONSTRAINT ' + OBJECT_NAME([default_object_id]) + ';'"))
+  t.true(statements[0].includes("WHERE [object_id] = OBJECT_ID(N'\"users\"') AND [name] in ('foo') AND [default_object_id] <> 0;EXEC(@sql)"))
+  t.true(statements[0].endsWith(';alter table "users" drop column "foo"'))
+
+  blueprint = new Blueprint('users')
+  blueprint.dropColumn(['foo', 'bar'])
+  statements = await blueprint.toSql(getConnection(), getGrammar())
+
+  t.true(statements[0].includes("[name] in ('foo','bar')"))
+  t.true(statements[0].endsWith(';alter table "users" drop column "foo", "bar"'))
+})
+
+test('testDropPrimary', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.dropPrimary('foo')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['alter table "users" drop constraint "foo"'])
+})
+
+test('testDropUniqueAndIndex', async t => {
+  let blueprint = new Blueprint('users')
+  blueprint.dropUnique('foo')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['drop index "foo" on "users"'])
+
+  blueprint = new Blueprint('users')
+  blueprint.dropIndex('foo')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['drop index "foo" on "users"'])
+})
+
+test('testDropForeign', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.dropForeign('foo')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['alter table "users" drop constraint "foo"'])
+})
+
+test('testRenameTableAndIndex', async t => {
+  let blueprint = new Blueprint('users')
+  blueprint.rename('foo')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['sp_rename N\'"users"\', "foo"'])
+
+  blueprint = new Blueprint('users')
+  blueprint.renameIndex('foo', 'bar')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['sp_rename N\'"users"."foo"\', "bar", N\'INDEX\''])
+})
+
+test('testRenameColumn', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.renameColumn('foo', 'bar')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['sp_rename N\'"users"."foo"\', "bar", N\'COLUMN\''])
+})
+
+test('testAddingPrimaryKeyUniqueAndIndexes', async t => {
+  let blueprint = new Blueprint('users')
+  blueprint.primary('foo', 'bar')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['alter table "users" add constraint "bar" primary key ("foo")'])
+
+  blueprint = new Blueprint('users')
+  blueprint.unique('foo', 'bar')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['create unique index "bar" on "users" ("foo")'])
+
+  blueprint = new Blueprint('users')
+  blueprint.index(['foo', 'bar'], 'baz')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['create index "baz" on "users" ("foo", "bar")'])
+
+  blueprint = new Blueprint('geo')
+  blueprint.spatialIndex('coordinates')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), ['create spatial index "geo_coordinates_spatialindex" on "geo" ("coordinates")'])
+})
+
+test('testAddingForeignKey', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.foreign('foo_id').references('id').on('orders').cascadeOnDelete()
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'alter table "users" add constraint "users_foo_id_foreign" foreign key ("foo_id") references "orders" ("id") on delete cascade'
+  ])
+})
+
+test('testAddingIncrementingAndIntegerColumns', async t => {
+  let blueprint = new Blueprint('users')
+  blueprint.bigIncrements('id')
+  blueprint.tinyInteger('tiny')
+  blueprint.smallInteger('small')
+  blueprint.mediumInteger('medium')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'alter table "users" add "id" bigint not null identity primary key',
+    'alter table "users" add "tiny" tinyint not null',
+    'alter table "users" add "small" smallint not null',
+    'alter table "users" add "medium" int not null'
+  ])
+
+  blueprint = new Blueprint('users')
+  blueprint.create()
+  blueprint.bigIncrements('id')
+  blueprint.primary('id', 'users_pk')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'create table "users" ("id" bigint not null identity)',
+    'alter table "users" add constraint "users_pk" primary key ("id")'
+  ])
+})
+
+test('testAddingStringColumns', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.char('code', 4)
+  blueprint.string('name', 100).nullable().default('bar')
+  blueprint.string('title').collation('Latin1_General_CS_AS')
+  blueprint.text('body')
+  blueprint.json('options')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'alter table "users" add "code" nchar(4) not null',
+    'alter table "users" add "name" nvarchar(100) null default \'bar\'',
+    'alter table "users" add "title" nvarchar(255) collate Latin1_General_CS_AS not null',
+    'alter table "users" add "body" nvarchar(max) not null',
+    'alter table "users" add "options" nvarchar(max) not null'
+  ])
+})
+
+test('testAddingNumericColumns', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.float('ratio', 24)
+  blueprint.double('score')
+  blueprint.decimal('amount', 5, 2)
+  blueprint.boolean('active').default(true)
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'alter table "users" add "ratio" float(24) not null',
+    'alter table "users" add "score" double precision not null',
+    'alter table "users" add "amount" decimal(5, 2) not null',
+    'alter table "users" add "active" bit not null default \'1\''
+  ])
+})
+
+test('testAddingEnum', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.enum('role', ['member', 'admin'])
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'alter table "users" add "role" nvarchar(255) check ("role" in (N\'member\', N\'admin\')) not null'
+  ])
+})
+
+test('testAddingDateAndTimeColumns', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.date('born_on')
+  blueprint.dateTime('created_at', 0)
+  blueprint.dateTime('updated_at', 6).useCurrent()
+  blueprint.dateTimeTz('seen_at', 7)
+  blueprint.time('opens_at', 3)
+  blueprint.timestamp('plain', null)
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'alter table "users" add "born_on" date not null',
+    'alter table "users" add "created_at" datetime not null',
+    'alter table "users" add "updated_at" datetime2(6) not null default CURRENT_TIMESTAMP',
+    'alter table "users" add "seen_at" datetimeoffset(7) not null',
+    'alter table "users" add "opens_at" time(3) not null',
+    'alter table "users" add "plain" datetime not null'
+  ])
+})
+
+test('testAddingBinaryUuidAndNetworkColumns', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.binary('avatar')
+  blueprint.binary('hash', 32, true)
+  blueprint.uuid('token')
+  blueprint.ipAddress('ip')
+  blueprint.macAddress('mac')
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'alter table "users" add "avatar" varbinary(max) not null',
+    'alter table "users" add "hash" binary(32) not null',
+    'alter table "users" add "token" uniqueidentifier not null',
+    'alter table "users" add "ip" nvarchar(45) not null',
+    'alter table "users" add "mac" nvarchar(17) not null'
+  ])
+})
+
+test('testAddingComputedColumns', async t => {
+  let blueprint = new Blueprint('products')
+  blueprint.integer('price')
+  blueprint.computed('discounted_virtual', 'price - 5')
+  blueprint.computed('discounted_stored', new Expression('price - 5')).persisted()
+
+  t.deepEqual(await blueprint.toSql(getConnection(), getGrammar()), [
+    'alter table "products" add "price" int not null',
+    'alter table "products" add "discounted_virtual" as (price - 5)',
+    'alter table "products" add "discounted_stored" as (price - 5) persisted'
+  ])
+
+  blueprint = new Blueprint('products')
+  blueprint.computed('discounted_stored', 'price - 5').change()
+
+  t.deepEqual((await blueprint.toSql(getConnection(), getGrammar()))[1], 'alter table "products" alter column "discounted_stored" as (price - 5) drop persisted')
+})
+
+test('testChangingColumnDropsAndRestoresTheDefaultConstraint', async t => {
+  const blueprint = new Blueprint('users')
+  blueprint.string('name', 100).nullable().default('guest').change()
+  const statements = await blueprint.toSql(getConnection(), getGrammar())
+
+  t.is(statements.length, 3)
+  t.true(statements[0].includes("[name] in ('name')"))
+  t.is(statements[1], 'alter table "users" alter column "name" nvarchar(100) null')
+  t.is(statements[2], 'alter table "users" add default \'guest\' for "name"')
+})
+
+test('testForeignKeyConstraintToggles', t => {
+  t.is(getGrammar().compileEnableForeignKeyConstraints(), 'EXEC sp_msforeachtable @command1="print \'?\'", @command2="ALTER TABLE ? WITH CHECK CHECK CONSTRAINT all";')
+  t.is(getGrammar().compileDisableForeignKeyConstraints(), 'EXEC sp_msforeachtable "ALTER TABLE ? NOCHECK CONSTRAINT all";')
+})
+
+test('testIntrospectionQueriesUseTheGivenOrDefaultSchema', t => {
+  const grammar = getGrammar()
+
+  t.true(grammar.compileColumns(null, 'users').includes("obj.name = N'users' and scm.name = schema_name()"))
+  t.true(grammar.compileColumns('dbo', 'users').includes("obj.name = N'users' and scm.name = N'dbo'"))
+  t.true(grammar.compileIndexes('dbo', 'users').includes("tbl.name = N'users' and scm.name = N'dbo'"))
+  t.true(grammar.compileForeignKeys(null, 'users').includes("lt.name = N'users' and ls.name = schema_name()"))
+})
+
+test('testSchemaBuilderPassesTheSchemaAndPrefixedTable', async t => {
+  const connection = getConnection()
+  connection.setSchemaGrammar(getGrammar())
+  connection.setPostProcessor(new SqlServerProcessor())
+  connection.setTablePrefix('prefix_')
+  const select = createStub(connection, 'selectFromWriteConnection').resolves([
+    { name: 'IX_Users_Email', columns: 'email,name', type: 'NONCLUSTERED', unique: 1, primary: 0 }
+  ])
+  const builder = new SqlServerBuilder(connection)
+
+  const indexes = await builder.getIndexes('dbo.users')
+
+  t.true(select.firstCall.args[0].includes("tbl.name = N'prefix_users' and scm.name = N'dbo'"))
+  t.deepEqual(indexes, [{ name: 'ix_users_email', columns: ['email', 'name'], type: 'nonclustered', unique: true, primary: false }])
+
+  await t.throwsAsync(() => builder.getColumns('db.dbo.users'), {
+    message: "InvalidArgumentException: Using three-part reference is not supported, you may use `Schema.connection('db')` instead."
+  })
+})
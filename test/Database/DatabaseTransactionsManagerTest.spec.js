@@ -0,0 +1,158 @@
+import test from 'ava'
+
+import DatabaseTransactionsManager from '../../src/Illuminate/Database/DatabaseTransactionsManager.js'
+
+test('testBeginningTransactions', t => {
+  const manager = new DatabaseTransactionsManager()
+
+  manager.begin('default', 1)
+  manager.begin('default', 2)
+  manager.begin('admin', 1)
+
+  t.is(manager.getPendingTransactions().length, 3)
+  t.is(manager.getPendingTransactions()[0].connection, 'default')
+  t.is(manager.getPendingTransactions()[0].level, 1)
+  t.is(manager.getPendingTransactions()[1].connection, 'default')
+  t.is(manager.getPendingTransactions()[1].level, 2)
+  t.is(manager.getPendingTransactions()[2].connection, 'admin')
+  t.is(manager.getPendingTransactions()[2].level, 1)
+})
+
+test('testRollingBackTransactions', async t => {
+  const manager = new DatabaseTransactionsManager()
+
+  manager.begin('default', 1)
+  manager.begin('default', 2)
+  manager.begin('admin', 1)
+
+  await manager.rollback('default', 1)
+
+  t.is(manager.getPendingTransactions().length, 2)
+  t.is(manager.getPendingTransactions()[0].connection, 'default')
+  t.is(manager.getPendingTransactions()[0].level, 1)
+  t.is(manager.getPendingTransactions()[1].connection, 'admin')
+  t.is(manager.getPendingTransactions()[1].level, 1)
+})
+
+test('testRollingBackTransactionsAllTheWay', async t => {
+  const manager = new DatabaseTransactionsManager()
+
+  manager.begin('default', 1)
+  manager.begin('default', 2)
+  manager.begin('admin', 1)
+
+  await manager.rollback('default', 0)
+
+  t.is(manager.getPendingTransactions().length, 1)
+  t.is(manager.getPendingTransactions()[0].connection, 'admin')
+  t.is(manager.getPendingTransactions()[0].level, 1)
+})
+
+test('testCommittingTransactions', async t => {
+  const manager = new DatabaseTransactionsManager()
+
+  manager.begin('default', 1)
+  manager.begin('default', 2)
+  manager.begin('admin', 1)
+  manager.begin('admin', 2)
+
+  await manager.commit('admin', 2, 1)
+  const executedTransactions = await manager.commit('admin', 1, 0)
+
+  t.is(manager.getPendingTransactions().length, 2)
+  t.is(manager.getPendingTransactions()[0].level, 1)
+  t.is(manager.getPendingTransactions()[1].level, 2)
+  t.is(manager.getCommittedTransactions().length, 0)
+  t.deepEqual(executedTransactions.map(transaction => [transaction.connection, transaction.level]), [['admin', 2], ['admin', 1]])
+})
+
+test('testCallbacksAreAddedToTheCurrentTransaction', t => {
+  const manager = new DatabaseTransactionsManager()
+  const callbacks = []
+
+  manager.begin('default', 1)
+  manager.addCallback(() => {})
+  manager.begin('default', 2)
+  manager.begin('admin', 1)
+  manager.addCallback(() => {})
+
+  callbacks.push(...manager.getPendingTransactions().map(transaction => transaction.getCallbacks().length))
+
+  t.deepEqual(callbacks, [1, 0, 1])
+})
+
+test('testCommittingTransactionsExecutesCallbacks', async t => {
+  const manager = new DatabaseTransactionsManager()
+  const callbacks = []
+
+  manager.begin('default', 1)
+  manager.addCallback(() => callbacks.push(['default', 1]))
+  manager.begin('default', 2)
+  manager.addCallback(() => callbacks.push(['default', 2]))
+  manager.begin('admin', 1)
+
+  await manager.commit('default', 2, 1)
+
+  t.deepEqual(callbacks, [])
+
+  await manager.commit('default', 1, 0)
+
+  t.deepEqual(callbacks, [['default', 2], ['default', 1]])
+})
+
+test('testCommittingExecutesOnlyCallbacksOfTheConnection', async t => {
+  const manager = new DatabaseTransactionsManager()
+  const callbacks = []
+
+  manager.begin('default', 1)
+  manager.addCallback(() => callbacks.push(['default', 1]))
+  manager.begin('admin', 1)
+  manager.addCallback(() => callbacks.push(['admin', 1]))
+
+  await manager.commit('default', 1, 0)
+
+  t.deepEqual(callbacks, [['default', 1]])
+})
+
+test('testCallbackIsExecutedIfNoTransactions', async t => {
+  const manager = new DatabaseTransactionsManager()
+  const callbacks = []
+
+  await manager.addCallback(() => callbacks.push(1))
+
+  t.deepEqual(callbacks, [1])
+})
+
+test('testCallbacksAreDiscardedOnRollback', async t => {
+  const manager = new DatabaseTransactionsManager()
+  const callbacks = []
+
+  manager.begin('default', 1)
+  manager.begin('default', 2)
+  manager.addCallback(() => callbacks.push(['default', 2]))
+  await manager.commit('default', 2, 1)
+  await manager.rollback('default', 0)
+
+  manager.begin('default', 1)
+  await manager.commit('default', 1, 0)
+
+  t.deepEqual(callbacks, [])
+})
+
+test('testRollbackCallbacksAreExecutedOnRollback', async t => {
+  const manager = new DatabaseTransactionsManager()
+  const callbacks = []
+
+  manager.begin('default', 1)
+  manager.addCallbackForRollback(() => callbacks.push(['default', 1]))
+  manager.begin('default', 2)
+  manager.addCallbackForRollback(() => callbacks.push(['default', 2]))
+
+  await manager.rollback('default', 1)
+
+  t.deepEqual(callbacks, [['default', 2]])
+
+  await manager.rollback('default', 0)
+
+  t.deepEqual(callbacks, [['default', 2], ['default', 1]])
+})
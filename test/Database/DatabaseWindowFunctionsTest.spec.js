@@ -0,0 +1,145 @@
+import test from 'ava'
+
+import ConnectionFactory from '../../src/Illuminate/Database/Connectors/ConnectionFactory.js'
+import Raw from '../../src/Illuminate/Database/Query/Expression.js'
+import WindowClause from '../../src/Illuminate/Database/Query/WindowClause.js'
+import getBuilder from './helpers/getBuilder.js'
+import getMySqlBuilder from './helpers/getMySqlBuilder.js'
+import getPostgresBuilder from './helpers/getPostgresBuilder.js'
+import getSQLiteBuilder from './helpers/getSQLiteBuilder.js'
+import getSqlServerBuilder from './helpers/getSqlServerBuilder.js'
+
+test('testSelectWindow', t => {
+  let builder = getBuilder()
+  builder.select('name').selectWindow('row_number()', (window) => {
+    window.partitionBy('department').orderByDesc('salary')
+  }, 'position').from('employees')
+  t.is(builder.toSql(), 'select "name", row_number() over (partition by "department" order by "salary" desc) as "position" from "employees"')
+
+  builder = getBuilder()
+  builder.selectWindow(new Raw('count(*)'), new WindowClause(), 'total').from('employees')
+  t.is(builder.toSql(), 'select count(*) over () as "total" from "employees"')
+
+  builder = getMySqlBuilder()
+  builder.select('name').selectRowNumber((window) => window.partitionBy('department', 'team').orderBy('hired_at')).from('employees')
+  t.is(builder.toSql(), 'select `name`, row_number() over (partition by `department`, `team` order by `hired_at` asc) as `row_number` from `employees`')
+
+  builder = getSqlServerBuilder()
+  builder.select('name').selectRank((window) => window.orderByDesc('salary'), 'salary_rank').from('employees')
+  t.is(builder.toSql(), 'select [name], rank() over (order by [salary] desc) as [salary_rank] from [employees]')
+
+  builder = getPostgresBuilder()
+  builder.selectDenseRank((window) => window.orderBy('score')).from('scores')
+  t.is(builder.toSql(), 'select dense_rank() over (order by "score" asc) as "dense_rank" from "scores"')
+})
+
+test('testSelectLagAndLead', t => {
+  let builder = getBuilder()
+  builder.select('day').selectLag('amount', (window) => window.orderBy('day'), 'previous').from('sales')
+  t.is(builder.toSql(), 'select "day", lag("amount", 1) over (order by "day" asc) as "previous" from "sales"')
+
+  builder = getSQLiteBuilder()
+  builder.select('day').selectLead('amount', (window) => window.orderBy('day'), 'next', 2, 0).where('amount', '>', 5).from('sales')
+  t.is(builder.toSql(), 'select "day", lead("amount", 2, ?) over (order by "day" asc) as "next" from "sales" where "amount" > ?')
+  t.deepEqual(builder.getBindings(), [0, 5])
+
+  builder = getBuilder()
+  builder.selectLead('amount', (window) => window.orderBy('day'), 'next', 1, new Raw('"amount"')).from('sales')
+  t.is(builder.toSql(), 'select lead("amount", 1, "amount") over (order by "day" asc) as "next" from "sales"')
+  t.deepEqual(builder.getBindings(), [])
+
+  t.throws(() => getBuilder().selectLag('amount', (window) => window.orderBy('day'), 'previous', -1), {
+    message: 'InvalidArgumentException: The window function offset must be a non-negative integer.'
+  })
+})
+
+test('testSelectRunningAggregatesWithFrames', t => {
+  let builder = getPostgresBuilder()
+  builder.selectSumOver('amount', (window) => {
+    window.partitionBy('account_id').orderBy('created_at').rows('unbounded preceding', 'current row')
+  }, 'balance').from('transactions')
+  t.is(builder.toSql(), 'select sum("amount") over (partition by "account_id" order by "created_at" asc rows between unbounded preceding and current row) as "balance" from "transactions"')
+
+  builder = getMySqlBuilder()
+  builder.selectAvgOver('amount', (window) => window.orderBy('day').range('2 preceding', '2 FOLLOWING'), 'average').from('sales')
+  t.is(builder.toSql(), 'select avg(`amount`) over (order by `day` asc range between 2 preceding and 2 following) as `average` from `sales`')
+
+  builder = getSQLiteBuilder()
+  builder.selectSumOver('amount', (window) => window.orderBy('day').groups('current row'), 'total').from('sales')
+  t.is(builder.toSql(), 'select sum("amount") over (order by "day" asc groups current row) as "total" from "sales"')
+
+  t.throws(() => getMySqlBuilder().selectSumOver('amount', (window) => window.groups('current row')), {
+    message: 'RuntimeException: This database engine does not support "groups" window frames.'
+  })
+
+  t.throws(() => getSqlServerBuilder().selectSumOver('amount', (window) => window.groups('current row')), {
+    message: 'RuntimeException: This database engine does not support "groups" window frames.'
+  })
+
+  t.throws(() => new WindowClause().rows('1; drop table users'), {
+    message: 'InvalidArgumentException: Invalid window frame bound [1; drop table users].'
+  })
+
+  t.throws(() => new WindowClause().orderBy('day', 'up'), {
+    message: 'InvalidArgumentException: Order direction must be "asc" or "desc".'
+  })
+})
+
+test('testNamedWindows', t => {
+  let builder = getBuilder()
+  builder.select('name')
+    .selectRowNumber('w')
+    .selectWindow('sum("salary")', (window) => window.basedOn('w').rows('unbounded preceding'), 'running_total')
+    .from('employees')
+    .where('active', true)
+    .window('w', (window) => window.partitionBy('department').orderBy('salary'))
+    .orderBy('name')
+  t.is(builder.toSql(), 'select "name", row_number() over "w" as "row_number", sum("salary") over ("w" rows unbounded preceding) as "running_total" from "employees" where "active" = ? window "w" as (partition by "department" order by "salary" asc) order by "name" asc')
+
+  builder = getSqlServerBuilder()
+  builder.selectRank('w').from('employees').window('w', new WindowClause().orderByDesc('salary'))
+  t.is(builder.toSql(), 'select rank() over [w] as [rank] from [employees] window [w] as (order by [salary] desc)')
+
+  builder = getBuilder()
+  builder.from('employees').orderBy(builder.over('row_number()', (window) => window.orderBy('salary')))
+  t.is(builder.toSql(), 'select * from "employees" order by row_number() over (order by "salary" asc) asc')
+})
+
+test('testWindowFunctionsAreExecuted', async t => {
+  const connection = new ConnectionFactory().make({ driver: 'sqlite', database: ':memory:' }, 'sqlite')
+
+  await connection.getSchemaBuilder().create('sales', (table) => {
+    table.id()
+    table.string('region')
+    table.integer('day')
+    table.integer('amount')
+  })
+
+  await connection.table('sales').insert([
+    { region: 'north', day: 1, amount: 10 },
+    { region: 'north', day: 2, amount: 30 },
+    { region: 'north', day: 3, amount: 20 },
+    { region: 'south', day: 1, amount: 5 },
+    { region: 'south', day: 2, amount: 15 }
+  ])
+
+  const rows = await connection.query()
+    .select('region', 'day')
+    .selectRowNumber('by_day', 'position')
+    .selectRank((window) => window.partitionBy('region').orderByDesc('amount'), 'amount_rank')
+    .selectLag('amount', 'by_day', 'previous', 1, 0)
+    .selectSumOver('amount', (window) => window.basedOn('by_day').rows('unbounded preceding', 'current row'), 'running_total')
+    .from('sales')
+    .window('by_day', (window) => window.partitionBy('region').orderBy('day'))
+    .orderBy('region')
+    .orderBy('day')
+    .get()
+
+  t.deepEqual(rows.all(), [
+    { region: 'north', day: 1, position: 1, amount_rank: 3, previous: 0, running_total: 10 },
+    { region: 'north', day: 2, position: 2, amount_rank: 1, previous: 10, running_total: 40 },
+    { region: 'north', day: 3, position: 3, amount_rank: 2, previous: 30, running_total: 60 },
+    { region: 'south', day: 1, position: 1, amount_rank: 2, previous: 0, running_total: 5 },
+    { region: 'south', day: 2, position: 2, amount_rank: 1, previous: 5, running_total: 20 }
+  ])
+})